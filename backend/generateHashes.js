@@ -51,7 +51,7 @@ async function generatePasswordHashes() {
   console.log('='.repeat(70));
   console.log();
 
-  const sqlValues = [];
+  const sqlStatements = [];
 
   for (const user of users) {
     console.log(`Processing User #${user.id}:`);
@@ -64,9 +64,8 @@ async function generatePasswordHashes() {
     console.log(`  Password Hash: ${passwordHash}`);
     console.log('-'.repeat(70));
 
-    const baseIdValue = user.base_id === null ? 'NULL' : user.base_id;
-    sqlValues.push(
-      `('${user.email}', '${passwordHash}', '${user.name}', '${user.role}', ${baseIdValue})`
+    sqlStatements.push(
+      `UPDATE users SET password_hash = '${passwordHash}' WHERE email = '${user.email}';`
     );
   }
 
@@ -75,12 +74,9 @@ async function generatePasswordHashes() {
   console.log('  COPY THE SQL BELOW AND RUN IN YOUR DATABASE');
   console.log('='.repeat(70));
   console.log();
-  console.log('-- Step 1: Delete existing users');
-  console.log('DELETE FROM users;');
-  console.log();
-  console.log('-- Step 2: Insert users with correct password hashes');
-  console.log('INSERT INTO users (email, password_hash, name, role, base_id) VALUES');
-  console.log(sqlValues.join(',\n') + ';');
+  // Users are updated in place: the audit log and base links reference them by id
+  console.log('-- Set the demo users\' password hashes');
+  console.log(sqlStatements.join('\n'));
   console.log();
   console.log('='.repeat(70));
 }
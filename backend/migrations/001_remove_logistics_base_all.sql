@@ -0,0 +1,10 @@
+-- ============================================================================
+-- MIGRATION: Scope logistics officers to their assigned bases
+-- Purpose: Databases created before logistics lost base:all still grant it,
+--          which lets logistics users see every base. schema.sql no longer
+--          seeds the grant; this removes it from existing databases.
+-- Run: psql $DATABASE_URL -f migrations/001_remove_logistics_base_all.sql
+-- ============================================================================
+
+DELETE FROM role_permissions
+WHERE role = 'logistics' AND permission = 'base:all';
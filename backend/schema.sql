@@ -9,10 +9,28 @@
 
 -- Drop existing tables (in correct order to handle foreign keys)
 DROP TABLE IF EXISTS audit_logs CASCADE;
+DROP TABLE IF EXISTS failed_login_attempts CASCADE;
+DROP TABLE IF EXISTS two_factor_recovery_codes CASCADE;
+DROP TABLE IF EXISTS role_policies CASCADE;
+DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS permissions CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS user_bases CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS stock_alert_reads CASCADE;
+DROP TABLE IF EXISTS stock_alerts CASCADE;
+DROP TABLE IF EXISTS stock_thresholds CASCADE;
+DROP TABLE IF EXISTS lot_movements CASCADE;
+DROP TABLE IF EXISTS lot_stock CASCADE;
+DROP TABLE IF EXISTS stock_movements CASCADE;
+DROP TABLE IF EXISTS item_custody_events CASCADE;
+DROP TABLE IF EXISTS transfer_items CASCADE;
 DROP TABLE IF EXISTS expenditures CASCADE;
 DROP TABLE IF EXISTS assignments CASCADE;
+DROP TABLE IF EXISTS serialized_items CASCADE;
 DROP TABLE IF EXISTS transfers CASCADE;
 DROP TABLE IF EXISTS purchases CASCADE;
+DROP TABLE IF EXISTS equipment_lots CASCADE;
 DROP TABLE IF EXISTS assets CASCADE;
 DROP TABLE IF EXISTS personnel CASCADE;
 DROP TABLE IF EXISTS equipment_types CASCADE;
@@ -28,6 +46,8 @@ CREATE TABLE bases (
     name VARCHAR(100) NOT NULL UNIQUE,
     location VARCHAR(255),
     commander_name VARCHAR(100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    retired_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -35,6 +55,7 @@ CREATE TABLE bases (
 COMMENT ON TABLE bases IS 'Military installations where assets are stored';
 COMMENT ON COLUMN bases.name IS 'Unique name of the military base';
 COMMENT ON COLUMN bases.location IS 'Geographic location of the base';
+COMMENT ON COLUMN bases.is_active IS 'Retired bases are kept for history but hidden from pickers and closed to new stock';
 
 -- ============================================================================
 -- TABLE: users
@@ -43,11 +64,18 @@ COMMENT ON COLUMN bases.location IS 'Geographic location of the base';
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255),
     name VARCHAR(100) NOT NULL,
     role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'commander', 'logistics')),
     base_id INTEGER REFERENCES bases(id) ON DELETE SET NULL,
     is_active BOOLEAN DEFAULT true,
+    invite_token_hash VARCHAR(64),
+    invite_expires_at TIMESTAMP,
+    failed_login_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    totp_secret VARCHAR(64),
+    totp_enabled BOOLEAN NOT NULL DEFAULT false,
+    totp_last_step BIGINT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -55,8 +83,25 @@ CREATE TABLE users (
 
 COMMENT ON TABLE users IS 'System users with role-based access control';
 COMMENT ON COLUMN users.role IS 'User role: admin (full access), commander (base-specific), logistics (limited)';
-COMMENT ON COLUMN users.password_hash IS 'Bcrypt hashed password';
-COMMENT ON COLUMN users.base_id IS 'Assigned base for commanders, NULL for admins';
+COMMENT ON COLUMN users.password_hash IS 'Bcrypt hashed password; NULL until an invited user sets one';
+COMMENT ON COLUMN users.invite_token_hash IS 'SHA-256 of the one-time invitation/reset token; the token itself is never stored';
+COMMENT ON COLUMN users.base_id IS 'Home base, always one of the user''s bases; required for commanders, NULL for admins';
+COMMENT ON COLUMN users.failed_login_count IS 'Consecutive failed sign-ins; reset on success or by an admin unlock';
+COMMENT ON COLUMN users.locked_until IS 'Sign-in is refused until this time after too many failed attempts';
+COMMENT ON COLUMN users.totp_secret IS 'Base32 TOTP secret; set during enrolment, only enforced once totp_enabled is true';
+COMMENT ON COLUMN users.totp_last_step IS 'Time step of the last accepted TOTP code, so a code cannot be replayed';
+
+-- ============================================================================
+-- TABLE: user_bases
+-- Purpose: Bases a user covers, for users who span several installations
+-- ============================================================================
+CREATE TABLE user_bases (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    PRIMARY KEY (user_id, base_id)
+);
+
+COMMENT ON TABLE user_bases IS 'Base-scoped users see and act on records at every base listed here';
 
 -- ============================================================================
 -- TABLE: equipment_types
@@ -68,13 +113,21 @@ CREATE TABLE equipment_types (
     category VARCHAR(50) NOT NULL,
     description TEXT,
     unit_of_measure VARCHAR(20) DEFAULT 'unit',
+    is_serialized BOOLEAN NOT NULL DEFAULT false,
+    is_lot_tracked BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    retired_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (NOT (is_serialized AND is_lot_tracked))
 );
 
 COMMENT ON TABLE equipment_types IS 'Types and categories of military equipment';
 COMMENT ON COLUMN equipment_types.category IS 'Equipment category (Weapons, Vehicles, Equipment, etc.)';
 COMMENT ON COLUMN equipment_types.unit_of_measure IS 'How equipment is counted (unit, rounds, etc.)';
+COMMENT ON COLUMN equipment_types.is_serialized IS 'Each unit carries a registered serial; assignments and transfers must name the serials they move';
+COMMENT ON COLUMN equipment_types.is_lot_tracked IS 'Stock is held in manufacturing lots; purchases name the lot and withdrawals draw the earliest-expiring lots first';
+COMMENT ON COLUMN equipment_types.is_active IS 'Retired equipment types are kept for history but can no longer be purchased or transferred';
 
 -- ============================================================================
 -- TABLE: personnel
@@ -110,6 +163,26 @@ CREATE TABLE assets (
 COMMENT ON TABLE assets IS 'Current inventory of equipment at each base';
 COMMENT ON COLUMN assets.quantity IS 'Current quantity available at this base';
 
+-- ============================================================================
+-- TABLE: equipment_lots
+-- Purpose: Manufacturing lots of lot-tracked equipment such as ammunition
+-- ============================================================================
+CREATE TABLE equipment_lots (
+    id SERIAL PRIMARY KEY,
+    equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id),
+    lot_number VARCHAR(50) NOT NULL,
+    expiry_date DATE,
+    inspection_due_date DATE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(equipment_type_id, lot_number)
+);
+
+COMMENT ON TABLE equipment_lots IS 'One row per manufacturing lot, created by the first purchase that names it';
+COMMENT ON COLUMN equipment_lots.expiry_date IS 'Stock past this date is no longer drawn automatically';
+COMMENT ON COLUMN equipment_lots.inspection_due_date IS 'Next surveillance inspection; overdue lots are no longer drawn automatically';
+
 -- ============================================================================
 -- TABLE: purchases
 -- Purpose: Record of all equipment purchases
@@ -122,7 +195,13 @@ CREATE TABLE purchases (
     cost DECIMAL(12, 2) CHECK (cost >= 0),
     purchase_date DATE NOT NULL,
     supplier VARCHAR(255),
+    lot_id INTEGER REFERENCES equipment_lots(id),
     notes TEXT,
+    revision INTEGER NOT NULL DEFAULT 1,
+    is_voided BOOLEAN NOT NULL DEFAULT false,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    void_reason TEXT,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -130,6 +209,9 @@ CREATE TABLE purchases (
 
 COMMENT ON TABLE purchases IS 'Equipment purchase records';
 COMMENT ON COLUMN purchases.cost IS 'Total cost of purchase in base currency';
+COMMENT ON COLUMN purchases.lot_id IS 'Lot received, required for lot-tracked equipment types';
+COMMENT ON COLUMN purchases.revision IS 'Incremented on every correction; values above 1 mark a corrected record';
+COMMENT ON COLUMN purchases.is_voided IS 'Voided records are kept for history but their stock postings are reversed';
 
 -- ============================================================================
 -- TABLE: transfers
@@ -144,6 +226,11 @@ CREATE TABLE transfers (
     transfer_date DATE NOT NULL,
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'in_transit', 'completed', 'cancelled')),
     notes TEXT,
+    revision INTEGER NOT NULL DEFAULT 1,
+    is_voided BOOLEAN NOT NULL DEFAULT false,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    void_reason TEXT,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     completed_at TIMESTAMP,
@@ -154,6 +241,67 @@ CREATE TABLE transfers (
 
 COMMENT ON TABLE transfers IS 'Equipment transfers between bases';
 COMMENT ON COLUMN transfers.status IS 'Transfer status: pending, in_transit, completed, cancelled';
+COMMENT ON COLUMN transfers.revision IS 'Incremented on every correction; values above 1 mark a corrected record';
+COMMENT ON COLUMN transfers.is_voided IS 'Voided records are kept for history but their stock postings are reversed';
+COMMENT ON COLUMN transfers.approved_by IS 'User who approved the transfer; a pending transfer must be approved before dispatch';
+
+-- ============================================================================
+-- TABLE: serialized_items
+-- Purpose: Registry of individually tracked weapons and vehicles
+-- ============================================================================
+CREATE TABLE serialized_items (
+    id SERIAL PRIMARY KEY,
+    serial_number VARCHAR(100) NOT NULL UNIQUE,
+    equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id),
+    base_id INTEGER NOT NULL REFERENCES bases(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'in_stock' CHECK (status IN ('in_stock', 'assigned', 'in_transit', 'lost', 'damaged')),
+    personnel_id INTEGER REFERENCES personnel(id),
+    transfer_id INTEGER REFERENCES transfers(id),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((status = 'assigned') = (personnel_id IS NOT NULL)),
+    CHECK ((status = 'in_transit') = (transfer_id IS NOT NULL))
+);
+
+COMMENT ON TABLE serialized_items IS 'One row per serial-numbered item; in_stock items at a base never outnumber its on-hand quantity';
+COMMENT ON COLUMN serialized_items.base_id IS 'Base holding the item, or the sending base while it is in transit';
+COMMENT ON COLUMN serialized_items.status IS 'Current location: in_stock at the base, assigned to personnel_id, in_transit on transfer_id, or written off as lost or damaged';
+
+-- ============================================================================
+-- TABLE: item_custody_events
+-- Purpose: Chain of custody for each serialized item
+-- ============================================================================
+CREATE TABLE item_custody_events (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES serialized_items(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('registered', 'assigned', 'returned', 'lost', 'damaged', 'dispatched', 'received', 'recalled', 'voided')),
+    base_id INTEGER NOT NULL REFERENCES bases(id),
+    personnel_id INTEGER REFERENCES personnel(id),
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    event_date DATE NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE item_custody_events IS 'Every change of location or holder of a serialized item, oldest first by id';
+COMMENT ON COLUMN item_custody_events.base_id IS 'Base the item is at, or leaving from, after the event';
+COMMENT ON COLUMN item_custody_events.reference_type IS 'Record that caused the event (ASSIGNMENT, TRANSFER)';
+
+-- ============================================================================
+-- TABLE: transfer_items
+-- Purpose: Serials moved by a transfer of serialized equipment
+-- ============================================================================
+CREATE TABLE transfer_items (
+    transfer_id INTEGER NOT NULL REFERENCES transfers(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES serialized_items(id),
+    PRIMARY KEY (transfer_id, item_id)
+);
+
+COMMENT ON TABLE transfer_items IS 'An item can be on only one pending or in-transit transfer at a time';
 
 -- ============================================================================
 -- TABLE: assignments
@@ -165,18 +313,28 @@ CREATE TABLE assignments (
     equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id) ON DELETE CASCADE,
     personnel_id INTEGER NOT NULL REFERENCES personnel(id) ON DELETE CASCADE,
     serial_number VARCHAR(100),
+    item_id INTEGER REFERENCES serialized_items(id),
     assignment_date DATE NOT NULL,
     return_date DATE,
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'returned', 'lost', 'damaged')),
     notes TEXT,
+    revision INTEGER NOT NULL DEFAULT 1,
+    is_voided BOOLEAN NOT NULL DEFAULT false,
+    voided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    void_reason TEXT,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 COMMENT ON TABLE assignments IS 'Equipment assignments to personnel';
-COMMENT ON COLUMN assignments.serial_number IS 'Unique serial number of assigned equipment';
+COMMENT ON COLUMN assignments.serial_number IS 'Serial number of assigned equipment; free text for types that are not serialized';
+COMMENT ON COLUMN assignments.item_id IS 'Registered item issued, required for serialized equipment types';
 COMMENT ON COLUMN assignments.status IS 'Assignment status: active, returned, lost, damaged';
+COMMENT ON COLUMN assignments.revision IS 'Incremented on every correction; values above 1 mark a corrected record';
+COMMENT ON COLUMN assignments.is_voided IS 'Voided records are kept for history but their stock postings are reversed';
+COMMENT ON COLUMN assignments.return_date IS 'Date the assignment was closed (returned, or reported lost or damaged)';
 
 -- ============================================================================
 -- TABLE: expenditures
@@ -188,7 +346,8 @@ CREATE TABLE expenditures (
     equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id) ON DELETE CASCADE,
     quantity INTEGER NOT NULL CHECK (quantity > 0),
     expenditure_date DATE NOT NULL,
-    reason VARCHAR(255),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('training', 'operations', 'disposal', 'loss')),
+    lot_id INTEGER REFERENCES equipment_lots(id),
     notes TEXT,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -196,6 +355,115 @@ CREATE TABLE expenditures (
 );
 
 COMMENT ON TABLE expenditures IS 'Equipment consumed during operations or training';
+COMMENT ON COLUMN expenditures.reason IS 'Reason code: training, operations, disposal, loss';
+COMMENT ON COLUMN expenditures.lot_id IS 'Lot named by the user; when empty the lots drawn are chosen earliest expiry first';
+
+-- ============================================================================
+-- TABLE: stock_movements
+-- Purpose: Inventory ledger - every change to assets.quantity
+-- ============================================================================
+CREATE TABLE stock_movements (
+    id SERIAL PRIMARY KEY,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id) ON DELETE CASCADE,
+    movement_type VARCHAR(30) NOT NULL CHECK (movement_type IN ('opening', 'purchase', 'transfer_in', 'transfer_out', 'transfer_return', 'assignment', 'assignment_return', 'expenditure')),
+    quantity INTEGER NOT NULL CHECK (quantity != 0),
+    balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    movement_date DATE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE stock_movements IS 'Inventory ledger: one row per posting to assets.quantity';
+COMMENT ON COLUMN stock_movements.quantity IS 'Signed change in on-hand stock (negative for stock leaving the base)';
+COMMENT ON COLUMN stock_movements.balance_after IS 'On-hand quantity at the base immediately after this posting';
+COMMENT ON COLUMN stock_movements.reference_type IS 'Source record type (PURCHASE, TRANSFER, ASSIGNMENT, EXPENDITURE)';
+
+-- ============================================================================
+-- TABLE: lot_stock
+-- Purpose: On-hand quantity of each lot at each base
+-- ============================================================================
+CREATE TABLE lot_stock (
+    lot_id INTEGER NOT NULL REFERENCES equipment_lots(id) ON DELETE CASCADE,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    PRIMARY KEY (lot_id, base_id)
+);
+
+COMMENT ON TABLE lot_stock IS 'Lot quantities at a base never exceed its assets.quantity; any difference is stock from before lot tracking';
+
+-- ============================================================================
+-- TABLE: lot_movements
+-- Purpose: Lot ledger - which lots each stock posting moved
+-- ============================================================================
+CREATE TABLE lot_movements (
+    id SERIAL PRIMARY KEY,
+    lot_id INTEGER NOT NULL REFERENCES equipment_lots(id) ON DELETE CASCADE,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity != 0),
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    movement_date DATE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE lot_movements IS 'One row per lot touched by a stock posting; traces a recalled lot to every base and record it passed through';
+COMMENT ON COLUMN lot_movements.quantity IS 'Signed change in the lot at the base (negative for stock leaving the base)';
+COMMENT ON COLUMN lot_movements.reference_type IS 'Source record type (PURCHASE, TRANSFER, ASSIGNMENT, EXPENDITURE), or NULL for opening stock';
+
+-- ============================================================================
+-- TABLE: stock_thresholds
+-- Purpose: Minimum and reorder levels for an equipment type at a base
+-- ============================================================================
+CREATE TABLE stock_thresholds (
+    id SERIAL PRIMARY KEY,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id) ON DELETE CASCADE,
+    minimum_level INTEGER NOT NULL CHECK (minimum_level >= 0),
+    reorder_level INTEGER NOT NULL CHECK (reorder_level >= minimum_level),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(base_id, equipment_type_id)
+);
+
+COMMENT ON COLUMN stock_thresholds.minimum_level IS 'On-hand stock below this is critically low';
+COMMENT ON COLUMN stock_thresholds.reorder_level IS 'On-hand stock below this should be reordered';
+
+-- ============================================================================
+-- TABLE: stock_alerts
+-- Purpose: Low-stock alerts raised when on-hand stock falls below a threshold
+-- ============================================================================
+CREATE TABLE stock_alerts (
+    id SERIAL PRIMARY KEY,
+    base_id INTEGER NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+    equipment_type_id INTEGER NOT NULL REFERENCES equipment_types(id) ON DELETE CASCADE,
+    level VARCHAR(20) NOT NULL CHECK (level IN ('reorder', 'minimum')),
+    on_hand INTEGER NOT NULL,
+    threshold INTEGER NOT NULL,
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+COMMENT ON TABLE stock_alerts IS 'Raised and resolved by the stock alert evaluator; at most one open alert per base and equipment type';
+COMMENT ON COLUMN stock_alerts.level IS 'Which threshold was crossed: reorder, or the lower minimum';
+COMMENT ON COLUMN stock_alerts.on_hand IS 'On-hand quantity when the alert was raised';
+COMMENT ON COLUMN stock_alerts.resolved_at IS 'Set when stock recovers, crosses the other threshold, or the threshold is removed';
+
+-- ============================================================================
+-- TABLE: stock_alert_reads
+-- Purpose: Alerts each user has marked as read
+-- ============================================================================
+CREATE TABLE stock_alert_reads (
+    alert_id INTEGER NOT NULL REFERENCES stock_alerts(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (alert_id, user_id)
+);
 
 -- ============================================================================
 -- TABLE: audit_logs
@@ -203,17 +471,125 @@ COMMENT ON TABLE expenditures IS 'Equipment consumed during operations or traini
 -- ============================================================================
 CREATE TABLE audit_logs (
     id SERIAL PRIMARY KEY,
-    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id),
     action VARCHAR(50) NOT NULL,
     entity_type VARCHAR(50) NOT NULL,
     entity_id INTEGER,
     details JSONB,
     ip_address INET,
-    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    user_agent TEXT,
+    request_id UUID,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    prev_hash VARCHAR(64),
+    hash VARCHAR(64)
 );
 
-COMMENT ON TABLE audit_logs IS 'Complete audit trail for compliance and security';
+COMMENT ON TABLE audit_logs IS 'Append-only, hash-chained audit trail for compliance and security';
+COMMENT ON COLUMN audit_logs.user_id IS 'Acting user; users with audit entries cannot be deleted, only deactivated';
 COMMENT ON COLUMN audit_logs.details IS 'JSON details of the action performed';
+COMMENT ON COLUMN audit_logs.ip_address IS 'Client address of the request that caused the entry';
+COMMENT ON COLUMN audit_logs.request_id IS 'Correlation id of the request, also logged by the server and returned as X-Request-Id';
+COMMENT ON COLUMN audit_logs.prev_hash IS 'hash of the previous entry, NULL for the first entry';
+COMMENT ON COLUMN audit_logs.hash IS 'SHA-256 of the entry''s non-NULL columns other than hash, including prev_hash; set by the server, which seals older entries at startup';
+
+-- ============================================================================
+-- TABLE: user_sessions
+-- Purpose: Server-side login sessions that access tokens are checked against
+-- ============================================================================
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)
+);
+
+COMMENT ON TABLE user_sessions IS 'One row per login; revoking it invalidates its access and refresh tokens';
+COMMENT ON COLUMN user_sessions.revoked_reason IS 'logout, logout_all, deactivated, password_reset, two_factor_reset, token_reuse';
+
+-- ============================================================================
+-- TABLE: refresh_tokens
+-- Purpose: Rotating refresh tokens belonging to a session
+-- ============================================================================
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE refresh_tokens IS 'Single-use refresh tokens; presenting a used one revokes the whole session';
+COMMENT ON COLUMN refresh_tokens.token_hash IS 'SHA-256 of the token; the token itself is only ever held by the client';
+
+-- ============================================================================
+-- TABLE: failed_login_attempts
+-- Purpose: Failed sign-ins used to throttle brute-force attempts per IP address
+-- ============================================================================
+CREATE TABLE failed_login_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    ip_address INET,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE failed_login_attempts IS 'One row per failed sign-in, including attempts for unknown emails';
+COMMENT ON COLUMN failed_login_attempts.user_id IS 'Matched account, NULL when the email is unknown';
+
+-- ============================================================================
+-- TABLE: two_factor_recovery_codes
+-- Purpose: One-time codes for signing in without the authenticator app
+-- ============================================================================
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE two_factor_recovery_codes IS 'Recovery codes are replaced as a set whenever they are regenerated';
+COMMENT ON COLUMN two_factor_recovery_codes.code_hash IS 'SHA-256 of the code; the codes are shown to the user once';
+
+-- ============================================================================
+-- TABLE: role_policies
+-- Purpose: Security policy settings that apply to every user with a role
+-- ============================================================================
+CREATE TABLE role_policies (
+    role VARCHAR(50) PRIMARY KEY CHECK (role IN ('admin', 'commander', 'logistics')),
+    require_two_factor BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN role_policies.require_two_factor IS 'Users with this role must enrol in TOTP two-factor authentication to sign in';
+
+-- ============================================================================
+-- TABLE: permissions
+-- Purpose: Catalogue of actions that can be granted to a role
+-- ============================================================================
+CREATE TABLE permissions (
+    key VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(255) NOT NULL
+);
+
+COMMENT ON TABLE permissions IS 'Permission keys checked by the API, named resource:action';
+
+-- ============================================================================
+-- TABLE: role_permissions
+-- Purpose: Role to permission matrix
+-- ============================================================================
+CREATE TABLE role_permissions (
+    role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'commander', 'logistics')),
+    permission VARCHAR(50) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+);
+
+COMMENT ON TABLE role_permissions IS 'Permissions granted to every user with the role; changes apply on the next request';
 
 -- ============================================================================
 -- CREATE INDEXES FOR PERFORMANCE
@@ -242,16 +618,60 @@ CREATE INDEX idx_assignments_equipment ON assignments(equipment_type_id);
 CREATE INDEX idx_assignments_personnel ON assignments(personnel_id);
 CREATE INDEX idx_assignments_status ON assignments(status);
 CREATE INDEX idx_assignments_date ON assignments(assignment_date);
+CREATE INDEX idx_assignments_item ON assignments(item_id);
+
+-- A serial can be held by only one person at a time
+CREATE UNIQUE INDEX idx_assignments_active_item ON assignments(item_id)
+    WHERE status = 'active' AND NOT is_voided;
+
+-- Serialized items indexes
+CREATE INDEX idx_serialized_items_base_equipment ON serialized_items(base_id, equipment_type_id);
+CREATE INDEX idx_serialized_items_personnel ON serialized_items(personnel_id);
+CREATE INDEX idx_item_custody_events_item ON item_custody_events(item_id);
+CREATE INDEX idx_transfer_items_item ON transfer_items(item_id);
+
+-- Expenditures indexes
+CREATE INDEX idx_expenditures_base ON expenditures(base_id);
+CREATE INDEX idx_expenditures_equipment ON expenditures(equipment_type_id);
+CREATE INDEX idx_expenditures_date ON expenditures(expenditure_date);
+
+-- Stock movements indexes
+CREATE INDEX idx_stock_movements_base_equipment ON stock_movements(base_id, equipment_type_id);
+CREATE INDEX idx_stock_movements_date ON stock_movements(movement_date);
+CREATE INDEX idx_stock_movements_reference ON stock_movements(reference_type, reference_id);
+
+-- Lot indexes
+CREATE INDEX idx_equipment_lots_expiry ON equipment_lots(expiry_date);
+CREATE INDEX idx_lot_stock_base ON lot_stock(base_id);
+CREATE INDEX idx_lot_movements_lot ON lot_movements(lot_id);
+CREATE INDEX idx_lot_movements_reference ON lot_movements(reference_type, reference_id);
+
+-- Stock alert indexes
+CREATE INDEX idx_stock_alerts_base ON stock_alerts(base_id);
+CREATE INDEX idx_stock_alerts_raised ON stock_alerts(raised_at);
+CREATE UNIQUE INDEX idx_stock_alerts_open ON stock_alerts(base_id, equipment_type_id)
+    WHERE resolved_at IS NULL;
+CREATE INDEX idx_stock_alert_reads_user ON stock_alert_reads(user_id);
 
 -- Audit logs indexes
 CREATE INDEX idx_audit_user ON audit_logs(user_id);
 CREATE INDEX idx_audit_timestamp ON audit_logs(timestamp);
 CREATE INDEX idx_audit_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX idx_audit_request ON audit_logs(request_id);
+CREATE INDEX idx_audit_details_search ON audit_logs
+    USING GIN (jsonb_to_tsvector('simple', COALESCE(details, '{}'::JSONB), '["string", "numeric"]'));
+
+-- Session indexes
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_recovery_codes_user ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_failed_login_attempts_ip ON failed_login_attempts(ip_address, attempted_at);
 
 -- Users indexes
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_users_base ON users(base_id);
+CREATE INDEX idx_user_bases_base ON user_bases(base_id);
 
 -- ============================================================================
 -- INSERT SAMPLE DATA
@@ -273,18 +693,102 @@ INSERT INTO users (email, password_hash, name, role, base_id) VALUES
 ('commander.beta@military.gov', '$2a$10$placeholder.hash.will.be.generated.by.script', 'Sarah Johnson', 'commander', 2),
 ('logistics@military.gov', '$2a$10$placeholder.hash.will.be.generated.by.script', 'David Williams', 'logistics', 4);
 
+-- Link each user to their home base
+INSERT INTO user_bases (user_id, base_id)
+SELECT id, base_id FROM users WHERE base_id IS NOT NULL;
+
+-- Insert Role Policies
+INSERT INTO role_policies (role, require_two_factor) VALUES
+('admin', true),
+('commander', true),
+('logistics', false);
+
+-- Insert Permissions
+INSERT INTO permissions (key, description) VALUES
+('dashboard:read', 'View dashboard metrics and movement reports'),
+('purchase:read', 'View purchases'),
+('purchase:create', 'Record purchases'),
+('transfer:read', 'View transfers'),
+('transfer:create', 'Request transfers'),
+('transfer:approve', 'Approve pending transfers'),
+('transfer:dispatch', 'Dispatch approved transfers'),
+('transfer:receive', 'Confirm receipt of transfers'),
+('transfer:cancel', 'Cancel pending transfers'),
+('transfer:recall', 'Cancel transfers that are already in transit'),
+('assignment:read', 'View assignments'),
+('assignment:create', 'Assign equipment to personnel'),
+('assignment:close', 'Record returned, lost or damaged equipment'),
+('expenditure:read', 'View expenditures'),
+('expenditure:create', 'Record expenditures'),
+('item:read', 'View the serial registry and custody history'),
+('item:register', 'Register serial numbers for stock on hand'),
+('lot:read', 'View ammunition lots, expiry and where each lot is held'),
+('lot:manage', 'Update lot expiry and inspection dates'),
+('alert:read', 'View low-stock alerts and stock thresholds'),
+('threshold:manage', 'Set minimum and reorder levels at a base'),
+('record:correct', 'Correct purchases, transfers and assignments'),
+('record:void', 'Void purchases, transfers and assignments'),
+('personnel:read', 'View the personnel roster'),
+('personnel:manage', 'Add and update personnel'),
+('reference:manage', 'Maintain bases and equipment types'),
+('user:manage', 'Manage user accounts'),
+('policy:manage', 'Change role permissions and security policies'),
+('audit:read', 'View the audit log'),
+('base:all', 'Access every base instead of only the assigned ones');
+
+-- Insert Role Permissions
+INSERT INTO role_permissions (role, permission)
+SELECT 'admin', key FROM permissions;
+
+INSERT INTO role_permissions (role, permission) VALUES
+('commander', 'dashboard:read'),
+('commander', 'purchase:read'),
+('commander', 'purchase:create'),
+('commander', 'transfer:read'),
+('commander', 'transfer:create'),
+('commander', 'transfer:approve'),
+('commander', 'transfer:receive'),
+('commander', 'transfer:cancel'),
+('commander', 'assignment:read'),
+('commander', 'assignment:create'),
+('commander', 'assignment:close'),
+('commander', 'expenditure:read'),
+('commander', 'expenditure:create'),
+('commander', 'personnel:read'),
+('commander', 'personnel:manage'),
+('commander', 'item:read'),
+('commander', 'item:register'),
+('commander', 'lot:read'),
+('commander', 'alert:read'),
+('commander', 'threshold:manage'),
+('logistics', 'dashboard:read'),
+('logistics', 'purchase:read'),
+('logistics', 'transfer:read'),
+('logistics', 'transfer:create'),
+('logistics', 'transfer:dispatch'),
+('logistics', 'transfer:cancel'),
+('logistics', 'assignment:read'),
+('logistics', 'expenditure:read'),
+('logistics', 'personnel:read'),
+('logistics', 'item:read'),
+('logistics', 'item:register'),
+('logistics', 'lot:read'),
+('logistics', 'lot:manage'),
+('logistics', 'alert:read'),
+('logistics', 'threshold:manage');
+
 -- Insert Equipment Types
-INSERT INTO equipment_types (name, category, description, unit_of_measure) VALUES
-('M4 Rifle', 'Weapons', 'Standard issue assault rifle', 'unit'),
-('M9 Pistol', 'Weapons', 'Standard issue sidearm', 'unit'),
-('Body Armor', 'Protective Gear', 'Ballistic protection vest', 'unit'),
-('Combat Helmet', 'Protective Gear', 'Standard combat helmet', 'unit'),
-('Humvee', 'Vehicles', 'High Mobility Multipurpose Wheeled Vehicle', 'unit'),
-('M1A2 Abrams', 'Vehicles', 'Main battle tank', 'unit'),
-('Tactical Radio', 'Communications', 'Secure tactical communication system', 'unit'),
-('Night Vision Goggles', 'Equipment', 'Night vision device', 'unit'),
-('5.56mm Ammunition', 'Ammunition', 'Standard rifle ammunition', 'rounds'),
-('9mm Ammunition', 'Ammunition', 'Pistol ammunition', 'rounds');
+INSERT INTO equipment_types (name, category, description, unit_of_measure, is_serialized, is_lot_tracked) VALUES
+('M4 Rifle', 'Weapons', 'Standard issue assault rifle', 'unit', true, false),
+('M9 Pistol', 'Weapons', 'Standard issue sidearm', 'unit', true, false),
+('Body Armor', 'Protective Gear', 'Ballistic protection vest', 'unit', false, false),
+('Combat Helmet', 'Protective Gear', 'Standard combat helmet', 'unit', false, false),
+('Humvee', 'Vehicles', 'High Mobility Multipurpose Wheeled Vehicle', 'unit', true, false),
+('M1A2 Abrams', 'Vehicles', 'Main battle tank', 'unit', true, false),
+('Tactical Radio', 'Communications', 'Secure tactical communication system', 'unit', false, false),
+('Night Vision Goggles', 'Equipment', 'Night vision device', 'unit', false, false),
+('5.56mm Ammunition', 'Ammunition', 'Standard rifle ammunition', 'rounds', false, true),
+('9mm Ammunition', 'Ammunition', 'Pistol ammunition', 'rounds', false, true);
 
 -- Insert Personnel
 INSERT INTO personnel (name, rank, unit, base_id, status) VALUES
@@ -296,7 +800,8 @@ INSERT INTO personnel (name, rank, unit, base_id, status) VALUES
 ('Amanda Martinez', 'Corporal', 'Alpha Company', 1, 'active'),
 ('David Anderson', 'Lieutenant', 'Bravo Company', 2, 'active');
 
--- Insert Initial Assets (Current Inventory)
+-- Insert Initial Assets (Opening Inventory as of 2024-01-01)
+-- Current quantities are recomputed from the stock ledger further below
 INSERT INTO assets (base_id, equipment_type_id, quantity) VALUES
 -- Base Alpha
 (1, 1, 250),  -- 250 M4 Rifles
@@ -305,6 +810,8 @@ INSERT INTO assets (base_id, equipment_type_id, quantity) VALUES
 (1, 4, 300),  -- 300 Combat Helmets
 (1, 5, 15),   -- 15 Humvees
 (1, 7, 50),   -- 50 Tactical Radios
+(1, 9, 20000), -- 20,000 rounds 5.56mm
+(1, 10, 5000),  -- 5,000 rounds 9mm
 
 -- Base Beta
 (2, 1, 200),  -- 200 M4 Rifles
@@ -312,11 +819,14 @@ INSERT INTO assets (base_id, equipment_type_id, quantity) VALUES
 (2, 3, 250),  -- 250 Body Armor
 (2, 5, 12),   -- 12 Humvees
 (2, 6, 3),    -- 3 M1A2 Tanks
+(2, 7, 30),   -- 30 Tactical Radios
+(2, 9, 5000), -- 5,000 rounds 5.56mm
 
 -- Base Charlie
 (3, 1, 180),  -- 180 M4 Rifles
 (3, 3, 200),  -- 200 Body Armor
 (3, 5, 10),   -- 10 Humvees
+(3, 9, 10000), -- 10,000 rounds 5.56mm
 
 -- Central Depot (Storage)
 (4, 1, 500),  -- 500 M4 Rifles
@@ -325,20 +835,28 @@ INSERT INTO assets (base_id, equipment_type_id, quantity) VALUES
 (4, 9, 100000), -- 100,000 rounds 5.56mm
 (4, 10, 50000); -- 50,000 rounds 9mm
 
+-- Insert Ammunition Lots
+-- LC-21-0412 is past its expiry so the demo data includes a lot to recall
+INSERT INTO equipment_lots (equipment_type_id, lot_number, expiry_date, inspection_due_date, created_by) VALUES
+(9, 'LC-21-0412', '2025-06-30', '2024-06-30', 1),
+(9, 'LC-22-0915', '2027-09-30', '2025-09-30', 1),
+(10, 'WCC-22-0118', '2026-01-31', '2025-01-31', 1),
+(9, 'LC-24-0301', '2029-02-28', '2026-03-01', 4);
+
 -- Insert Sample Purchases
-INSERT INTO purchases (base_id, equipment_type_id, quantity, cost, purchase_date, supplier, notes, created_by) VALUES
-(1, 1, 50, 75000.00, '2024-01-15', 'Defense Contractors Inc.', 'Quarterly procurement', 1),
-(2, 5, 5, 350000.00, '2024-01-20', 'Military Vehicles Corp.', 'Vehicle upgrade program', 1),
-(1, 3, 100, 120000.00, '2024-02-10', 'Armor Systems Ltd.', 'Protective gear replenishment', 2),
-(3, 1, 75, 112500.00, '2024-02-15', 'Defense Contractors Inc.', 'Standard procurement', 1),
-(4, 9, 50000, 25000.00, '2024-03-01', 'Ammunition Depot', 'Ammunition stock replenishment', 4);
+INSERT INTO purchases (base_id, equipment_type_id, quantity, cost, purchase_date, supplier, lot_id, notes, created_by) VALUES
+(1, 1, 50, 75000.00, '2024-01-15', 'Defense Contractors Inc.', NULL, 'Quarterly procurement', 1),
+(2, 5, 5, 350000.00, '2024-01-20', 'Military Vehicles Corp.', NULL, 'Vehicle upgrade program', 1),
+(1, 3, 100, 120000.00, '2024-02-10', 'Armor Systems Ltd.', NULL, 'Protective gear replenishment', 2),
+(3, 1, 75, 112500.00, '2024-02-15', 'Defense Contractors Inc.', NULL, 'Standard procurement', 1),
+(4, 9, 50000, 25000.00, '2024-03-01', 'Ammunition Depot', 4, 'Ammunition stock replenishment', 4);
 
 -- Insert Sample Transfers
-INSERT INTO transfers (from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, status, notes, created_by) VALUES
-(1, 2, 1, 30, '2024-01-25', 'completed', 'Support for training exercise', 1),
-(4, 1, 1, 100, '2024-02-05', 'completed', 'Monthly distribution from central depot', 1),
-(2, 3, 5, 3, '2024-02-20', 'in_transit', 'Vehicle reallocation', 2),
-(4, 2, 9, 10000, '2024-03-10', 'completed', 'Ammunition distribution', 4);
+INSERT INTO transfers (from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, status, notes, created_by, approved_by, completed_at) VALUES
+(1, 2, 1, 30, '2024-01-25', 'completed', 'Support for training exercise', 1, 1, '2024-01-25 16:00:00'),
+(4, 1, 1, 100, '2024-02-05', 'completed', 'Monthly distribution from central depot', 1, 1, '2024-02-05 15:30:00'),
+(2, 3, 5, 3, '2024-02-20', 'in_transit', 'Vehicle reallocation', 2, 1, NULL),
+(4, 2, 9, 10000, '2024-03-10', 'completed', 'Ammunition distribution', 4, 1, '2024-03-10 12:00:00');
 
 -- Insert Sample Assignments
 INSERT INTO assignments (base_id, equipment_type_id, personnel_id, serial_number, assignment_date, status, notes, created_by) VALUES
@@ -349,17 +867,141 @@ INSERT INTO assignments (base_id, equipment_type_id, personnel_id, serial_number
 (1, 3, 6, 'BA-2024-120', '2024-02-10', 'active', 'Body armor', 2),
 (2, 7, 7, 'TR-2024-045', '2024-02-15', 'active', 'Communication equipment', 3);
 
+-- Insert Sample Serialized Items
+-- Unregistered stock of serialized types can be registered later from the Serial Registry
+INSERT INTO serialized_items (serial_number, equipment_type_id, base_id, status, personnel_id, transfer_id, created_by) VALUES
+('M4-2024-001', 1, 1, 'assigned', 1, NULL, 1),
+('M4-2024-002', 1, 1, 'in_stock', NULL, NULL, 1),
+('M4-2024-003', 1, 1, 'in_stock', NULL, NULL, 1),
+('M9-2024-015', 2, 1, 'assigned', 2, NULL, 1),
+('M9-2024-016', 2, 1, 'in_stock', NULL, NULL, 1),
+('M4-2024-087', 1, 2, 'assigned', 3, NULL, 1),
+('HV-2024-005', 5, 2, 'assigned', 4, NULL, 1),
+('HV-2024-006', 5, 2, 'in_stock', NULL, NULL, 1),
+('HV-2024-011', 5, 2, 'in_transit', NULL, 3, 1),
+('HV-2024-012', 5, 2, 'in_transit', NULL, 3, 1),
+('HV-2024-013', 5, 2, 'in_transit', NULL, 3, 1),
+('TK-2024-001', 6, 2, 'in_stock', NULL, NULL, 1);
+
+INSERT INTO transfer_items (transfer_id, item_id)
+SELECT transfer_id, id FROM serialized_items WHERE transfer_id IS NOT NULL;
+
+UPDATE assignments a SET item_id = i.id
+FROM serialized_items i
+WHERE i.serial_number = a.serial_number;
+
+INSERT INTO item_custody_events (item_id, event_type, base_id, personnel_id, reference_type, reference_id, event_date, created_by)
+SELECT id, 'registered', base_id, NULL, NULL, NULL, DATE '2024-01-01', 1 FROM serialized_items
+UNION ALL
+SELECT item_id, 'assigned', base_id, personnel_id, 'ASSIGNMENT', id, assignment_date, created_by FROM assignments WHERE item_id IS NOT NULL
+UNION ALL
+SELECT ti.item_id, 'dispatched', t.from_base_id, NULL, 'TRANSFER', t.id, t.transfer_date, t.created_by
+FROM transfer_items ti JOIN transfers t ON ti.transfer_id = t.id
+ORDER BY 7, 1;
+
 -- Insert Sample Expenditures
 INSERT INTO expenditures (base_id, equipment_type_id, quantity, expenditure_date, reason, notes, created_by) VALUES
-(1, 9, 5000, '2024-01-30', 'Training exercise', 'Range qualification training', 2),
-(2, 9, 3000, '2024-02-15', 'Qualification range', 'Annual weapons qualification', 3),
-(1, 10, 1000, '2024-02-20', 'Tactical training', 'Close quarters combat training', 2),
-(3, 9, 2500, '2024-03-05', 'Live fire exercise', 'Battalion training event', 1);
+(1, 9, 5000, '2024-01-30', 'training', 'Range qualification training', 2),
+(2, 9, 3000, '2024-02-15', 'training', 'Annual weapons qualification', 3),
+(1, 10, 1000, '2024-02-20', 'training', 'Close quarters combat training', 2),
+(3, 9, 2500, '2024-03-05', 'operations', 'Battalion live fire exercise', 1);
+
+-- Post sample data to the stock ledger
+-- Opening inventory first, then every sample movement in date order
+INSERT INTO stock_movements (base_id, equipment_type_id, movement_type, quantity, balance_after, reference_type, reference_id, movement_date, created_by)
+SELECT
+    base_id, equipment_type_id, movement_type, quantity,
+    SUM(quantity) OVER (PARTITION BY base_id, equipment_type_id ORDER BY movement_date, seq, reference_id),
+    reference_type, reference_id, movement_date, created_by
+FROM (
+    SELECT base_id, equipment_type_id, 'opening' AS movement_type, quantity, NULL AS reference_type, NULL::INTEGER AS reference_id, DATE '2024-01-01' AS movement_date, 1 AS created_by, 0 AS seq FROM assets
+    UNION ALL
+    SELECT base_id, equipment_type_id, 'purchase', quantity, 'PURCHASE', id, purchase_date, created_by, 1 FROM purchases
+    UNION ALL
+    SELECT from_base_id, equipment_type_id, 'transfer_out', -quantity, 'TRANSFER', id, transfer_date, created_by, 2 FROM transfers WHERE status IN ('in_transit', 'completed')
+    UNION ALL
+    SELECT to_base_id, equipment_type_id, 'transfer_in', quantity, 'TRANSFER', id, completed_at::DATE, created_by, 3 FROM transfers WHERE status = 'completed'
+    UNION ALL
+    SELECT base_id, equipment_type_id, 'assignment', -1, 'ASSIGNMENT', id, assignment_date, created_by, 4 FROM assignments
+    UNION ALL
+    SELECT base_id, equipment_type_id, 'expenditure', -quantity, 'EXPENDITURE', id, expenditure_date, created_by, 5 FROM expenditures
+) AS movements
+ORDER BY movement_date, seq, reference_id;
+
+-- Bring assets in line with the ledger
+INSERT INTO assets (base_id, equipment_type_id, quantity)
+SELECT base_id, equipment_type_id, SUM(quantity)
+FROM stock_movements
+GROUP BY base_id, equipment_type_id
+ON CONFLICT (base_id, equipment_type_id) DO UPDATE SET quantity = EXCLUDED.quantity, last_updated = CURRENT_TIMESTAMP;
+
+-- Post sample lot movements
+-- Opening stock by lot, then each sample movement drawn earliest expiry first
+INSERT INTO lot_movements (lot_id, base_id, quantity, reference_type, reference_id, movement_date, created_by)
+SELECT l.id, m.base_id, m.quantity, m.reference_type, m.reference_id, m.movement_date, 1
+FROM (VALUES
+    ('LC-21-0412', 1, 20000, NULL, NULL::INTEGER, DATE '2024-01-01'),
+    ('LC-21-0412', 3, 10000, NULL, NULL, DATE '2024-01-01'),
+    ('LC-21-0412', 4, 40000, NULL, NULL, DATE '2024-01-01'),
+    ('LC-22-0915', 2, 5000, NULL, NULL, DATE '2024-01-01'),
+    ('LC-22-0915', 4, 60000, NULL, NULL, DATE '2024-01-01'),
+    ('WCC-22-0118', 1, 5000, NULL, NULL, DATE '2024-01-01'),
+    ('WCC-22-0118', 4, 50000, NULL, NULL, DATE '2024-01-01'),
+    ('LC-21-0412', 1, -5000, 'EXPENDITURE', 1, DATE '2024-01-30'),
+    ('LC-22-0915', 2, -3000, 'EXPENDITURE', 2, DATE '2024-02-15'),
+    ('WCC-22-0118', 1, -1000, 'EXPENDITURE', 3, DATE '2024-02-20'),
+    ('LC-24-0301', 4, 50000, 'PURCHASE', 5, DATE '2024-03-01'),
+    ('LC-21-0412', 3, -2500, 'EXPENDITURE', 4, DATE '2024-03-05'),
+    ('LC-21-0412', 4, -10000, 'TRANSFER', 4, DATE '2024-03-10'),
+    ('LC-21-0412', 2, 10000, 'TRANSFER', 4, DATE '2024-03-10')
+) AS m (lot_number, base_id, quantity, reference_type, reference_id, movement_date)
+JOIN equipment_lots l ON l.lot_number = m.lot_number
+ORDER BY m.movement_date, m.reference_id NULLS FIRST;
+
+INSERT INTO lot_stock (lot_id, base_id, quantity)
+SELECT lot_id, base_id, SUM(quantity)
+FROM lot_movements
+GROUP BY lot_id, base_id;
+
+-- Insert Stock Thresholds
+-- Alerts for the levels already crossed are raised when the server starts
+INSERT INTO stock_thresholds (base_id, equipment_type_id, minimum_level, reorder_level, created_by, updated_by) VALUES
+(1, 5, 10, 12, 1, 1),
+(1, 7, 60, 80, 1, 1),
+(1, 10, 2000, 5000, 2, 2),
+(2, 5, 10, 15, 3, 3),
+(3, 9, 5000, 10000, 1, 1),
+(4, 9, 50000, 80000, 4, 4);
 
 -- Insert Initial Audit Log
 INSERT INTO audit_logs (user_id, action, entity_type, entity_id, details) VALUES
 (1, 'SYSTEM_INIT', 'SYSTEM', 0, '{"message": "Database initialized with sample data", "version": "1.0"}');
 
+-- ============================================================================
+-- PROTECT THE AUDIT TRAIL
+-- ============================================================================
+
+-- Entries can only be added. The one update allowed is sealing an entry
+-- written before hash chaining, which fills in its hashes and nothing else.
+CREATE OR REPLACE FUNCTION reject_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        IF OLD.hash IS NULL
+           AND to_jsonb(NEW) - 'prev_hash' - 'hash' = to_jsonb(OLD) - 'prev_hash' - 'hash' THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+    RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER protect_audit_logs BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+CREATE TRIGGER protect_audit_logs_truncate BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_change();
+
 -- ============================================================================
 -- CREATE TRIGGERS FOR AUTO-UPDATE TIMESTAMPS
 -- ============================================================================
@@ -379,12 +1021,18 @@ CREATE TRIGGER update_bases_updated_at BEFORE UPDATE ON bases
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_role_policies_updated_at BEFORE UPDATE ON role_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_equipment_types_updated_at BEFORE UPDATE ON equipment_types
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_personnel_updated_at BEFORE UPDATE ON personnel
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_equipment_lots_updated_at BEFORE UPDATE ON equipment_lots
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_purchases_updated_at BEFORE UPDATE ON purchases
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -394,6 +1042,15 @@ CREATE TRIGGER update_transfers_updated_at BEFORE UPDATE ON transfers
 CREATE TRIGGER update_assignments_updated_at BEFORE UPDATE ON assignments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_serialized_items_updated_at BEFORE UPDATE ON serialized_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_expenditures_updated_at BEFORE UPDATE ON expenditures
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_thresholds_updated_at BEFORE UPDATE ON stock_thresholds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================================================
 -- VERIFICATION QUERIES
 -- ============================================================================
@@ -409,6 +1066,7 @@ CREATE TRIGGER update_assignments_updated_at BEFORE UPDATE ON assignments
 -- SELECT 'Transfers:', COUNT(*) FROM transfers;
 -- SELECT 'Assignments:', COUNT(*) FROM assignments;
 -- SELECT 'Expenditures:', COUNT(*) FROM expenditures;
+-- SELECT 'Stock Movements:', COUNT(*) FROM stock_movements;
 -- SELECT 'Audit Logs:', COUNT(*) FROM audit_logs;
 
 -- ============================================================================
@@ -2,6 +2,8 @@
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { once } = require('events');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const winston = require('winston');
@@ -11,6 +13,34 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Never sign tokens with the development fallback in production
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 7;
+const REFRESH_COOKIE = 'refresh_token';
+
+// Brute-force protection for /api/auth/login
+const MAX_FAILED_LOGINS_PER_ACCOUNT = 5;
+const ACCOUNT_LOCKOUT_MINUTES = 15;
+const MAX_FAILED_LOGINS_PER_IP = 20;
+const IP_ATTEMPT_WINDOW_MINUTES = 15;
+const LOGIN_DELAY_BASE_MS = 250;
+const LOGIN_DELAY_MAX_MS = 4000;
+
+// TOTP two-factor authentication (RFC 6238, as used by authenticator apps)
+const TOTP_ISSUER = 'Military Asset System';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles a user can hold; what each may do lives in role_permissions
+const USER_ROLES = ['admin', 'commander', 'logistics'];
+
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -48,14 +78,28 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Lets the frontend read the filename of CSV downloads
+  exposedHeaders: ['Content-Disposition', 'X-Request-Id']
 }));
 
+// Behind a load balancer, req.ip must come from X-Forwarded-For for per-IP throttling to work
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Tag each request with an id that appears in its log lines, its audit
+// entries and the X-Request-Id response header
 app.use((req, res, next) => {
+  req.id = crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
   logger.info(`Incoming Request: ${req.method} ${req.path}`, {
+    requestId: req.id,
     ip: req.ip,
     userAgent: req.get('user-agent'),
     timestamp: new Date().toISOString()
@@ -64,7 +108,12 @@ app.use((req, res, next) => {
 });
 
 
-const authenticateToken = (req, res, next) => {
+/**
+ * Verify the access token and check its session is still live. The user's
+ * current role, base and permissions are read from the database so changes
+ * take effect without waiting for the token to expire.
+ */
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -75,23 +124,60 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ 
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+    // Two-factor challenge tokens are signed with the same key but grant no access
+    if (payload.purpose) throw new jwt.JsonWebTokenError('Not an access token');
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    return res.status(401).json({ 
+      success: false,
+      error: expired ? 'Access token expired' : 'Invalid token. Please login again.',
+      code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.role, u.base_id,
+              ARRAY(SELECT rp.permission FROM role_permissions rp WHERE rp.role = u.role) as permissions,
+              ARRAY(SELECT ub.base_id FROM user_bases ub WHERE ub.user_id = u.id) as base_ids
+       FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = true`,
+      [payload.sid]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ 
         success: false,
-        error: 'Invalid or expired token. Please login again.' 
+        error: 'Session has ended. Please login again.',
+        code: 'SESSION_REVOKED'
       });
     }
-    req.user = user;
+
+    req.user = { ...result.rows[0], sid: payload.sid };
     next();
-  });
+
+  } catch (error) {
+    logger.error('Session check error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error during authentication. Please try again.' 
+    });
+  }
 };
 
 
-const checkRole = (...allowedRoles) => {
+/**
+ * Require every listed permission from the role → permission matrix
+ */
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !allowedRoles.includes(req.user.role)) {
-      logger.warn(`Access denied for user ${req.user?.email} - Required roles: ${allowedRoles.join(', ')}`);
+    const missing = permissions.filter((permission) => !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
+      logger.warn(`Access denied for user ${req.user.email} - Missing permissions: ${missing.join(', ')}`);
       return res.status(403).json({ 
         success: false,
         error: 'Access denied. You do not have permission to perform this action.' 
@@ -101,619 +187,6575 @@ const checkRole = (...allowedRoles) => {
   };
 };
 
+const hasPermission = (user, permission) => user.permissions.includes(permission);
 
-const logAudit = async (userId, action, entityType, entityId, details) => {
-  try {
-    await pool.query(
-      `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, details, timestamp) 
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [userId, action, entityType, entityId, JSON.stringify(details)]
+// Largest value a SERIAL id column can hold
+const MAX_RECORD_ID = 2147483647;
+
+const isRecordId = (value) => (typeof value === 'number' || typeof value === 'string')
+  && /^\d+$/.test(String(value)) && Number(value) > 0 && Number(value) <= MAX_RECORD_ID;
+
+/**
+ * Reject a :id route parameter that cannot be a record id, so it is a 400
+ * here rather than an invalid-input error from Postgres
+ */
+const requireNumericId = (req, res, next) => {
+  if (!isRecordId(req.params.id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'id must be a numeric id' 
+    });
+  }
+  next();
+};
+
+/**
+ * The same check for ids in a body or query string, keyed by field name.
+ * Missing values are left to each route's required-field check.
+ */
+const assertRecordIds = (values) => {
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null && value !== '' && !isRecordId(value)) {
+      throw httpError(400, `${name} must be a numeric id`);
+    }
+  }
+};
+
+/**
+ * Users without base:all are limited to records at their assigned bases
+ */
+const isBaseScoped = (user) => !hasPermission(user, 'base:all');
+
+/**
+ * Whether a user may work with records at a base
+ */
+const canAccessBase = (user, baseId) => !isBaseScoped(user) || user.base_ids.includes(Number(baseId));
+
+/**
+ * Base scoping shared by every list and dashboard query. Returns a SQL
+ * condition matching rows where any of the given columns is one of the
+ * user's bases, or TRUE for users with base:all. Passing baseId narrows to
+ * that base; callers check it with canAccessBase first. Pushes onto params.
+ */
+const scopeToBases = (user, params, columns, baseId = null) => {
+  let baseIds = null;
+  if (baseId) {
+    baseIds = [Number(baseId)];
+  } else if (isBaseScoped(user)) {
+    baseIds = user.base_ids;
+  }
+
+  if (!baseIds) return 'TRUE';
+
+  params.push(baseIds);
+  const matches = [].concat(columns).map((column) => `${column} = ANY($${params.length})`);
+  return `(${matches.join(' OR ')})`;
+};
+
+
+// Advisory lock key held while appending, so entries chain in commit order
+const AUDIT_CHAIN_LOCK = 7340101;
+
+/**
+ * SQL for the hashed form of an audit entry: every column except hash as
+ * canonical JSONB text. NULL columns are left out, so adding a column later
+ * does not change the hash of entries written before it.
+ */
+const auditContentSql = (row) => `(
+  SELECT jsonb_object_agg(key, value)::TEXT FROM jsonb_each(${row})
+  WHERE key <> 'hash' AND value <> 'null'::JSONB
+)`;
+
+const auditEntryHash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Append an entry to the hash-chained audit log. Each entry stores the hash
+ * of the one before it. Pass the transaction client of the change being
+ * audited so the change rolls back if the entry cannot be written, and the
+ * request so the entry records where it came from.
+ */
+const appendAudit = async (client, req, userId, action, entityType, entityId, details) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+
+  const previous = await client.query('SELECT hash FROM audit_logs ORDER BY id DESC LIMIT 1');
+
+  // Build the row as Postgres will store it, so its hashed form is exact
+  const draft = await client.query(
+    `SELECT to_jsonb(r)::TEXT as entry, ${auditContentSql('to_jsonb(r)')} as content
+     FROM jsonb_populate_record(
+       NULL::audit_logs,
+       $1::JSONB || jsonb_build_object(
+         'id', nextval(pg_get_serial_sequence('audit_logs', 'id')),
+         'timestamp', LOCALTIMESTAMP
+       )
+     ) r`,
+    [JSON.stringify({
+      user_id: userId,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      details: details ?? null,
+      ip_address: req?.ip || null,
+      user_agent: req?.get('user-agent') || null,
+      request_id: req?.id || null,
+      prev_hash: previous.rows[0]?.hash || null
+    })]
+  );
+  const { entry, content } = draft.rows[0];
+
+  // The row goes back as text, so values are stored exactly as they were hashed
+  await client.query(
+    `INSERT INTO audit_logs
+     SELECT * FROM jsonb_populate_record(NULL::audit_logs, $1::JSONB || jsonb_build_object('hash', $2::TEXT))`,
+    [entry, auditEntryHash(content)]
+  );
+
+  logger.info(`Audit Log: ${action} ${entityType}`, { userId, entityId, requestId: req?.id });
+};
+
+/**
+ * Chain entries written before the audit log was hash-chained, such as the
+ * seed entry from schema.sql. Runs at startup, before any new entries.
+ */
+const sealAuditLog = () => withTransaction(async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+
+  // Only entries older than the first chained one can be sealed
+  const unsealed = await client.query(
+    `SELECT id FROM audit_logs
+     WHERE hash IS NULL
+     AND id < COALESCE((SELECT MIN(id) FROM audit_logs WHERE hash IS NOT NULL), 2147483647)
+     ORDER BY id`
+  );
+
+  let prevHash = null;
+  for (const { id } of unsealed.rows) {
+    const result = await client.query(
+      `SELECT ${auditContentSql(`to_jsonb(al) || jsonb_build_object('prev_hash', $2::TEXT)`)} as content
+       FROM audit_logs al WHERE al.id = $1`,
+      [id, prevHash]
     );
-    logger.info(`Audit Log: ${action} ${entityType}`, { userId, entityId });
-  } catch (error) {
-    logger.error('Failed to create audit log:', error);
+    const hash = auditEntryHash(result.rows[0].content);
+
+    await client.query('UPDATE audit_logs SET prev_hash = $2, hash = $3 WHERE id = $1', [id, prevHash, hash]);
+    prevHash = hash;
   }
+
+  return unsealed.rows.length;
+});
+
+/**
+ * Record an event that is not part of a database change, such as a lockout.
+ * Throws if the entry cannot be written.
+ */
+const logAudit = (req, userId, action, entityType, entityId, details) => withTransaction(
+  (client) => appendAudit(client, req, userId, action, entityType, entityId, details)
+);
+
+
+/**
+ * Build an error carrying the HTTP status a route handler should respond with
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 };
 
 
-app.post('/api/auth/login', async (req, res) => {
+/**
+ * Run a callback inside a single database transaction.
+ * The callback receives a dedicated client; any thrown error rolls back.
+ */
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  let brokenConnection;
   try {
-    const { email, password } = req.body;
-
-    // Input validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Email and password are required' 
-      });
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    // A failed rollback must not hide the error that caused it
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Rollback failed:', rollbackError);
+      brokenConnection = rollbackError;
     }
+    throw error;
+  } finally {
+    // Passing the error makes the pool discard a connection it cannot trust
+    client.release(brokenConnection);
+  }
+};
 
-    // Fetch user from database
-    const result = await pool.query(
-      'SELECT * FROM users WHERE email = $1 AND is_active = true',
-      [email]
+
+/**
+ * Post a signed quantity change to on-hand stock and record it in the ledger.
+ * Must run inside withTransaction. Rejects any posting that would take the
+ * base below zero for that equipment type, or below the number of registered
+ * serials on its shelves; move serialized items before posting decreases.
+ * Lot-tracked stock is split across lots by postLotMovements; pass `lotId`
+ * to name the lot a purchase receives or an expenditure draws on.
+ */
+const postStockMovement = async (client, movement) => {
+  const {
+    baseId, equipmentTypeId, quantity, movementType,
+    referenceType, referenceId, movementDate, userId
+  } = movement;
+
+  let result;
+
+  if (quantity > 0) {
+    result = await client.query(
+      `INSERT INTO assets (base_id, equipment_type_id, quantity, last_updated)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (base_id, equipment_type_id)
+       DO UPDATE SET quantity = assets.quantity + EXCLUDED.quantity, last_updated = NOW()
+       RETURNING quantity`,
+      [baseId, equipmentTypeId, quantity]
+    );
+  } else {
+    // Conditional update locks the row, so concurrent withdrawals cannot both pass
+    result = await client.query(
+      `UPDATE assets
+       SET quantity = quantity + $3, last_updated = NOW()
+       WHERE base_id = $1 AND equipment_type_id = $2 AND quantity + $3 >= 0
+       RETURNING quantity`,
+      [baseId, equipmentTypeId, quantity]
     );
 
     if (result.rows.length === 0) {
-      logger.warn(`Failed login attempt for email: ${email}`);
-      return res.status(401).json({ 
-        success: false,
-        error: 'Invalid email or password' 
-      });
+      const stock = await client.query(
+        'SELECT quantity FROM assets WHERE base_id = $1 AND equipment_type_id = $2',
+        [baseId, equipmentTypeId]
+      );
+      const available = stock.rows[0]?.quantity || 0;
+      throw httpError(409, `Insufficient stock: ${available} available, ${-quantity} requested`);
     }
+  }
 
-    const user = result.rows[0];
-
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+  const balanceAfter = result.rows[0].quantity;
 
-    if (!validPassword) {
-      logger.warn(`Invalid password attempt for user: ${email}`);
-      return res.status(401).json({ 
-        success: false,
-        error: 'Invalid email or password' 
-      });
+  if (quantity < 0) {
+    const registered = await client.query(
+      `SELECT COUNT(*)::INTEGER as count FROM serialized_items
+       WHERE base_id = $1 AND equipment_type_id = $2 AND status = 'in_stock'`,
+      [baseId, equipmentTypeId]
+    );
+    if (registered.rows[0].count > balanceAfter) {
+      throw httpError(409, `${registered.rows[0].count} registered serial(s) are on hand but only ${balanceAfter} unit(s) would remain; name the serials leaving the base`);
     }
+  }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role, 
-        base_id: user.base_id 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  await client.query(
+    `INSERT INTO stock_movements
+     (base_id, equipment_type_id, movement_type, quantity, balance_after, reference_type, reference_id, movement_date, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [baseId, equipmentTypeId, movementType, quantity, balanceAfter, referenceType, referenceId, movementDate, userId]
+  );
 
-    // Update last login time
-    await pool.query(
-      'UPDATE users SET last_login = NOW() WHERE id = $1',
-      [user.id]
-    );
+  if (await isLotTrackedType(client, equipmentTypeId)) {
+    await postLotMovements(client, { ...movement, balanceAfter });
+  }
 
-    // Log successful login
-    await logAudit(user.id, 'LOGIN', 'USER', user.id, { email });
+  return balanceAfter;
+};
 
-    logger.info(`Successful login: ${email}`);
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        base_id: user.base_id
+/**
+ * Record which lots a posting of lot-tracked stock moves. Increases go to the
+ * named lot, or back to the lots this record took away (from this base first,
+ * then anything still on the road), or else to the lot it brought in before.
+ * Decreases take back what this record brought to the base, then draw the
+ * lots still in date and inspection, earliest expiry first and oldest lot on
+ * ties. Stock from before lot tracking carries no lot: it absorbs increases
+ * that match no lot and is drawn after every usable lot. Runs under the assets
+ * row lock taken by postStockMovement, which serializes lot postings per base
+ * and equipment type.
+ */
+const postLotMovements = async (client, movement) => {
+  const {
+    baseId, equipmentTypeId, quantity, balanceAfter,
+    referenceType, referenceId, movementDate, userId
+  } = movement;
+  const lotId = movement.lotId ? Number(movement.lotId) : null;
+
+  const allocations = new Map();
+  let remaining = Math.abs(quantity);
+  const allocate = (lot, available) => {
+    const amount = Math.min(remaining, available - (allocations.get(lot) || 0));
+    if (amount <= 0) return;
+    allocations.set(lot, (allocations.get(lot) || 0) + amount);
+    remaining -= amount;
+  };
+
+  // What this record has already done with each lot of the type
+  const history = await client.query(
+    `SELECT lm.lot_id,
+            COALESCE(SUM(lm.quantity) FILTER (WHERE lm.base_id = $3), 0)::INTEGER as net_here,
+            SUM(lm.quantity)::INTEGER as net_overall,
+            MAX(lm.id) as last_movement_id
+     FROM lot_movements lm
+     JOIN equipment_lots l ON lm.lot_id = l.id
+     WHERE lm.reference_type = $1 AND lm.reference_id = $2 AND l.equipment_type_id = $4
+     GROUP BY lm.lot_id
+     ORDER BY last_movement_id`,
+    [referenceType, referenceId, baseId, equipmentTypeId]
+  );
+
+  if (quantity > 0) {
+    if (lotId) allocate(lotId, remaining);
+    history.rows.forEach((row) => allocate(row.lot_id, -row.net_here));
+    history.rows.forEach((row) => allocate(row.lot_id, -row.net_overall));
+
+    const broughtIn = history.rows.filter((row) => row.net_overall > 0).pop();
+    if (broughtIn) allocate(broughtIn.lot_id, Infinity);
+  } else {
+    const stock = await client.query(
+      `SELECT ls.lot_id, ls.quantity,
+              COALESCE(l.expiry_date < CURRENT_DATE OR l.inspection_due_date < CURRENT_DATE, false) as unusable
+       FROM lot_stock ls
+       JOIN equipment_lots l ON ls.lot_id = l.id
+       WHERE ls.base_id = $1 AND l.equipment_type_id = $2 AND ls.quantity > 0
+       ORDER BY l.expiry_date NULLS LAST, l.id`,
+      [baseId, equipmentTypeId]
+    );
+    const onHand = (lot) => stock.rows.find((row) => row.lot_id === lot)?.quantity || 0;
+
+    if (lotId) {
+      if (onHand(lotId) < remaining) {
+        throw httpError(409, `Only ${onHand(lotId)} of the chosen lot are on hand at this base`);
       }
-    });
+      allocate(lotId, remaining);
+    }
+    history.rows.forEach((row) => allocate(row.lot_id, Math.min(row.net_here, onHand(row.lot_id))));
+    stock.rows.filter((row) => !row.unusable).forEach((row) => allocate(row.lot_id, row.quantity));
 
-  } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error during authentication. Please try again.' 
-    });
+    const lotted = stock.rows.reduce((sum, row) => sum + row.quantity, 0);
+    remaining -= Math.min(remaining, Math.max(balanceAfter - quantity - lotted, 0));
+
+    if (remaining > 0) {
+      throw httpError(409, `${remaining} of the units needed are in lots past their expiry or inspection date; name the lot to draw on it`);
+    }
   }
-});
 
+  for (const [lot, amount] of allocations) {
+    if (quantity > 0) {
+      await client.query(
+        `INSERT INTO lot_stock (lot_id, base_id, quantity)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (lot_id, base_id)
+         DO UPDATE SET quantity = lot_stock.quantity + EXCLUDED.quantity`,
+        [lot, baseId, amount]
+      );
+    } else {
+      await client.query(
+        'UPDATE lot_stock SET quantity = quantity - $3 WHERE lot_id = $1 AND base_id = $2',
+        [lot, baseId, amount]
+      );
+    }
 
-app.get('/api/dashboard/metrics', authenticateToken, async (req, res) => {
-  try {
-    const { base_id, date_from, date_to } = req.query;
-    
-    let baseFilter = '';
-    let params = [];
-    let paramIndex = 1;
-
-    // Apply base filter based on user role
-    if (req.user.role === 'commander') {
-      // Commanders can only see their own base
-      baseFilter = `WHERE base_id = $${paramIndex}`;
-      params.push(req.user.base_id);
-      paramIndex++;
-    } else if (base_id && req.user.role === 'admin') {
-      // Admins can filter by any base
-      baseFilter = `WHERE base_id = $${paramIndex}`;
-      params.push(base_id);
-      paramIndex++;
-    }
-
-    // Calculate opening balance (total assets)
-    const openingQuery = await pool.query(
-      `SELECT COALESCE(SUM(quantity), 0) as total FROM assets ${baseFilter}`,
-      params
+    await client.query(
+      `INSERT INTO lot_movements (lot_id, base_id, quantity, reference_type, reference_id, movement_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [lot, baseId, quantity > 0 ? amount : -amount, referenceType, referenceId, movementDate, userId]
     );
-    const openingBalance = parseInt(openingQuery.rows[0].total);
+  }
+};
 
-    // Calculate purchases
-    const purchasesQuery = await pool.query(
-      `SELECT COALESCE(SUM(quantity), 0) as total FROM purchases ${baseFilter}`,
-      params
-    );
-    const purchases = parseInt(purchasesQuery.rows[0].total);
 
-    // Calculate transfers in
-    const transfersInFilter = req.user.role === 'commander' 
-      ? 'WHERE to_base_id = $1' 
-      : (base_id ? 'WHERE to_base_id = $1' : '');
-    
-    const transfersInQuery = await pool.query(
-      `SELECT COALESCE(SUM(quantity), 0) as total FROM transfers ${transfersInFilter}`,
-      req.user.role === 'commander' ? [req.user.base_id] : (base_id ? [base_id] : [])
-    );
-    const transferIn = parseInt(transfersInQuery.rows[0].total);
+/**
+ * Check that a request quantity is a positive whole number
+ */
+const isValidQuantity = (quantity) => Number.isInteger(Number(quantity)) && Number(quantity) > 0;
 
-    // Calculate transfers out
-    const transfersOutFilter = req.user.role === 'commander' 
-      ? 'WHERE from_base_id = $1' 
-      : (base_id ? 'WHERE from_base_id = $1' : '');
-    
-    const transfersOutQuery = await pool.query(
-      `SELECT COALESCE(SUM(quantity), 0) as total FROM transfers ${transfersOutFilter}`,
-      req.user.role === 'commander' ? [req.user.base_id] : (base_id ? [base_id] : [])
-    );
-    const transferOut = parseInt(transfersOutQuery.rows[0].total);
 
-    // Calculate assigned assets
-    const assignmentsQuery = await pool.query(
-      `SELECT COALESCE(COUNT(*), 0) as total FROM assignments ${baseFilter} ${baseFilter ? 'AND' : 'WHERE'} status = 'active'`,
-      params
-    );
-    const assigned = parseInt(assignmentsQuery.rows[0].total);
+/**
+ * Lock the registered items with the given serials and check each one is on
+ * the shelf at the base and not promised to an open transfer. Returns the
+ * items in the order the serials were given.
+ */
+const claimSerializedItems = async (client, { serialNumbers, baseId, equipmentTypeId }) => {
+  const serials = serialNumbers.map((serial) => String(serial).trim());
 
-    // Calculate expended assets
-    const expendedQuery = await pool.query(
-      `SELECT COALESCE(SUM(quantity), 0) as total FROM expenditures ${baseFilter}`,
-      params
-    );
-    const expended = parseInt(expendedQuery.rows[0].total);
+  if (serials.some((serial) => !serial)) {
+    throw httpError(400, 'Serial numbers cannot be empty');
+  }
+  if (new Set(serials).size !== serials.length) {
+    throw httpError(400, 'Each serial number can only be listed once');
+  }
 
-    // Calculate net movement and closing balance
-    const netMovement = purchases + transferIn - transferOut;
-    const closingBalance = openingBalance + netMovement;
+  const result = await client.query(
+    `SELECT i.*, p.name as personnel_name,
+            (SELECT t.id FROM transfer_items ti
+             JOIN transfers t ON ti.transfer_id = t.id
+             WHERE ti.item_id = i.id AND t.status IN ('pending', 'in_transit') AND NOT t.is_voided
+             LIMIT 1) as open_transfer_id
+     FROM serialized_items i
+     LEFT JOIN personnel p ON i.personnel_id = p.id
+     WHERE i.serial_number = ANY($1::TEXT[])
+     ORDER BY i.id
+     FOR UPDATE OF i`,
+    [serials]
+  );
 
-    res.json({
-      success: true,
-      data: {
-        openingBalance,
-        closingBalance,
-        netMovement,
-        purchases,
-        transferIn,
-        transferOut,
-        assigned,
-        expended
-      }
-    });
+  return serials.map((serial) => {
+    const item = result.rows.find((row) => row.serial_number === serial);
 
-  } catch (error) {
-    logger.error('Dashboard metrics error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch dashboard metrics' 
-    });
+    if (!item) {
+      throw httpError(404, `Serial ${serial} is not registered`);
+    }
+    if (item.equipment_type_id !== Number(equipmentTypeId)) {
+      throw httpError(400, `Serial ${serial} belongs to a different equipment type`);
+    }
+    if (item.status === 'assigned') {
+      throw httpError(409, `Serial ${serial} is already assigned to ${item.personnel_name}`);
+    }
+    if (item.status !== 'in_stock') {
+      throw httpError(409, `Serial ${serial} is ${item.status.replace('_', ' ')}`);
+    }
+    if (item.base_id !== Number(baseId)) {
+      throw httpError(409, `Serial ${serial} is held at another base`);
+    }
+    if (item.open_transfer_id) {
+      throw httpError(409, `Serial ${serial} is reserved for transfer #${item.open_transfer_id}`);
+    }
+
+    return item;
+  });
+};
+
+/**
+ * Move serialized items to a new location and add the move to each item's
+ * chain of custody. The custody entry names the person involved, which for
+ * lost or damaged items is the last holder.
+ */
+const moveSerializedItems = async (client, itemIds, location, event) => {
+  if (itemIds.length === 0) return;
+
+  await client.query(
+    `UPDATE serialized_items
+     SET status = $2, base_id = $3, personnel_id = $4, transfer_id = $5
+     WHERE id = ANY($1::INTEGER[])`,
+    [itemIds, location.status, location.baseId, location.personnelId || null, location.transferId || null]
+  );
+
+  await client.query(
+    `INSERT INTO item_custody_events
+     (item_id, event_type, base_id, personnel_id, reference_type, reference_id, event_date, notes, created_by)
+     SELECT id, $2, base_id, COALESCE($3, personnel_id), $4, $5, $6, $7, $8
+     FROM serialized_items
+     WHERE id = ANY($1::INTEGER[])
+     ORDER BY id`,
+    [
+      itemIds, event.eventType, event.personnelId || null, event.referenceType || null,
+      event.referenceId || null, event.eventDate, event.notes || null, event.userId
+    ]
+  );
+};
+
+/**
+ * Put serialized items back where they were before a voided record moved
+ * them. Items whose last custody entry came from the record go back on the
+ * shelf at baseId. An item that has moved on since cannot be restored, so
+ * the void is refused.
+ */
+const restoreSerializedItems = async (client, { itemIds, referenceType, referenceId, baseId, reason, userId }) => {
+  if (itemIds.length === 0) return;
+
+  const result = await client.query(
+    `SELECT i.id, i.serial_number, i.status, i.base_id,
+            e.reference_type, e.reference_id
+     FROM serialized_items i
+     LEFT JOIN LATERAL (
+       SELECT reference_type, reference_id FROM item_custody_events
+       WHERE item_id = i.id ORDER BY id DESC LIMIT 1
+     ) e ON true
+     WHERE i.id = ANY($1::INTEGER[])
+     ORDER BY i.id
+     FOR UPDATE OF i`,
+    [itemIds]
+  );
+
+  const restore = [];
+  for (const item of result.rows) {
+    const movedByRecord = item.reference_type === referenceType && item.reference_id === referenceId;
+    const onShelf = item.status === 'in_stock' && item.base_id === baseId;
+
+    if (movedByRecord && !onShelf) {
+      restore.push(item.id);
+    } else if (!movedByRecord && !onShelf) {
+      throw httpError(409, `Serial ${item.serial_number} has moved since; void the later records first`);
+    }
   }
-});
 
+  await moveSerializedItems(client, restore, { status: 'in_stock', baseId }, {
+    eventType: 'voided',
+    referenceType,
+    referenceId,
+    eventDate: new Date().toISOString().split('T')[0],
+    notes: reason,
+    userId
+  });
+};
 
-app.get('/api/purchases', authenticateToken, async (req, res) => {
-  try {
-    let query = `
-      SELECT 
-        p.id,
-        p.base_id,
-        p.equipment_type_id,
-        p.quantity,
-        p.cost,
-        p.purchase_date,
-        p.supplier,
-        p.notes,
-        p.created_at,
-        b.name as base_name,
-        e.name as equipment_name,
-        e.category as equipment_category,
-        u.name as created_by_name
-      FROM purchases p
-      JOIN bases b ON p.base_id = b.id
-      JOIN equipment_types e ON p.equipment_type_id = e.id
-      LEFT JOIN users u ON p.created_by = u.id
-    `;
-    
-    let params = [];
+const isSerializedType = async (client, equipmentTypeId) => {
+  const result = await client.query('SELECT is_serialized FROM equipment_types WHERE id = $1', [equipmentTypeId]);
+  return result.rows[0]?.is_serialized === true;
+};
+
+const isLotTrackedType = async (client, equipmentTypeId) => {
+  const result = await client.query('SELECT is_lot_tracked FROM equipment_types WHERE id = $1', [equipmentTypeId]);
+  return result.rows[0]?.is_lot_tracked === true;
+};
+
+/**
+ * Subquery listing the lots a record drew from a base, as a JSON array
+ */
+const lotsDrawnSql = (referenceType, idColumn, baseColumn) => `(
+  SELECT COALESCE(JSON_AGG(JSON_BUILD_OBJECT('lot_id', drawn.lot_id, 'lot_number', drawn.lot_number, 'quantity', drawn.quantity)
+                           ORDER BY drawn.lot_number), '[]'::JSON)
+  FROM (
+    SELECT lm.lot_id, l.lot_number, -SUM(lm.quantity)::INTEGER as quantity
+    FROM lot_movements lm
+    JOIN equipment_lots l ON lm.lot_id = l.id
+    WHERE lm.reference_type = '${referenceType}' AND lm.reference_id = ${idColumn} AND lm.base_id = ${baseColumn}
+    GROUP BY lm.lot_id, l.lot_number
+    HAVING SUM(lm.quantity) < 0
+  ) drawn
+)`;
+
+/**
+ * Find the lot a purchase names, creating it on first receipt. Dates given
+ * for a lot already on record must match what is recorded.
+ */
+const resolvePurchaseLot = async (client, { equipmentTypeId, lotNumber, expiryDate, inspectionDueDate, userId }) => {
+  const existing = await client.query(
+    'SELECT * FROM equipment_lots WHERE equipment_type_id = $1 AND lot_number = $2 FOR UPDATE',
+    [equipmentTypeId, lotNumber]
+  );
+
+  if (existing.rows.length === 0) {
+    const created = await client.query(
+      `INSERT INTO equipment_lots (equipment_type_id, lot_number, expiry_date, inspection_due_date, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [equipmentTypeId, lotNumber, expiryDate || null, inspectionDueDate || null, userId]
+    );
+    return created.rows[0];
+  }
+
+  const lot = existing.rows[0];
+  const recorded = {
+    expiry_date: [expiryDate, toDateString(lot.expiry_date)],
+    inspection_due_date: [inspectionDueDate, toDateString(lot.inspection_due_date)]
+  };
+  for (const [field, [given, onRecord]] of Object.entries(recorded)) {
+    if (given && given !== onRecord) {
+      throw httpError(409, `Lot ${lotNumber} is on record with ${field} ${onRecord || 'unset'}`);
+    }
+  }
+
+  return lot;
+};
+
+const transferItemIds = async (client, transferId) => {
+  const result = await client.query(
+    'SELECT item_id FROM transfer_items WHERE transfer_id = $1 ORDER BY item_id',
+    [transferId]
+  );
+  return result.rows.map((row) => row.item_id);
+};
+
+
+/**
+ * Format a DATE value from pg (parsed as local midnight) as YYYY-MM-DD
+ */
+const toDateString = (value) => {
+  if (!(value instanceof Date)) return value;
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+
+/**
+ * Reject new stock for bases or equipment types that have been retired
+ */
+const assertActiveReferences = async (db, { baseIds = [], equipmentTypeId }) => {
+  const retiredBases = await db.query(
+    'SELECT name FROM bases WHERE id = ANY($1::INTEGER[]) AND NOT is_active',
+    [baseIds]
+  );
+  if (retiredBases.rows.length > 0) {
+    throw httpError(409, `Base ${retiredBases.rows[0].name} has been retired`);
+  }
+
+  const retiredType = await db.query(
+    'SELECT name FROM equipment_types WHERE id = $1 AND NOT is_active',
+    [equipmentTypeId]
+  );
+  if (retiredType.rows.length > 0) {
+    throw httpError(409, `Equipment type ${retiredType.rows[0].name} has been retired`);
+  }
+};
+
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // The production frontend is served from a different site than the API
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth',
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Read a cookie from the raw Cookie header
+ */
+const readCookie = (req, name) => {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    base_id: user.base_id,
+    sid: sessionId
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Store a new single-use refresh token for a session and set it as an
+ * httpOnly cookie, so it is never readable from page scripts
+ */
+const issueRefreshToken = async (client, res, sessionId) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await client.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + ($3 || ' days')::INTERVAL)`,
+    [sessionId, hashToken(token), String(REFRESH_TOKEN_TTL_DAYS)]
+  );
+
+  res.cookie(REFRESH_COOKIE, token, refreshCookieOptions);
+};
+
+/**
+ * Revoke every live session for a user, e.g. on deactivation or password reset
+ */
+const revokeUserSessions = async (db, userId, reason) => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return result.rowCount;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Response delay after a failed sign-in, doubling with each recent failure
+ */
+const loginDelay = (failures) => Math.min(
+  LOGIN_DELAY_MAX_MS,
+  LOGIN_DELAY_BASE_MS * 2 ** Math.max(failures - 1, 0)
+);
+
+/**
+ * Count recent failed sign-ins from an IP address, and how many seconds
+ * until the oldest of them leaves the throttling window
+ */
+const recentIpFailures = async (ip) => {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int as failures,
+            CEIL(EXTRACT(EPOCH FROM MIN(attempted_at) + ($2 || ' minutes')::INTERVAL - NOW()))::int as retry_after
+     FROM failed_login_attempts
+     WHERE ip_address = $1 AND attempted_at > NOW() - ($2 || ' minutes')::INTERVAL`,
+    [ip, String(IP_ATTEMPT_WINDOW_MINUTES)]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Record a failed sign-in. A known account's failure count is bumped and the
+ * account locked once it reaches the limit; a count left over from an expired
+ * lock starts again from one. Lockouts are written to the audit trail.
+ * Returns the number of recent failures to base the response delay on.
+ */
+const recordFailedLogin = async (req, email, user) => {
+  const ip = req.ip || null;
+
+  await pool.query(
+    'INSERT INTO failed_login_attempts (email, user_id, ip_address) VALUES ($1, $2, $3)',
+    [email, user ? user.id : null, ip]
+  );
+
+  let accountFailures = 0;
+
+  if (user) {
+    accountFailures = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET
+           failed_login_count = CASE WHEN locked_until <= NOW() THEN 1 ELSE failed_login_count + 1 END,
+           locked_until = CASE
+             WHEN (CASE WHEN locked_until <= NOW() THEN 1 ELSE failed_login_count + 1 END) >= $2
+             THEN NOW() + ($3 || ' minutes')::INTERVAL
+           END
+         WHERE id = $1
+         RETURNING failed_login_count, locked_until`,
+        [user.id, MAX_FAILED_LOGINS_PER_ACCOUNT, String(ACCOUNT_LOCKOUT_MINUTES)]
+      );
+      const { failed_login_count, locked_until } = result.rows[0];
+
+      if (failed_login_count === MAX_FAILED_LOGINS_PER_ACCOUNT) {
+        logger.warn(`Account locked after ${failed_login_count} failed attempts: ${email}`);
+        await appendAudit(client, req, null, 'ACCOUNT_LOCKED', 'USER', user.id, {
+          email,
+          failed_attempts: failed_login_count,
+          locked_until,
+          ip
+        });
+      }
+
+      return failed_login_count;
+    });
+  }
+
+  const { failures: ipFailures } = await recentIpFailures(ip);
+
+  if (ipFailures === MAX_FAILED_LOGINS_PER_IP) {
+    logger.warn(`IP address locked after ${ipFailures} failed attempts: ${ip}`);
+    await logAudit(req, null, 'IP_LOCKED', 'LOGIN', null, {
+      ip,
+      failed_attempts: ipFailures,
+      window_minutes: IP_ATTEMPT_WINDOW_MINUTES,
+      last_email: email
+    });
+  }
+
+  return Math.max(accountFailures, ipFailures);
+};
+
+/**
+ * Refuse a sign-in with 429 and a Retry-After header
+ */
+const rejectLockedLogin = (res, retryAfterSeconds) => {
+  const seconds = Math.max(retryAfterSeconds, 1);
+  const minutes = Math.ceil(seconds / 60);
+
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ 
+    success: false,
+    error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retry_after: seconds
+  });
+};
+
+const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  base_id: user.base_id
+});
+
+/**
+ * Open a server-side session with a short-lived access token and a rotating
+ * refresh token. Returns the access token.
+ */
+const startSession = async (req, res, user, twoFactorMethod = null) => {
+  const sessionId = crypto.randomUUID();
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO user_sessions (id, user_id, user_agent, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4 || ' days')::INTERVAL)`,
+      [sessionId, user.id, req.get('user-agent') || null, String(REFRESH_TOKEN_TTL_DAYS)]
+    );
+    await issueRefreshToken(client, res, sessionId);
+
+    // Update last login time and clear the failed-attempt count
+    await client.query(
+      'UPDATE users SET last_login = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $1',
+      [user.id]
+    );
+
+    // Log successful login
+    await appendAudit(client, req, user.id, 'LOGIN', 'USER', user.id, {
+      email: user.email,
+      ...(twoFactorMethod && { two_factor: twoFactorMethod })
+    });
+  });
+
+  logger.info(`Successful login: ${user.email}`);
+
+  return signAccessToken(user, sessionId);
+};
+
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    value = ((value << 5) | BASE32_ALPHABET.indexOf(char)) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value (RFC 4226) of a base32 secret for one TOTP time step
+ */
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code against the current time step, allowing one step of
+ * clock drift either way. Steps at or before lastStep were already used and
+ * are refused. Returns the matching step, or null.
+ */
+const verifyTotp = (secret, code, lastStep) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (candidate.length !== TOTP_DIGITS || !/^\d+$/.test(candidate)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    if (lastStep && step <= Number(lastStep)) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import, usually from a QR code
+ */
+const totpProvisioningUri = (secret, email) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set. The codes are returned
+ * for showing once; only their hashes are stored.
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    await client.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
+    );
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Spend a recovery code. Returns false if it does not match an unused code.
+ */
+const useRecoveryCode = async (db, userId, code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  const result = await db.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalized)]
+  );
+  return result.rows.length > 0;
+};
+
+const countRecoveryCodes = async (db, userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*)::int as count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+};
+
+const isTwoFactorRequired = async (db, role) => {
+  const result = await db.query('SELECT require_two_factor FROM role_policies WHERE role = $1', [role]);
+  return result.rows.length > 0 && result.rows[0].require_two_factor;
+};
+
+/**
+ * Short-lived token proving the password step of a sign-in succeeded
+ */
+const signTwoFactorChallenge = (user) => jwt.sign(
+  { id: user.id, purpose: 'two_factor' },
+  JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+/**
+ * Authenticate the second step of a sign-in from the challenge token issued
+ * by /api/auth/login, in place of an access token
+ */
+const authenticateTwoFactorChallenge = async (req, res, next) => {
+  const { challenge_token } = req.body || {};
+  const expired = () => res.status(401).json({ 
+    success: false,
+    error: 'Sign-in attempt expired. Please sign in again.',
+    code: 'CHALLENGE_EXPIRED'
+  });
+
+  let payload;
+  try {
+    payload = jwt.verify(challenge_token || '', JWT_SECRET);
+  } catch (err) {
+    return expired();
+  }
+  if (payload.purpose !== 'two_factor') return expired();
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, name, role, base_id FROM users WHERE id = $1 AND is_active = true',
+      [payload.id]
+    );
+    if (result.rows.length === 0) return expired();
+
+    req.user = result.rows[0];
+    req.twoFactorChallenge = true;
+    next();
+
+  } catch (error) {
+    logger.error('Two-factor challenge error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error during authentication. Please try again.' 
+    });
+  }
+};
+
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Input validation
+    if (!email || !password) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Email and password are required' 
+      });
+    }
+
+    const ip = req.ip || null;
+
+    // Throttle the source address before looking at the account
+    const ipAttempts = await recentIpFailures(ip);
+    if (ipAttempts.failures >= MAX_FAILED_LOGINS_PER_IP) {
+      logger.warn(`Login refused for locked IP address: ${ip}`);
+      return rejectLockedLogin(res, ipAttempts.retry_after);
+    }
+
+    // Fetch user from database
+    const result = await pool.query(
+      `SELECT *, CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int as lock_seconds_remaining
+       FROM users WHERE email = $1 AND is_active = true`,
+      [email]
+    );
+
+    const user = result.rows[0];
+
+    if (user && user.lock_seconds_remaining > 0) {
+      logger.warn(`Login refused for locked account: ${email}`);
+      return rejectLockedLogin(res, user.lock_seconds_remaining);
+    }
+
+    // Verify password (invited users have none until they accept the invitation)
+    const validPassword = Boolean(user && user.password_hash)
+      && await bcrypt.compare(password, user.password_hash);
+
+    if (!validPassword) {
+      logger.warn(user ? `Invalid password attempt for user: ${email}` : `Failed login attempt for email: ${email}`);
+      const failures = await recordFailedLogin(req, email, user);
+      await sleep(loginDelay(failures));
+      return res.status(401).json({ 
+        success: false,
+        error: 'Invalid email or password' 
+      });
+    }
+
+    // Enrolled users, and roles that require it, finish signing in with a second factor
+    if (user.totp_enabled || await isTwoFactorRequired(pool, user.role)) {
+      logger.info(`Password accepted, awaiting second factor: ${email}`);
+      return res.json({
+        success: true,
+        two_factor: user.totp_enabled ? 'verify' : 'enrol',
+        challenge_token: signTwoFactorChallenge(user)
+      });
+    }
+
+    const token = await startSession(req, res, user);
+
+    res.json({
+      success: true,
+      token,
+      user: publicUser(user)
+    });
+
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error during authentication. Please try again.' 
+    });
+  }
+});
+
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const presented = readCookie(req, REFRESH_COOKIE);
+
+    if (!presented) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'No active session. Please login to continue.' 
+      });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() as expired,
+                s.revoked_at, s.expires_at < NOW() as session_expired,
+                u.id as user_id, u.email, u.name, u.role, u.base_id, u.is_active
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON rt.session_id = s.id
+         JOIN users u ON s.user_id = u.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(presented)]
+      );
+
+      if (result.rows.length === 0) {
+        return { error: 'Invalid session. Please login again.' };
+      }
+
+      const record = result.rows[0];
+
+      // A refresh token is only good once: seeing it again means it leaked.
+      // Tabs of the app take a lock while refreshing, so they never present one twice.
+      if (record.used_at) {
+        await client.query(
+          `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+           WHERE id = $1 AND revoked_at IS NULL`,
+          [record.session_id]
+        );
+        await appendAudit(client, req, record.user_id, 'TOKEN_REUSE', 'USER', record.user_id, {
+          session_id: record.session_id
+        });
+        logger.warn(`Refresh token reuse detected for ${record.email}; session ${record.session_id} revoked`);
+        return { error: 'Session has ended. Please login again.' };
+      }
+
+      if (record.expired || record.session_expired || record.revoked_at || !record.is_active) {
+        return { error: 'Session has ended. Please login again.' };
+      }
+
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [record.id]);
+      await client.query('UPDATE user_sessions SET last_used_at = NOW() WHERE id = $1', [record.session_id]);
+      await issueRefreshToken(client, res, record.session_id);
+
+      return { record };
+    });
+
+    if (outcome.error) {
+      res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions, maxAge: undefined });
+      return res.status(401).json({ success: false, error: outcome.error });
+    }
+
+    const user = { ...outcome.record, id: outcome.record.user_id };
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, outcome.record.session_id),
+      user: publicUser(user)
+    });
+
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to refresh session' 
+    });
+  }
+});
+
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const presented = readCookie(req, REFRESH_COOKIE);
+
+    if (presented) {
+      await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE user_sessions s SET revoked_at = NOW(), revoked_reason = 'logout'
+           FROM refresh_tokens rt
+           WHERE rt.session_id = s.id AND rt.token_hash = $1 AND s.revoked_at IS NULL
+           RETURNING s.user_id, s.id`,
+          [hashToken(presented)]
+        );
+
+        if (result.rows.length > 0) {
+          await appendAudit(client, req, result.rows[0].user_id, 'LOGOUT', 'USER', result.rows[0].user_id, {
+            session_id: result.rows[0].id
+          });
+        }
+      });
+    }
+
+    res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions, maxAge: undefined });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to logout' 
+    });
+  }
+});
+
+
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await withTransaction(async (client) => {
+      const count = await revokeUserSessions(client, req.user.id, 'logout_all');
+      await appendAudit(client, req, req.user.id, 'LOGOUT_ALL', 'USER', req.user.id, { sessions_revoked: count });
+      return count;
+    });
+
+    logger.info(`All sessions revoked for ${req.user.email} (${revoked})`);
+
+    res.clearCookie(REFRESH_COOKIE, { ...refreshCookieOptions, maxAge: undefined });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} session(s)`
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to sign out of all sessions' 
+    });
+  }
+});
+
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.name, u.role, u.base_id, b.name as base_name
+       FROM users u
+       LEFT JOIN bases b ON u.base_id = b.id
+       WHERE u.id = $1`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      user: { ...publicUser(result.rows[0]), base_name: result.rows[0].base_name }
+    });
+
+  } catch (error) {
+    logger.error('Get current user error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch current user' 
+    });
+  }
+});
+
+
+// Lets the frontend show only the actions the server will allow
+app.get('/api/auth/permissions', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions: req.user.permissions,
+      base_ids: req.user.base_ids
+    }
+  });
+});
+
+
+/**
+ * Start TOTP enrolment: generate a secret and its provisioning URI. The
+ * secret is not enforced until a code from it is confirmed.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const current = await pool.query('SELECT email, totp_enabled FROM users WHERE id = $1', [req.user.id]);
+
+    if (current.rows[0].totp_enabled) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await pool.query(
+      'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1',
+      [req.user.id, secret]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: totpProvisioningUri(secret, current.rows[0].email)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to start two-factor enrolment' 
+    });
+  }
+};
+
+/**
+ * Confirm enrolment with a first code and issue recovery codes. During
+ * sign-in this also completes the login.
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Verification code is required' 
+      });
+    }
+
+    const { user, recoveryCodes } = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+      const target = current.rows[0];
+
+      if (target.totp_enabled) {
+        throw httpError(409, 'Two-factor authentication is already enabled');
+      }
+      if (!target.totp_secret) {
+        throw httpError(400, 'Start two-factor enrolment before confirming a code');
+      }
+
+      const step = verifyTotp(target.totp_secret, code, null);
+      if (step === null) {
+        throw httpError(400, 'Invalid verification code');
+      }
+
+      await client.query(
+        'UPDATE users SET totp_enabled = true, totp_last_step = $2 WHERE id = $1',
+        [target.id, step]
+      );
+      const codes = await replaceRecoveryCodes(client, target.id);
+
+      await appendAudit(client, req, target.id, 'TWO_FACTOR_ENABLED', 'USER', target.id, { email: target.email });
+
+      return { user: target, recoveryCodes: codes };
+    });
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    };
+
+    if (req.twoFactorChallenge) {
+      response.token = await startSession(req, res, user, 'totp');
+      response.user = publicUser(user);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to enable two-factor authentication' 
+    });
+  }
+};
+
+/**
+ * Check a signed-in user's current TOTP code before a sensitive 2FA change,
+ * marking its time step used
+ */
+const confirmTotpCode = async (client, userId, code) => {
+  const current = await client.query(
+    'SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const { totp_secret, totp_enabled, totp_last_step } = current.rows[0];
+
+  if (!totp_enabled) {
+    throw httpError(409, 'Two-factor authentication is not enabled');
+  }
+
+  const step = verifyTotp(totp_secret, code, totp_last_step);
+  if (step === null) {
+    throw httpError(400, 'Invalid verification code');
+  }
+
+  await client.query('UPDATE users SET totp_last_step = $2 WHERE id = $1', [userId, step]);
+};
+
+
+app.post('/api/auth/login/2fa/setup', authenticateTwoFactorChallenge, setupTwoFactor);
+app.post('/api/auth/login/2fa/enable', authenticateTwoFactorChallenge, enableTwoFactor);
+app.post('/api/auth/2fa/setup', authenticateToken, setupTwoFactor);
+app.post('/api/auth/2fa/enable', authenticateToken, enableTwoFactor);
+
+
+app.post('/api/auth/login/2fa/verify', authenticateTwoFactorChallenge, async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    if (!code && !recovery_code) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A verification code or recovery code is required' 
+      });
+    }
+
+    const ip = req.ip || null;
+
+    const result = await pool.query(
+      `SELECT *, CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int as lock_seconds_remaining
+       FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.lock_seconds_remaining > 0) {
+      logger.warn(`Login refused for locked account: ${user.email}`);
+      return rejectLockedLogin(res, user.lock_seconds_remaining);
+    }
+
+    if (!user.totp_enabled) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Two-factor authentication is not enabled for this account' 
+      });
+    }
+
+    let method = null;
+    let recoveryCodesRemaining = null;
+
+    if (code) {
+      const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+
+      // Claim the step atomically so concurrent requests cannot both use one code
+      const claimed = step !== null && await pool.query(
+        `UPDATE users SET totp_last_step = $2
+         WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+         RETURNING id`,
+        [user.id, step]
+      );
+      if (claimed && claimed.rows.length > 0) method = 'totp';
+    } else {
+      // Spending a recovery code and recording it happen together
+      recoveryCodesRemaining = await withTransaction(async (client) => {
+        if (!await useRecoveryCode(client, user.id, recovery_code)) return null;
+
+        const remaining = await countRecoveryCodes(client, user.id);
+        await appendAudit(client, req, user.id, 'RECOVERY_CODE_USED', 'USER', user.id, {
+          email: user.email,
+          remaining
+        });
+        return remaining;
+      });
+      if (recoveryCodesRemaining !== null) method = 'recovery_code';
+    }
+
+    if (!method) {
+      logger.warn(`Invalid two-factor code for user: ${user.email}`);
+      const failures = await recordFailedLogin(req, user.email, user);
+      await sleep(loginDelay(failures));
+      return res.status(401).json({ 
+        success: false,
+        error: 'Invalid verification code' 
+      });
+    }
+
+    const response = { success: true };
+
+    if (method === 'recovery_code') {
+      response.recovery_codes_remaining = recoveryCodesRemaining;
+    }
+
+    response.token = await startSession(req, res, user, method);
+    response.user = publicUser(user);
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Two-factor verify error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Server error during authentication. Please try again.' 
+    });
+  }
+});
+
+
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.id]);
+    const enabled = result.rows[0].totp_enabled;
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        required: await isTwoFactorRequired(pool, req.user.role),
+        recovery_codes_remaining: enabled ? await countRecoveryCodes(pool, req.user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch two-factor status' 
+    });
+  }
+});
+
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      await confirmTotpCode(client, req.user.id, code);
+      const codes = await replaceRecoveryCodes(client, req.user.id);
+
+      await appendAudit(client, req, req.user.id, 'RECOVERY_CODES_REGENERATED', 'USER', req.user.id, {
+        email: req.user.email
+      });
+
+      return codes;
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes issued; the previous codes no longer work',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to regenerate recovery codes' 
+    });
+  }
+});
+
+
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (await isTwoFactorRequired(pool, req.user.role)) {
+      return res.status(409).json({ 
+        success: false,
+        error: `Two-factor authentication is required for the ${req.user.role} role` 
+      });
+    }
+
+    await withTransaction(async (client) => {
+      await confirmTotpCode(client, req.user.id, code);
+      await client.query(
+        `UPDATE users SET totp_secret = NULL, totp_enabled = false, totp_last_step = NULL
+         WHERE id = $1`,
+        [req.user.id]
+      );
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+      await appendAudit(client, req, req.user.id, 'TWO_FACTOR_DISABLED', 'USER', req.user.id, {
+        email: req.user.email
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Disable two-factor error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to disable two-factor authentication' 
+    });
+  }
+});
+
+
+const MIN_PASSWORD_LENGTH = 8;
+const INVITE_TTL_HOURS = 72;
+const SALT_ROUNDS = 10;
+
+/**
+ * Issue a one-time invitation (or password reset) token for a user. Only the
+ * hash is stored; the plain token is returned once for the admin to pass on.
+ */
+const issueInviteToken = async (client, userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await client.query(
+    `UPDATE users
+     SET password_hash = NULL,
+         invite_token_hash = $2,
+         invite_expires_at = NOW() + ($3 || ' hours')::INTERVAL
+     WHERE id = $1`,
+    [userId, hashToken(token), String(INVITE_TTL_HOURS)]
+  );
+
+  return token;
+};
+
+
+app.post('/api/auth/accept-invite', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Input validation
+    if (!token || !password) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invitation token and password are required' 
+      });
+    }
+
+    if (typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invitation token and password must be text' 
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+         SET password_hash = $2, invite_token_hash = NULL, invite_expires_at = NULL
+         WHERE invite_token_hash = $1 AND invite_expires_at > NOW() AND is_active = true
+         RETURNING id, email`,
+        [hashToken(token), passwordHash]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      await appendAudit(client, req, result.rows[0].id, 'ACCEPT_INVITE', 'USER', result.rows[0].id, {
+        email: result.rows[0].email
+      });
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invitation is invalid or has expired. Ask an administrator for a new one.' 
+      });
+    }
+
+    logger.info(`Invitation accepted: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password set successfully. You can now sign in.'
+    });
+
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to accept invitation' 
+    });
+  }
+});
+
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A YYYY-MM-DD string naming a real calendar day. Date.parse alone rolls
+ * 2024-02-30 over to March, which Postgres would then reject.
+ */
+const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value)
+  && !isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse the dashboard query contract (start_date, end_date, base_id,
+ * equipment_type_id) and apply base scoping. Users without base:all may
+ * narrow to one of their assigned bases and otherwise see all of them.
+ */
+const getDashboardFilters = (req) => {
+  const { start_date, end_date, base_id, equipment_type_id } = req.query;
+
+  for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+    if (value && !isValidDate(value)) {
+      throw httpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  if (start_date && end_date && start_date > end_date) {
+    throw httpError(400, 'start_date must be on or before end_date');
+  }
+
+  for (const [name, value] of [['base_id', base_id], ['equipment_type_id', equipment_type_id]]) {
+    if (value && !isRecordId(value)) {
+      throw httpError(400, `${name} must be a numeric id`);
+    }
+  }
+
+  if (base_id && !canAccessBase(req.user, base_id)) {
+    throw httpError(403, 'You can only view your assigned bases');
+  }
+
+  return {
+    user: req.user,
+    startDate: start_date || null,
+    endDate: end_date || null,
+    baseId: base_id ? parseInt(base_id) : null,
+    equipmentTypeId: equipment_type_id ? parseInt(equipment_type_id) : null
+  };
+};
+
+
+/**
+ * Build the base/equipment part of a WHERE clause, scoped to the user's
+ * bases. Pushes onto params and returns SQL conditions, using the given
+ * column names.
+ */
+const scopeConditions = (filters, params, columns = {}) => {
+  const { base = 'base_id', equipment = 'equipment_type_id' } = columns;
+  const conditions = [scopeToBases(filters.user, params, base, filters.baseId)];
+
+  if (filters.equipmentTypeId) {
+    params.push(filters.equipmentTypeId);
+    conditions.push(`${equipment} = $${params.length}`);
+  }
+
+  return conditions;
+};
+
+
+app.get('/api/dashboard/metrics', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const filters = getDashboardFilters(req);
+
+    // $1 = start of window, $2 = end of window (either may be open-ended)
+    const params = [filters.startDate, filters.endDate];
+    const conditions = scopeConditions(filters, params);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const inWindow = `movement_type <> 'opening'
+      AND ($1::DATE IS NULL OR movement_date >= $1::DATE)
+      AND ($2::DATE IS NULL OR movement_date <= $2::DATE)`;
+
+    // Every change to stock is in the ledger, so balances at any date are sums of postings
+    const ledgerQuery = await pool.query(
+      `SELECT 
+        COALESCE(SUM(quantity) FILTER (
+          WHERE movement_type = 'opening' OR movement_date < $1::DATE
+        ), 0) as opening_balance,
+        COALESCE(SUM(quantity) FILTER (WHERE ${inWindow}), 0) as window_total,
+        COALESCE(SUM(quantity) FILTER (WHERE ${inWindow} AND movement_type = 'purchase'), 0) as purchases,
+        COALESCE(SUM(quantity) FILTER (WHERE ${inWindow} AND movement_type = 'transfer_in'), 0) as transfer_in,
+        COALESCE(-SUM(quantity) FILTER (
+          WHERE ${inWindow} AND movement_type IN ('transfer_out', 'transfer_return')
+        ), 0) as transfer_out,
+        COALESCE(-SUM(quantity) FILTER (WHERE ${inWindow} AND movement_type = 'expenditure'), 0) as expended
+       FROM stock_movements
+       ${where}`,
+      params
+    );
+    const ledger = ledgerQuery.rows[0];
+
+    // Items out with personnel at the end of the window
+    const assignmentParams = [filters.endDate];
+    const assignmentConditions = scopeConditions(filters, assignmentParams);
+    const assignmentsQuery = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM assignments
+       WHERE NOT is_voided
+       AND (
+         ($1::DATE IS NULL AND status = 'active')
+         OR (assignment_date <= $1::DATE AND (return_date IS NULL OR return_date > $1::DATE))
+       )
+       ${assignmentConditions.map((condition) => `AND ${condition}`).join(' ')}`,
+      assignmentParams
+    );
+
+    const openingBalance = parseInt(ledger.opening_balance);
+    const purchases = parseInt(ledger.purchases);
+    const transferIn = parseInt(ledger.transfer_in);
+    const transferOut = parseInt(ledger.transfer_out);
+    const expended = parseInt(ledger.expended);
+    const assigned = parseInt(assignmentsQuery.rows[0].total);
+
+    // Net movement is purchases and transfers only; closing balance also
+    // reflects expenditures and equipment issued to or returned by personnel
+    const netMovement = purchases + transferIn - transferOut;
+    const closingBalance = openingBalance + parseInt(ledger.window_total);
+
+    res.json({
+      success: true,
+      data: {
+        openingBalance,
+        closingBalance,
+        netMovement,
+        purchases,
+        transferIn,
+        transferOut,
+        assigned,
+        expended
+      },
+      filters: {
+        start_date: filters.startDate,
+        end_date: filters.endDate,
+        base_id: filters.baseId,
+        equipment_type_id: filters.equipmentTypeId
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Dashboard metrics error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch dashboard metrics' 
+    });
+  }
+});
+
+
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+const MAX_TIMESERIES_BUCKETS = 366;
+
+app.get('/api/dashboard/timeseries', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const filters = getDashboardFilters(req);
+    const { interval = 'month' } = req.query;
+
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `interval must be one of: ${TIMESERIES_INTERVALS.join(', ')}` 
+      });
+    }
+
+    const endDate = filters.endDate || new Date().toISOString().split('T')[0];
+    let startDate = filters.startDate;
+
+    // Without an explicit start, chart from the first recorded movement in scope
+    if (!startDate) {
+      const firstParams = [];
+      const firstConditions = scopeConditions(filters, firstParams);
+      const firstQuery = await pool.query(
+        `SELECT MIN(movement_date)::TEXT as first_date
+         FROM stock_movements
+         WHERE movement_type <> 'opening'
+         ${firstConditions.map((condition) => `AND ${condition}`).join(' ')}`,
+        firstParams
+      );
+      startDate = firstQuery.rows[0].first_date || endDate;
+      if (startDate > endDate) startDate = endDate;
+    }
+
+    const days = (Date.parse(endDate) - Date.parse(startDate)) / 86400000;
+    const bucketCount = {
+      day: days + 1,
+      week: Math.floor(days / 7) + 1,
+      month: Math.floor(days / 28) + 1
+    }[interval];
+
+    if (bucketCount > MAX_TIMESERIES_BUCKETS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Date range too large for ${interval} buckets; narrow the range or use a larger interval` 
+      });
+    }
+
+    // Balance carried into the first bucket
+    const openingParams = [startDate];
+    const openingConditions = scopeConditions(filters, openingParams);
+    const openingQuery = await pool.query(
+      `SELECT COALESCE(SUM(quantity), 0) as total
+       FROM stock_movements
+       WHERE (movement_type = 'opening' OR movement_date < $1::DATE)
+       ${openingConditions.map((condition) => `AND ${condition}`).join(' ')}`,
+      openingParams
+    );
+
+    // $1 = start, $2 = end, $3 = interval
+    const params = [startDate, endDate, interval];
+    const conditions = scopeConditions(filters, params, {
+      base: 'm.base_id',
+      equipment: 'm.equipment_type_id'
+    });
+
+    const bucketsQuery = await pool.query(
+      `SELECT 
+        TO_CHAR(bucket, 'YYYY-MM-DD') as period,
+        COALESCE(SUM(m.quantity), 0) as total,
+        COALESCE(SUM(m.quantity) FILTER (WHERE m.movement_type = 'purchase'), 0) as purchases,
+        COALESCE(SUM(m.quantity) FILTER (WHERE m.movement_type = 'transfer_in'), 0) as transfer_in,
+        COALESCE(-SUM(m.quantity) FILTER (
+          WHERE m.movement_type IN ('transfer_out', 'transfer_return')
+        ), 0) as transfer_out,
+        COALESCE(-SUM(m.quantity) FILTER (WHERE m.movement_type = 'expenditure'), 0) as expended
+       FROM generate_series(
+         DATE_TRUNC($3::TEXT, $1::DATE::TIMESTAMP),
+         DATE_TRUNC($3::TEXT, $2::DATE::TIMESTAMP),
+         ('1 ' || $3::TEXT)::INTERVAL
+       ) AS bucket
+       LEFT JOIN stock_movements m
+         ON DATE_TRUNC($3::TEXT, m.movement_date::TIMESTAMP) = bucket
+         AND m.movement_type <> 'opening'
+         AND m.movement_date BETWEEN $1::DATE AND $2::DATE
+         ${conditions.map((condition) => `AND ${condition}`).join(' ')}
+       GROUP BY bucket
+       ORDER BY bucket`,
+      params
+    );
+
+    // Walk the buckets carrying the running balance forward
+    let balance = parseInt(openingQuery.rows[0].total);
+    const series = bucketsQuery.rows.map((row) => {
+      const opening = balance;
+      balance += parseInt(row.total);
+
+      return {
+        period: row.period,
+        opening,
+        closing: balance,
+        purchases: parseInt(row.purchases),
+        transferIn: parseInt(row.transfer_in),
+        transferOut: parseInt(row.transfer_out),
+        expended: parseInt(row.expended)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: series,
+      interval,
+      filters: {
+        start_date: startDate,
+        end_date: endDate,
+        base_id: filters.baseId,
+        equipment_type_id: filters.equipmentTypeId
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Dashboard timeseries error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch dashboard time series' 
+    });
+  }
+});
+
+
+app.get('/api/dashboard/movement', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const filters = getDashboardFilters(req);
+
+    // $1 = start of window, $2 = end of window (either may be open-ended)
+    const params = [filters.startDate, filters.endDate];
+    const conditions = scopeConditions(filters, params, {
+      base: 'm.base_id',
+      equipment: 'm.equipment_type_id'
+    });
+
+    // The ledger postings that make up net movement, with their source records
+    const result = await pool.query(
+      `SELECT 
+        m.id,
+        m.movement_type,
+        m.quantity,
+        m.movement_date,
+        m.reference_type,
+        m.reference_id,
+        m.base_id,
+        m.equipment_type_id,
+        b.name as base_name,
+        e.name as equipment_name,
+        e.category as equipment_category,
+        e.unit_of_measure,
+        p.supplier,
+        CASE WHEN m.movement_type = 'transfer_in' THEN fb.name ELSE tb.name END as counterpart_base_name,
+        u.name as created_by_name
+       FROM stock_movements m
+       JOIN bases b ON m.base_id = b.id
+       JOIN equipment_types e ON m.equipment_type_id = e.id
+       LEFT JOIN purchases p ON m.reference_type = 'PURCHASE' AND p.id = m.reference_id
+       LEFT JOIN transfers t ON m.reference_type = 'TRANSFER' AND t.id = m.reference_id
+       LEFT JOIN bases fb ON t.from_base_id = fb.id
+       LEFT JOIN bases tb ON t.to_base_id = tb.id
+       LEFT JOIN users u ON m.created_by = u.id
+       WHERE m.movement_type IN ('purchase', 'transfer_in', 'transfer_out', 'transfer_return')
+         AND ($1::DATE IS NULL OR m.movement_date >= $1::DATE)
+         AND ($2::DATE IS NULL OR m.movement_date <= $2::DATE)
+         ${conditions.map((condition) => `AND ${condition}`).join(' ')}
+       ORDER BY e.category, e.name, m.movement_date, m.id`,
+      params
+    );
+
+    const groups = [];
+    const groupsByType = {};
+
+    for (const row of result.rows) {
+      if (!groupsByType[row.equipment_type_id]) {
+        groupsByType[row.equipment_type_id] = {
+          equipment_type_id: row.equipment_type_id,
+          equipment_name: row.equipment_name,
+          equipment_category: row.equipment_category,
+          unit_of_measure: row.unit_of_measure,
+          purchases: 0,
+          transferIn: 0,
+          transferOut: 0,
+          netMovement: 0,
+          records: []
+        };
+        groups.push(groupsByType[row.equipment_type_id]);
+      }
+
+      const group = groupsByType[row.equipment_type_id];
+
+      if (row.movement_type === 'purchase') group.purchases += row.quantity;
+      if (row.movement_type === 'transfer_in') group.transferIn += row.quantity;
+      // Recalled shipments offset the transfer out they reverse
+      if (row.movement_type === 'transfer_out' || row.movement_type === 'transfer_return') {
+        group.transferOut -= row.quantity;
+      }
+      group.netMovement += row.quantity;
+      group.records.push(row);
+    }
+
+    const totals = groups.reduce((sum, group) => ({
+      purchases: sum.purchases + group.purchases,
+      transferIn: sum.transferIn + group.transferIn,
+      transferOut: sum.transferOut + group.transferOut,
+      netMovement: sum.netMovement + group.netMovement
+    }), { purchases: 0, transferIn: 0, transferOut: 0, netMovement: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        equipmentTypes: groups
+      },
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Dashboard movement error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch net movement details' 
+    });
+  }
+});
+
+
+app.get('/api/purchases', authenticateToken, requirePermission('purchase:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT 
+        p.id,
+        p.base_id,
+        p.equipment_type_id,
+        p.quantity,
+        p.cost,
+        p.purchase_date,
+        p.supplier,
+        p.lot_id,
+        p.notes,
+        p.revision,
+        p.is_voided,
+        p.void_reason,
+        p.created_at,
+        b.name as base_name,
+        e.name as equipment_name,
+        e.category as equipment_category,
+        l.lot_number,
+        l.expiry_date,
+        l.inspection_due_date,
+        u.name as created_by_name
+      FROM purchases p
+      JOIN bases b ON p.base_id = b.id
+      JOIN equipment_types e ON p.equipment_type_id = e.id
+      LEFT JOIN equipment_lots l ON p.lot_id = l.id
+      LEFT JOIN users u ON p.created_by = u.id
+    `;
+    
+    const params = [];
+    query += ` WHERE ${scopeToBases(req.user, params, 'p.base_id')}`;
+
+    query += ' ORDER BY p.purchase_date DESC, p.created_at DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get purchases error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch purchase records' 
+    });
+  }
+});
+
+app.post('/api/purchases', authenticateToken, requirePermission('purchase:create'), async (req, res) => {
+  try {
+    const {
+      base_id, equipment_type_id, quantity, cost, purchase_date, supplier, notes,
+      expiry_date, inspection_due_date
+    } = req.body;
+    const lotNumber = typeof req.body.lot_number === 'string' ? req.body.lot_number.trim() || null : null;
+
+    // Input validation
+    if (!base_id || !equipment_type_id || !quantity || !purchase_date) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: base_id, equipment_type_id, quantity, purchase_date' 
+      });
+    }
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Quantity must be a positive whole number' 
+      });
+    }
+
+    if (!isValidDate(purchase_date)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'purchase_date must be a date in YYYY-MM-DD format' 
+      });
+    }
+
+    if (lotNumber?.length > 50) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Lot number must be 50 characters or fewer' 
+      });
+    }
+
+    if (req.body.lot_number !== undefined && req.body.lot_number !== null && typeof req.body.lot_number !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'lot_number must be text' 
+      });
+    }
+
+    if ([expiry_date, inspection_due_date].some((date) => date && !isValidDate(date))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Lot dates must be in YYYY-MM-DD format' 
+      });
+    }
+
+    // Base-scoped users can only create purchases for their own bases
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only create purchases for your assigned bases' 
+      });
+    }
+
+    // Insert purchase record and receive the stock at the base
+    const purchase = await withTransaction(async (client) => {
+      await assertActiveReferences(client, { baseIds: [base_id], equipmentTypeId: equipment_type_id });
+
+      // Lot-tracked stock is received into a named lot
+      let lot = null;
+      if (await isLotTrackedType(client, equipment_type_id)) {
+        if (!lotNumber) {
+          throw httpError(400, 'lot_number is required for lot-tracked equipment types');
+        }
+        lot = await resolvePurchaseLot(client, {
+          equipmentTypeId: equipment_type_id,
+          lotNumber,
+          expiryDate: expiry_date,
+          inspectionDueDate: inspection_due_date,
+          userId: req.user.id
+        });
+      } else if (lotNumber || expiry_date || inspection_due_date) {
+        throw httpError(400, 'Lot details can only be recorded for lot-tracked equipment types');
+      }
+
+      const result = await client.query(
+        `INSERT INTO purchases 
+         (base_id, equipment_type_id, quantity, cost, purchase_date, supplier, lot_id, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+         RETURNING *`,
+        [base_id, equipment_type_id, quantity, cost, purchase_date, supplier, lot?.id ?? null, notes, req.user.id]
+      );
+      const record = result.rows[0];
+
+      await postStockMovement(client, {
+        baseId: base_id,
+        equipmentTypeId: equipment_type_id,
+        quantity: record.quantity,
+        movementType: 'purchase',
+        referenceType: 'PURCHASE',
+        referenceId: record.id,
+        movementDate: purchase_date,
+        lotId: record.lot_id,
+        userId: req.user.id
+      });
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'PURCHASE', record.id, {
+        base_id,
+        equipment_type_id,
+        quantity,
+        cost,
+        ...(lot && { lot_id: lot.id, lot_number: lot.lot_number })
+      });
+
+      return { ...record, lot_number: lot?.lot_number ?? null };
+    });
+
+    logger.info(`New purchase created: ID ${purchase.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase record created successfully',
+      data: purchase
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'That lot was just recorded by another purchase; try again' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base or equipment type does not exist' });
+    }
+    logger.error('Create purchase error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create purchase record' 
+    });
+  }
+});
+
+app.get('/api/transfers', authenticateToken, requirePermission('transfer:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT 
+        t.id,
+        t.from_base_id,
+        t.to_base_id,
+        t.equipment_type_id,
+        t.quantity,
+        t.transfer_date,
+        t.status,
+        t.notes,
+        t.revision,
+        t.is_voided,
+        t.void_reason,
+        t.approved_by,
+        t.completed_at,
+        t.created_at,
+        ARRAY(
+          SELECT i.serial_number FROM transfer_items ti
+          JOIN serialized_items i ON ti.item_id = i.id
+          WHERE ti.transfer_id = t.id
+          ORDER BY i.serial_number
+        ) as serial_numbers,
+        ${lotsDrawnSql('TRANSFER', 't.id', 't.from_base_id')} as lots,
+        fb.name as from_base_name,
+        tb.name as to_base_name,
+        e.name as equipment_name,
+        e.category as equipment_category,
+        u.name as created_by_name,
+        au.name as approved_by_name
+      FROM transfers t
+      JOIN bases fb ON t.from_base_id = fb.id
+      JOIN bases tb ON t.to_base_id = tb.id
+      JOIN equipment_types e ON t.equipment_type_id = e.id
+      LEFT JOIN users u ON t.created_by = u.id
+      LEFT JOIN users au ON t.approved_by = au.id
+    `;
+    
+    // Base-scoped users see transfers involving any of their bases
+    const params = [];
+    query += ` WHERE ${scopeToBases(req.user, params, ['t.from_base_id', 't.to_base_id'])}`;
+
+    query += ' ORDER BY t.transfer_date DESC, t.created_at DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get transfers error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch transfer records' 
+    });
+  }
+});
+
+
+app.post('/api/transfers', authenticateToken, requirePermission('transfer:create'), async (req, res) => {
+  try {
+    const { from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, notes, serial_numbers } = req.body;
+
+    // Input validation
+    if (!from_base_id || !to_base_id || !equipment_type_id || !quantity || !transfer_date) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: from_base_id, to_base_id, equipment_type_id, quantity, transfer_date' 
+      });
+    }
+
+    assertRecordIds({ from_base_id, to_base_id, equipment_type_id });
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Quantity must be a positive whole number' 
+      });
+    }
+
+    if (!isValidDate(transfer_date)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'transfer_date must be a date in YYYY-MM-DD format' 
+      });
+    }
+
+    // Prevent transfer to same base
+    if (Number(from_base_id) === Number(to_base_id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Cannot transfer to the same base' 
+      });
+    }
+
+    // Base-scoped users can only create transfers involving their bases
+    if (!canAccessBase(req.user, from_base_id) && !canAccessBase(req.user, to_base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only create transfers involving your assigned bases' 
+      });
+    }
+
+    await assertActiveReferences(pool, {
+      baseIds: [from_base_id, to_base_id],
+      equipmentTypeId: equipment_type_id
+    });
+
+    if (serial_numbers !== undefined && !Array.isArray(serial_numbers)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'serial_numbers must be an array of serial numbers' 
+      });
+    }
+
+    // Insert transfer record; stock moves when the transfer is dispatched and received
+    const transfer = await withTransaction(async (client) => {
+      // Serialized equipment names every serial on the transfer, which reserves them
+      let items = [];
+      if (await isSerializedType(client, equipment_type_id)) {
+        if (serial_numbers?.length !== Number(quantity)) {
+          throw httpError(400, `List the serial number of each of the ${quantity} item(s) being transferred`);
+        }
+        items = await claimSerializedItems(client, {
+          serialNumbers: serial_numbers,
+          baseId: from_base_id,
+          equipmentTypeId: equipment_type_id
+        });
+      } else if (serial_numbers?.length) {
+        throw httpError(400, 'Serial numbers can only be listed for serialized equipment types');
+      }
+
+      const result = await client.query(
+        `INSERT INTO transfers
+         (from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, status, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7)
+         RETURNING *`,
+        [from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, notes, req.user.id]
+      );
+      const record = result.rows[0];
+
+      if (items.length > 0) {
+        await client.query(
+          `INSERT INTO transfer_items (transfer_id, item_id)
+           SELECT $1, UNNEST($2::INTEGER[])`,
+          [record.id, items.map((item) => item.id)]
+        );
+      }
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'TRANSFER', record.id, {
+        from_base_id,
+        to_base_id,
+        equipment_type_id,
+        quantity,
+        serial_numbers: items.length > 0 ? items.map((item) => item.serial_number) : undefined
+      });
+
+      return { ...record, serial_numbers: items.map((item) => item.serial_number) };
+    });
+
+    logger.info(`New transfer created: ID ${transfer.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer record created successfully',
+      data: transfer
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base or equipment type does not exist' });
+    }
+    logger.error('Create transfer error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create transfer record' 
+    });
+  }
+});
+
+
+/**
+ * Transfer lifecycle: pending -> (approved) -> in_transit -> completed,
+ * with cancellation allowed before receipt.
+ *
+ * Each step lists the statuses it may start from, an optional guard on the
+ * locked transfer row, and the permission it needs. Base-scoped users are further
+ * limited to transfers touching their own base in the direction given by `scopedBase`.
+ */
+const TRANSFER_TRANSITIONS = {
+  approve: {
+    from: ['pending'],
+    permission: 'transfer:approve',
+    scopedBase: ['from_base_id'],
+    guard: (transfer) => !transfer.approved_by || 'Transfer has already been approved',
+    action: 'APPROVE',
+    label: 'approved'
+  },
+  dispatch: {
+    from: ['pending'],
+    permission: 'transfer:dispatch',
+    scopedBase: ['from_base_id'],
+    guard: (transfer) => !!transfer.approved_by || 'Transfer must be approved before dispatch',
+    action: 'DISPATCH',
+    label: 'dispatched'
+  },
+  receive: {
+    from: ['in_transit'],
+    permission: 'transfer:receive',
+    scopedBase: ['to_base_id'],
+    action: 'RECEIVE',
+    label: 'received'
+  },
+  cancel: {
+    from: ['pending', 'in_transit'],
+    permission: 'transfer:cancel',
+    scopedBase: ['from_base_id', 'to_base_id'],
+    // Goods already on the road can only be recalled with transfer:recall
+    guard: (transfer, user) => transfer.status === 'pending' || hasPermission(user, 'transfer:recall')
+      || 'You do not have permission to cancel a transfer that is in transit',
+    action: 'CANCEL',
+    label: 'cancelled'
+  }
+};
+
+const transferTransition = (step) => {
+  const transition = TRANSFER_TRANSITIONS[step];
+
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { notes } = req.body || {};
+      const today = new Date().toISOString().split('T')[0];
+
+      const { transfer } = await withTransaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM transfers WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        if (current.rows.length === 0) {
+          throw httpError(404, 'Transfer not found');
+        }
+
+        const record = current.rows[0];
+
+        if (record.is_voided) {
+          throw httpError(409, 'Transfer has been voided');
+        }
+
+        if (!transition.scopedBase.some((column) => canAccessBase(req.user, record[column]))) {
+          throw httpError(403, `You cannot ${step} a transfer for another base`);
+        }
+
+        if (!transition.from.includes(record.status)) {
+          throw httpError(409, `Cannot ${step} a transfer that is ${record.status.replace('_', ' ')}`);
+        }
+
+        const guardResult = transition.guard ? transition.guard(record, req.user) : true;
+        if (guardResult !== true) {
+          throw httpError(409, guardResult);
+        }
+
+        const movement = {
+          equipmentTypeId: record.equipment_type_id,
+          referenceType: 'TRANSFER',
+          referenceId: record.id,
+          movementDate: today,
+          userId: req.user.id
+        };
+
+        // Serials named on the transfer move with it
+        const itemIds = await transferItemIds(client, record.id);
+        const custody = {
+          referenceType: 'TRANSFER',
+          referenceId: record.id,
+          eventDate: today,
+          notes,
+          userId: req.user.id
+        };
+
+        let updated;
+
+        if (step === 'approve') {
+          updated = await client.query(
+            'UPDATE transfers SET approved_by = $2 WHERE id = $1 RETURNING *',
+            [id, req.user.id]
+          );
+        } else if (step === 'dispatch') {
+          await moveSerializedItems(client, itemIds, {
+            status: 'in_transit',
+            baseId: record.from_base_id,
+            transferId: record.id
+          }, { ...custody, eventType: 'dispatched' });
+          await postStockMovement(client, {
+            ...movement,
+            baseId: record.from_base_id,
+            quantity: -record.quantity,
+            movementType: 'transfer_out'
+          });
+          updated = await client.query(
+            "UPDATE transfers SET status = 'in_transit' WHERE id = $1 RETURNING *",
+            [id]
+          );
+        } else if (step === 'receive') {
+          await postStockMovement(client, {
+            ...movement,
+            baseId: record.to_base_id,
+            quantity: record.quantity,
+            movementType: 'transfer_in'
+          });
+          await moveSerializedItems(client, itemIds, {
+            status: 'in_stock',
+            baseId: record.to_base_id
+          }, { ...custody, eventType: 'received' });
+          updated = await client.query(
+            "UPDATE transfers SET status = 'completed', completed_at = NOW() WHERE id = $1 RETURNING *",
+            [id]
+          );
+        } else {
+          // Recalled shipments go back on the sending base's books
+          if (record.status === 'in_transit') {
+            await postStockMovement(client, {
+              ...movement,
+              baseId: record.from_base_id,
+              quantity: record.quantity,
+              movementType: 'transfer_return'
+            });
+            await moveSerializedItems(client, itemIds, {
+              status: 'in_stock',
+              baseId: record.from_base_id
+            }, { ...custody, eventType: 'recalled' });
+          }
+          updated = await client.query(
+            `UPDATE transfers
+             SET status = 'cancelled',
+                 notes = CASE WHEN $2::TEXT IS NULL THEN notes ELSE CONCAT_WS(E'\n', notes, $2::TEXT) END
+             WHERE id = $1 RETURNING *`,
+            [id, notes || null]
+          );
+        }
+
+        const after = updated.rows[0];
+
+        await appendAudit(client, req, req.user.id, transition.action, 'TRANSFER', after.id, {
+          from_status: record.status,
+          to_status: after.status,
+          from_base_id: after.from_base_id,
+          to_base_id: after.to_base_id,
+          equipment_type_id: after.equipment_type_id,
+          quantity: after.quantity,
+          notes
+        });
+
+        return { transfer: after };
+      });
+
+      logger.info(`Transfer ${step}: ID ${transfer.id} by user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Transfer ${transition.label} successfully`,
+        data: transfer
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error(`Transfer ${step} error:`, error);
+      res.status(500).json({ 
+        success: false,
+        error: `Failed to ${step} transfer` 
+      });
+    }
+  };
+};
+
+Object.entries(TRANSFER_TRANSITIONS).forEach(([step, transition]) => {
+  app.patch(
+    `/api/transfers/:id/${step}`,
+    authenticateToken,
+    requirePermission(transition.permission),
+    requireNumericId,
+    transferTransition(step)
+  );
+});
+
+
+app.get('/api/assignments', authenticateToken, requirePermission('assignment:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT 
+        a.id,
+        a.base_id,
+        a.equipment_type_id,
+        a.personnel_id,
+        a.serial_number,
+        a.item_id,
+        a.assignment_date,
+        a.return_date,
+        a.status,
+        a.notes,
+        a.revision,
+        a.is_voided,
+        a.void_reason,
+        a.created_at,
+        e.name as equipment_name,
+        e.category as equipment_category,
+        b.name as base_name,
+        p.name as personnel_name,
+        p.rank as personnel_rank,
+        p.unit as personnel_unit,
+        u.name as created_by_name
+      FROM assignments a
+      JOIN equipment_types e ON a.equipment_type_id = e.id
+      JOIN bases b ON a.base_id = b.id
+      JOIN personnel p ON a.personnel_id = p.id
+      LEFT JOIN users u ON a.created_by = u.id
+    `;
+    
+    const params = [];
+    query += ` WHERE ${scopeToBases(req.user, params, 'a.base_id')}`;
+
+    query += ' ORDER BY a.assignment_date DESC, a.created_at DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get assignments error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch assignment records' 
+    });
+  }
+});
+
+
+app.post('/api/assignments', authenticateToken, requirePermission('assignment:create'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, personnel_id, serial_number, assignment_date, notes } = req.body;
+
+    // Input validation
+    if (!base_id || !equipment_type_id || !personnel_id || !assignment_date) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: base_id, equipment_type_id, personnel_id, assignment_date' 
+      });
+    }
+
+    assertRecordIds({ base_id, equipment_type_id, personnel_id });
+
+    if (serial_number !== undefined && serial_number !== null && typeof serial_number !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'serial_number must be text' 
+      });
+    }
+
+    if (!isValidDate(assignment_date)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'assignment_date must be a date in YYYY-MM-DD format' 
+      });
+    }
+
+    // Base-scoped users can only create assignments for their bases
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only create assignments for your assigned bases' 
+      });
+    }
+
+    // Insert assignment record and issue one item out of base stock
+    const assignment = await withTransaction(async (client) => {
+      const person = await client.query(
+        'SELECT base_id, status FROM personnel WHERE id = $1 FOR SHARE',
+        [personnel_id]
+      );
+
+      if (person.rows.length === 0) {
+        throw httpError(404, 'Personnel not found');
+      }
+      if (person.rows[0].status !== 'active') {
+        throw httpError(409, `Cannot assign equipment to ${person.rows[0].status} personnel`);
+      }
+      if (person.rows[0].base_id !== Number(base_id)) {
+        throw httpError(400, 'Personnel must be stationed at the assignment base');
+      }
+
+      // Serialized equipment is issued by registered serial
+      let item = null;
+      if (await isSerializedType(client, equipment_type_id)) {
+        if (!serial_number?.trim()) {
+          throw httpError(400, 'Choose the serial number being issued for this equipment type');
+        }
+        [item] = await claimSerializedItems(client, {
+          serialNumbers: [serial_number],
+          baseId: base_id,
+          equipmentTypeId: equipment_type_id
+        });
+      }
+
+      const result = await client.query(
+        `INSERT INTO assignments 
+         (base_id, equipment_type_id, personnel_id, serial_number, item_id, assignment_date, status, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, 'active', $7, $8) 
+         RETURNING *`,
+        [base_id, equipment_type_id, personnel_id, item ? item.serial_number : serial_number, item?.id || null,
+          assignment_date, notes, req.user.id]
+      );
+      const record = result.rows[0];
+
+      if (item) {
+        await moveSerializedItems(client, [item.id], {
+          status: 'assigned',
+          baseId: item.base_id,
+          personnelId: record.personnel_id
+        }, {
+          eventType: 'assigned',
+          referenceType: 'ASSIGNMENT',
+          referenceId: record.id,
+          eventDate: assignment_date,
+          userId: req.user.id
+        });
+      }
+
+      await postStockMovement(client, {
+        baseId: base_id,
+        equipmentTypeId: equipment_type_id,
+        quantity: -1,
+        movementType: 'assignment',
+        referenceType: 'ASSIGNMENT',
+        referenceId: record.id,
+        movementDate: assignment_date,
+        userId: req.user.id
+      });
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'ASSIGNMENT', record.id, {
+        base_id,
+        equipment_type_id,
+        personnel_id,
+        serial_number: record.serial_number,
+        item_id: record.item_id
+      });
+
+      return record;
+    });
+
+    logger.info(`New assignment created: ID ${assignment.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment record created successfully',
+      data: assignment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base or equipment type does not exist' });
+    }
+    logger.error('Create assignment error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create assignment record' 
+    });
+  }
+});
+
+
+/**
+ * Ways an active assignment can be closed. Only returned items go back into
+ * base stock; lost and damaged items stay written off and need an incident note.
+ */
+const ASSIGNMENT_OUTCOMES = {
+  return: { status: 'returned', action: 'RETURN', restock: true, requiresNote: false },
+  lost: { status: 'lost', action: 'REPORT_LOST', restock: false, requiresNote: true },
+  damaged: { status: 'damaged', action: 'REPORT_DAMAGED', restock: false, requiresNote: true }
+};
+
+const closeAssignment = (outcomeKey) => {
+  const outcome = ASSIGNMENT_OUTCOMES[outcomeKey];
+
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { return_date, notes } = req.body || {};
+      const closedOn = return_date || new Date().toISOString().split('T')[0];
+
+      if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        return res.status(400).json({ 
+          success: false,
+          error: 'notes must be text' 
+        });
+      }
+
+      if (return_date && (typeof return_date !== 'string' || !DATE_PATTERN.test(return_date))) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'return_date must be a date in YYYY-MM-DD format' 
+        });
+      }
+
+      if (outcome.requiresNote && !notes?.trim()) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'An incident note is required when reporting equipment lost or damaged' 
+        });
+      }
+
+      const assignment = await withTransaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM assignments WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        if (current.rows.length === 0) {
+          throw httpError(404, 'Assignment not found');
+        }
+
+        const record = current.rows[0];
+
+        // Base-scoped users can only close assignments at their bases
+        if (!canAccessBase(req.user, record.base_id)) {
+          throw httpError(403, 'You can only update assignments for your assigned bases');
+        }
+
+        if (record.is_voided) {
+          throw httpError(409, 'Assignment has been voided');
+        }
+
+        if (record.status !== 'active') {
+          throw httpError(409, `Assignment is already ${record.status}`);
+        }
+
+        if (outcome.restock) {
+          await postStockMovement(client, {
+            baseId: record.base_id,
+            equipmentTypeId: record.equipment_type_id,
+            quantity: 1,
+            movementType: 'assignment_return',
+            referenceType: 'ASSIGNMENT',
+            referenceId: record.id,
+            movementDate: closedOn,
+            userId: req.user.id
+          });
+        }
+
+        const result = await client.query(
+          `UPDATE assignments
+           SET status = $2,
+               return_date = $3,
+               notes = CASE WHEN $4::TEXT IS NULL THEN notes ELSE CONCAT_WS(E'\n', notes, $4::TEXT) END
+           WHERE id = $1
+           RETURNING *`,
+          [id, outcome.status, closedOn, notes?.trim() || null]
+        );
+        const updated = result.rows[0];
+
+        if (record.item_id) {
+          await moveSerializedItems(client, [record.item_id], {
+            status: outcome.restock ? 'in_stock' : outcome.status,
+            baseId: record.base_id
+          }, {
+            eventType: outcome.restock ? 'returned' : outcome.status,
+            personnelId: record.personnel_id,
+            referenceType: 'ASSIGNMENT',
+            referenceId: record.id,
+            eventDate: closedOn,
+            notes: notes?.trim(),
+            userId: req.user.id
+          });
+        }
+
+        // Create audit log
+        await appendAudit(client, req, req.user.id, outcome.action, 'ASSIGNMENT', updated.id, {
+          base_id: updated.base_id,
+          equipment_type_id: updated.equipment_type_id,
+          personnel_id: updated.personnel_id,
+          serial_number: updated.serial_number,
+          status: updated.status,
+          return_date: closedOn,
+          notes
+        });
+
+        return updated;
+      });
+
+      logger.info(`Assignment ${assignment.id} marked ${assignment.status} by user ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Assignment marked as ${assignment.status}`,
+        data: assignment
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      logger.error(`Assignment ${outcomeKey} error:`, error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Failed to update assignment' 
+      });
+    }
+  };
+};
+
+Object.keys(ASSIGNMENT_OUTCOMES).forEach((outcomeKey) => {
+  app.patch(
+    `/api/assignments/:id/${outcomeKey}`,
+    authenticateToken,
+    requirePermission('assignment:close'),
+    requireNumericId,
+    closeAssignment(outcomeKey)
+  );
+});
+
+
+/**
+ * Admin corrections for movement records. Each entry lists the editable
+ * columns and how a record in its current state posts to the stock ledger;
+ * `dates` carries the dates of existing postings so dispatch/receipt/return
+ * postings keep the day they actually happened.
+ */
+const RECORD_CORRECTIONS = {
+  purchases: {
+    entityType: 'PURCHASE',
+    label: 'Purchase',
+    fields: ['base_id', 'equipment_type_id', 'quantity', 'cost', 'purchase_date', 'supplier', 'notes'],
+    required: ['base_id', 'equipment_type_id', 'quantity', 'purchase_date'],
+    baseColumns: ['base_id'],
+    postings: (record) => [
+      {
+        baseId: record.base_id,
+        equipmentTypeId: record.equipment_type_id,
+        quantity: record.quantity,
+        movementType: 'purchase',
+        movementDate: toDateString(record.purchase_date)
+      }
+    ]
+  },
+  transfers: {
+    entityType: 'TRANSFER',
+    label: 'Transfer',
+    fields: ['from_base_id', 'to_base_id', 'equipment_type_id', 'quantity', 'transfer_date', 'notes'],
+    required: ['from_base_id', 'to_base_id', 'equipment_type_id', 'quantity', 'transfer_date'],
+    baseColumns: ['from_base_id', 'to_base_id'],
+    serialFields: ['from_base_id', 'to_base_id', 'equipment_type_id', 'quantity'],
+    serialItemIds: (client, record) => transferItemIds(client, record.id),
+    // Serials on the road or delivered go back to the sending base
+    serialsOut: (record) => ['in_transit', 'completed'].includes(record.status),
+    serialHome: (record) => record.from_base_id,
+    postings: (record, dates) => {
+      const postings = [];
+      const common = { equipmentTypeId: record.equipment_type_id };
+
+      if (dates.transfer_out || ['in_transit', 'completed'].includes(record.status)) {
+        postings.push({
+          ...common,
+          baseId: record.from_base_id,
+          quantity: -record.quantity,
+          movementType: 'transfer_out',
+          movementDate: dates.transfer_out || toDateString(record.transfer_date)
+        });
+      }
+      if (record.status === 'completed') {
+        postings.push({
+          ...common,
+          baseId: record.to_base_id,
+          quantity: record.quantity,
+          movementType: 'transfer_in',
+          movementDate: dates.transfer_in || toDateString(record.transfer_date)
+        });
+      }
+      if (dates.transfer_return) {
+        postings.push({
+          ...common,
+          baseId: record.from_base_id,
+          quantity: record.quantity,
+          movementType: 'transfer_return',
+          movementDate: dates.transfer_return
+        });
+      }
+
+      return postings;
+    }
+  },
+  assignments: {
+    entityType: 'ASSIGNMENT',
+    label: 'Assignment',
+    fields: ['base_id', 'equipment_type_id', 'personnel_id', 'serial_number', 'assignment_date', 'notes'],
+    required: ['base_id', 'equipment_type_id', 'personnel_id', 'assignment_date'],
+    baseColumns: ['base_id'],
+    serialFields: ['base_id', 'equipment_type_id', 'personnel_id', 'serial_number'],
+    serialItemIds: async (client, record) => (record.item_id ? [record.item_id] : []),
+    // Returned items are already back on the shelf
+    serialsOut: (record) => record.status !== 'returned',
+    serialHome: (record) => record.base_id,
+    postings: (record, dates) => {
+      const postings = [
+        {
+          baseId: record.base_id,
+          equipmentTypeId: record.equipment_type_id,
+          quantity: -1,
+          movementType: 'assignment',
+          movementDate: toDateString(record.assignment_date)
+        }
+      ];
+
+      if (record.status === 'returned') {
+        postings.push({
+          baseId: record.base_id,
+          equipmentTypeId: record.equipment_type_id,
+          quantity: 1,
+          movementType: 'assignment_return',
+          movementDate: dates.assignment_return || toDateString(record.return_date)
+        });
+      }
+
+      return postings;
+    }
+  }
+};
+
+
+/**
+ * Bring a record's ledger postings in line with its corrected (or voided)
+ * state: reverse what it currently nets to, post what it should net to, and
+ * skip anything that cancels out. Increases are posted before decreases so a
+ * correction only fails when the end result would overdraw a base.
+ */
+const restateRecordPostings = async (client, correction, record, userId) => {
+  const current = await client.query(
+    `SELECT base_id, equipment_type_id, movement_type, movement_date::TEXT as movement_date,
+            SUM(quantity)::INTEGER as quantity
+     FROM stock_movements
+     WHERE reference_type = $1 AND reference_id = $2
+     GROUP BY base_id, equipment_type_id, movement_type, movement_date
+     HAVING SUM(quantity) <> 0`,
+    [correction.entityType, record.id]
+  );
+
+  const dates = {};
+  current.rows.forEach((row) => { dates[row.movement_type] = row.movement_date; });
+
+  const desired = record.is_voided ? [] : correction.postings(record, dates);
+
+  const net = {};
+  const addPosting = (posting) => {
+    const key = [posting.baseId, posting.equipmentTypeId, posting.movementType, posting.movementDate].join('|');
+    if (!net[key]) net[key] = { ...posting, quantity: 0 };
+    net[key].quantity += posting.quantity;
+  };
+
+  current.rows.forEach((row) => addPosting({
+    baseId: row.base_id,
+    equipmentTypeId: row.equipment_type_id,
+    movementType: row.movement_type,
+    movementDate: row.movement_date,
+    quantity: -row.quantity
+  }));
+  desired.forEach(addPosting);
+
+  const postings = Object.values(net)
+    .filter((posting) => posting.quantity !== 0)
+    .sort((a, b) => b.quantity - a.quantity);
+
+  for (const posting of postings) {
+    await postStockMovement(client, {
+      ...posting,
+      referenceType: correction.entityType,
+      referenceId: record.id,
+      userId
+    });
+  }
+};
+
+
+// Column widths for the free-text fields a correction can change
+const CORRECTION_TEXT_LIMITS = { supplier: 255, serial_number: 100 };
+
+/**
+ * Check a corrected value the way the create endpoints check it, returning
+ * the error message or null when the value is acceptable
+ */
+const correctionValueError = (field, value) => {
+  if (value === null) return null;
+
+  if (field.endsWith('_id')) {
+    return (typeof value === 'number' || typeof value === 'string') && isRecordId(value)
+      ? null
+      : `${field} must be a numeric id`;
+  }
+  if (field === 'quantity') {
+    return typeof value !== 'boolean' && isValidQuantity(value) ? null : 'Quantity must be a positive whole number';
+  }
+  if (field === 'cost') {
+    const cost = Number(value);
+    return (typeof value === 'number' || typeof value === 'string') && Number.isFinite(cost) && cost >= 0
+      ? null
+      : 'cost must be a number of zero or more';
+  }
+  if (field.endsWith('_date')) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value))
+      ? null
+      : `${field} must be a date in YYYY-MM-DD format`;
+  }
+  if (typeof value !== 'string') {
+    return `${field} must be text`;
+  }
+  if (CORRECTION_TEXT_LIMITS[field] && value.length > CORRECTION_TEXT_LIMITS[field]) {
+    return `${field} must be ${CORRECTION_TEXT_LIMITS[field]} characters or fewer`;
+  }
+  return null;
+};
+
+
+/**
+ * Build the admin correction handler for a movement resource
+ */
+const correctRecord = (resource) => async (req, res) => {
+  const correction = RECORD_CORRECTIONS[resource];
+
+  try {
+    const { id } = req.params;
+    const { reason, ...body } = req.body || {};
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'reason must be text' 
+      });
+    }
+
+    const record = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM ${resource} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw httpError(404, `${correction.label} not found`);
+      }
+
+      const original = current.rows[0];
+
+      if (original.is_voided) {
+        throw httpError(409, `${correction.label} has been voided and can no longer be corrected`);
+      }
+
+      // Collect only the fields that actually change
+      const diff = {};
+      for (const field of correction.fields) {
+        if (!(field in body)) continue;
+
+        const beforeValue = original[field] instanceof Date ? toDateString(original[field]) : original[field];
+        const afterValue = body[field] === '' ? null : body[field];
+
+        if (correction.required.includes(field) && (afterValue === null || afterValue === undefined)) {
+          throw httpError(400, `${field} cannot be empty`);
+        }
+
+        const valueError = correctionValueError(field, afterValue);
+        if (valueError) {
+          throw httpError(400, valueError);
+        }
+
+        if (String(beforeValue ?? '') !== String(afterValue ?? '')) {
+          diff[field] = { before: beforeValue, after: afterValue };
+        }
+      }
+
+      if (Object.keys(diff).length === 0) {
+        throw httpError(400, 'No changes to apply');
+      }
+
+      // Serials only move through the workflow, so these fields are fixed once serials are attached
+      const serialChanges = (correction.serialFields || []).filter((field) => field in diff);
+      if (serialChanges.length > 0) {
+        const itemIds = await correction.serialItemIds(client, original);
+        const toSerialized = 'equipment_type_id' in diff && await isSerializedType(client, diff.equipment_type_id.after);
+        if (itemIds.length > 0 || toSerialized) {
+          throw httpError(409, `${serialChanges.join(', ')} cannot be corrected on a record of serialized equipment; void it and enter it again`);
+        }
+      }
+
+      // A purchase's lot belongs to its equipment type
+      if (resource === 'purchases' && 'equipment_type_id' in diff
+          && (original.lot_id || await isLotTrackedType(client, diff.equipment_type_id.after))) {
+        throw httpError(409, 'equipment_type_id cannot be corrected on a purchase of lot-tracked equipment; void it and enter it again');
+      }
+
+      // Moving a record onto a retired base or equipment type is new stock there
+      const changedBases = ['base_id', 'from_base_id', 'to_base_id']
+        .filter((field) => field in diff)
+        .map((field) => diff[field].after);
+      if (changedBases.length > 0 || 'equipment_type_id' in diff) {
+        await assertActiveReferences(client, {
+          baseIds: changedBases,
+          equipmentTypeId: 'equipment_type_id' in diff ? diff.equipment_type_id.after : null
+        });
+      }
+
+      if (resource === 'transfers') {
+        const fromBase = 'from_base_id' in diff ? diff.from_base_id.after : original.from_base_id;
+        const toBase = 'to_base_id' in diff ? diff.to_base_id.after : original.to_base_id;
+        if (String(fromBase) === String(toBase)) {
+          throw httpError(400, 'Cannot transfer to the same base');
+        }
+      }
+
+      const fields = Object.keys(diff);
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const updated = await client.query(
+        `UPDATE ${resource}
+         SET ${assignments.join(', ')}, revision = revision + 1
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...fields.map((field) => diff[field].after)]
+      );
+
+      const corrected = updated.rows[0];
+      await restateRecordPostings(client, correction, corrected, req.user.id);
+
+      // Create audit log with the before/after diff
+      await appendAudit(client, req, req.user.id, 'UPDATE', correction.entityType, corrected.id, {
+        revision: corrected.revision,
+        previous_revision: original.revision,
+        changes: diff,
+        reason
+      });
+
+      return corrected;
+    });
+
+    logger.info(`${correction.label} corrected: ID ${record.id} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${correction.label} record corrected successfully`,
+      data: record
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'A referenced base, equipment type or personnel record does not exist' });
+    }
+    logger.error(`Correct ${correction.entityType.toLowerCase()} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to correct ${correction.label.toLowerCase()} record` 
+    });
+  }
+};
+
+
+/**
+ * Build the admin void handler for a movement resource
+ */
+const voidRecord = (resource) => async (req, res) => {
+  const correction = RECORD_CORRECTIONS[resource];
+
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A reason is required to void a record' 
+      });
+    }
+
+    const record = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM ${resource} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw httpError(404, `${correction.label} not found`);
+      }
+
+      if (current.rows[0].is_voided) {
+        throw httpError(409, `${correction.label} is already voided`);
+      }
+
+      const updated = await client.query(
+        `UPDATE ${resource}
+         SET is_voided = true, voided_by = $2, voided_at = NOW(), void_reason = $3
+         WHERE id = $1
+         RETURNING *`,
+        [id, req.user.id, reason.trim()]
+      );
+
+      const voided = updated.rows[0];
+
+      // Serials go back on the shelf before the stock they count against
+      if (correction.serialItemIds && correction.serialsOut(voided)) {
+        await restoreSerializedItems(client, {
+          itemIds: await correction.serialItemIds(client, voided),
+          referenceType: correction.entityType,
+          referenceId: voided.id,
+          baseId: correction.serialHome(voided),
+          reason: voided.void_reason,
+          userId: req.user.id
+        });
+      }
+
+      await restateRecordPostings(client, correction, voided, req.user.id);
+
+      await appendAudit(client, req, req.user.id, 'VOID', correction.entityType, voided.id, {
+        reason: voided.void_reason,
+        record: Object.fromEntries(correction.fields.map((field) => [field, voided[field]]))
+      });
+
+      return voided;
+    });
+
+    logger.info(`${correction.label} voided: ID ${record.id} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${correction.label} record voided successfully`,
+      data: record
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`Void ${correction.entityType.toLowerCase()} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to void ${correction.label.toLowerCase()} record` 
+    });
+  }
+};
+
+
+/**
+ * Build the revision history handler for a movement resource
+ */
+const recordHistory = (resource) => async (req, res) => {
+  const correction = RECORD_CORRECTIONS[resource];
+
+  try {
+    const { id } = req.params;
+
+    const recordQuery = await pool.query(
+      `SELECT ${correction.baseColumns.join(', ')} FROM ${resource} WHERE id = $1`,
+      [id]
+    );
+
+    if (recordQuery.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: `${correction.label} not found` 
+      });
+    }
+
+    // Base-scoped users can only see history for records touching their bases
+    if (!correction.baseColumns.some((column) => canAccessBase(req.user, recordQuery.rows[0][column]))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Access denied. You do not have permission to perform this action.' 
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT 
+        al.id,
+        al.action,
+        al.details,
+        al.timestamp,
+        u.name as user_name,
+        u.role as user_role
+       FROM audit_logs al
+       -- Lockout events are recorded without a signed-in user
+       LEFT JOIN users u ON al.user_id = u.id
+       WHERE al.entity_type = $1 AND al.entity_id = $2
+       ORDER BY al.timestamp, al.id`,
+      [correction.entityType, id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error(`Get ${correction.entityType.toLowerCase()} history error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch record history' 
+    });
+  }
+};
+
+
+Object.keys(RECORD_CORRECTIONS).forEach((resource) => {
+  app.patch(`/api/${resource}/:id`, authenticateToken, requirePermission('record:correct'), requireNumericId, correctRecord(resource));
+  app.patch(`/api/${resource}/:id/void`, authenticateToken, requirePermission('record:void'), requireNumericId, voidRecord(resource));
+  app.get(
+    `/api/${resource}/:id/history`,
+    authenticateToken,
+    requirePermission(`${RECORD_CORRECTIONS[resource].entityType.toLowerCase()}:read`),
+    requireNumericId,
+    recordHistory(resource)
+  );
+});
+
+
+const EXPENDITURE_REASONS = ['training', 'operations', 'disposal', 'loss'];
+
+app.get('/api/expenditures', authenticateToken, requirePermission('expenditure:read'), async (req, res) => {
+  try {
+    let query = `
+      SELECT 
+        x.id,
+        x.base_id,
+        x.equipment_type_id,
+        x.quantity,
+        x.expenditure_date,
+        x.reason,
+        x.lot_id,
+        x.notes,
+        x.created_at,
+        b.name as base_name,
+        e.name as equipment_name,
+        e.category as equipment_category,
+        e.unit_of_measure,
+        u.name as created_by_name,
+        ${lotsDrawnSql('EXPENDITURE', 'x.id', 'x.base_id')} as lots
+      FROM expenditures x
+      JOIN bases b ON x.base_id = b.id
+      JOIN equipment_types e ON x.equipment_type_id = e.id
+      LEFT JOIN users u ON x.created_by = u.id
+    `;
+    
+    const params = [];
+    query += ` WHERE ${scopeToBases(req.user, params, 'x.base_id')}`;
+
+    query += ' ORDER BY x.expenditure_date DESC, x.created_at DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get expenditures error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch expenditure records' 
+    });
+  }
+});
+
+
+app.post('/api/expenditures', authenticateToken, requirePermission('expenditure:create'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, quantity, expenditure_date, reason, notes, lot_id } = req.body;
+
+    // Input validation
+    if (!base_id || !equipment_type_id || !quantity || !expenditure_date || !reason) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: base_id, equipment_type_id, quantity, expenditure_date, reason' 
+      });
+    }
+
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Quantity must be a positive whole number' 
+      });
+    }
+
+    if (!EXPENDITURE_REASONS.includes(reason)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Reason must be one of: ${EXPENDITURE_REASONS.join(', ')}` 
+      });
+    }
+
+    assertRecordIds({ base_id, equipment_type_id, lot_id });
+
+    if (!isValidDate(expenditure_date)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'expenditure_date must be a date in YYYY-MM-DD format' 
+      });
+    }
+
+    // Base-scoped users can only record expenditures for their own bases
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only record expenditures for your assigned bases' 
+      });
+    }
+
+    // Insert expenditure record and draw the quantity down from base stock
+    const expenditure = await withTransaction(async (client) => {
+      // Naming a lot is how expired or recalled stock is disposed of
+      if (lot_id) {
+        const lot = await client.query(
+          'SELECT id FROM equipment_lots WHERE id = $1 AND equipment_type_id = $2',
+          [lot_id, equipment_type_id]
+        );
+        if (lot.rows.length === 0) {
+          throw httpError(400, 'The chosen lot is not a lot of this equipment type');
+        }
+      }
+
+      const result = await client.query(
+        `INSERT INTO expenditures 
+         (base_id, equipment_type_id, quantity, expenditure_date, reason, lot_id, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+         RETURNING *`,
+        [base_id, equipment_type_id, quantity, expenditure_date, reason, lot_id || null, notes, req.user.id]
+      );
+      const record = result.rows[0];
+
+      await postStockMovement(client, {
+        baseId: base_id,
+        equipmentTypeId: equipment_type_id,
+        quantity: -record.quantity,
+        movementType: 'expenditure',
+        referenceType: 'EXPENDITURE',
+        referenceId: record.id,
+        movementDate: expenditure_date,
+        lotId: record.lot_id,
+        userId: req.user.id
+      });
+
+      const lots = await client.query(
+        `SELECT l.lot_number, -lm.quantity as quantity
+         FROM lot_movements lm
+         JOIN equipment_lots l ON lm.lot_id = l.id
+         WHERE lm.reference_type = 'EXPENDITURE' AND lm.reference_id = $1
+         ORDER BY lm.id`,
+        [record.id]
+      );
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'EXPENDITURE', record.id, {
+        base_id,
+        equipment_type_id,
+        quantity,
+        reason,
+        ...(lots.rows.length > 0 && { lots: lots.rows })
+      });
+
+      return { ...record, lots: lots.rows };
+    });
+
+    logger.info(`New expenditure created: ID ${expenditure.id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expenditure record created successfully',
+      data: expenditure
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Create expenditure error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create expenditure record' 
+    });
+  }
+});
+
+
+/**
+ * Reference data managed by admins. Retiring hides a record from pickers
+ * but keeps it for history; `retireChecks` list what must be cleared first
+ * and `assertChanges` can veto an edit that would strand existing records.
+ */
+const REFERENCE_ENTITIES = {
+  bases: {
+    table: 'bases',
+    entityType: 'BASE',
+    label: 'Base',
+    fields: ['name', 'location', 'commander_name'],
+    required: ['name'],
+    // Column widths of the text fields
+    textFields: { name: 100, location: 255, commander_name: 100 },
+    orderBy: 'name',
+    retireChecks: [
+      {
+        sql: 'SELECT COALESCE(SUM(quantity), 0)::INTEGER as count FROM assets WHERE base_id = $1',
+        message: (count) => `still holds ${count} item(s) of stock`
+      },
+      {
+        sql: `SELECT COUNT(*)::INTEGER as count FROM transfers
+              WHERE (from_base_id = $1 OR to_base_id = $1)
+                AND status IN ('pending', 'in_transit') AND NOT is_voided`,
+        message: (count) => `has ${count} open transfer(s)`
+      },
+      {
+        sql: `SELECT COUNT(*)::INTEGER as count FROM assignments
+              WHERE base_id = $1 AND status = 'active' AND NOT is_voided`,
+        message: (count) => `has ${count} active assignment(s)`
+      }
+    ]
+  },
+  'equipment-types': {
+    table: 'equipment_types',
+    entityType: 'EQUIPMENT_TYPE',
+    label: 'Equipment type',
+    fields: ['name', 'category', 'description', 'unit_of_measure', 'is_serialized', 'is_lot_tracked'],
+    required: ['name', 'category'],
+    // Column widths of the text fields; description is unbounded TEXT
+    textFields: { name: 100, category: 50, description: null, unit_of_measure: 20 },
+    defaults: { is_serialized: false, is_lot_tracked: false },
+    orderBy: 'category, name',
+    assertChanges: async (client, original, diff) => {
+      const flags = ['is_serialized', 'is_lot_tracked'];
+      if (flags.some((flag) => diff[flag] && typeof diff[flag].after !== 'boolean')) {
+        throw httpError(400, `${flags.join(' and ')} must be true or false`);
+      }
+
+      const [serialized, lotTracked] = flags.map((flag) => (flag in diff ? diff[flag].after : original[flag]));
+      if (serialized && lotTracked) {
+        throw httpError(400, 'An equipment type is tracked by serial number or by lot, not both');
+      }
+
+      if (original.is_serialized && diff.is_serialized?.after === false) {
+        const items = await client.query(
+          'SELECT COUNT(*)::INTEGER as count FROM serialized_items WHERE equipment_type_id = $1',
+          [original.id]
+        );
+        if (items.rows[0].count > 0) {
+          throw httpError(409, `${original.name} has ${items.rows[0].count} registered serial number(s)`);
+        }
+      }
+      if (original.is_lot_tracked && diff.is_lot_tracked?.after === false) {
+        const lots = await client.query(
+          `SELECT COALESCE(SUM(ls.quantity), 0)::INTEGER as count
+           FROM lot_stock ls JOIN equipment_lots l ON ls.lot_id = l.id
+           WHERE l.equipment_type_id = $1`,
+          [original.id]
+        );
+        if (lots.rows[0].count > 0) {
+          throw httpError(409, `${original.name} has ${lots.rows[0].count} unit(s) held in lots`);
+        }
+      }
+    },
+    retireChecks: [
+      {
+        sql: 'SELECT COALESCE(SUM(quantity), 0)::INTEGER as count FROM assets WHERE equipment_type_id = $1',
+        message: (count) => `still has ${count} item(s) in stock`
+      },
+      {
+        sql: `SELECT COUNT(*)::INTEGER as count FROM transfers
+              WHERE equipment_type_id = $1
+                AND status IN ('pending', 'in_transit') AND NOT is_voided`,
+        message: (count) => `has ${count} open transfer(s)`
+      },
+      {
+        sql: `SELECT COUNT(*)::INTEGER as count FROM assignments
+              WHERE equipment_type_id = $1 AND status = 'active' AND NOT is_voided`,
+        message: (count) => `has ${count} active assignment(s)`
+      }
+    ]
+  }
+};
+
+
+/**
+ * Case-insensitive name uniqueness check for reference data
+ */
+const assertUniqueName = async (db, entity, name, excludeId = null) => {
+  const existing = await db.query(
+    `SELECT id FROM ${entity.table} WHERE LOWER(name) = LOWER($1) AND ($2::INTEGER IS NULL OR id <> $2)`,
+    [name, excludeId]
+  );
+
+  if (existing.rows.length > 0) {
+    throw httpError(409, `${entity.label} named "${name}" already exists`);
+  }
+};
+
+
+/**
+ * Reject text fields sent as anything but text, or longer than their column
+ */
+const assertReferenceText = (entity, body) => {
+  for (const [field, maxLength] of Object.entries(entity.textFields)) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'string') {
+      throw httpError(400, `${field} must be text`);
+    }
+    if (maxLength && value.trim().length > maxLength) {
+      throw httpError(400, `${field} must be ${maxLength} characters or fewer`);
+    }
+  }
+};
+
+
+/**
+ * Build the list handler for a reference resource. Retired records are
+ * only returned to admins who ask for them.
+ */
+const listReferenceData = (resource) => async (req, res) => {
+  const entity = REFERENCE_ENTITIES[resource];
+
+  try {
+    const includeRetired = req.query.include_retired === 'true' && hasPermission(req.user, 'reference:manage');
+
+    const result = await pool.query(
+      `SELECT id, ${entity.fields.join(', ')}, is_active, retired_at
+       FROM ${entity.table}
+       ${includeRetired ? '' : 'WHERE is_active'}
+       ORDER BY ${entity.orderBy}`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+
+  } catch (error) {
+    logger.error(`Get ${resource} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to fetch ${resource.replace('-', ' ')}` 
+    });
+  }
+};
+
+
+/**
+ * Build the admin create handler for a reference resource
+ */
+const createReferenceData = (resource) => async (req, res) => {
+  const entity = REFERENCE_ENTITIES[resource];
+
+  try {
+    assertReferenceText(entity, req.body || {});
+
+    const values = entity.fields.map((field) => (
+      typeof req.body[field] === 'string'
+        ? req.body[field].trim() || null
+        : req.body[field] ?? entity.defaults?.[field] ?? null
+    ));
+
+    // Input validation
+    const missing = entity.required.filter((field) => !values[entity.fields.indexOf(field)]);
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Required fields: ${entity.required.join(', ')}` 
+      });
+    }
+
+    const record = await withTransaction(async (client) => {
+      await assertUniqueName(client, entity, values[0]);
+      if (entity.assertChanges) {
+        await entity.assertChanges(client, {}, Object.fromEntries(
+          entity.fields.map((field, index) => [field, { before: null, after: values[index] }])
+        ));
+      }
+
+      const result = await client.query(
+        `INSERT INTO ${entity.table} (${entity.fields.join(', ')})
+         VALUES (${entity.fields.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        values
+      );
+      const created = result.rows[0];
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', entity.entityType, created.id,
+        Object.fromEntries(entity.fields.map((field) => [field, created[field]])));
+
+      return created;
+    });
+
+    logger.info(`${entity.label} created: ${record.name} (ID ${record.id}) by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${entity.label} created successfully`,
+      data: record
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: `${entity.label} name must be unique` });
+    }
+    logger.error(`Create ${entity.entityType.toLowerCase()} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to create ${entity.label.toLowerCase()}` 
+    });
+  }
+};
+
+
+/**
+ * Build the admin update handler for a reference resource
+ */
+const updateReferenceData = (resource) => async (req, res) => {
+  const entity = REFERENCE_ENTITIES[resource];
+
+  try {
+    const { id } = req.params;
+    assertReferenceText(entity, req.body || {});
+
+    const record = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM ${entity.table} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw httpError(404, `${entity.label} not found`);
+      }
+
+      const original = current.rows[0];
+      const diff = {};
+
+      for (const field of entity.fields) {
+        if (!(field in req.body)) continue;
+
+        const value = typeof req.body[field] === 'string' ? req.body[field].trim() || null : req.body[field];
+
+        if (entity.required.includes(field) && !value) {
+          throw httpError(400, `${field} cannot be empty`);
+        }
+        if (value !== original[field]) {
+          diff[field] = { before: original[field], after: value };
+        }
+      }
+
+      if (Object.keys(diff).length === 0) {
+        throw httpError(400, 'No changes to apply');
+      }
+
+      if (diff.name) {
+        await assertUniqueName(client, entity, diff.name.after, original.id);
+      }
+      if (entity.assertChanges) {
+        await entity.assertChanges(client, original, diff);
+      }
+
+      const fields = Object.keys(diff);
+      const updated = await client.query(
+        `UPDATE ${entity.table}
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...fields.map((field) => diff[field].after)]
+      );
+
+      await appendAudit(client, req, req.user.id, 'UPDATE', entity.entityType, original.id, { changes: diff });
+
+      return updated.rows[0];
+    });
+
+    logger.info(`${entity.label} updated: ID ${record.id} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${entity.label} updated successfully`,
+      data: record
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: `${entity.label} name must be unique` });
+    }
+    logger.error(`Update ${entity.entityType.toLowerCase()} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to update ${entity.label.toLowerCase()}` 
+    });
+  }
+};
+
+
+/**
+ * Build the admin retire/reinstate handler for a reference resource
+ */
+const setReferenceDataActive = (resource, active) => async (req, res) => {
+  const entity = REFERENCE_ENTITIES[resource];
+
+  try {
+    const { id } = req.params;
+
+    const record = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT * FROM ${entity.table} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw httpError(404, `${entity.label} not found`);
+      }
+
+      if (current.rows[0].is_active === active) {
+        throw httpError(409, `${entity.label} is already ${active ? 'active' : 'retired'}`);
+      }
+
+      if (!active) {
+        const blockers = [];
+        for (const check of entity.retireChecks) {
+          const result = await client.query(check.sql, [id]);
+          if (result.rows[0].count > 0) blockers.push(check.message(result.rows[0].count));
+        }
+
+        if (blockers.length > 0) {
+          throw httpError(409, `Cannot retire ${current.rows[0].name}: it ${blockers.join(' and ')}`);
+        }
+      }
+
+      const updated = await client.query(
+        `UPDATE ${entity.table}
+         SET is_active = $2, retired_at = CASE WHEN $2 THEN NULL ELSE NOW() END
+         WHERE id = $1
+         RETURNING *`,
+        [id, active]
+      );
+
+      await appendAudit(client, req, req.user.id, active ? 'REINSTATE' : 'RETIRE', entity.entityType, current.rows[0].id, {
+        name: current.rows[0].name
+      });
+
+      return updated.rows[0];
+    });
+
+    logger.info(`${entity.label} ${active ? 'reinstated' : 'retired'}: ID ${record.id} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${entity.label} ${active ? 'reinstated' : 'retired'} successfully`,
+      data: record
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`${active ? 'Reinstate' : 'Retire'} ${entity.entityType.toLowerCase()} error:`, error);
+    res.status(500).json({ 
+      success: false,
+      error: `Failed to ${active ? 'reinstate' : 'retire'} ${entity.label.toLowerCase()}` 
+    });
+  }
+};
+
+Object.keys(REFERENCE_ENTITIES).forEach((resource) => {
+  app.get(`/api/${resource}`, authenticateToken, listReferenceData(resource));
+  app.post(`/api/${resource}`, authenticateToken, requirePermission('reference:manage'), createReferenceData(resource));
+  app.patch(`/api/${resource}/:id`, authenticateToken, requirePermission('reference:manage'), requireNumericId, updateReferenceData(resource));
+  app.patch(`/api/${resource}/:id/retire`, authenticateToken, requirePermission('reference:manage'), requireNumericId, setReferenceDataActive(resource, false));
+  app.patch(`/api/${resource}/:id/reinstate`, authenticateToken, requirePermission('reference:manage'), requireNumericId, setReferenceDataActive(resource, true));
+});
+
+
+/**
+ * Allowed personnel status changes. Leaving active service (inactive or
+ * transferred out) is blocked while the person still holds equipment.
+ */
+const PERSONNEL_STATUS_TRANSITIONS = {
+  active: ['inactive', 'transferred'],
+  inactive: ['active'],
+  transferred: ['active']
+};
+
+const PERSONNEL_STATUSES = Object.keys(PERSONNEL_STATUS_TRANSITIONS);
+
+// Equipment currently held by each person, as a JSON array
+const HELD_EQUIPMENT_SQL = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'assignment_id', a.id,
+      'equipment_type_id', a.equipment_type_id,
+      'equipment_name', e.name,
+      'equipment_category', e.category,
+      'serial_number', a.serial_number,
+      'assignment_date', a.assignment_date
+    ) ORDER BY a.assignment_date, a.id)
+    FROM assignments a
+    JOIN equipment_types e ON a.equipment_type_id = e.id
+    WHERE a.personnel_id = p.id AND a.status = 'active' AND NOT a.is_voided
+  ), '[]'::json)`;
+
+
+/**
+ * Load a person for a write, enforcing base scoping
+ */
+const findScopedPersonnel = async (client, id, user) => {
+  const result = await client.query('SELECT * FROM personnel WHERE id = $1 FOR UPDATE', [id]);
+
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Personnel not found');
+  }
+
+  if (!canAccessBase(user, result.rows[0].base_id)) {
+    throw httpError(403, 'You can only manage personnel at your assigned bases');
+  }
+
+  return result.rows[0];
+};
+
+
+app.get('/api/personnel', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+  try {
+    const { status = 'active' } = req.query;
+
+    if (status !== 'all' && !PERSONNEL_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be one of: all, ${PERSONNEL_STATUSES.join(', ')}` 
+      });
+    }
+
+    let query = `
+      SELECT 
+        p.id,
+        p.name,
+        p.rank,
+        p.unit,
+        p.base_id,
+        p.status,
+        p.created_at,
+        p.updated_at,
+        b.name as base_name,
+        ${HELD_EQUIPMENT_SQL} as held_equipment
+      FROM personnel p
+      LEFT JOIN bases b ON p.base_id = b.id
+      WHERE 1=1
+    `;
+
+    let params = [];
+
+    if (status !== 'all') {
+      params.push(status);
+      query += ` AND p.status = $${params.length}`;
+    }
+
+    query += ` AND ${scopeToBases(req.user, params, 'p.base_id')}`;
+
+    query += ' ORDER BY p.name';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get personnel error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch personnel' 
+    });
+  }
+});
+
+
+app.get('/api/personnel/:id', authenticateToken, requirePermission('personnel:read'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT 
+        p.*,
+        b.name as base_name,
+        ${HELD_EQUIPMENT_SQL} as held_equipment
+       FROM personnel p
+       LEFT JOIN bases b ON p.base_id = b.id
+       WHERE p.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Personnel not found' 
+      });
+    }
+
+    if (!canAccessBase(req.user, result.rows[0].base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Access denied. You do not have permission to perform this action.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Get personnel record error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch personnel record' 
+    });
+  }
+});
+
+
+app.post('/api/personnel', authenticateToken, requirePermission('personnel:manage'), async (req, res) => {
+  try {
+    const { name, rank, unit } = req.body;
+    // Base-scoped users default to their home base
+    const base_id = req.body.base_id || (isBaseScoped(req.user) ? req.user.base_id : null);
+
+    // Input validation
+    if (!name?.trim() || !base_id) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: name, base_id' 
+      });
+    }
+
+    // Base-scoped users can only add personnel to their own bases
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only add personnel to your assigned bases' 
+      });
+    }
+
+    const person = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO personnel (name, rank, unit, base_id, status)
+         VALUES ($1, $2, $3, $4, 'active')
+         RETURNING *`,
+        [name.trim(), rank || null, unit || null, base_id]
+      );
+      const record = result.rows[0];
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'PERSONNEL', record.id, {
+        name: record.name,
+        rank: record.rank,
+        unit: record.unit,
+        base_id: record.base_id
+      });
+
+      return record;
+    });
+
+    logger.info(`Personnel created: ${person.name} (ID ${person.id}) by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Personnel record created successfully',
+      data: person
+    });
+
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base does not exist' });
+    }
+    logger.error('Create personnel error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create personnel record' 
+    });
+  }
+});
+
+
+app.patch('/api/personnel/:id', authenticateToken, requirePermission('personnel:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    // Only the fields sent are changed; an empty rank or unit clears it
+    const values = {};
+    for (const field of ['name', 'rank', 'unit']) {
+      if (!(field in body)) continue;
+      const value = body[field];
+      if (value !== null && typeof value !== 'string') {
+        return res.status(400).json({ 
+          success: false,
+          error: `${field} must be text` 
+        });
+      }
+      values[field] = value?.trim() || null;
+    }
+
+    if ('name' in values && !values.name) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Name cannot be empty' 
+      });
+    }
+
+    if ('base_id' in body) {
+      if (!isRecordId(body.base_id)) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'base_id must be a numeric id' 
+        });
+      }
+      values.base_id = Number(body.base_id);
+    }
+
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Provide name, rank, unit or base_id' 
+      });
+    }
+
+    const person = await withTransaction(async (client) => {
+      const current = await findScopedPersonnel(client, id, req.user);
+
+      const base_id = values.base_id;
+      const baseChanged = base_id !== undefined && base_id !== current.base_id;
+
+      // Moving someone away from your bases goes through the transferred status
+      if (baseChanged && !canAccessBase(req.user, base_id)) {
+        throw httpError(403, 'You can only manage personnel at your assigned bases');
+      }
+
+      if (baseChanged) {
+        const held = await client.query(
+          `SELECT COUNT(*)::INTEGER as count FROM assignments
+           WHERE personnel_id = $1 AND status = 'active' AND NOT is_voided`,
+          [id]
+        );
+        if (held.rows[0].count > 0) {
+          throw httpError(409, `${current.name} still holds ${held.rows[0].count} assigned item(s); return them before changing base`);
+        }
+      }
+
+      const updated = await client.query(
+        `UPDATE personnel
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...fields.map((field) => values[field])]
+      );
+      const record = updated.rows[0];
+
+      const changes = {};
+      ['name', 'rank', 'unit', 'base_id'].forEach((field) => {
+        if (current[field] !== record[field]) {
+          changes[field] = { before: current[field], after: record[field] };
+        }
+      });
+
+      await appendAudit(client, req, req.user.id, 'UPDATE', 'PERSONNEL', record.id, { changes });
+
+      return record;
+    });
+
+    logger.info(`Personnel updated: ID ${person.id} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Personnel record updated successfully',
+      data: person
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base does not exist' });
+    }
+    logger.error('Update personnel error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update personnel record' 
+    });
+  }
+});
+
+
+app.patch('/api/personnel/:id/status', authenticateToken, requirePermission('personnel:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!PERSONNEL_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be one of: ${PERSONNEL_STATUSES.join(', ')}` 
+      });
+    }
+
+    const { previousStatus, person } = await withTransaction(async (client) => {
+      const current = await findScopedPersonnel(client, id, req.user);
+
+      if (!PERSONNEL_STATUS_TRANSITIONS[current.status].includes(status)) {
+        throw httpError(409, `Cannot change personnel status from ${current.status} to ${status}`);
+      }
+
+      if (status !== 'active') {
+        const held = await client.query(
+          `SELECT COUNT(*)::INTEGER as count FROM assignments
+           WHERE personnel_id = $1 AND status = 'active' AND NOT is_voided`,
+          [id]
+        );
+        if (held.rows[0].count > 0) {
+          throw httpError(409, `${current.name} still holds ${held.rows[0].count} assigned item(s); close those assignments first`);
+        }
+      }
+
+      const updated = await client.query(
+        'UPDATE personnel SET status = $2 WHERE id = $1 RETURNING *',
+        [id, status]
+      );
+
+      await appendAudit(client, req, req.user.id, 'STATUS_CHANGE', 'PERSONNEL', current.id, {
+        from: current.status,
+        to: updated.rows[0].status,
+        notes
+      });
+
+      return { previousStatus: current.status, person: updated.rows[0] };
+    });
+
+    logger.info(`Personnel ${person.id} status ${previousStatus} -> ${person.status} by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Personnel marked ${person.status}`,
+      data: person
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Update personnel status error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update personnel status' 
+    });
+  }
+});
+
+
+const ITEM_STATUSES = ['in_stock', 'assigned', 'in_transit', 'lost', 'damaged'];
+
+const ITEM_COLUMNS = `
+  i.id,
+  i.serial_number,
+  i.equipment_type_id,
+  i.base_id,
+  i.status,
+  i.personnel_id,
+  i.transfer_id,
+  i.notes,
+  i.created_at,
+  i.updated_at,
+  e.name as equipment_name,
+  e.category as equipment_category,
+  b.name as base_name,
+  p.name as personnel_name,
+  p.rank as personnel_rank,
+  t.to_base_id as destination_base_id,
+  tb.name as destination_base_name`;
+
+// In-transit items are visible at both ends of their transfer
+const ITEM_JOINS = `
+  JOIN equipment_types e ON i.equipment_type_id = e.id
+  JOIN bases b ON i.base_id = b.id
+  LEFT JOIN personnel p ON i.personnel_id = p.id
+  LEFT JOIN transfers t ON i.transfer_id = t.id
+  LEFT JOIN bases tb ON t.to_base_id = tb.id`;
+
+
+app.get('/api/items', authenticateToken, requirePermission('item:read'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, status, q, available } = req.query;
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'q can only be given once' 
+      });
+    }
+
+    if (status && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be one of: ${ITEM_STATUSES.join(', ')}` 
+      });
+    }
+
+    if (base_id && !canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only view items at your assigned bases' 
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT ${ITEM_COLUMNS}
+      FROM serialized_items i
+      ${ITEM_JOINS}
+      WHERE ${scopeToBases(req.user, params, ['i.base_id', 't.to_base_id'], base_id)}
+    `;
+
+    if (equipment_type_id) {
+      params.push(equipment_type_id);
+      query += ` AND i.equipment_type_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      query += ` AND i.status = $${params.length}`;
+    }
+    if (q?.trim()) {
+      params.push(`%${q.trim()}%`);
+      query += ` AND i.serial_number ILIKE $${params.length}`;
+    }
+
+    // Items that can be issued or transferred right now
+    if (available === 'true') {
+      query += ` AND i.status = 'in_stock' AND NOT EXISTS (
+        SELECT 1 FROM transfer_items ti
+        JOIN transfers ot ON ti.transfer_id = ot.id
+        WHERE ti.item_id = i.id AND ot.status IN ('pending', 'in_transit') AND NOT ot.is_voided
+      )`;
+    }
+
+    query += ' ORDER BY e.name, i.serial_number';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Get items error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch serialized items' 
+    });
+  }
+});
+
+
+app.get('/api/items/:id', authenticateToken, requirePermission('item:read'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT ${ITEM_COLUMNS}
+       FROM serialized_items i
+       ${ITEM_JOINS}
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Item not found' 
+      });
+    }
+
+    const item = result.rows[0];
+
+    if (!canAccessBase(req.user, item.base_id) && !canAccessBase(req.user, item.destination_base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Access denied. You do not have permission to perform this action.' 
+      });
+    }
+
+    const history = await pool.query(
+      `SELECT 
+        ce.id,
+        ce.event_type,
+        ce.base_id,
+        ce.personnel_id,
+        ce.reference_type,
+        ce.reference_id,
+        ce.event_date,
+        ce.notes,
+        ce.created_at,
+        b.name as base_name,
+        p.name as personnel_name,
+        p.rank as personnel_rank,
+        u.name as created_by_name
+       FROM item_custody_events ce
+       JOIN bases b ON ce.base_id = b.id
+       LEFT JOIN personnel p ON ce.personnel_id = p.id
+       LEFT JOIN users u ON ce.created_by = u.id
+       WHERE ce.item_id = $1
+       ORDER BY ce.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: { ...item, custody: history.rows }
+    });
+
+  } catch (error) {
+    logger.error('Get item error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch serialized item' 
+    });
+  }
+});
+
+
+/**
+ * Register serial numbers for stock already on hand. A base cannot register
+ * more serials of a type than it has units on its shelves.
+ */
+app.post('/api/items', authenticateToken, requirePermission('item:register'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, serial_numbers, notes } = req.body;
+
+    // Input validation
+    if (!base_id || !equipment_type_id || !Array.isArray(serial_numbers) || serial_numbers.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: base_id, equipment_type_id, serial_numbers' 
+      });
+    }
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    const serials = serial_numbers.map((serial) => (
+      typeof serial === 'string' || typeof serial === 'number' ? String(serial).trim() : ''
+    ));
+    if (serials.some((serial) => !serial || serial.length > 100)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Serial numbers must be between 1 and 100 characters' 
+      });
+    }
+    if (new Set(serials).size !== serials.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Each serial number can only be listed once' 
+      });
+    }
+
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only register items at your assigned bases' 
+      });
+    }
+
+    await assertActiveReferences(pool, { baseIds: [base_id], equipmentTypeId: equipment_type_id });
+
+    const items = await withTransaction(async (client) => {
+      if (!(await isSerializedType(client, equipment_type_id))) {
+        throw httpError(400, 'Only serialized equipment types carry registered serial numbers');
+      }
+
+      const taken = await client.query(
+        'SELECT serial_number FROM serialized_items WHERE serial_number = ANY($1::TEXT[]) ORDER BY serial_number',
+        [serials]
+      );
+      if (taken.rows.length > 0) {
+        throw httpError(409, `Already registered: ${taken.rows.map((row) => row.serial_number).join(', ')}`);
+      }
+
+      // Lock the stock row so concurrent registrations cannot both fit
+      const stock = await client.query(
+        'SELECT quantity FROM assets WHERE base_id = $1 AND equipment_type_id = $2 FOR UPDATE',
+        [base_id, equipment_type_id]
+      );
+      const registered = await client.query(
+        `SELECT COUNT(*)::INTEGER as count FROM serialized_items
+         WHERE base_id = $1 AND equipment_type_id = $2 AND status = 'in_stock'`,
+        [base_id, equipment_type_id]
+      );
+      const unregistered = (stock.rows[0]?.quantity || 0) - registered.rows[0].count;
+
+      if (serials.length > unregistered) {
+        throw httpError(409, `Only ${Math.max(unregistered, 0)} unit(s) on hand are not yet registered; record the purchase or transfer first`);
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO serialized_items (serial_number, equipment_type_id, base_id, status, notes, created_by)
+         SELECT UNNEST($1::TEXT[]), $2, $3, 'in_stock', $4, $5
+         RETURNING *`,
+        [serials, equipment_type_id, base_id, notes?.trim() || null, req.user.id]
+      );
+      const itemIds = inserted.rows.map((item) => item.id);
+
+      await client.query(
+        `INSERT INTO item_custody_events (item_id, event_type, base_id, event_date, notes, created_by)
+         SELECT id, 'registered', base_id, CURRENT_DATE, notes, created_by
+         FROM serialized_items WHERE id = ANY($1::INTEGER[])
+         ORDER BY id`,
+        [itemIds]
+      );
+
+      for (const item of inserted.rows) {
+        await appendAudit(client, req, req.user.id, 'REGISTER', 'ITEM', item.id, {
+          serial_number: item.serial_number,
+          equipment_type_id: item.equipment_type_id,
+          base_id: item.base_id
+        });
+      }
+
+      return inserted.rows;
+    });
+
+    logger.info(`${items.length} serialized item(s) registered at base ${base_id} by user ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${items.length} item(s) registered successfully`,
+      data: items
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'One of these serial numbers is already registered' });
+    }
+    logger.error('Register items error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to register serialized items' 
+    });
+  }
+});
+
+
+const MAX_EXPIRY_WINDOW_DAYS = 3650;
+
+const LOT_COLUMNS = `
+  l.id,
+  l.lot_number,
+  l.equipment_type_id,
+  l.expiry_date,
+  l.inspection_due_date,
+  l.created_at,
+  e.name as equipment_name,
+  e.unit_of_measure,
+  (l.expiry_date - CURRENT_DATE) as days_to_expiry,
+  COALESCE(l.expiry_date < CURRENT_DATE, false) as is_expired,
+  COALESCE(l.inspection_due_date < CURRENT_DATE, false) as inspection_overdue`;
+
+
+/**
+ * Lots with their holdings at each base, earliest expiry first. With
+ * expiring_within, only lots whose expiry or inspection falls due within
+ * that many days (or already has) are listed.
+ */
+app.get('/api/lots', authenticateToken, requirePermission('lot:read'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, expiring_within, q, include_empty } = req.query;
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'q can only be given once' 
+      });
+    }
+
+    if (expiring_within !== undefined
+        && !(Number.isInteger(Number(expiring_within)) && Number(expiring_within) >= 0 && Number(expiring_within) <= MAX_EXPIRY_WINDOW_DAYS)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `expiring_within must be a number of days from 0 to ${MAX_EXPIRY_WINDOW_DAYS}` 
+      });
+    }
+
+    if (base_id && !canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only view lots at your assigned bases' 
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT ${LOT_COLUMNS},
+        COALESCE(SUM(ls.quantity), 0)::INTEGER as on_hand,
+        COALESCE(
+          JSON_AGG(JSON_BUILD_OBJECT('base_id', b.id, 'base_name', b.name, 'quantity', ls.quantity) ORDER BY b.name)
+            FILTER (WHERE ls.base_id IS NOT NULL),
+          '[]'::JSON
+        ) as holdings
+      FROM equipment_lots l
+      JOIN equipment_types e ON l.equipment_type_id = e.id
+      LEFT JOIN lot_stock ls ON ls.lot_id = l.id AND ls.quantity > 0
+        AND ${scopeToBases(req.user, params, 'ls.base_id', base_id)}
+      LEFT JOIN bases b ON ls.base_id = b.id
+      WHERE TRUE
+    `;
+
+    if (equipment_type_id) {
+      params.push(equipment_type_id);
+      query += ` AND l.equipment_type_id = $${params.length}`;
+    }
+    if (expiring_within !== undefined) {
+      params.push(Number(expiring_within));
+      query += ` AND (l.expiry_date <= CURRENT_DATE + $${params.length}::INTEGER
+                      OR l.inspection_due_date <= CURRENT_DATE + $${params.length}::INTEGER)`;
+    }
+    if (q?.trim()) {
+      params.push(`%${q.trim()}%`);
+      query += ` AND l.lot_number ILIKE $${params.length}`;
+    }
+
+    query += ' GROUP BY l.id, e.name, e.unit_of_measure';
+
+    // Lots that have been used up are only listed on request
+    if (include_empty !== 'true') {
+      query += ' HAVING SUM(ls.quantity) > 0';
+    }
+
+    query += ' ORDER BY l.expiry_date NULLS LAST, l.lot_number';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Get lots error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch lots' 
+    });
+  }
+});
+
+
+/**
+ * One lot with its holdings and every movement at the user's bases, so a
+ * recall can be traced to each base and record the lot passed through
+ */
+app.get('/api/lots/:id', authenticateToken, requirePermission('lot:read'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lotResult = await pool.query(
+      `SELECT ${LOT_COLUMNS}
+       FROM equipment_lots l
+       JOIN equipment_types e ON l.equipment_type_id = e.id
+       WHERE l.id = $1`,
+      [id]
+    );
+
+    if (lotResult.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Lot not found' 
+      });
+    }
+
+    const holdingsParams = [id];
+    const holdings = await pool.query(
+      `SELECT ls.base_id, b.name as base_name, ls.quantity
+       FROM lot_stock ls
+       JOIN bases b ON ls.base_id = b.id
+       WHERE ls.lot_id = $1 AND ls.quantity > 0
+         AND ${scopeToBases(req.user, holdingsParams, 'ls.base_id')}
+       ORDER BY b.name`,
+      holdingsParams
+    );
+
+    const movementParams = [id];
+    const movements = await pool.query(
+      `SELECT 
+        lm.id,
+        lm.base_id,
+        lm.quantity,
+        lm.reference_type,
+        lm.reference_id,
+        lm.movement_date,
+        b.name as base_name,
+        u.name as created_by_name
+       FROM lot_movements lm
+       JOIN bases b ON lm.base_id = b.id
+       LEFT JOIN users u ON lm.created_by = u.id
+       WHERE lm.lot_id = $1
+         AND ${scopeToBases(req.user, movementParams, 'lm.base_id')}
+       ORDER BY lm.movement_date, lm.id`,
+      movementParams
+    );
+
+    if (isBaseScoped(req.user) && movements.rows.length === 0) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'This lot has not passed through your assigned bases' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...lotResult.rows[0],
+        on_hand: holdings.rows.reduce((sum, row) => sum + row.quantity, 0),
+        holdings: holdings.rows,
+        movements: movements.rows
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get lot error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch lot' 
+    });
+  }
+});
+
+
+/**
+ * Record a new expiry or inspection due date, typically after a lot is
+ * inspected and its shelf life extended
+ */
+app.patch('/api/lots/:id', authenticateToken, requirePermission('lot:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = ['expiry_date', 'inspection_due_date'].filter((field) => field in req.body);
+
+    if (fields.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Provide expiry_date or inspection_due_date' 
+      });
+    }
+
+    if (fields.some((field) => req.body[field] && !isValidDate(req.body[field]))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Dates must be in YYYY-MM-DD format' 
+      });
+    }
+
+    const lot = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM equipment_lots WHERE id = $1 FOR UPDATE', [id]);
+
+      if (current.rows.length === 0) {
+        throw httpError(404, 'Lot not found');
+      }
+
+      const original = current.rows[0];
+      const diff = {};
+      for (const field of fields) {
+        const before = toDateString(original[field]);
+        const after = req.body[field] || null;
+        if (before !== after) {
+          diff[field] = { before, after };
+        }
+      }
+
+      if (Object.keys(diff).length === 0) {
+        throw httpError(400, 'No changes to apply');
+      }
+
+      const changed = Object.keys(diff);
+      const updated = await client.query(
+        `UPDATE equipment_lots
+         SET ${changed.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [id, ...changed.map((field) => diff[field].after)]
+      );
+
+      await appendAudit(client, req, req.user.id, 'UPDATE', 'LOT', original.id, {
+        lot_number: original.lot_number,
+        changes: diff
+      });
+
+      return updated.rows[0];
+    });
+
+    logger.info(`Lot updated: ${lot.lot_number} (ID ${lot.id}) by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Lot updated successfully',
+      data: lot
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Update lot error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update lot' 
+    });
+  }
+});
+
+
+// How often the evaluator compares on-hand stock with the thresholds
+const STOCK_ALERT_INTERVAL_MINUTES = Number(process.env.STOCK_ALERT_INTERVAL_MINUTES) || 5;
+const MAX_ALERT_PAGE_SIZE = 200;
+
+// Advisory lock key held while evaluating, so two servers cannot raise the same alert
+const STOCK_ALERT_LOCK = 7340102;
+
+// The level each watched (base, equipment type) is at now, if below a threshold
+const STOCK_LEVELS_SQL = `
+  SELECT
+    t.base_id,
+    t.equipment_type_id,
+    COALESCE(a.quantity, 0) as on_hand,
+    CASE
+      WHEN COALESCE(a.quantity, 0) < t.minimum_level THEN 'minimum'
+      WHEN COALESCE(a.quantity, 0) < t.reorder_level THEN 'reorder'
+    END as level,
+    CASE
+      WHEN COALESCE(a.quantity, 0) < t.minimum_level THEN t.minimum_level
+      ELSE t.reorder_level
+    END as threshold
+  FROM stock_thresholds t
+  JOIN bases b ON t.base_id = b.id AND b.is_active
+  JOIN equipment_types e ON t.equipment_type_id = e.id AND e.is_active
+  LEFT JOIN assets a ON a.base_id = t.base_id AND a.equipment_type_id = t.equipment_type_id`;
+
+/**
+ * Compare on-hand stock with every threshold. Raises an alert where stock
+ * has fallen below a level and resolves alerts whose level no longer
+ * applies, so crossing from reorder to minimum raises a fresh alert.
+ */
+const evaluateStockAlerts = () => withTransaction(async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [STOCK_ALERT_LOCK]);
+
+  const resolved = await client.query(
+    `WITH levels AS (${STOCK_LEVELS_SQL})
+     UPDATE stock_alerts sa
+     SET resolved_at = CURRENT_TIMESTAMP
+     WHERE sa.resolved_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM levels l
+         WHERE l.base_id = sa.base_id
+           AND l.equipment_type_id = sa.equipment_type_id
+           AND l.level = sa.level
+       )`
+  );
+
+  const raised = await client.query(
+    `WITH levels AS (${STOCK_LEVELS_SQL})
+     INSERT INTO stock_alerts (base_id, equipment_type_id, level, on_hand, threshold)
+     SELECT l.base_id, l.equipment_type_id, l.level, l.on_hand, l.threshold
+     FROM levels l
+     WHERE l.level IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM stock_alerts sa
+         WHERE sa.base_id = l.base_id
+           AND sa.equipment_type_id = l.equipment_type_id
+           AND sa.resolved_at IS NULL
+       )
+     RETURNING *`
+  );
+
+  for (const alert of raised.rows) {
+    logger.warn(`Low stock: base ${alert.base_id} equipment type ${alert.equipment_type_id} has ${alert.on_hand}, below its ${alert.level} level of ${alert.threshold}`);
+  }
+
+  return { raised: raised.rowCount, resolved: resolved.rowCount };
+});
+
+/**
+ * Run the evaluator and log the outcome. Failures are logged rather than
+ * thrown; the next run picks up whatever this one missed.
+ */
+const runStockAlertEvaluation = async () => {
+  try {
+    const { raised, resolved } = await evaluateStockAlerts();
+    if (raised > 0 || resolved > 0) {
+      logger.info(`Stock alerts: ${raised} raised, ${resolved} resolved`);
+    }
+  } catch (error) {
+    logger.error('Stock alert evaluation failed:', error);
+  }
+};
+
+
+/**
+ * Thresholds at the user's bases with the stock on hand against each
+ */
+app.get('/api/stock-thresholds', authenticateToken, requirePermission('alert:read'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id } = req.query;
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    if (base_id && !canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only view thresholds at your assigned bases' 
+      });
+    }
+
+    const params = [];
+    let query = `
+      SELECT 
+        t.id,
+        t.base_id,
+        t.equipment_type_id,
+        t.minimum_level,
+        t.reorder_level,
+        t.updated_at,
+        b.name as base_name,
+        e.name as equipment_name,
+        e.unit_of_measure,
+        COALESCE(a.quantity, 0) as on_hand,
+        CASE
+          WHEN COALESCE(a.quantity, 0) < t.minimum_level THEN 'minimum'
+          WHEN COALESCE(a.quantity, 0) < t.reorder_level THEN 'reorder'
+        END as level,
+        u.name as updated_by_name
+      FROM stock_thresholds t
+      JOIN bases b ON t.base_id = b.id
+      JOIN equipment_types e ON t.equipment_type_id = e.id
+      LEFT JOIN assets a ON a.base_id = t.base_id AND a.equipment_type_id = t.equipment_type_id
+      LEFT JOIN users u ON t.updated_by = u.id
+      WHERE ${scopeToBases(req.user, params, 't.base_id', base_id)}
+    `;
+
+    if (equipment_type_id) {
+      params.push(equipment_type_id);
+      query += ` AND t.equipment_type_id = $${params.length}`;
+    }
+
+    query += ' ORDER BY b.name, e.name';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Get stock thresholds error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch stock thresholds' 
+    });
+  }
+});
+
+
+/**
+ * Set the minimum and reorder levels for an equipment type at a base,
+ * replacing any levels already set. Stock is checked against the new
+ * levels straight away.
+ */
+app.put('/api/stock-thresholds', authenticateToken, requirePermission('threshold:manage'), async (req, res) => {
+  try {
+    const { base_id, equipment_type_id, minimum_level, reorder_level } = req.body;
+
+    if (!base_id || !equipment_type_id || minimum_level === undefined || reorder_level === undefined) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: base_id, equipment_type_id, minimum_level, reorder_level' 
+      });
+    }
+
+    assertRecordIds({ base_id, equipment_type_id });
+
+    // Levels are INTEGER columns, so they share the id range
+    const levels = [minimum_level, reorder_level];
+    if (levels.some((level) => (typeof level !== 'number' && typeof level !== 'string') || level === ''
+        || !Number.isInteger(Number(level)) || Number(level) < 0 || Number(level) > MAX_RECORD_ID)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Levels must be whole numbers of zero or more' 
+      });
+    }
+    if (Number(reorder_level) < Number(minimum_level)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'The reorder level cannot be below the minimum level' 
+      });
+    }
+
+    if (!canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only set thresholds at your assigned bases' 
+      });
+    }
+
+    await assertActiveReferences(pool, { baseIds: [base_id], equipmentTypeId: equipment_type_id });
+
+    const { threshold, created } = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT * FROM stock_thresholds WHERE base_id = $1 AND equipment_type_id = $2 FOR UPDATE',
+        [base_id, equipment_type_id]
+      );
+      const original = existing.rows[0];
+
+      const saved = await client.query(
+        `INSERT INTO stock_thresholds (base_id, equipment_type_id, minimum_level, reorder_level, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $5)
+         ON CONFLICT (base_id, equipment_type_id) DO UPDATE
+         SET minimum_level = EXCLUDED.minimum_level,
+             reorder_level = EXCLUDED.reorder_level,
+             updated_by = EXCLUDED.updated_by
+         RETURNING *`,
+        [base_id, equipment_type_id, Number(minimum_level), Number(reorder_level), req.user.id]
+      );
+      const record = saved.rows[0];
+
+      await appendAudit(client, req, req.user.id, original ? 'UPDATE' : 'CREATE', 'STOCK_THRESHOLD', record.id, {
+        base_id: record.base_id,
+        equipment_type_id: record.equipment_type_id,
+        ...(original
+          ? {
+            changes: Object.fromEntries(
+              ['minimum_level', 'reorder_level']
+                .filter((field) => original[field] !== record[field])
+                .map((field) => [field, { before: original[field], after: record[field] }])
+            )
+          }
+          : { minimum_level: record.minimum_level, reorder_level: record.reorder_level })
+      });
+
+      return { threshold: record, created: !original };
+    });
+
+    logger.info(`Stock threshold ${created ? 'set' : 'updated'}: base ${threshold.base_id} equipment type ${threshold.equipment_type_id} by user ${req.user.email}`);
+
+    await runStockAlertEvaluation();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Stock threshold saved successfully',
+      data: threshold
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base or equipment type does not exist' });
+    }
+    logger.error('Save stock threshold error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to save stock threshold' 
+    });
+  }
+});
+
+
+/**
+ * Stop watching an equipment type at a base; its open alert is resolved
+ */
+app.delete('/api/stock-thresholds/:id', authenticateToken, requirePermission('threshold:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const threshold = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM stock_thresholds WHERE id = $1 FOR UPDATE', [id]);
+
+      if (existing.rows.length === 0) {
+        throw httpError(404, 'Stock threshold not found');
+      }
+
+      const record = existing.rows[0];
+      if (!canAccessBase(req.user, record.base_id)) {
+        throw httpError(403, 'You can only remove thresholds at your assigned bases');
+      }
+
+      await client.query('DELETE FROM stock_thresholds WHERE id = $1', [id]);
+
+      await appendAudit(client, req, req.user.id, 'DELETE', 'STOCK_THRESHOLD', record.id, {
+        base_id: record.base_id,
+        equipment_type_id: record.equipment_type_id,
+        minimum_level: record.minimum_level,
+        reorder_level: record.reorder_level
+      });
+
+      return record;
+    });
+
+    logger.info(`Stock threshold removed: base ${threshold.base_id} equipment type ${threshold.equipment_type_id} by user ${req.user.email}`);
+
+    await runStockAlertEvaluation();
+
+    res.json({
+      success: true,
+      message: 'Stock threshold removed successfully'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Delete stock threshold error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to remove stock threshold' 
+    });
+  }
+});
+
+
+/**
+ * Low-stock alerts at the user's bases, newest first, each marked with
+ * whether this user has read it. Open alerts are listed unless status
+ * asks for resolved or all.
+ */
+app.get('/api/alerts', authenticateToken, requirePermission('alert:read'), async (req, res) => {
+  try {
+    const { base_id, status = 'open', unread } = req.query;
+    const limit = Number(req.query.limit ?? 50);
+
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'status must be one of: open, resolved, all' 
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ALERT_PAGE_SIZE) {
+      return res.status(400).json({ 
+        success: false,
+        error: `limit must be between 1 and ${MAX_ALERT_PAGE_SIZE}` 
+      });
+    }
+
+    assertRecordIds({ base_id });
+
+    if (base_id && !canAccessBase(req.user, base_id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You can only view alerts at your assigned bases' 
+      });
+    }
+
+    const params = [req.user.id];
+    let query = `
+      SELECT 
+        sa.id,
+        sa.base_id,
+        sa.equipment_type_id,
+        sa.level,
+        sa.on_hand,
+        sa.threshold,
+        sa.raised_at,
+        sa.resolved_at,
+        b.name as base_name,
+        e.name as equipment_name,
+        e.unit_of_measure,
+        COALESCE(a.quantity, 0) as current_on_hand,
+        (r.alert_id IS NOT NULL) as is_read
+      FROM stock_alerts sa
+      JOIN bases b ON sa.base_id = b.id
+      JOIN equipment_types e ON sa.equipment_type_id = e.id
+      LEFT JOIN assets a ON a.base_id = sa.base_id AND a.equipment_type_id = sa.equipment_type_id
+      LEFT JOIN stock_alert_reads r ON r.alert_id = sa.id AND r.user_id = $1
+      WHERE ${scopeToBases(req.user, params, 'sa.base_id', base_id)}
+    `;
+
+    if (status === 'open') {
+      query += ' AND sa.resolved_at IS NULL';
+    } else if (status === 'resolved') {
+      query += ' AND sa.resolved_at IS NOT NULL';
+    }
+    if (unread === 'true') {
+      query += ' AND r.alert_id IS NULL';
+    }
+
+    params.push(limit);
+    query += ` ORDER BY sa.raised_at DESC, sa.id DESC LIMIT $${params.length}`;
+
+    // The bell shows open alerts this user has not read, whatever the filters
+    const unreadParams = [req.user.id];
+    const [result, unreadResult] = await Promise.all([
+      pool.query(query, params),
+      pool.query(
+        `SELECT COUNT(*)::INTEGER as count
+         FROM stock_alerts sa
+         LEFT JOIN stock_alert_reads r ON r.alert_id = sa.id AND r.user_id = $1
+         WHERE sa.resolved_at IS NULL AND r.alert_id IS NULL
+           AND ${scopeToBases(req.user, unreadParams, 'sa.base_id')}`,
+        unreadParams
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length,
+      unread_count: unreadResult.rows[0].count
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Get alerts error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch alerts' 
+    });
+  }
+});
+
+
+/**
+ * Mark every open alert at the user's bases as read
+ */
+app.patch('/api/alerts/read-all', authenticateToken, requirePermission('alert:read'), async (req, res) => {
+  try {
+    const params = [req.user.id];
+    const result = await pool.query(
+      `INSERT INTO stock_alert_reads (alert_id, user_id)
+       SELECT sa.id, $1 FROM stock_alerts sa
+       WHERE sa.resolved_at IS NULL
+         AND ${scopeToBases(req.user, params, 'sa.base_id')}
+       ON CONFLICT DO NOTHING`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: `${result.rowCount} alert(s) marked as read`
+    });
+
+  } catch (error) {
+    logger.error('Mark all alerts read error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to mark alerts as read' 
+    });
+  }
+});
+
+
+/**
+ * Mark one alert as read for the current user
+ */
+app.patch('/api/alerts/:id/read', authenticateToken, requirePermission('alert:read'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const alert = await pool.query('SELECT id, base_id FROM stock_alerts WHERE id = $1', [id]);
+
+    if (alert.rows.length === 0 || !canAccessBase(req.user, alert.rows[0].base_id)) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Alert not found' 
+      });
+    }
+
+    await pool.query(
+      'INSERT INTO stock_alert_reads (alert_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Alert marked as read'
+    });
+
+  } catch (error) {
+    logger.error('Mark alert read error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to mark alert as read' 
+    });
+  }
+});
+
+
+// Columns safe to return to the client
+const USER_COLUMNS = `
+  u.id, u.email, u.name, u.role, u.base_id, u.is_active, u.last_login, u.created_at,
+  (u.password_hash IS NULL AND u.invite_token_hash IS NOT NULL) as invite_pending,
+  u.invite_expires_at, u.failed_login_count, u.locked_until,
+  COALESCE(u.locked_until > NOW(), false) as is_locked,
+  u.totp_enabled as two_factor_enabled,
+  ARRAY(SELECT ub.base_id FROM user_bases ub WHERE ub.user_id = u.id ORDER BY ub.base_id) as base_ids`;
+
+/**
+ * Validate role/base combinations: commanders must be tied to a base
+ */
+const validateUserRole = (role, baseId) => {
+  if (!USER_ROLES.includes(role)) {
+    throw httpError(400, `role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+  if (role === 'commander' && !baseId) {
+    throw httpError(400, 'Commanders must be assigned to a base');
+  }
+};
+
+/**
+ * Resolve a user's home base and the full set of bases they cover. The home
+ * base is always part of the set and defaults to the first base listed.
+ */
+const resolveUserBases = (baseId, baseIds) => {
+  if (!Array.isArray(baseIds) || !baseIds.every(isRecordId)) {
+    throw httpError(400, 'base_ids must be an array of base ids');
+  }
+  if (baseId && !isRecordId(baseId)) {
+    throw httpError(400, 'base_id must be a numeric id');
+  }
+
+  const ids = [...new Set(baseIds.map(Number))];
+  const home = baseId ? Number(baseId) : (ids[0] || null);
+
+  if (home && !ids.includes(home)) ids.unshift(home);
+
+  return { baseId: home, baseIds: ids.sort((a, b) => a - b) };
+};
+
+/**
+ * Reject an email, name or password sent as anything other than text
+ */
+const assertUserText = (body) => {
+  for (const field of ['email', 'name', 'password']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      throw httpError(400, `${field} must be text`);
+    }
+  }
+};
+
+/**
+ * Replace the bases a user is linked to
+ */
+const replaceUserBases = async (client, userId, baseIds) => {
+  await client.query('DELETE FROM user_bases WHERE user_id = $1', [userId]);
+  await client.query(
+    'INSERT INTO user_bases (user_id, base_id) SELECT $1, UNNEST($2::INTEGER[])',
+    [userId, baseIds]
+  );
+};
+
+
+app.get('/api/users', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, b.name as base_name
+       FROM users u
+       LEFT JOIN bases b ON u.base_id = b.id
+       ORDER BY u.is_active DESC, u.name`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    logger.error('Get users error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch users' 
+    });
+  }
+});
+
+
+app.post('/api/users', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { email, name, role, password } = req.body;
+    assertUserText(req.body);
+    const { baseId: base_id, baseIds: base_ids } = resolveUserBases(req.body.base_id, req.body.base_ids || []);
+
+    // Input validation
+    if (!email?.trim() || !name?.trim() || !role) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Required fields: email, name, role' 
+      });
+    }
+
+    validateUserRole(role, base_id);
+
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    // Either set the password now or invite the user to choose one
+    const passwordHash = password ? await bcrypt.hash(password, SALT_ROUNDS) : null;
+
+    const { user, inviteToken } = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, name, role, base_id, is_active)
+         VALUES (LOWER($1), $2, $3, $4, $5, true)
+         RETURNING id`,
+        [email.trim(), passwordHash, name.trim(), role, base_id]
+      );
+      const userId = result.rows[0].id;
+      await replaceUserBases(client, userId, base_ids);
+
+      const token = password ? null : await issueInviteToken(client, userId);
+      const created = await client.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+      const record = created.rows[0];
+
+      // Create audit log
+      await appendAudit(client, req, req.user.id, 'CREATE', 'USER', record.id, {
+        email: record.email,
+        role: record.role,
+        base_id: record.base_id,
+        base_ids: record.base_ids,
+        invited: Boolean(token)
+      });
+
+      return { user: record, inviteToken: token };
+    });
+
+    logger.info(`User created: ${user.email} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: inviteToken ? 'User invited successfully' : 'User created successfully',
+      data: user,
+      invite_token: inviteToken || undefined
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base does not exist' });
+    }
+    logger.error('Create user error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create user' 
+    });
+  }
+});
+
+
+app.patch('/api/users/:id', authenticateToken, requirePermission('user:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    assertUserText(req.body);
+
+    const user = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [id]);
+
+      if (current.rows.length === 0) {
+        throw httpError(404, 'User not found');
+      }
+
+      const linked = await client.query(
+        'SELECT base_id FROM user_bases WHERE user_id = $1 ORDER BY base_id',
+        [id]
+      );
+      const original = {
+        ...current.rows[0],
+        base_ids: linked.rows.map((row) => row.base_id)
+      };
+
+      // Moving the home base without a new set swaps it within the existing set
+      const requestedBaseId = req.body.base_id !== undefined ? req.body.base_id || null : original.base_id;
+      const requestedBaseIds = req.body.base_ids
+        ?? original.base_ids.filter((baseId) => baseId !== original.base_id);
+      const bases = resolveUserBases(requestedBaseId, requestedBaseIds);
+
+      const next = {
+        email: req.body.email !== undefined ? (req.body.email ?? '').trim().toLowerCase() : original.email,
+        name: req.body.name !== undefined ? (req.body.name ?? '').trim() : original.name,
+        role: req.body.role ?? original.role,
+        base_id: bases.baseId,
+        base_ids: bases.baseIds
+      };
+
+      if (!next.email || !next.name) {
+        throw httpError(400, 'Email and name cannot be empty');
+      }
+
+      validateUserRole(next.role, next.base_id);
+
+      // Admins cannot move themselves out of user management and lock everyone out
+      if (original.id === req.user.id && next.role !== original.role) {
+        const grant = await client.query(
+          `SELECT 1 FROM role_permissions WHERE role = $1 AND permission = 'user:manage'`,
+          [next.role]
+        );
+        if (grant.rows.length === 0) {
+          throw httpError(409, 'You cannot move yourself to a role without user management access');
+        }
+      }
+
+      const diff = {};
+      Object.keys(next).forEach((field) => {
+        if (String(next[field]) !== String(original[field])) {
+          diff[field] = { before: original[field], after: next[field] };
+        }
+      });
+
+      if (Object.keys(diff).length === 0) {
+        throw httpError(400, 'No changes to apply');
+      }
+
+      await client.query(
+        'UPDATE users SET email = $2, name = $3, role = $4, base_id = $5 WHERE id = $1',
+        [id, next.email, next.name, next.role, next.base_id]
+      );
+      if (diff.base_ids) {
+        await replaceUserBases(client, id, next.base_ids);
+      }
+      const updated = await client.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [id]);
+
+      await appendAudit(client, req, req.user.id, 'UPDATE', 'USER', original.id, { changes: diff });
+
+      return updated.rows[0];
+    });
+
+    logger.info(`User updated: ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Base does not exist' });
+    }
+    logger.error('Update user error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update user' 
+    });
+  }
+});
+
+
+app.post('/api/users/:id/reset-password', authenticateToken, requirePermission('user:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body || {};
+
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'password must be text' 
+      });
+    }
+
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const passwordHash = password ? await bcrypt.hash(password, SALT_ROUNDS) : null;
+
+    // Either set the new password directly or clear it and issue a reset token
+    const { user, resetToken } = await withTransaction(async (client) => {
+      const current = await client.query('SELECT id, email FROM users WHERE id = $1 FOR UPDATE', [id]);
+
+      if (current.rows.length === 0) {
+        throw httpError(404, 'User not found');
+      }
+
+      // Existing sessions were opened with the old password
+      await revokeUserSessions(client, id, 'password_reset');
+
+      let token = null;
+      if (password) {
+        await client.query(
+          `UPDATE users
+           SET password_hash = $2, invite_token_hash = NULL, invite_expires_at = NULL
+           WHERE id = $1`,
+          [id, passwordHash]
+        );
+      } else {
+        token = await issueInviteToken(client, id);
+      }
+
+      await appendAudit(client, req, req.user.id, 'RESET_PASSWORD', 'USER', current.rows[0].id, {
+        email: current.rows[0].email,
+        method: token ? 'reset_token' : 'set_by_admin'
+      });
+
+      return { user: current.rows[0], resetToken: token };
+    });
+
+    logger.info(`Password reset for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: resetToken ? 'Password reset link issued' : 'Password updated successfully',
+      invite_token: resetToken || undefined
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reset password' 
+    });
+  }
+});
+
+
+app.patch('/api/users/:id/status', authenticateToken, requirePermission('user:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'is_active must be true or false' 
+      });
+    }
+
+    if (Number(id) === req.user.id && !is_active) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'You cannot deactivate your own account' 
+      });
+    }
+
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users u SET is_active = $2 WHERE u.id = $1 RETURNING ${USER_COLUMNS}`,
+        [id, is_active]
+      );
+
+      if (result.rows.length === 0) {
+        throw httpError(404, 'User not found');
+      }
+
+      const record = result.rows[0];
+
+      if (!is_active) {
+        await revokeUserSessions(client, record.id, 'deactivated');
+      }
+
+      await appendAudit(client, req, req.user.id, is_active ? 'ACTIVATE' : 'DEACTIVATE', 'USER', record.id, {
+        email: record.email
+      });
+
+      return record;
+    });
+
+    logger.info(`User ${user.email} ${is_active ? 'activated' : 'deactivated'} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Update user status error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update user status' 
+    });
+  }
+});
+
+
+app.patch('/api/users/:id/unlock', authenticateToken, requirePermission('user:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT failed_login_count, locked_until FROM users WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        throw httpError(404, 'User not found');
+      }
+
+      const result = await client.query(
+        `UPDATE users u SET failed_login_count = 0, locked_until = NULL
+         WHERE u.id = $1 RETURNING ${USER_COLUMNS}`,
+        [id]
+      );
+      const record = result.rows[0];
+
+      await appendAudit(client, req, req.user.id, 'UNLOCK', 'USER', record.id, {
+        email: record.email,
+        failed_attempts: current.rows[0].failed_login_count,
+        locked_until: current.rows[0].locked_until
+      });
+
+      return record;
+    });
+
+    logger.info(`User ${user.email} unlocked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Unlock user error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to unlock user' 
+    });
+  }
+});
+
+
+app.post('/api/users/:id/reset-2fa', authenticateToken, requirePermission('user:manage'), requireNumericId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // The user enrols again with a new authenticator at their next sign-in
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users u SET totp_secret = NULL, totp_enabled = false, totp_last_step = NULL
+         WHERE u.id = $1 RETURNING ${USER_COLUMNS}`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw httpError(404, 'User not found');
+      }
+
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [id]);
+      await revokeUserSessions(client, id, 'two_factor_reset');
+
+      await appendAudit(client, req, req.user.id, 'TWO_FACTOR_RESET', 'USER', result.rows[0].id, {
+        email: result.rows[0].email
+      });
+
+      return result.rows[0];
+    });
 
-    // Apply role-based filtering
-    if (req.user.role === 'commander') {
-      query += ' WHERE p.base_id = $1';
-      params.push(req.user.base_id);
+    logger.info(`Two-factor authentication reset for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: user
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
+    logger.error('Reset two-factor error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to reset two-factor authentication' 
+    });
+  }
+});
 
-    query += ' ORDER BY p.purchase_date DESC, p.created_at DESC';
 
-    const result = await pool.query(query, params);
+app.get('/api/role-policies', authenticateToken, requirePermission('policy:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT role, require_two_factor, updated_at FROM role_policies ORDER BY role'
+    );
 
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: result.rows
     });
 
   } catch (error) {
-    logger.error('Get purchases error:', error);
+    logger.error('Get role policies error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch purchase records' 
+      error: 'Failed to fetch role policies' 
     });
   }
 });
 
-app.post('/api/purchases', authenticateToken, checkRole('admin', 'commander'), async (req, res) => {
+
+app.patch('/api/role-policies/:role', authenticateToken, requirePermission('policy:manage'), async (req, res) => {
   try {
-    const { base_id, equipment_type_id, quantity, cost, purchase_date, supplier, notes } = req.body;
+    const { role } = req.params;
+    const { require_two_factor } = req.body;
 
-    // Input validation
-    if (!base_id || !equipment_type_id || !quantity || !purchase_date) {
-      return res.status(400).json({ 
+    if (!USER_ROLES.includes(role)) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Required fields: base_id, equipment_type_id, quantity, purchase_date' 
+        error: 'Role not found' 
       });
     }
 
-    // Commanders can only create purchases for their own base
-    if (req.user.role === 'commander' && base_id !== req.user.base_id) {
-      return res.status(403).json({ 
+    if (typeof require_two_factor !== 'boolean') {
+      return res.status(400).json({ 
         success: false,
-        error: 'You can only create purchases for your assigned base' 
+        error: 'require_two_factor must be true or false' 
       });
     }
 
-    // Insert purchase record
-    const result = await pool.query(
-      `INSERT INTO purchases 
-       (base_id, equipment_type_id, quantity, cost, purchase_date, supplier, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-       RETURNING *`,
-      [base_id, equipment_type_id, quantity, cost, purchase_date, supplier, notes, req.user.id]
-    );
+    const policy = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO role_policies (role, require_two_factor) VALUES ($1, $2)
+         ON CONFLICT (role) DO UPDATE SET require_two_factor = EXCLUDED.require_two_factor
+         RETURNING role, require_two_factor, updated_at`,
+        [role, require_two_factor]
+      );
 
-    const purchase = result.rows[0];
+      await appendAudit(client, req, req.user.id, 'UPDATE', 'ROLE_POLICY', null, { role, require_two_factor });
 
-    // Create audit log
-    await logAudit(req.user.id, 'CREATE', 'PURCHASE', purchase.id, {
-      base_id,
-      equipment_type_id,
-      quantity,
-      cost
+      return result.rows[0];
     });
 
-    logger.info(`New purchase created: ID ${purchase.id} by user ${req.user.email}`);
+    logger.info(`Two-factor ${require_two_factor ? 'required' : 'optional'} for ${role} by ${req.user.email}`);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Purchase record created successfully',
-      data: purchase
+      message: 'Role policy updated successfully',
+      data: policy
     });
 
   } catch (error) {
-    logger.error('Create purchase error:', error);
+    logger.error('Update role policy error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to create purchase record' 
+      error: 'Failed to update role policy' 
     });
   }
 });
 
-app.get('/api/transfers', authenticateToken, async (req, res) => {
-  try {
-    let query = `
-      SELECT 
-        t.id,
-        t.from_base_id,
-        t.to_base_id,
-        t.equipment_type_id,
-        t.quantity,
-        t.transfer_date,
-        t.status,
-        t.notes,
-        t.created_at,
-        fb.name as from_base_name,
-        tb.name as to_base_name,
-        e.name as equipment_name,
-        e.category as equipment_category,
-        u.name as created_by_name
-      FROM transfers t
-      JOIN bases fb ON t.from_base_id = fb.id
-      JOIN bases tb ON t.to_base_id = tb.id
-      JOIN equipment_types e ON t.equipment_type_id = e.id
-      LEFT JOIN users u ON t.created_by = u.id
-    `;
-    
-    let params = [];
-
-    // Commanders can only see transfers involving their base
-    if (req.user.role === 'commander') {
-      query += ' WHERE (t.from_base_id = $1 OR t.to_base_id = $1)';
-      params.push(req.user.base_id);
-    }
 
-    query += ' ORDER BY t.transfer_date DESC, t.created_at DESC';
+app.get('/api/permissions', authenticateToken, requirePermission('policy:manage'), async (req, res) => {
+  try {
+    const permissions = await pool.query('SELECT key, description FROM permissions ORDER BY key');
+    const grants = await pool.query('SELECT role, permission FROM role_permissions ORDER BY role, permission');
 
-    const result = await pool.query(query, params);
+    const roles = Object.fromEntries(USER_ROLES.map((role) => [role, []]));
+    grants.rows.forEach((grant) => roles[grant.role].push(grant.permission));
 
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: {
+        permissions: permissions.rows,
+        roles
+      }
     });
 
   } catch (error) {
-    logger.error('Get transfers error:', error);
+    logger.error('Get permissions error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch transfer records' 
+      error: 'Failed to fetch permissions' 
     });
   }
 });
 
 
-app.post('/api/transfers', authenticateToken, checkRole('admin', 'commander', 'logistics'), async (req, res) => {
+app.put('/api/role-permissions/:role', authenticateToken, requirePermission('policy:manage'), async (req, res) => {
   try {
-    const { from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, notes } = req.body;
+    const { role } = req.params;
+    const { permissions } = req.body;
 
-    // Input validation
-    if (!from_base_id || !to_base_id || !equipment_type_id || !quantity || !transfer_date) {
-      return res.status(400).json({ 
+    if (!USER_ROLES.includes(role)) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Required fields: from_base_id, to_base_id, equipment_type_id, quantity, transfer_date' 
+        error: 'Role not found' 
       });
     }
 
-    // Prevent transfer to same base
-    if (from_base_id === to_base_id) {
+    if (!Array.isArray(permissions) || !permissions.every((permission) => typeof permission === 'string')) {
       return res.status(400).json({ 
         success: false,
-        error: 'Cannot transfer to the same base' 
+        error: 'permissions must be an array of permission keys' 
       });
     }
 
-    // Commanders can only create transfers involving their base
-    if (req.user.role === 'commander') {
-      if (from_base_id !== req.user.base_id && to_base_id !== req.user.base_id) {
-        return res.status(403).json({ 
-          success: false,
-          error: 'You can only create transfers involving your assigned base' 
-        });
-      }
+    // Keep at least one way back in: an admin cannot revoke their own policy access
+    if (role === req.user.role && !permissions.includes('policy:manage')) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'You cannot remove policy:manage from your own role' 
+      });
     }
 
-    // Insert transfer record
-    const result = await pool.query(
-      `INSERT INTO transfers 
-       (from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, status, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7) 
-       RETURNING *`,
-      [from_base_id, to_base_id, equipment_type_id, quantity, transfer_date, notes, req.user.id]
-    );
+    const granted = [...new Set(permissions)];
 
-    const transfer = result.rows[0];
+    await withTransaction(async (client) => {
+      const known = await client.query('SELECT key FROM permissions WHERE key = ANY($1)', [granted]);
+      const unknown = granted.filter((key) => !known.rows.some((row) => row.key === key));
+      if (unknown.length > 0) {
+        throw httpError(400, `Unknown permissions: ${unknown.join(', ')}`);
+      }
+
+      const current = await client.query(
+        'SELECT permission FROM role_permissions WHERE role = $1 FOR UPDATE',
+        [role]
+      );
+      const before = current.rows.map((row) => row.permission);
 
-    // Create audit log
-    await logAudit(req.user.id, 'CREATE', 'TRANSFER', transfer.id, {
-      from_base_id,
-      to_base_id,
-      equipment_type_id,
-      quantity
+      await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+      await client.query(
+        `INSERT INTO role_permissions (role, permission)
+         SELECT $1, UNNEST($2::VARCHAR[])`,
+        [role, granted]
+      );
+
+      await appendAudit(client, req, req.user.id, 'UPDATE', 'ROLE_PERMISSIONS', null, {
+        role,
+        added: granted.filter((key) => !before.includes(key)),
+        removed: before.filter((key) => !granted.includes(key))
+      });
     });
 
-    logger.info(`New transfer created: ID ${transfer.id} by user ${req.user.email}`);
+    logger.info(`Permissions for ${role} updated by ${req.user.email}`);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Transfer record created successfully',
-      data: transfer
+      message: 'Role permissions updated successfully',
+      data: { role, permissions: granted.sort() }
     });
 
   } catch (error) {
-    logger.error('Create transfer error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Update role permissions error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to create transfer record' 
+      error: 'Failed to update role permissions' 
     });
   }
 });
 
 
-app.get('/api/assignments', authenticateToken, async (req, res) => {
-  try {
-    let query = `
-      SELECT 
-        a.id,
-        a.base_id,
-        a.equipment_type_id,
-        a.personnel_id,
-        a.serial_number,
-        a.assignment_date,
-        a.return_date,
-        a.status,
-        a.notes,
-        a.created_at,
-        e.name as equipment_name,
-        e.category as equipment_category,
-        b.name as base_name,
-        p.name as personnel_name,
-        p.rank as personnel_rank,
-        p.unit as personnel_unit,
-        u.name as created_by_name
-      FROM assignments a
-      JOIN equipment_types e ON a.equipment_type_id = e.id
-      JOIN bases b ON a.base_id = b.id
-      JOIN personnel p ON a.personnel_id = p.id
-      LEFT JOIN users u ON a.created_by = u.id
-    `;
-    
-    let params = [];
+const MAX_AUDIT_PAGE_SIZE = 500;
+const MAX_AUDIT_EXPORT_ROWS = 50000;
+// Rows fetched per query while an export streams
+const AUDIT_EXPORT_BATCH_SIZE = 1000;
 
-    // Commanders can only see assignments for their base
-    if (req.user.role === 'commander') {
-      query += ' WHERE a.base_id = $1';
-      params.push(req.user.base_id);
+// Strings and numbers in details are searchable; keys are not
+const AUDIT_SEARCH_VECTOR = `jsonb_to_tsvector('simple', COALESCE(al.details, '{}'::JSONB), '["string", "numeric"]')`;
+
+const AUDIT_COLUMNS = `
+  al.id,
+  al.user_id,
+  al.action,
+  al.entity_type,
+  al.entity_id,
+  al.details,
+  al.ip_address,
+  al.user_agent,
+  al.request_id,
+  al.timestamp,
+  u.name as user_name,
+  u.email as user_email,
+  u.role as user_role`;
+
+/**
+ * Parse the audit log filters (user_id, action, entity_type, entity_id,
+ * request_id, start_date, end_date, q) into SQL conditions and params
+ */
+const getAuditFilters = (req) => {
+  const { user_id, action, entity_type, entity_id, request_id, start_date, end_date, q } = req.query;
+  const conditions = [];
+  const params = [];
+
+  // A repeated parameter arrives as an array; each filter takes one value
+  const repeated = Object.entries({ user_id, action, entity_type, entity_id, request_id, start_date, end_date, q })
+    .find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (repeated) {
+    throw httpError(400, `${repeated[0]} can only be given once`);
+  }
+
+  assertRecordIds({ user_id, entity_id });
+
+  if (request_id && !UUID_PATTERN.test(request_id)) {
+    throw httpError(400, 'request_id must be a request id from the X-Request-Id header');
+  }
+
+  for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+    if (value && !isValidDate(value)) {
+      throw httpError(400, `${name} must be a date in YYYY-MM-DD format`);
     }
+  }
 
-    query += ' ORDER BY a.assignment_date DESC, a.created_at DESC';
+  if (start_date && end_date && start_date > end_date) {
+    throw httpError(400, 'start_date must be on or before end_date');
+  }
 
-    const result = await pool.query(query, params);
+  if (user_id) {
+    params.push(parseInt(user_id));
+    conditions.push(`al.user_id = $${params.length}`);
+  }
+  if (action) {
+    params.push(action.toUpperCase());
+    conditions.push(`al.action = $${params.length}`);
+  }
+  if (entity_type) {
+    params.push(entity_type.toUpperCase());
+    conditions.push(`al.entity_type = $${params.length}`);
+  }
+  if (entity_id) {
+    params.push(parseInt(entity_id));
+    conditions.push(`al.entity_id = $${params.length}`);
+  }
+  if (request_id) {
+    params.push(request_id);
+    conditions.push(`al.request_id = $${params.length}`);
+  }
+  if (start_date) {
+    params.push(start_date);
+    conditions.push(`al.timestamp >= $${params.length}::DATE`);
+  }
+  if (end_date) {
+    // The end date is inclusive, so compare against the start of the next day
+    params.push(end_date);
+    conditions.push(`al.timestamp < $${params.length}::DATE + 1`);
+  }
+  if (q?.trim()) {
+    params.push(q.trim());
+    conditions.push(`${AUDIT_SEARCH_VECTOR} @@ websearch_to_tsquery('simple', $${params.length})`);
+  }
 
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
 
-  } catch (error) {
-    logger.error('Get assignments error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to fetch assignment records' 
-    });
+/**
+ * Format a value as a CSV cell. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
   }
-});
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
 
-app.post('/api/assignments', authenticateToken, checkRole('admin', 'commander'), async (req, res) => {
+app.get('/api/audit-logs', authenticateToken, requirePermission('audit:read'), async (req, res) => {
   try {
-    const { base_id, equipment_type_id, personnel_id, serial_number, assignment_date, notes } = req.body;
+    const { where, params } = getAuditFilters(req);
+    const { limit = 100, offset = 0 } = req.query;
 
-    // Input validation
-    if (!base_id || !equipment_type_id || !personnel_id || !assignment_date) {
+    if (!isValidQuantity(limit) || Number(limit) > MAX_AUDIT_PAGE_SIZE) {
       return res.status(400).json({ 
         success: false,
-        error: 'Required fields: base_id, equipment_type_id, personnel_id, assignment_date' 
+        error: `limit must be between 1 and ${MAX_AUDIT_PAGE_SIZE}` 
       });
     }
 
-    // Commanders can only create assignments for their base
-    if (req.user.role === 'commander' && base_id !== req.user.base_id) {
-      return res.status(403).json({ 
+    if (!Number.isInteger(Number(offset)) || Number(offset) < 0) {
+      return res.status(400).json({ 
         success: false,
-        error: 'You can only create assignments for your assigned base' 
+        error: 'offset must be zero or a positive whole number' 
       });
     }
 
-    // Insert assignment record
-    const result = await pool.query(
-      `INSERT INTO assignments 
-       (base_id, equipment_type_id, personnel_id, serial_number, assignment_date, status, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, 'active', $6, $7) 
-       RETURNING *`,
-      [base_id, equipment_type_id, personnel_id, serial_number, assignment_date, notes, req.user.id]
+    const totalQuery = await pool.query(
+      `SELECT COUNT(*)::INTEGER as total FROM audit_logs al ${where}`,
+      params
     );
 
-    const assignment = result.rows[0];
-
-    // Create audit log
-    await logAudit(req.user.id, 'CREATE', 'ASSIGNMENT', assignment.id, {
-      base_id,
-      equipment_type_id,
-      personnel_id,
-      serial_number
-    });
-
-    logger.info(`New assignment created: ID ${assignment.id} by user ${req.user.email}`);
+    const result = await pool.query(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM audit_logs al
+       -- Lockout events are recorded without a signed-in user
+       LEFT JOIN users u ON al.user_id = u.id
+       ${where}
+       ORDER BY al.timestamp DESC, al.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Assignment record created successfully',
-      data: assignment
+      data: result.rows,
+      count: result.rows.length,
+      total: totalQuery.rows[0].total,
+      export_limit: MAX_AUDIT_EXPORT_ROWS
     });
 
   } catch (error) {
-    logger.error('Create assignment error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Get audit logs error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to create assignment record' 
+      error: 'Failed to fetch audit logs' 
     });
   }
 });
 
 
-app.get('/api/bases', authenticateToken, async (req, res) => {
+// Values to offer in the audit log filters
+app.get('/api/audit-logs/options', authenticateToken, requirePermission('audit:read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, location, commander_name FROM bases ORDER BY name'
-    );
+    const [actions, entityTypes, users] = await Promise.all([
+      pool.query('SELECT DISTINCT action FROM audit_logs ORDER BY action'),
+      pool.query('SELECT DISTINCT entity_type FROM audit_logs ORDER BY entity_type'),
+      pool.query(
+        `SELECT u.id, u.name, u.email
+         FROM users u
+         WHERE EXISTS (SELECT 1 FROM audit_logs al WHERE al.user_id = u.id)
+         ORDER BY u.name`
+      )
+    ]);
 
     res.json({
       success: true,
-      data: result.rows
+      data: {
+        actions: actions.rows.map((row) => row.action),
+        entity_types: entityTypes.rows.map((row) => row.entity_type),
+        users: users.rows
+      }
     });
 
   } catch (error) {
-    logger.error('Get bases error:', error);
+    logger.error('Get audit log options error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch bases' 
+      error: 'Failed to fetch audit log filters' 
     });
   }
 });
 
 
-app.get('/api/equipment-types', authenticateToken, async (req, res) => {
+/**
+ * Stream the filtered audit log as CSV, newest first. Exports over
+ * MAX_AUDIT_EXPORT_ROWS are refused rather than cut short, and rows are
+ * written in batches so the file is never built in memory.
+ */
+app.get('/api/audit-logs/export', authenticateToken, requirePermission('audit:read'), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, category, description, unit_of_measure FROM equipment_types ORDER BY category, name'
+    const { where, params } = getAuditFilters(req);
+
+    // Entries written after this point are left out, so the count stays true
+    const snapshot = await pool.query(
+      `SELECT COUNT(*)::INTEGER as total, MAX(al.id) as last_id FROM audit_logs al ${where}`,
+      params
     );
+    const { total, last_id: lastId } = snapshot.rows[0];
 
-    res.json({
-      success: true,
-      data: result.rows
+    if (total > MAX_AUDIT_EXPORT_ROWS) {
+      return res.status(413).json({ 
+        success: false,
+        error: `${total.toLocaleString()} entries match; exports are limited to ${MAX_AUDIT_EXPORT_ROWS.toLocaleString()}. Narrow the filters and try again.` 
+      });
+    }
+
+    await logAudit(req, req.user.id, 'EXPORT', 'AUDIT_LOG', null, {
+      filters: req.query,
+      rows: total
     });
 
+    const header = ['id', 'timestamp', 'user_id', 'user_name', 'user_email', 'user_role',
+      'action', 'entity_type', 'entity_id', 'ip_address', 'user_agent', 'request_id', 'details'];
+
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.write(`${header.join(',')}\r\n`);
+
+    const conditions = where ? [where.replace(/^WHERE /, '')] : [];
+    conditions.push(`al.id <= $${params.length + 1}`);
+    const batchParams = [...params, lastId || 0];
+    let after = null;
+
+    for (;;) {
+      // Keyset paging on the export order, continuing after the last row written
+      const keyset = after ? `AND (al.timestamp, al.id) < ($${batchParams.length + 2}::TIMESTAMP, $${batchParams.length + 3})` : '';
+      const batch = await pool.query(
+        `SELECT ${AUDIT_COLUMNS},
+                -- Text keeps the microseconds a JavaScript Date would drop
+                al.timestamp::TEXT as cursor_timestamp
+         FROM audit_logs al
+         LEFT JOIN users u ON al.user_id = u.id
+         WHERE ${conditions.join(' AND ')} ${keyset}
+         ORDER BY al.timestamp DESC, al.id DESC
+         LIMIT $${batchParams.length + 1}`,
+        after
+          ? [...batchParams, AUDIT_EXPORT_BATCH_SIZE, after.cursor_timestamp, after.id]
+          : [...batchParams, AUDIT_EXPORT_BATCH_SIZE]
+      );
+
+      if (batch.rows.length === 0) break;
+
+      const chunk = batch.rows
+        .map((row) => `${header.map((column) => csvCell(row[column])).join(',')}\r\n`)
+        .join('');
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      // The client has gone away
+      if (res.destroyed) return;
+
+      if (batch.rows.length < AUDIT_EXPORT_BATCH_SIZE) break;
+      after = batch.rows[batch.rows.length - 1];
+    }
+
+    res.end();
+
   } catch (error) {
-    logger.error('Get equipment types error:', error);
+    if (res.headersSent) {
+      // Part of the file has gone out; drop the connection so it is not saved as complete
+      logger.error('Export audit logs error after streaming began:', error);
+      return res.destroy(error);
+    }
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Export audit logs error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch equipment types' 
+      error: 'Failed to export audit logs' 
     });
   }
 });
 
 
-app.get('/api/audit-logs', authenticateToken, checkRole('admin'), async (req, res) => {
+const AUDIT_VERIFY_BATCH_SIZE = 1000;
+
+/**
+ * Walk the audit log oldest first and recompute every hash. Reports the
+ * first entry that was changed, removed or inserted out of chain, and the
+ * head hash to record outside the system for later comparison.
+ */
+app.get('/api/audit-logs/verify', authenticateToken, requirePermission('audit:read'), async (req, res) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
+    let checked = 0;
+    let lastId = 0;
+    let prevHash = null;
 
-    const result = await pool.query(
-      `SELECT 
-        al.id,
-        al.user_id,
-        al.action,
-        al.entity_type,
-        al.entity_id,
-        al.details,
-        al.timestamp,
-        u.name as user_name,
-        u.email as user_email,
-        u.role as user_role
-       FROM audit_logs al
-       JOIN users u ON al.user_id = u.id
-       ORDER BY al.timestamp DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
+    for (;;) {
+      const batch = await pool.query(
+        `SELECT al.id, al.action, al.entity_type, al.entity_id, al.timestamp, al.prev_hash, al.hash,
+                ${auditContentSql('to_jsonb(al)')} as content
+         FROM audit_logs al
+         WHERE al.id > $1
+         ORDER BY al.id
+         LIMIT $2`,
+        [lastId, AUDIT_VERIFY_BATCH_SIZE]
+      );
+
+      for (const entry of batch.rows) {
+        let reason = null;
+        if (!entry.hash) {
+          reason = 'Entry is not part of the hash chain';
+        } else if (entry.prev_hash !== prevHash) {
+          reason = 'Entry does not follow the one before it; an entry was removed or inserted';
+        } else if (auditEntryHash(entry.content) !== entry.hash) {
+          reason = 'Entry was modified after it was written';
+        }
+
+        if (reason) {
+          logger.warn(`Audit log verification failed at entry ${entry.id}: ${reason}`);
+          return res.json({
+            success: true,
+            data: {
+              valid: false,
+              checked,
+              reason,
+              broken_at: {
+                id: entry.id,
+                action: entry.action,
+                entity_type: entry.entity_type,
+                entity_id: entry.entity_id,
+                timestamp: entry.timestamp
+              }
+            }
+          });
+        }
+
+        prevHash = entry.hash;
+        lastId = entry.id;
+        checked += 1;
+      }
+
+      if (batch.rows.length < AUDIT_VERIFY_BATCH_SIZE) break;
+    }
 
     res.json({
       success: true,
-      data: result.rows,
-      count: result.rows.length
+      data: {
+        valid: true,
+        checked,
+        head_id: lastId || null,
+        head_hash: prevHash
+      }
     });
 
   } catch (error) {
-    logger.error('Get audit logs error:', error);
+    logger.error('Verify audit log error:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to fetch audit logs' 
+      error: 'Failed to verify audit log' 
     });
   }
 });
@@ -742,7 +6784,7 @@ app.use((req, res) => {
  * Global error handler
  */
 app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
+  logger.error(`Unhandled error in request ${req.id}:`, err);
   res.status(500).json({
     success: false,
     error: 'Internal server error. Please try again later.'
@@ -750,9 +6792,24 @@ app.use((err, req, res, next) => {
 });
 
 
-app.listen(PORT, () => {
-  logger.info(`Server started successfully on port ${PORT}`);
-});
+// Chain any entries written before hashing was introduced, then start serving.
+// An unsealed log cannot be verified, so the server does not start without it.
+sealAuditLog()
+  .then((sealed) => {
+    if (sealed > 0) logger.info(`Audit log: chained ${sealed} earlier entries`);
+
+    app.listen(PORT, () => {
+      logger.info(`Server started successfully on port ${PORT}`);
+    });
+
+    // Check stock against thresholds now and on every interval
+    runStockAlertEvaluation();
+    setInterval(runStockAlertEvaluation, STOCK_ALERT_INTERVAL_MINUTES * 60 * 1000).unref();
+  })
+  .catch((error) => {
+    logger.error('Failed to seal audit log; not starting:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,106 @@
+/**
+ * Audit hash chain tests
+ *
+ * Checks that each audit entry chains onto the one before it, that the
+ * database refuses changes to written entries, and that verification finds
+ * an entry altered behind the triggers' back.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, useTestServer, createReference } = require('./helpers');
+
+const FIXTURE_USERS = {
+  admin: { email: 'audit-chain-test.admin@example.test', role: 'admin', baseIds: [] }
+};
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const verify = async () => {
+  const { status, body } = await api('GET', 'audit-logs/verify', { token: tokens.admin });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+};
+
+const latestEntry = async () => {
+  const result = await pool.query('SELECT id, prev_hash, hash FROM audit_logs ORDER BY id DESC LIMIT 1');
+  return result.rows[0];
+};
+
+
+describe('audit hash chain', () => {
+  it('verifies up to the latest entry', async () => {
+    const head = await latestEntry();
+    const result = await verify();
+
+    assert.equal(result.valid, true, JSON.stringify(result));
+    assert.ok(result.checked > 0);
+    assert.equal(result.head_id, head.id);
+    assert.equal(result.head_hash, head.hash);
+  });
+
+  it('links a new entry to the hash of the one before it', async () => {
+    const previous = await latestEntry();
+
+    const base = await createReference(tokens.admin, 'bases', { name: 'Audit chain test base' });
+
+    const entry = await pool.query(
+      `SELECT id, prev_hash, hash FROM audit_logs
+       WHERE action = 'CREATE' AND entity_type = 'BASE' AND entity_id = $1`,
+      [base.id]
+    );
+    assert.equal(entry.rows.length, 1);
+    assert.equal(entry.rows[0].prev_hash, previous.hash);
+    assert.match(entry.rows[0].hash, /^[0-9a-f]{64}$/);
+
+    const result = await verify();
+    assert.equal(result.valid, true, JSON.stringify(result));
+    assert.equal(result.head_hash, (await latestEntry()).hash);
+  });
+
+  it('is append-only in the database', async () => {
+    const { id } = await latestEntry();
+
+    await assert.rejects(
+      pool.query(`UPDATE audit_logs SET details = '{}' WHERE id = $1`, [id]),
+      /append-only/
+    );
+    await assert.rejects(pool.query('DELETE FROM audit_logs WHERE id = $1', [id]), /append-only/);
+    await assert.rejects(pool.query('TRUNCATE audit_logs'), /append-only/);
+  });
+
+  it('reports an entry altered with the triggers disabled', async () => {
+    const { id } = await latestEntry();
+    const original = await pool.query('SELECT details FROM audit_logs WHERE id = $1', [id]);
+
+    const tamper = async (details) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query('ALTER TABLE audit_logs DISABLE TRIGGER protect_audit_logs');
+        await client.query('UPDATE audit_logs SET details = $2 WHERE id = $1', [id, details]);
+        await client.query('ALTER TABLE audit_logs ENABLE TRIGGER protect_audit_logs');
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    };
+
+    await tamper({ ...original.rows[0].details, tampered: true });
+    try {
+      const result = await verify();
+      assert.equal(result.valid, false);
+      assert.equal(result.broken_at.id, id);
+      assert.equal(result.reason, 'Entry was modified after it was written');
+    } finally {
+      await tamper(original.rows[0].details);
+    }
+
+    assert.equal((await verify()).valid, true);
+  });
+});
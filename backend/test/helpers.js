@@ -0,0 +1,170 @@
+/**
+ * Shared setup for the API tests
+ *
+ * Each test file runs server.js against DATABASE_URL (loaded with schema.sql)
+ * on TEST_PORT with fixture users of its own. The files share the port, so
+ * npm test runs them one at a time.
+ */
+
+require('dotenv').config();
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+
+const PORT = Number(process.env.TEST_PORT) || 5055;
+const API_URL = `http://localhost:${PORT}/api`;
+const PASSWORD = 'api-test-password';
+const STARTUP_TIMEOUT_MS = 20000;
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+/**
+ * Create or reset fixture users with a known password and base set.
+ * Each fixture is { email, role, baseIds }; its id is filled in.
+ */
+const createFixtureUsers = async (fixtures) => {
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+
+  for (const [key, fixture] of Object.entries(fixtures)) {
+    const result = await pool.query(
+      `INSERT INTO users (email, password_hash, name, role, base_id, is_active)
+       VALUES ($1, $2, $3, $4, $5, true)
+       ON CONFLICT (email) DO UPDATE
+       SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, base_id = EXCLUDED.base_id,
+           is_active = true, failed_login_count = 0, locked_until = NULL, totp_enabled = false
+       RETURNING id`,
+      [fixture.email, passwordHash, `Test ${key}`, fixture.role, fixture.baseIds[0] || null]
+    );
+    fixture.id = result.rows[0].id;
+
+    await pool.query('DELETE FROM user_bases WHERE user_id = $1', [fixture.id]);
+    await pool.query(
+      'INSERT INTO user_bases (user_id, base_id) SELECT $1, UNNEST($2::INTEGER[])',
+      [fixture.id, fixture.baseIds]
+    );
+  }
+};
+
+/**
+ * Run server.js on the test port and wait until it answers
+ */
+const startServer = async () => {
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(PORT), STOCK_ALERT_INTERVAL_MINUTES: '60' },
+    stdio: 'ignore'
+  });
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${API_URL}/health`);
+      if (response.ok) return server;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  server.kill();
+  throw new Error(`Server did not start on port ${PORT}`);
+};
+
+/**
+ * Stop the server and wait for it to release the port
+ */
+const stopServer = (server) => new Promise((resolve) => {
+  if (!server || server.exitCode !== null) return resolve();
+  server.once('exit', resolve);
+  server.kill();
+});
+
+/**
+ * Call the API, returning the status, headers and parsed body
+ */
+const api = async (method, endpoint, { token, cookie, body } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (cookie) headers.Cookie = cookie;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${API_URL}/${endpoint}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const login = (email, password = PASSWORD) => api('POST', 'auth/login', { body: { email, password } });
+
+/**
+ * Start the server for a test file with its fixture users signed in.
+ * Returns the access tokens by fixture key, filled in once the server is up.
+ * Role policies are put back and the fixture users deactivated afterwards.
+ */
+const useTestServer = (fixtures) => {
+  const tokens = {};
+  const emails = Object.values(fixtures).map((fixture) => fixture.email);
+  let server;
+  let savedPolicies = [];
+
+  before(async () => {
+    // Second-factor enrolment would stop the fixture users at login
+    const policies = await pool.query('SELECT role, require_two_factor FROM role_policies');
+    savedPolicies = policies.rows;
+    await pool.query('UPDATE role_policies SET require_two_factor = false');
+
+    await createFixtureUsers(fixtures);
+    server = await startServer();
+
+    for (const [key, fixture] of Object.entries(fixtures)) {
+      const { body } = await login(fixture.email);
+      assert.ok(body.token, `Login failed for ${fixture.email}: ${JSON.stringify(body)}`);
+      tokens[key] = body.token;
+    }
+  });
+
+  after(async () => {
+    await stopServer(server);
+
+    for (const policy of savedPolicies) {
+      await pool.query(
+        'UPDATE role_policies SET require_two_factor = $2 WHERE role = $1',
+        [policy.role, policy.require_two_factor]
+      );
+    }
+    // Failed sign-ins count against the test machine's address as well
+    await pool.query('DELETE FROM failed_login_attempts WHERE email = ANY($1)', [emails]);
+    // Audit entries reference the fixture users, so they are deactivated rather than deleted
+    await pool.query('UPDATE users SET is_active = false WHERE email = ANY($1)', [emails]);
+    await pool.end();
+  });
+
+  return tokens;
+};
+
+/**
+ * Create a base or equipment type through the API under a name no other
+ * run has used
+ */
+const createReference = async (token, resource, fields) => {
+  const { status, body } = await api('POST', resource, {
+    token,
+    body: { ...fields, name: `${fields.name} ${process.pid}-${Date.now()}` }
+  });
+  assert.equal(status, 201, `POST /api/${resource}: ${JSON.stringify(body)}`);
+  return body.data;
+};
+
+module.exports = {
+  API_URL,
+  PASSWORD,
+  pool,
+  api,
+  login,
+  useTestServer,
+  createReference
+};
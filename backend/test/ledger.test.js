@@ -0,0 +1,98 @@
+/**
+ * Stock ledger tests
+ *
+ * Checks that movements post to on-hand stock with a running balance, and
+ * that a withdrawal larger than the stock on hand is refused with a 409
+ * without changing anything.
+ *
+ * Run: npm test
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, useTestServer, createReference } = require('./helpers');
+
+const FIXTURE_USERS = {
+  admin: { email: 'ledger-test.admin@example.test', role: 'admin', baseIds: [] }
+};
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const onHand = async (baseId, equipmentTypeId) => {
+  const result = await pool.query(
+    'SELECT quantity FROM assets WHERE base_id = $1 AND equipment_type_id = $2',
+    [baseId, equipmentTypeId]
+  );
+  return result.rows[0]?.quantity ?? 0;
+};
+
+const ledger = async (baseId, equipmentTypeId) => {
+  const result = await pool.query(
+    `SELECT movement_type, quantity, balance_after FROM stock_movements
+     WHERE base_id = $1 AND equipment_type_id = $2
+     ORDER BY id`,
+    [baseId, equipmentTypeId]
+  );
+  return result.rows;
+};
+
+
+describe('stock ledger', () => {
+  let base;
+  let equipmentType;
+
+  before(async () => {
+    base = await createReference(tokens.admin, 'bases', { name: 'Ledger test base' });
+    equipmentType = await createReference(tokens.admin, 'equipment-types', {
+      name: 'Ledger test rations',
+      category: 'Supplies'
+    });
+  });
+
+  const post = (endpoint, fields) => api('POST', endpoint, {
+    token: tokens.admin,
+    body: { base_id: base.id, equipment_type_id: equipmentType.id, ...fields }
+  });
+
+  it('records each movement with the balance it leaves', async () => {
+    const purchase = await post('purchases', { quantity: 10, purchase_date: TODAY });
+    assert.equal(purchase.status, 201, JSON.stringify(purchase.body));
+
+    const expenditure = await post('expenditures', { quantity: 4, expenditure_date: TODAY, reason: 'training' });
+    assert.equal(expenditure.status, 201, JSON.stringify(expenditure.body));
+
+    assert.equal(await onHand(base.id, equipmentType.id), 6);
+    assert.deepEqual(await ledger(base.id, equipmentType.id), [
+      { movement_type: 'purchase', quantity: 10, balance_after: 10 },
+      { movement_type: 'expenditure', quantity: -4, balance_after: 6 }
+    ]);
+  });
+
+  it('refuses to overdraw the stock on hand with a 409', async () => {
+    const postings = await ledger(base.id, equipmentType.id);
+
+    const { status, body } = await post('expenditures', { quantity: 7, expenditure_date: TODAY, reason: 'training' });
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Insufficient stock: 6 available, 7 requested');
+
+    assert.equal(await onHand(base.id, equipmentType.id), 6);
+    assert.deepEqual(await ledger(base.id, equipmentType.id), postings);
+
+    const recorded = await pool.query(
+      'SELECT COUNT(*)::INTEGER as count FROM expenditures WHERE base_id = $1',
+      [base.id]
+    );
+    assert.equal(recorded.rows[0].count, 1);
+  });
+
+  it('refuses to withdraw from a base that has never held the type', async () => {
+    const { status, body } = await api('POST', 'expenditures', {
+      token: tokens.admin,
+      body: { base_id: base.id, equipment_type_id: 1, quantity: 1, expenditure_date: TODAY, reason: 'loss' }
+    });
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Insufficient stock: 0 available, 1 requested');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Login lockout tests
+ *
+ * Checks that an account is locked after repeated wrong passwords, that a
+ * locked account is refused even with the right password, and that an
+ * administrator can lift the lock.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, login, useTestServer } = require('./helpers');
+
+// Matches MAX_FAILED_LOGINS_PER_ACCOUNT in server.js
+const MAX_FAILED_LOGINS = 5;
+
+const FIXTURE_USERS = {
+  admin: { email: 'lockout-test.admin@example.test', role: 'admin', baseIds: [] },
+  commander: { email: 'lockout-test.commander@example.test', role: 'commander', baseIds: [1] }
+};
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const lockState = async () => {
+  const result = await pool.query(
+    'SELECT failed_login_count, locked_until FROM users WHERE id = $1',
+    [FIXTURE_USERS.commander.id]
+  );
+  return result.rows[0];
+};
+
+
+describe('account lockout', () => {
+  const { email } = FIXTURE_USERS.commander;
+
+  it(`locks the account after ${MAX_FAILED_LOGINS} wrong passwords`, async () => {
+    for (let attempt = 1; attempt <= MAX_FAILED_LOGINS; attempt++) {
+      const { status } = await login(email, 'wrong-password');
+      assert.equal(status, 401, `attempt ${attempt}`);
+    }
+
+    const state = await lockState();
+    assert.equal(state.failed_login_count, MAX_FAILED_LOGINS);
+    assert.ok(state.locked_until > new Date());
+  });
+
+  it('refuses the right password with a 429 and Retry-After while locked', async () => {
+    const { status, headers, body } = await login(email);
+    assert.equal(status, 429);
+    assert.ok(body.retry_after > 0);
+    assert.equal(headers.get('retry-after'), String(body.retry_after));
+    assert.equal(body.token, undefined);
+  });
+
+  it('records the lockout in the audit trail', async () => {
+    const result = await pool.query(
+      `SELECT details FROM audit_logs
+       WHERE action = 'ACCOUNT_LOCKED' AND entity_type = 'USER' AND entity_id = $1
+       ORDER BY id DESC LIMIT 1`,
+      [FIXTURE_USERS.commander.id]
+    );
+    assert.equal(result.rows[0]?.details.failed_attempts, MAX_FAILED_LOGINS);
+  });
+
+  it('lets the user back in once an administrator unlocks the account', async () => {
+    const { status, body } = await api('PATCH', `users/${FIXTURE_USERS.commander.id}/unlock`, { token: tokens.admin });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const state = await lockState();
+    assert.equal(state.failed_login_count, 0);
+    assert.equal(state.locked_until, null);
+
+    const signIn = await login(email);
+    assert.equal(signIn.status, 200, JSON.stringify(signIn.body));
+    assert.ok(signIn.body.token);
+  });
+
+  it('only lets administrators unlock accounts', async () => {
+    const { status } = await api('PATCH', `users/${FIXTURE_USERS.admin.id}/unlock`, { token: tokens.commander });
+    assert.equal(status, 403);
+  });
+
+  it('starts counting again from one after a lock has expired', async () => {
+    await pool.query(
+      `UPDATE users SET failed_login_count = $2, locked_until = NOW() - INTERVAL '1 second' WHERE id = $1`,
+      [FIXTURE_USERS.commander.id, MAX_FAILED_LOGINS]
+    );
+
+    const { status } = await login(email, 'wrong-password');
+    assert.equal(status, 401);
+
+    const state = await lockState();
+    assert.equal(state.failed_login_count, 1);
+    assert.equal(state.locked_until, null);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Lot tracking tests
+ *
+ * Checks that lot-tracked stock is issued earliest expiry first, that lots
+ * past their expiry or inspection date are passed over, and that they can
+ * only be drawn on by naming them.
+ *
+ * Run: npm test
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, useTestServer, createReference } = require('./helpers');
+
+const FIXTURE_USERS = {
+  admin: { email: 'lots-test.admin@example.test', role: 'admin', baseIds: [] }
+};
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const TODAY = daysFromToday(0);
+
+// Received in this order, so issue order cannot come from the order of receipt
+const LOTS = [
+  { lot_number: 'LATE', quantity: 5, expiry_date: daysFromToday(365) },
+  { lot_number: 'EARLY', quantity: 5, expiry_date: daysFromToday(30) },
+  { lot_number: 'EXPIRED', quantity: 3, expiry_date: daysFromToday(-10) },
+  { lot_number: 'OVERDUE', quantity: 2, expiry_date: daysFromToday(10), inspection_due_date: daysFromToday(-1) }
+];
+
+
+describe('lot-tracked stock', () => {
+  let base;
+  let equipmentType;
+
+  before(async () => {
+    base = await createReference(tokens.admin, 'bases', { name: 'Lots test base' });
+    equipmentType = await createReference(tokens.admin, 'equipment-types', {
+      name: 'Lots test cartridges',
+      category: 'Ammunition',
+      is_lot_tracked: true
+    });
+  });
+
+  const post = (endpoint, fields) => api('POST', endpoint, {
+    token: tokens.admin,
+    body: { base_id: base.id, equipment_type_id: equipmentType.id, ...fields }
+  });
+
+  const expend = (quantity, fields = {}) => post('expenditures', {
+    quantity,
+    expenditure_date: TODAY,
+    reason: 'training',
+    ...fields
+  });
+
+  /**
+   * Units of each lot on hand at the test base, by lot number
+   */
+  const lotsOnHand = async () => {
+    const { status, body } = await api(
+      'GET',
+      `lots?base_id=${base.id}&equipment_type_id=${equipmentType.id}&include_empty=true`,
+      { token: tokens.admin }
+    );
+    assert.equal(status, 200, JSON.stringify(body));
+    return Object.fromEntries(body.data.map((lot) => [lot.lot_number, lot.on_hand]));
+  };
+
+  it('receives purchases into named lots', async () => {
+    for (const lot of LOTS) {
+      const { status, body } = await post('purchases', { ...lot, purchase_date: TODAY });
+      assert.equal(status, 201, `${lot.lot_number}: ${JSON.stringify(body)}`);
+    }
+
+    assert.deepEqual(await lotsOnHand(), { LATE: 5, EARLY: 5, EXPIRED: 3, OVERDUE: 2 });
+  });
+
+  it('refuses a purchase of a lot-tracked type without a lot number', async () => {
+    const { status } = await post('purchases', { quantity: 1, purchase_date: TODAY });
+    assert.equal(status, 400);
+  });
+
+  it('issues the earliest expiry first and passes over unusable lots', async () => {
+    const { status, body } = await expend(7);
+    assert.equal(status, 201, JSON.stringify(body));
+
+    assert.deepEqual(await lotsOnHand(), { LATE: 3, EARLY: 0, EXPIRED: 3, OVERDUE: 2 });
+  });
+
+  it('refuses with a 409 when only unusable lots would cover the rest', async () => {
+    const { status, body } = await expend(4);
+    assert.equal(status, 409);
+    assert.match(body.error, /^1 of the units needed are in lots past their expiry or inspection date/);
+
+    assert.deepEqual(await lotsOnHand(), { LATE: 3, EARLY: 0, EXPIRED: 3, OVERDUE: 2 });
+  });
+
+  it('draws on an expired lot when it is named', async () => {
+    const lots = await api('GET', `lots?base_id=${base.id}&equipment_type_id=${equipmentType.id}&q=EXPIRED`, {
+      token: tokens.admin
+    });
+    const [expired] = lots.body.data;
+
+    const tooMany = await expend(4, { reason: 'disposal', lot_id: expired.id });
+    assert.equal(tooMany.status, 409);
+
+    const { status, body } = await expend(3, { reason: 'disposal', lot_id: expired.id });
+    assert.equal(status, 201, JSON.stringify(body));
+
+    assert.deepEqual(await lotsOnHand(), { LATE: 3, EARLY: 0, EXPIRED: 0, OVERDUE: 2 });
+  });
+});
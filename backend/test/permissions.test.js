@@ -0,0 +1,95 @@
+/**
+ * Permission matrix tests
+ *
+ * Checks that grants in role_permissions take effect on the next request,
+ * and that only policy managers can change them without locking themselves out.
+ *
+ * Run: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, useTestServer } = require('./helpers');
+
+const FIXTURE_USERS = {
+  admin: { email: 'permissions-test.admin@example.test', role: 'admin', baseIds: [] },
+  logistics: { email: 'permissions-test.logistics@example.test', role: 'logistics', baseIds: [2] }
+};
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const grants = async (role) => {
+  const result = await pool.query(
+    'SELECT permission FROM role_permissions WHERE role = $1',
+    [role]
+  );
+  return result.rows.map((row) => row.permission).sort();
+};
+
+const setGrants = (token, role, permissions) => api('PUT', `role-permissions/${role}`, {
+  token,
+  body: { permissions }
+});
+
+
+describe('role permissions', () => {
+  let logisticsGrants;
+
+  before(async () => {
+    logisticsGrants = await grants('logistics');
+    assert.ok(logisticsGrants.includes('transfer:read'));
+  });
+
+  after(async () => {
+    await pool.query(`DELETE FROM role_permissions WHERE role = 'logistics'`);
+    await pool.query(
+      `INSERT INTO role_permissions (role, permission) SELECT 'logistics', UNNEST($1::VARCHAR[])`,
+      [logisticsGrants]
+    );
+  });
+
+  it('take effect on the next request of a signed-in user', async () => {
+    assert.equal((await api('GET', 'transfers', { token: tokens.logistics })).status, 200);
+
+    const revoke = await setGrants(tokens.admin, 'logistics', logisticsGrants.filter((key) => key !== 'transfer:read'));
+    assert.equal(revoke.status, 200, JSON.stringify(revoke.body));
+    assert.equal((await api('GET', 'transfers', { token: tokens.logistics })).status, 403);
+
+    const restore = await setGrants(tokens.admin, 'logistics', logisticsGrants);
+    assert.equal(restore.status, 200, JSON.stringify(restore.body));
+    assert.equal((await api('GET', 'transfers', { token: tokens.logistics })).status, 200);
+  });
+
+  it('are listed for the signed-in user', async () => {
+    const { status, body } = await api('GET', 'auth/permissions', { token: tokens.logistics });
+    assert.equal(status, 200);
+    assert.equal(body.data.role, 'logistics');
+    assert.deepEqual([...body.data.permissions].sort(), logisticsGrants);
+  });
+
+  it('can only be changed by a user with policy:manage', async () => {
+    const { status } = await setGrants(tokens.logistics, 'logistics', [...logisticsGrants, 'policy:manage']);
+    assert.equal(status, 403);
+    assert.deepEqual(await grants('logistics'), logisticsGrants);
+  });
+
+  it('cannot remove policy:manage from the editor\'s own role', async () => {
+    const adminGrants = await grants('admin');
+
+    const { status } = await setGrants(tokens.admin, 'admin', adminGrants.filter((key) => key !== 'policy:manage'));
+    assert.equal(status, 409);
+    assert.deepEqual(await grants('admin'), adminGrants);
+  });
+
+  it('refuse unknown permission keys and roles', async () => {
+    const unknownKey = await setGrants(tokens.admin, 'logistics', [...logisticsGrants, 'missiles:launch']);
+    assert.equal(unknownKey.status, 400);
+    assert.deepEqual(await grants('logistics'), logisticsGrants);
+
+    const unknownRole = await setGrants(tokens.admin, 'quartermaster', logisticsGrants);
+    assert.equal(unknownRole.status, 404);
+
+    const notText = await setGrants(tokens.admin, 'logistics', [1, 2]);
+    assert.equal(notText.status, 400);
+  });
+});
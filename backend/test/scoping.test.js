@@ -0,0 +1,128 @@
+/**
+ * Base scoping tests
+ *
+ * Starts the API against DATABASE_URL (loaded with schema.sql) and checks that
+ * users without base:all only see records at their assigned bases.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, useTestServer } = require('./helpers');
+
+// Commander at base 1; logistics officer covering bases 2 and 3 with home base 2
+const FIXTURE_USERS = {
+  admin: { email: 'scoping-test.admin@example.test', role: 'admin', baseIds: [] },
+  commander: { email: 'scoping-test.commander@example.test', role: 'commander', baseIds: [1] },
+  logistics: { email: 'scoping-test.logistics@example.test', role: 'logistics', baseIds: [2, 3] }
+};
+
+const LIST_ENDPOINTS = ['purchases', 'assignments', 'expenditures', 'personnel'];
+const DASHBOARD_ENDPOINTS = ['dashboard/metrics', 'dashboard/timeseries', 'dashboard/movement'];
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+const get = (user, endpoint) => api('GET', endpoint, { token: tokens[user] });
+
+const getData = async (user, endpoint) => {
+  const { status, body } = await get(user, endpoint);
+  assert.equal(status, 200, `${user} GET /api/${endpoint}: ${JSON.stringify(body)}`);
+  return body.data;
+};
+
+const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b);
+
+
+describe('logistics role grants', () => {
+  it('does not include base:all', async () => {
+    const result = await pool.query(
+      `SELECT 1 FROM role_permissions WHERE role = 'logistics' AND permission = 'base:all'`
+    );
+    assert.equal(result.rows.length, 0);
+  });
+});
+
+describe('list endpoints', () => {
+  for (const endpoint of LIST_ENDPOINTS) {
+    it(`/api/${endpoint} returns every base to an admin`, async () => {
+      const rows = await getData('admin', endpoint);
+      const bases = new Set(rows.map((row) => row.base_id));
+      assert.ok(bases.size > 1, `expected ${endpoint} at more than one base in the sample data`);
+    });
+
+    for (const user of ['commander', 'logistics']) {
+      it(`/api/${endpoint} returns exactly the ${user}'s bases`, async () => {
+        const { baseIds } = FIXTURE_USERS[user];
+        const all = await getData('admin', endpoint);
+        const scoped = await getData(user, endpoint);
+
+        for (const row of scoped) {
+          assert.ok(baseIds.includes(row.base_id), `${user} saw ${endpoint} ${row.id} at base ${row.base_id}`);
+        }
+        assert.deepEqual(ids(scoped), ids(all.filter((row) => baseIds.includes(row.base_id))));
+      });
+    }
+  }
+});
+
+describe('transfers', () => {
+  for (const user of ['commander', 'logistics']) {
+    it(`match the ${user}'s bases at either end`, async () => {
+      const { baseIds } = FIXTURE_USERS[user];
+      const involves = (row) => baseIds.includes(row.from_base_id) || baseIds.includes(row.to_base_id);
+      const all = await getData('admin', 'transfers');
+      const scoped = await getData(user, 'transfers');
+
+      for (const row of scoped) {
+        assert.ok(involves(row), `${user} saw transfer ${row.id} between bases ${row.from_base_id} and ${row.to_base_id}`);
+      }
+      assert.deepEqual(ids(scoped), ids(all.filter(involves)));
+    });
+  }
+
+  it('include transfers where only the sending or only the receiving base is assigned', async () => {
+    const { baseIds } = FIXTURE_USERS.commander;
+    const scoped = await getData('commander', 'transfers');
+
+    assert.ok(scoped.some((row) => baseIds.includes(row.from_base_id) && !baseIds.includes(row.to_base_id)));
+    assert.ok(scoped.some((row) => baseIds.includes(row.to_base_id) && !baseIds.includes(row.from_base_id)));
+  });
+});
+
+describe('dashboard endpoints', () => {
+  for (const endpoint of DASHBOARD_ENDPOINTS) {
+    it(`/api/${endpoint} for a single-base commander matches the admin view of that base`, async () => {
+      const [baseId] = FIXTURE_USERS.commander.baseIds;
+      const scoped = await getData('commander', endpoint);
+      const admin = await getData('admin', `${endpoint}?base_id=${baseId}`);
+      assert.deepEqual(scoped, admin);
+    });
+
+    it(`/api/${endpoint} narrows to one of the user's bases`, async () => {
+      const baseId = FIXTURE_USERS.logistics.baseIds[1];
+      const scoped = await getData('logistics', `${endpoint}?base_id=${baseId}`);
+      const admin = await getData('admin', `${endpoint}?base_id=${baseId}`);
+      assert.deepEqual(scoped, admin);
+    });
+
+    it(`/api/${endpoint} returns 403 for a base outside the user's set`, async () => {
+      for (const user of ['commander', 'logistics']) {
+        const outside = [1, 2, 3, 4].find((baseId) => !FIXTURE_USERS[user].baseIds.includes(baseId));
+        const { status } = await get(user, `${endpoint}?base_id=${outside}`);
+        assert.equal(status, 403, `${user} GET /api/${endpoint}?base_id=${outside}`);
+      }
+    });
+  }
+
+  it('/api/dashboard/movement only lists movements at the user\'s bases', async () => {
+    const { baseIds } = FIXTURE_USERS.logistics;
+    const movement = await getData('logistics', 'dashboard/movement');
+    const records = movement.equipmentTypes.flatMap((group) => group.records);
+
+    assert.ok(records.length > 0);
+    for (const record of records) {
+      assert.ok(baseIds.includes(record.base_id), `logistics saw a movement at base ${record.base_id}`);
+    }
+  });
+});
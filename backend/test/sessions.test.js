@@ -0,0 +1,100 @@
+/**
+ * Session refresh tests
+ *
+ * Checks that each refresh rotates the refresh token, and that presenting a
+ * used one revokes the whole session.
+ *
+ * Run: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, api, login, useTestServer } = require('./helpers');
+
+const FIXTURE_USERS = {
+  commander: { email: 'sessions-test.commander@example.test', role: 'commander', baseIds: [1] }
+};
+
+useTestServer(FIXTURE_USERS);
+
+/**
+ * The refresh cookie a response set, as a Cookie header value
+ */
+const refreshCookie = (headers) => {
+  const cookie = headers.getSetCookie().find((value) => value.startsWith('refresh_token='));
+  assert.ok(cookie, 'expected a refresh_token cookie');
+  return cookie.split(';')[0];
+};
+
+const signIn = async () => {
+  const { status, headers, body } = await login(FIXTURE_USERS.commander.email);
+  assert.equal(status, 200, JSON.stringify(body));
+  return { token: body.token, cookie: refreshCookie(headers) };
+};
+
+const refresh = (cookie) => api('POST', 'auth/refresh', { cookie });
+
+
+describe('refresh tokens', () => {
+  it('are exchanged for a new access token and a new refresh token', async () => {
+    const session = await signIn();
+
+    const { status, headers, body } = await refresh(session.cookie);
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(body.token);
+    assert.equal(body.user.email, FIXTURE_USERS.commander.email);
+
+    const rotated = refreshCookie(headers);
+    assert.notEqual(rotated, session.cookie);
+
+    const me = await api('GET', 'auth/me', { token: body.token });
+    assert.equal(me.status, 200);
+
+    const again = await refresh(rotated);
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+  });
+
+  it('revoke the session when a used one is presented again', async () => {
+    const session = await signIn();
+
+    const first = await refresh(session.cookie);
+    assert.equal(first.status, 200);
+    const rotated = refreshCookie(first.headers);
+
+    const replay = await refresh(session.cookie);
+    assert.equal(replay.status, 401);
+
+    // Both the latest refresh token and the access tokens of the session stop working
+    assert.equal((await refresh(rotated)).status, 401);
+    assert.equal((await api('GET', 'auth/me', { token: first.body.token })).status, 401);
+    assert.equal((await api('GET', 'auth/me', { token: session.token })).status, 401);
+
+    const revoked = await pool.query(
+      `SELECT revoked_reason FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NOT NULL
+       ORDER BY revoked_at DESC LIMIT 1`,
+      [FIXTURE_USERS.commander.id]
+    );
+    assert.equal(revoked.rows[0].revoked_reason, 'token_reuse');
+  });
+
+  it('leave the user\'s other sessions signed in after a replay', async () => {
+    const other = await signIn();
+    const session = await signIn();
+
+    await refresh(session.cookie);
+    assert.equal((await refresh(session.cookie)).status, 401);
+
+    assert.equal((await api('GET', 'auth/me', { token: other.token })).status, 200);
+    assert.equal((await refresh(other.cookie)).status, 200);
+  });
+
+  it('are refused after signing out', async () => {
+    const session = await signIn();
+
+    const logout = await api('POST', 'auth/logout', { token: session.token, cookie: session.cookie });
+    assert.equal(logout.status, 200, JSON.stringify(logout.body));
+
+    assert.equal((await refresh(session.cookie)).status, 401);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Stock alert tests
+ *
+ * Checks that the evaluator raises an alert when stock falls below a
+ * threshold, raises a fresh one when it crosses from the reorder level to the
+ * minimum, and resolves alerts once the stock or the threshold no longer
+ * calls for them. Saving a threshold runs the evaluator.
+ *
+ * Run: npm test
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, useTestServer, createReference } = require('./helpers');
+
+const FIXTURE_USERS = {
+  admin: { email: 'stock-alerts-test.admin@example.test', role: 'admin', baseIds: [] },
+  commander: { email: 'stock-alerts-test.commander@example.test', role: 'commander', baseIds: [1] }
+};
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+const tokens = useTestServer(FIXTURE_USERS);
+
+
+describe('stock alerts', () => {
+  let base;
+  let equipmentType;
+  let threshold;
+
+  before(async () => {
+    base = await createReference(tokens.admin, 'bases', { name: 'Stock alerts test base' });
+    equipmentType = await createReference(tokens.admin, 'equipment-types', {
+      name: 'Stock alerts test fuel cans',
+      category: 'Supplies'
+    });
+  });
+
+  const post = async (endpoint, fields) => {
+    const { status, body } = await api('POST', endpoint, {
+      token: tokens.admin,
+      body: { base_id: base.id, equipment_type_id: equipmentType.id, ...fields }
+    });
+    assert.equal(status, 201, `POST /api/${endpoint}: ${JSON.stringify(body)}`);
+  };
+
+  const saveThreshold = async (minimumLevel, reorderLevel) => {
+    const { status, body } = await api('PUT', 'stock-thresholds', {
+      token: tokens.admin,
+      body: { base_id: base.id, equipment_type_id: equipmentType.id, minimum_level: minimumLevel, reorder_level: reorderLevel }
+    });
+    assert.ok([200, 201].includes(status), JSON.stringify(body));
+    threshold = body.data;
+  };
+
+  const alerts = async (status = 'open') => {
+    const response = await api('GET', `alerts?base_id=${base.id}&status=${status}`, { token: tokens.admin });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.data.map((alert) => ({
+      level: alert.level,
+      on_hand: alert.on_hand,
+      threshold: alert.threshold,
+      resolved: alert.resolved_at !== null
+    }));
+  };
+
+  it('raises a reorder alert when a threshold is set above the stock on hand', async () => {
+    await post('purchases', { quantity: 3, purchase_date: TODAY });
+    await saveThreshold(2, 5);
+
+    assert.deepEqual(await alerts(), [{ level: 'reorder', on_hand: 3, threshold: 5, resolved: false }]);
+  });
+
+  it('does not raise the same alert twice', async () => {
+    await saveThreshold(2, 5);
+
+    assert.equal((await alerts()).length, 1);
+  });
+
+  it('raises a fresh alert when stock falls below the minimum', async () => {
+    await post('expenditures', { quantity: 2, expenditure_date: TODAY, reason: 'operations' });
+    await saveThreshold(2, 5);
+
+    assert.deepEqual(await alerts(), [{ level: 'minimum', on_hand: 1, threshold: 2, resolved: false }]);
+    assert.deepEqual(await alerts('resolved'), [{ level: 'reorder', on_hand: 3, threshold: 5, resolved: true }]);
+  });
+
+  it('resolves the alert once stock is back above the reorder level', async () => {
+    await post('purchases', { quantity: 10, purchase_date: TODAY });
+    await saveThreshold(2, 5);
+
+    assert.deepEqual(await alerts(), []);
+    assert.equal((await alerts('all')).length, 2);
+  });
+
+  it('resolves the alert when its threshold is removed', async () => {
+    await saveThreshold(5, 20);
+    assert.deepEqual(await alerts(), [{ level: 'reorder', on_hand: 11, threshold: 20, resolved: false }]);
+
+    const { status, body } = await api('DELETE', `stock-thresholds/${threshold.id}`, { token: tokens.admin });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    assert.deepEqual(await alerts(), []);
+  });
+
+  it('are only shown for the user\'s bases', async () => {
+    const { status } = await api('GET', `alerts?base_id=${base.id}`, { token: tokens.commander });
+    assert.equal(status, 403);
+
+    const { body } = await api('GET', 'alerts?status=all', { token: tokens.commander });
+    assert.ok(body.data.every((alert) => alert.base_id === 1));
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Two-factor authentication tests
+ *
+ * Checks enrolment at sign-in for a role that requires a second factor,
+ * TOTP verification with replay protection, and single-use recovery codes.
+ *
+ * Run: npm test
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { pool, api, login, useTestServer } = require('./helpers');
+
+// Match the TOTP settings in server.js
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const FIXTURE_USERS = {
+  commander: { email: 'two-factor-test.commander@example.test', role: 'commander', baseIds: [1] }
+};
+
+useTestServer(FIXTURE_USERS);
+
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+
+  for (const char of text) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * The code an authenticator app would show for a secret, offset by whole
+ * time steps from now
+ */
+const totpCode = (secret, offset = 0) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + offset));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0x0f) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const challenge = async () => {
+  const { status, body } = await login(FIXTURE_USERS.commander.email);
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.token, undefined);
+  return body;
+};
+
+
+describe('two-factor sign-in', () => {
+  let secret;
+  let recoveryCodes;
+
+  before(async () => {
+    await pool.query(`UPDATE role_policies SET require_two_factor = true WHERE role = 'commander'`);
+  });
+
+  it('asks a user of a role that requires it to enrol', async () => {
+    const { two_factor, challenge_token } = await challenge();
+    assert.equal(two_factor, 'enrol');
+
+    const setup = await api('POST', 'auth/login/2fa/setup', { body: { challenge_token } });
+    assert.equal(setup.status, 200, JSON.stringify(setup.body));
+    secret = setup.body.data.secret;
+    assert.match(setup.body.data.otpauth_uri, /^otpauth:\/\/totp\//);
+
+    const wrong = await api('POST', 'auth/login/2fa/enable', {
+      body: { challenge_token, code: totpCode(secret, 10) }
+    });
+    assert.equal(wrong.status, 400);
+
+    const enable = await api('POST', 'auth/login/2fa/enable', {
+      body: { challenge_token, code: totpCode(secret) }
+    });
+    assert.equal(enable.status, 200, JSON.stringify(enable.body));
+    assert.ok(enable.body.token);
+    recoveryCodes = enable.body.recovery_codes;
+    assert.equal(recoveryCodes.length, 10);
+  });
+
+  it('asks an enrolled user for a code and accepts a current one', async () => {
+    const { two_factor, challenge_token } = await challenge();
+    assert.equal(two_factor, 'verify');
+
+    // The enrolment code used this time step, so sign in with the next one
+    const verify = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token, code: totpCode(secret, 1) }
+    });
+    assert.equal(verify.status, 200, JSON.stringify(verify.body));
+    assert.ok(verify.body.token);
+  });
+
+  it('refuses a code that has already been used', async () => {
+    const { challenge_token } = await challenge();
+
+    const replay = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token, code: totpCode(secret, 1) }
+    });
+    assert.equal(replay.status, 401);
+  });
+
+  it('refuses a code from outside the allowed clock drift', async () => {
+    const { challenge_token } = await challenge();
+
+    const stale = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token, code: totpCode(secret, -5) }
+    });
+    assert.equal(stale.status, 401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    const first = await challenge();
+    const used = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token: first.challenge_token, recovery_code: recoveryCode }
+    });
+    assert.equal(used.status, 200, JSON.stringify(used.body));
+    assert.equal(used.body.recovery_codes_remaining, recoveryCodes.length - 1);
+
+    const second = await challenge();
+    const reused = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token: second.challenge_token, recovery_code: recoveryCode }
+    });
+    assert.equal(reused.status, 401);
+  });
+
+  it('refuses a forged challenge token', async () => {
+    const { status } = await api('POST', 'auth/login/2fa/verify', {
+      body: { challenge_token: 'not-a-token', code: totpCode(secret) }
+    });
+    assert.equal(status, 401);
+  });
+});
@@ -40,8 +40,11 @@ async function testDatabaseConnection() {
 
     console.log(` Found ${tablesResult.rows.length} tables:`);
     const expectedTables = [
-      'assets', 'assignments', 'audit_logs', 'bases', 'equipment_types',
-      'expenditures', 'personnel', 'purchases', 'transfers', 'users'
+      'assets', 'assignments', 'audit_logs', 'bases', 'equipment_lots', 'equipment_types',
+      'expenditures', 'failed_login_attempts', 'item_custody_events', 'lot_movements', 'lot_stock',
+      'permissions', 'personnel', 'purchases', 'refresh_tokens', 'role_permissions', 'role_policies', 'serialized_items',
+      'stock_alert_reads', 'stock_alerts', 'stock_movements', 'stock_thresholds', 'transfer_items', 'transfers', 'two_factor_recovery_codes', 'user_bases',
+      'user_sessions', 'users'
     ];
 
     tablesResult.rows.forEach(row => {
@@ -4,34 +4,101 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { Shield, Package, TrendingUp, Users, LogOut, Bell, Settings, Search } from 'lucide-react';
+import { Shield, Package, TrendingUp, Users, Flame, UserCog, Database, KeyRound, Lock, ScrollText, Barcode, Boxes, Gauge, LogOut, Settings, Search } from 'lucide-react';
 import apiService from './services/apiService';
 import LoginPage from './components/LoginPage';
 import Dashboard from './components/Dashboard';
 import Purchases from './components/Purchases';
 import Transfers from './components/Transfers';
 import Assignments from './components/Assignments';
+import Expenditures from './components/Expenditures';
+import Personnel from './components/Personnel';
+import SerialRegistry from './components/SerialRegistry';
+import AmmunitionLots from './components/AmmunitionLots';
+import StockLevels from './components/StockLevels';
+import ReferenceData from './components/ReferenceData';
+import UserManagement from './components/UserManagement';
+import PermissionMatrix from './components/PermissionMatrix';
+import AuditLog from './components/AuditLog';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import AlertsMenu from './components/AlertsMenu';
+import { can } from './utils/permissions';
+
+// Only the page is kept in storage; the session itself lives in an httpOnly cookie
+const PAGE_STORAGE_KEY = 'currentPage';
+
+// Attach the role's permissions and the user's bases so pages only offer actions the server allows
+const withPermissions = async (userData) => ({
+  ...userData,
+  ...await apiService.getPermissions()
+});
 
 function App() {
   const [user, setUser] = useState(null);
-  const [currentPage, setCurrentPage] = useState('dashboard');
+  const [currentPage, setCurrentPage] = useState(
+    () => localStorage.getItem(PAGE_STORAGE_KEY) || 'dashboard'
+  );
   const [loading, setLoading] = useState(true);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
 
   useEffect(() => {
-    const token = localStorage.getItem('authToken');
-    if (!token) {
-      setLoading(false);
-    } else {
-      setLoading(false);
-    }
+    // A failed token refresh drops the user back to the login page
+    apiService.onSessionExpired = () => setUser(null);
+    return () => {
+      apiService.onSessionExpired = null;
+    };
   }, []);
 
-  const handleLogin = (userData) => {
-    setUser(userData);
+  useEffect(() => {
+    // Restore the session from the refresh cookie, if there is one
+    const restoreSession = async () => {
+      try {
+        const restoredUser = await apiService.restoreSession();
+        if (restoredUser) setUser(await withPermissions(restoredUser));
+      } catch (err) {
+        console.error('Session restore failed:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreSession();
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(PAGE_STORAGE_KEY, currentPage);
+  }, [currentPage]);
+
+  const handleLogin = async (userData) => {
+    try {
+      setUser(await withPermissions(userData));
+    } catch (err) {
+      console.error('Failed to load permissions:', err);
+      setUser({ ...userData, permissions: [], base_ids: [] });
+    }
+    setCurrentPage('dashboard');
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiService.logout();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
+    setUser(null);
     setCurrentPage('dashboard');
   };
 
-  const handleLogout = () => {
+  const handleLogoutAll = async () => {
+    setShowSettings(false);
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      await apiService.logoutAll();
+    } catch (err) {
+      console.error('Sign out everywhere failed:', err);
+    }
     apiService.clearToken();
     setUser(null);
     setCurrentPage('dashboard');
@@ -59,13 +126,24 @@ function App() {
   }
 
   const navigation = [
-    { id: 'dashboard', name: 'Dashboard', icon: Shield, component: Dashboard, color: 'emerald' },
-    { id: 'purchases', name: 'Purchases', icon: Package, component: Purchases, color: 'blue' },
-    { id: 'transfers', name: 'Transfers', icon: TrendingUp, component: Transfers, color: 'purple' },
-    { id: 'assignments', name: 'Assignments', icon: Users, component: Assignments, color: 'pink' },
-  ];
+    { id: 'dashboard', name: 'Dashboard', icon: Shield, component: Dashboard, color: 'emerald', permission: 'dashboard:read' },
+    { id: 'purchases', name: 'Purchases', icon: Package, component: Purchases, color: 'blue', permission: 'purchase:read' },
+    { id: 'transfers', name: 'Transfers', icon: TrendingUp, component: Transfers, color: 'purple', permission: 'transfer:read' },
+    { id: 'assignments', name: 'Assignments', icon: Users, component: Assignments, color: 'pink', permission: 'assignment:read' },
+    { id: 'expenditures', name: 'Expenditures', icon: Flame, component: Expenditures, color: 'orange', permission: 'expenditure:read' },
+    { id: 'personnel', name: 'Personnel', icon: UserCog, component: Personnel, color: 'cyan', permission: 'personnel:read' },
+    { id: 'items', name: 'Serial Registry', icon: Barcode, component: SerialRegistry, color: 'teal', permission: 'item:read' },
+    { id: 'lots', name: 'Ammunition Lots', icon: Boxes, component: AmmunitionLots, color: 'lime', permission: 'lot:read' },
+    { id: 'stock-levels', name: 'Stock Levels', icon: Gauge, component: StockLevels, color: 'yellow', permission: 'alert:read' },
+    { id: 'reference', name: 'Reference Data', icon: Database, component: ReferenceData, color: 'slate', permission: 'reference:manage' },
+    { id: 'users', name: 'Users', icon: KeyRound, component: UserManagement, color: 'red', permission: 'user:manage' },
+    { id: 'permissions', name: 'Permissions', icon: Lock, component: PermissionMatrix, color: 'amber', permission: 'policy:manage' },
+    { id: 'audit', name: 'Audit Log', icon: ScrollText, component: AuditLog, color: 'indigo', permission: 'audit:read' },
+  ].filter((item) => can(user, item.permission));
 
-  const CurrentComponent = navigation.find((n) => n.id === currentPage)?.component || Dashboard;
+  // A restored page may no longer be available to this user's role
+  const activePage = navigation.some((n) => n.id === currentPage) ? currentPage : navigation[0]?.id;
+  const CurrentComponent = navigation.find((n) => n.id === activePage)?.component;
 
   return (
     <div className="min-h-screen relative overflow-hidden">
@@ -109,15 +187,38 @@ function App() {
               </button>
 
               {/* Notifications */}
-              <button className="glass-button p-3 group relative">
-                <Bell className="w-5 h-5 text-white/80 group-hover:text-white transition-colors" />
-                <div className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full animate-pulse"></div>
-              </button>
+              {can(user, 'alert:read') && (
+                <AlertsMenu onViewAll={() => setCurrentPage('stock-levels')} />
+              )}
 
               {/* Settings */}
-              <button className="glass-button p-3 group">
-                <Settings className="w-5 h-5 text-white/80 group-hover:text-white group-hover:rotate-90 transition-all duration-300" />
-              </button>
+              <div className="relative">
+                <button
+                  onClick={() => setShowSettings(!showSettings)}
+                  className="glass-button p-3 group"
+                >
+                  <Settings className="w-5 h-5 text-white/80 group-hover:text-white group-hover:rotate-90 transition-all duration-300" />
+                </button>
+                {showSettings && (
+                  <div className="absolute right-0 mt-2 w-56 glass-card p-2 z-50">
+                    <button
+                      onClick={() => {
+                        setShowSettings(false);
+                        setShowTwoFactor(true);
+                      }}
+                      className="w-full text-left px-3 py-2 text-sm text-white/80 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+                    >
+                      Two-factor authentication
+                    </button>
+                    <button
+                      onClick={handleLogoutAll}
+                      className="w-full text-left px-3 py-2 text-sm text-white/80 hover:text-red-400 hover:bg-white/10 rounded-lg transition-colors"
+                    >
+                      Sign out everywhere
+                    </button>
+                  </div>
+                )}
+              </div>
 
               {/* User Role Badge */}
               <div className="hidden md:block glass-card px-4 py-2">
@@ -147,13 +248,22 @@ function App() {
           <div className="flex gap-3 overflow-x-auto pb-2 scrollbar-hide">
             {navigation.map((item) => {
               const Icon = item.icon;
-              const isActive = currentPage === item.id;
+              const isActive = activePage === item.id;
               
               const colorClasses = {
                 emerald: 'from-emerald-400 to-emerald-600',
                 blue: 'from-blue-400 to-blue-600',
                 purple: 'from-purple-400 to-purple-600',
                 pink: 'from-pink-400 to-pink-600',
+                orange: 'from-orange-400 to-orange-600',
+                cyan: 'from-cyan-400 to-cyan-600',
+                teal: 'from-teal-400 to-teal-600',
+                lime: 'from-lime-400 to-lime-600',
+                yellow: 'from-yellow-400 to-yellow-600',
+                slate: 'from-slate-400 to-slate-600',
+                red: 'from-red-400 to-red-600',
+                amber: 'from-amber-400 to-amber-600',
+                indigo: 'from-indigo-400 to-indigo-600',
               };
 
               return (
@@ -203,7 +313,7 @@ function App() {
       {/* Main Content Area */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="animate-fadeInUp">
-          <CurrentComponent user={user} />
+          {CurrentComponent && <CurrentComponent user={user} />}
         </div>
       </main>
 
@@ -231,6 +341,9 @@ function App() {
           </div>
         </div>
       </footer>
+
+      {/* Two-Factor Settings */}
+      {showTwoFactor && <TwoFactorSettings onClose={() => setShowTwoFactor(false)} />}
     </div>
   );
 }
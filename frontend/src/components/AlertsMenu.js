@@ -0,0 +1,143 @@
+/**
+ * AlertsMenu Component
+ * Header bell showing unread low-stock alerts at the user's bases
+ *
+ * Location: src/components/AlertsMenu.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell } from 'lucide-react';
+import apiService from '../services/apiService';
+
+// Alerts are raised in the background, so the count is refreshed on a timer
+const POLL_INTERVAL_MS = 60 * 1000;
+
+export const levelStyles = {
+  minimum: 'bg-red-900/50 text-red-400 border-red-700',
+  reorder: 'bg-yellow-900/50 text-yellow-400 border-yellow-700',
+};
+
+function AlertsMenu({ onViewAll }) {
+  const [alerts, setAlerts] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const data = await apiService.getAlerts({ unread: 'true', limit: 20 });
+      setAlerts(data.alerts);
+      setUnread(data.unread);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load alerts');
+      console.error(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+    const timer = setInterval(loadAlerts, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadAlerts]);
+
+  const markRead = async (alert) => {
+    try {
+      await apiService.markAlertRead(alert.id);
+      await loadAlerts();
+    } catch (err) {
+      setError(err.message || 'Failed to mark alert as read');
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await apiService.markAllAlertsRead();
+      await loadAlerts();
+    } catch (err) {
+      setError(err.message || 'Failed to mark alerts as read');
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => {
+          if (!open) loadAlerts();
+          setOpen(!open);
+        }}
+        className="glass-button p-3 group relative"
+        title={unread > 0 ? `${unread} unread alert(s)` : 'No unread alerts'}
+      >
+        <Bell className="w-5 h-5 text-white/80 group-hover:text-white transition-colors" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-bold text-white bg-red-500 rounded-full">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 glass-card p-2 z-50">
+          <div className="flex items-center justify-between px-3 py-2">
+            <span className="text-sm font-semibold text-white">Low-stock alerts</span>
+            {unread > 0 && (
+              <button
+                onClick={markAllRead}
+                className="text-xs text-emerald-400 hover:text-emerald-300 transition-colors"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="mx-3 mb-2 text-xs text-red-300">{error}</div>
+          )}
+
+          {alerts.length === 0 ? (
+            <p className="px-3 py-4 text-sm text-white/50 text-center">No unread alerts</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto space-y-1">
+              {alerts.map((alert) => (
+                <li key={alert.id} className="px-3 py-2 rounded-lg hover:bg-white/10 transition-colors">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="text-sm text-white">{alert.equipment_name}</div>
+                      <div className="text-xs text-white/60">
+                        {alert.base_name}: {alert.current_on_hand.toLocaleString()} on hand, {alert.level} level {alert.threshold.toLocaleString()}
+                      </div>
+                    </div>
+                    <span className={`shrink-0 inline-flex px-2 py-0.5 text-xs rounded-full border capitalize ${levelStyles[alert.level]}`}>
+                      {alert.level}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => markRead(alert)}
+                    className="mt-1 text-xs text-white/50 hover:text-white transition-colors"
+                  >
+                    Mark read
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {onViewAll && (
+            <button
+              onClick={() => {
+                setOpen(false);
+                onViewAll();
+              }}
+              className="w-full mt-1 px-3 py-2 text-sm text-white/80 hover:text-white hover:bg-white/10 rounded-lg transition-colors"
+            >
+              View stock levels
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AlertsMenu;
@@ -0,0 +1,446 @@
+/**
+ * AmmunitionLots Component
+ * Ammunition lots on hand, what is coming up for expiry or inspection,
+ * and where each lot has gone for recall tracing
+ *
+ * Location: src/components/AmmunitionLots.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, History } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+
+// Windows offered by the expiry filter; 0 lists lots already past a date
+const EXPIRY_WINDOWS = [
+  { value: '0', label: 'Expired or overdue' },
+  { value: '30', label: 'Due within 30 days' },
+  { value: '90', label: 'Due within 90 days' },
+  { value: '180', label: 'Due within 180 days' },
+];
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '—';
+
+const toInputDate = (value) => (value ? value.split('T')[0] : '');
+
+/**
+ * Badge for how close a lot is to its expiry or inspection date
+ */
+function LotStatus({ lot }) {
+  let style = 'bg-emerald-900/50 text-emerald-400 border-emerald-700';
+  let label = 'Serviceable';
+
+  if (lot.is_expired) {
+    style = 'bg-red-900/50 text-red-400 border-red-700';
+    label = 'Expired';
+  } else if (lot.inspection_overdue) {
+    style = 'bg-orange-900/50 text-orange-400 border-orange-700';
+    label = 'Inspection overdue';
+  } else if (lot.days_to_expiry !== null && lot.days_to_expiry <= 90) {
+    style = 'bg-yellow-900/50 text-yellow-400 border-yellow-700';
+    label = `Expires in ${lot.days_to_expiry} days`;
+  }
+
+  return (
+    <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${style}`}>
+      {label}
+    </span>
+  );
+}
+
+function AmmunitionLots({ user }) {
+  const [lots, setLots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [filters, setFilters] = useState({ base_id: '', equipment_type_id: '', expiring_within: '', q: '', include_empty: '' });
+  const [search, setSearch] = useState('');
+  const [traceLot, setTraceLot] = useState(null);
+  const [editingLot, setEditingLot] = useState(null);
+  const [form, setForm] = useState({ expiry_date: '', inspection_due_date: '' });
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const lotTrackedTypes = equipmentTypes.filter((type) => type.is_lot_tracked);
+
+  const loadLots = useCallback(async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      setLots(await apiService.getLots(activeFilters));
+    } catch (err) {
+      setError(err.message || 'Failed to load lots');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadLots();
+  }, [loadLots]);
+
+  useEffect(() => {
+    const loadReferenceData = async () => {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        console.error('Failed to load bases and equipment types:', err);
+      }
+    };
+
+    loadReferenceData();
+  }, []);
+
+  const openEditModal = (lot) => {
+    setEditingLot(lot);
+    setForm({
+      expiry_date: toInputDate(lot.expiry_date),
+      inspection_due_date: toInputDate(lot.inspection_due_date)
+    });
+    setFormError('');
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+
+    const changes = Object.fromEntries(
+      Object.entries(form).filter(([field, value]) => value !== toInputDate(editingLot[field]))
+    );
+
+    if (Object.keys(changes).length === 0) {
+      setEditingLot(null);
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    try {
+      await apiService.updateLot(editingLot.id, changes);
+      setEditingLot(null);
+      await loadLots(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to update lot');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-3xl font-bold text-white">Ammunition Lots</h2>
+        <p className="text-slate-400 mt-1">Lot holdings, expiry and inspection dates, and recall tracing</p>
+      </div>
+
+      {/* Filters (search applies on Enter) */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters({...filters, q: search.trim()});
+        }}
+        className="grid grid-cols-1 md:grid-cols-5 gap-3"
+      >
+        <input
+          type="text"
+          placeholder="Search lot numbers..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        />
+        <select
+          value={filters.base_id}
+          onChange={(e) => setFilters({...filters, base_id: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All bases</option>
+          {selectableBases(user, bases).map((base) => (
+            <option key={base.id} value={base.id}>{base.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.equipment_type_id}
+          onChange={(e) => setFilters({...filters, equipment_type_id: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All lot-tracked types</option>
+          {lotTrackedTypes.map((type) => (
+            <option key={type.id} value={type.id}>{type.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.expiring_within}
+          onChange={(e) => setFilters({...filters, expiring_within: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">Any expiry</option>
+          {EXPIRY_WINDOWS.map((window) => (
+            <option key={window.value} value={window.value}>{window.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input
+            type="checkbox"
+            checked={filters.include_empty === 'true'}
+            onChange={(e) => setFilters({...filters, include_empty: e.target.checked ? 'true' : ''})}
+            className="accent-emerald-500"
+          />
+          Include used-up lots
+        </label>
+      </form>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-slate-900">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Lot No
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Equipment
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Expiry
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Inspection Due
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    On Hand
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700">
+                {lots.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="px-6 py-12 text-center text-slate-400">
+                      No lots found
+                    </td>
+                  </tr>
+                ) : (
+                  lots.map((lot) => (
+                    <tr key={lot.id} className="hover:bg-slate-700/50 transition-colors">
+                      <td className="px-6 py-4 text-sm font-mono text-white">
+                        {lot.lot_number}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-white">
+                        {lot.equipment_name}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-300">
+                        {formatDate(lot.expiry_date)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-300">
+                        {formatDate(lot.inspection_due_date)}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-semibold text-white">
+                          {lot.on_hand.toLocaleString()} {lot.unit_of_measure}
+                        </div>
+                        {lot.holdings.map((holding) => (
+                          <div key={holding.base_id} className="text-xs text-slate-400">
+                            {holding.base_name}: {holding.quantity.toLocaleString()}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-6 py-4">
+                        <LotStatus lot={lot} />
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => setTraceLot(lot)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-600 hover:bg-slate-500 transition-colors"
+                          >
+                            Trace
+                          </button>
+                          {can(user, 'lot:manage') && (
+                            <button
+                              onClick={() => openEditModal(lot)}
+                              className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                            >
+                              Edit Dates
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Dates Modal */}
+      {editingLot && (
+        <FormModal
+          title={`Lot ${editingLot.lot_number}`}
+          onClose={() => setEditingLot(null)}
+          onSubmit={handleUpdate}
+          error={formError}
+          saving={saving}
+          submitLabel="Save Dates"
+        >
+          <FormField label="Expiry Date">
+            <input
+              type="date"
+              value={form.expiry_date}
+              onChange={(e) => setForm({...form, expiry_date: e.target.value})}
+              className={fieldClassName}
+            />
+          </FormField>
+
+          <FormField label="Inspection Due Date">
+            <input
+              type="date"
+              value={form.inspection_due_date}
+              onChange={(e) => setForm({...form, inspection_due_date: e.target.value})}
+              className={fieldClassName}
+            />
+          </FormField>
+          <p className="text-xs text-white/50 -mt-2">
+            Lots past either date are skipped when stock is drawn automatically.
+          </p>
+        </FormModal>
+      )}
+
+      {/* Lot Trace Modal */}
+      {traceLot && (
+        <LotTraceModal lot={traceLot} onClose={() => setTraceLot(null)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Where a lot is held now and every movement in or out of each base
+ */
+function LotTraceModal({ lot, onClose }) {
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadTrace = async () => {
+      try {
+        setTrace(await apiService.getLot(lot.id));
+      } catch (err) {
+        setError(err.message || 'Failed to load lot history');
+      }
+    };
+
+    loadTrace();
+  }, [lot.id]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <History className="w-5 h-5 text-white/60" />
+            <h3 className="text-xl font-bold text-white">
+              {lot.equipment_name} <span className="font-mono">{lot.lot_number}</span>
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-white/60" />
+          </button>
+        </div>
+
+        {error ? (
+          <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        ) : !trace ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <h4 className="text-sm font-semibold text-white/80 mb-2">Held Now</h4>
+              {trace.holdings.length === 0 ? (
+                <p className="text-sm text-white/50">None of this lot remains at your bases.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {trace.holdings.map((holding) => (
+                    <li key={holding.base_id} className="flex justify-between text-sm text-white/80">
+                      <span>{holding.base_name}</span>
+                      <span className="font-semibold">{holding.quantity.toLocaleString()} {lot.unit_of_measure}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-white/80 mb-2">Movements</h4>
+              <ol className="space-y-2">
+                {trace.movements.map((movement) => (
+                  <li key={movement.id} className="p-3 bg-white/5 rounded-lg border border-white/10">
+                    <div className="flex items-center justify-between gap-3">
+                      <span className="text-sm text-white/80">
+                        {movement.base_name}
+                        <span className="text-white/50 capitalize"> • {movement.reference_type.toLowerCase()} #{movement.reference_id}</span>
+                      </span>
+                      <span className={`text-sm font-semibold ${movement.quantity > 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {movement.quantity > 0 ? '+' : ''}{movement.quantity.toLocaleString()}
+                      </span>
+                    </div>
+                    <div className="text-xs text-white/40 mt-1">
+                      {formatDate(movement.movement_date)} • Recorded by {movement.created_by_name || 'Unknown user'}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AmmunitionLots;
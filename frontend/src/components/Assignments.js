@@ -8,18 +8,44 @@
 import React, { useState, useEffect } from 'react';
 import { Plus } from 'lucide-react';
 import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+import RevisionHistoryModal from './RevisionHistoryModal';
 
 function Assignments({ user }) {
   const [assignments, setAssignments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [personnel, setPersonnel] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [editingAssignment, setEditingAssignment] = useState(null);
+  const [historyAssignment, setHistoryAssignment] = useState(null);
+  const [availableItems, setAvailableItems] = useState([]);
+
+  const canClose = can(user, 'assignment:close');
+
+  const emptyForm = {
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    equipment_type_id: '',
+    personnel_id: '',
+    serial_number: '',
+    assignment_date: new Date().toISOString().split('T')[0],
+    notes: '',
+    reason: ''
+  };
+  const [form, setForm] = useState(emptyForm);
 
   useEffect(() => {
     loadAssignments();
   }, []);
 
-  const loadAssignments = async () => {
-    setLoading(true);
+  const loadAssignments = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     setError('');
 
     try {
@@ -33,6 +59,170 @@ function Assignments({ user }) {
     }
   };
 
+  const handleAction = async (assignment, action) => {
+    let notes;
+    if (action === 'lost' || action === 'damaged') {
+      notes = window.prompt(`Incident note for ${assignment.serial_number || assignment.equipment_name} reported ${action}:`);
+      if (notes === null) return;
+      if (!notes.trim()) {
+        setError('An incident note is required when reporting equipment lost or damaged');
+        return;
+      }
+    }
+    if (action === 'void') {
+      notes = window.prompt('Reason for voiding this assignment (required):');
+      if (notes === null) return;
+      if (!notes.trim()) {
+        setError('A reason is required to void a record');
+        return;
+      }
+    }
+
+    setActionInProgress(assignment.id);
+    setError('');
+
+    try {
+      if (action === 'return') await apiService.returnAssignment(assignment.id);
+      if (action === 'lost') await apiService.reportAssignmentLost(assignment.id, { notes });
+      if (action === 'damaged') await apiService.reportAssignmentDamaged(assignment.id, { notes });
+      if (action === 'void') await apiService.voidRecord('assignments', assignment.id, notes.trim());
+      await loadAssignments();
+    } catch (err) {
+      setError(err.message || 'Failed to update assignment');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const loadReferenceData = async () => {
+    try {
+      const [basesData, typesData, personnelData] = await Promise.all([
+        apiService.getBases(),
+        apiService.getEquipmentTypes(),
+        apiService.getPersonnel()
+      ]);
+      setBases(basesData);
+      setEquipmentTypes(typesData);
+      setPersonnel(personnelData);
+    } catch (err) {
+      setFormError('Failed to load bases, equipment types and personnel');
+      console.error(err);
+    }
+  };
+
+  const isSerialized = (typeId) => equipmentTypes.some((t) => String(t.id) === typeId && t.is_serialized);
+
+  // Serialized equipment is issued by picking one of the base's registered items
+  const loadAvailableItems = async (baseId, typeId) => {
+    setAvailableItems([]);
+    if (!baseId || !isSerialized(typeId) || !can(user, 'item:read')) return;
+
+    try {
+      setAvailableItems(await apiService.getItems({ base_id: baseId, equipment_type_id: typeId, available: 'true' }));
+    } catch (err) {
+      setFormError('Failed to load serial numbers');
+      console.error(err);
+    }
+  };
+
+  const selectStock = (changes) => {
+    const next = { ...form, ...changes, serial_number: '' };
+    setForm(next);
+    loadAvailableItems(next.base_id, next.equipment_type_id);
+  };
+
+  const openCreateModal = () => {
+    setEditingAssignment(null);
+    setForm(emptyForm);
+    setAvailableItems([]);
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const openEditModal = (assignment) => {
+    setEditingAssignment(assignment);
+    setForm({
+      base_id: String(assignment.base_id),
+      equipment_type_id: String(assignment.equipment_type_id),
+      personnel_id: String(assignment.personnel_id),
+      serial_number: assignment.serial_number || '',
+      assignment_date: assignment.assignment_date.split('T')[0],
+      notes: assignment.notes || '',
+      reason: ''
+    });
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Mirrors the server's required fields
+    if (!form.base_id || !form.equipment_type_id || !form.personnel_id || !form.assignment_date) {
+      setFormError('Base, equipment, personnel and assignment date are required');
+      return;
+    }
+    if (pickSerial && !form.serial_number) {
+      setFormError('Choose the serial number being issued');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    const { reason, ...fields } = form;
+    const payload = {
+      ...fields,
+      base_id: parseInt(form.base_id),
+      equipment_type_id: parseInt(form.equipment_type_id),
+      personnel_id: parseInt(form.personnel_id)
+    };
+
+    try {
+      if (editingAssignment) {
+        await apiService.updateRecord('assignments', editingAssignment.id, { ...payload, reason });
+        setShowCreateModal(false);
+        await loadAssignments(false);
+        return;
+      }
+
+      const response = await apiService.createAssignment(payload);
+
+      // Show the new record straight away, then sync with the server in the background
+      const created = response.data;
+      const equipmentType = equipmentTypes.find((t) => t.id === created.equipment_type_id);
+      const person = personnel.find((p) => p.id === created.personnel_id);
+      setAssignments((current) => [{
+        ...created,
+        base_name: bases.find((b) => b.id === created.base_id)?.name,
+        equipment_name: equipmentType?.name,
+        equipment_category: equipmentType?.category,
+        personnel_name: person?.name,
+        personnel_rank: person?.rank,
+        personnel_unit: person?.unit
+      }, ...current]);
+      setShowCreateModal(false);
+      loadAssignments(false);
+    } catch (err) {
+      setFormError(err.message || (editingAssignment ? 'Failed to correct assignment' : 'Failed to create assignment'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Only personnel stationed at the chosen base can be issued its equipment
+  const basePersonnel = personnel.filter((p) => String(p.base_id) === form.base_id);
+  const pickSerial = !editingAssignment && isSerialized(form.equipment_type_id) && can(user, 'item:read');
+
+  const getStatusColor = (status) => {
+    if (status === 'returned') return 'bg-slate-900/50 text-slate-300 border-slate-600';
+    if (status === 'lost') return 'bg-red-900/50 text-red-400 border-red-700';
+    if (status === 'damaged') return 'bg-yellow-900/50 text-yellow-400 border-yellow-700';
+    return 'bg-emerald-900/50 text-emerald-400 border-emerald-700';
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -49,8 +239,11 @@ function Assignments({ user }) {
           <h2 className="text-3xl font-bold text-white">Asset Assignments</h2>
           <p className="text-slate-400 mt-1">Equipment assigned to personnel</p>
         </div>
-        {user.role !== 'logistics' && (
-          <button className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold">
+        {can(user, 'assignment:create') && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
             <Plus className="w-4 h-4" />
             New Assignment
           </button>
@@ -88,12 +281,15 @@ function Assignments({ user }) {
                 <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
                   Status
                 </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Actions
+                </th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-700">
               {assignments.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-12 text-center text-slate-400">
+                  <td colSpan="7" className="px-6 py-12 text-center text-slate-400">
                     No assignment records found
                   </td>
                 </tr>
@@ -101,7 +297,7 @@ function Assignments({ user }) {
                 assignments.map((assignment) => (
                   <tr
                     key={assignment.id}
-                    className="hover:bg-slate-700/50 transition-colors"
+                    className={`hover:bg-slate-700/50 transition-colors ${assignment.is_voided ? 'opacity-50' : ''}`}
                   >
                     <td className="px-6 py-4 text-sm text-slate-300">
                       {new Date(assignment.assignment_date).toLocaleDateString('en-US', {
@@ -117,6 +313,16 @@ function Assignments({ user }) {
                       <div className="text-xs text-slate-400">
                         {assignment.equipment_category}
                       </div>
+                      {assignment.is_voided && (
+                        <div className="text-xs text-red-400 mt-1">
+                          Voided: {assignment.void_reason}
+                        </div>
+                      )}
+                      {!assignment.is_voided && assignment.revision > 1 && (
+                        <span className="inline-flex mt-1 px-2 py-0.5 text-xs rounded-full bg-blue-900/50 text-blue-400 border border-blue-700">
+                          Corrected (rev {assignment.revision})
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm text-slate-300 font-mono text-xs">
                       {assignment.serial_number || 'N/A'}
@@ -133,9 +339,70 @@ function Assignments({ user }) {
                       {assignment.base_name}
                     </td>
                     <td className="px-6 py-4">
-                      <span className="inline-flex px-3 py-1 text-xs font-medium rounded-full bg-emerald-900/50 text-emerald-400 border border-emerald-700">
+                      <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${getStatusColor(assignment.status)}`}>
                         {assignment.status}
                       </span>
+                      {assignment.return_date && (
+                        <div className="text-xs text-slate-400 mt-1">
+                          {new Date(assignment.return_date).toLocaleDateString('en-US', {
+                            year: 'numeric',
+                            month: 'short',
+                            day: 'numeric',
+                          })}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        {canClose && assignment.status === 'active' && !assignment.is_voided && (
+                          <>
+                            <button
+                              onClick={() => handleAction(assignment, 'return')}
+                              disabled={actionInProgress === assignment.id}
+                              className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-emerald-600 hover:bg-emerald-700 transition-colors disabled:opacity-50"
+                            >
+                              Return
+                            </button>
+                            <button
+                              onClick={() => handleAction(assignment, 'lost')}
+                              disabled={actionInProgress === assignment.id}
+                              className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-red-600/80 hover:bg-red-700 transition-colors disabled:opacity-50"
+                            >
+                              Lost
+                            </button>
+                            <button
+                              onClick={() => handleAction(assignment, 'damaged')}
+                              disabled={actionInProgress === assignment.id}
+                              className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors disabled:opacity-50"
+                            >
+                              Damaged
+                            </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => setHistoryAssignment(assignment)}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-600 hover:bg-slate-500 transition-colors"
+                        >
+                          History
+                        </button>
+                        {can(user, 'record:correct') && !assignment.is_voided && (
+                          <button
+                            onClick={() => openEditModal(assignment)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can(user, 'record:void') && !assignment.is_voided && (
+                          <button
+                            onClick={() => handleAction(assignment, 'void')}
+                            disabled={actionInProgress === assignment.id}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-red-600/80 hover:bg-red-700 transition-colors disabled:opacity-50"
+                          >
+                            Void
+                          </button>
+                        )}
+                      </div>
                     </td>
                   </tr>
                 ))
@@ -144,6 +411,129 @@ function Assignments({ user }) {
           </table>
         </div>
       </div>
+
+      {/* Create / Edit Assignment Modal */}
+      {showCreateModal && (
+        <FormModal
+          title={editingAssignment ? 'Correct Assignment' : 'New Assignment'}
+          onClose={() => setShowCreateModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingAssignment ? 'Save Correction' : 'Create Assignment'}
+        >
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => (editingAssignment
+                ? setForm({...form, base_id: e.target.value, personnel_id: ''})
+                : selectStock({ base_id: e.target.value, personnel_id: '' }))}
+              disabled={isBaseScoped(user) && user.base_ids.length === 1}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map(base => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Assign To" required>
+            <select
+              value={form.personnel_id}
+              onChange={(e) => setForm({...form, personnel_id: e.target.value})}
+              disabled={!form.base_id}
+              className={fieldClassName}
+            >
+              <option value="">{form.base_id ? 'Select personnel' : 'Select a base first'}</option>
+              {basePersonnel.map(person => (
+                <option key={person.id} value={person.id}>
+                  {person.rank} {person.name} ({person.unit})
+                </option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => (editingAssignment
+                ? setForm({...form, equipment_type_id: e.target.value})
+                : selectStock({ equipment_type_id: e.target.value }))}
+              className={fieldClassName}
+            >
+              <option value="">Select equipment type</option>
+              {equipmentTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Serial Number" required={isSerialized(form.equipment_type_id)}>
+              {pickSerial ? (
+                <select
+                  value={form.serial_number}
+                  onChange={(e) => setForm({...form, serial_number: e.target.value})}
+                  disabled={!form.base_id}
+                  className={fieldClassName}
+                >
+                  <option value="">
+                    {!form.base_id ? 'Select a base first' : availableItems.length === 0 ? 'None in stock' : 'Select item'}
+                  </option>
+                  {availableItems.map(item => (
+                    <option key={item.id} value={item.serial_number}>{item.serial_number}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={form.serial_number}
+                  onChange={(e) => setForm({...form, serial_number: e.target.value})}
+                  disabled={Boolean(editingAssignment?.item_id)}
+                  title={editingAssignment?.item_id ? 'Void and re-issue to change a registered item' : undefined}
+                />
+              )}
+            </FormField>
+            <FormField label="Assignment Date" required>
+              <input
+                type="date"
+                value={form.assignment_date}
+                onChange={(e) => setForm({...form, assignment_date: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          <FormField label="Notes">
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({...form, notes: e.target.value})}
+            />
+          </FormField>
+
+          {editingAssignment && (
+            <FormField label="Reason for Correction">
+              <input
+                type="text"
+                placeholder="Why is this record being changed?"
+                value={form.reason}
+                onChange={(e) => setForm({...form, reason: e.target.value})}
+              />
+            </FormField>
+          )}
+        </FormModal>
+      )}
+
+      {/* Revision History Modal */}
+      {historyAssignment && (
+        <RevisionHistoryModal
+          resource="assignments"
+          recordId={historyAssignment.id}
+          title={`Assignment History: ${historyAssignment.equipment_name}`}
+          onClose={() => setHistoryAssignment(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,440 @@
+/**
+ * AuditLog Component
+ * Searchable audit trail with per-record history and CSV export
+ *
+ * Location: src/components/AuditLog.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, Search, ShieldCheck, X } from 'lucide-react';
+import apiService from '../services/apiService';
+import { fieldClassName } from './FormModal';
+
+const PAGE_SIZE = 50;
+
+const emptyFilters = {
+  user_id: '',
+  action: '',
+  entity_type: '',
+  entity_id: '',
+  request_id: '',
+  start_date: '',
+  end_date: '',
+  q: '',
+};
+
+const actionStyles = {
+  CREATE: 'bg-emerald-900/50 text-emerald-400 border-emerald-700',
+  UPDATE: 'bg-blue-900/50 text-blue-400 border-blue-700',
+  VOID: 'bg-red-900/50 text-red-400 border-red-700',
+  LOGIN: 'bg-slate-900/50 text-slate-300 border-slate-600',
+};
+
+// Only send filters that are set, so the query string stays readable
+const activeFilters = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([, value]) => value !== '')
+);
+
+const formatDetails = (details) => {
+  if (!details) return '—';
+  return Object.entries(details)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+};
+
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [exportLimit, setExportLimit] = useState(null);
+  const [options, setOptions] = useState({ actions: [], entity_types: [], users: [] });
+  const [form, setForm] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const data = await apiService.getAuditLogs({
+        ...activeFilters(filters),
+        limit: PAGE_SIZE,
+        offset: page * PAGE_SIZE,
+      });
+      setEntries(data.entries);
+      setTotal(data.total);
+      setExportLimit(data.exportLimit);
+    } catch (err) {
+      setError(err.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        setOptions(await apiService.getAuditLogOptions());
+      } catch (err) {
+        console.error('Failed to load audit log filters:', err);
+      }
+    };
+
+    loadOptions();
+  }, []);
+
+  const applyFilters = (next) => {
+    setForm(next);
+    setFilters(next);
+    setPage(0);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applyFilters(form);
+  };
+
+  // Everything that happened to one record, e.g. transfer #42
+  const showEntityHistory = (entry) => {
+    applyFilters({ ...emptyFilters, entity_type: entry.entity_type, entity_id: String(entry.entity_id) });
+  };
+
+  // Everything written by one request, matching its X-Request-Id in the server log
+  const showRequest = (entry) => {
+    applyFilters({ ...emptyFilters, request_id: entry.request_id });
+  };
+
+  // The server refuses exports over its row limit rather than cutting them short
+  const overExportLimit = exportLimit !== null && total > exportLimit;
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+
+    try {
+      await apiService.exportAuditLogs(activeFilters(filters));
+    } catch (err) {
+      setError(err.message || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    setError('');
+    setVerification(null);
+
+    try {
+      setVerification(await apiService.verifyAuditLog());
+    } catch (err) {
+      setError(err.message || 'Failed to verify audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const isEntityHistory = filters.entity_type && filters.entity_id;
+  const hasFilters = Object.keys(activeFilters(filters)).length > 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Audit Log</h2>
+          <p className="text-slate-400 mt-1">Every change and sign-in recorded by the system</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={handleVerify}
+            disabled={verifying}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white rounded-lg transition-colors font-semibold disabled:opacity-60"
+          >
+            <ShieldCheck className="w-4 h-4" />
+            {verifying ? 'Verifying...' : 'Verify Integrity'}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting || total === 0 || overExportLimit}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold disabled:opacity-60"
+          >
+            <Download className="w-4 h-4" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      {overExportLimit && (
+        <div className="bg-yellow-900/30 border border-yellow-700 text-yellow-300 px-4 py-3 rounded-lg">
+          {total.toLocaleString()} entries match these filters, more than the {exportLimit.toLocaleString()} an export can hold. Narrow the filters to export them.
+        </div>
+      )}
+
+      {/* Chain Verification Result */}
+      {verification && (
+        verification.valid ? (
+          <div className="bg-emerald-900/30 border border-emerald-700 text-emerald-300 px-4 py-3 rounded-lg">
+            <p>All {verification.checked} entries verified. The chain is intact.</p>
+            {verification.head_hash && (
+              <p className="mt-1 text-xs font-mono break-all text-emerald-400/80">
+                Head hash: {verification.head_hash}
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+            <p className="font-semibold">
+              Chain broken at entry #{verification.broken_at.id} ({verification.broken_at.action} {verification.broken_at.entity_type})
+            </p>
+            <p className="mt-1 text-sm">
+              {verification.reason}. {verification.checked} earlier entries verified.
+            </p>
+          </div>
+        )
+      )}
+
+      {/* Filters */}
+      <form onSubmit={handleSubmit} className="bg-slate-800 rounded-xl border border-slate-700 p-4 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <select
+            value={form.user_id}
+            onChange={(e) => setForm({...form, user_id: e.target.value})}
+            className={fieldClassName}
+          >
+            <option value="">All users</option>
+            {options.users.map((option) => (
+              <option key={option.id} value={option.id}>{option.name} ({option.email})</option>
+            ))}
+          </select>
+          <select
+            value={form.action}
+            onChange={(e) => setForm({...form, action: e.target.value})}
+            className={fieldClassName}
+          >
+            <option value="">All actions</option>
+            {options.actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <select
+            value={form.entity_type}
+            onChange={(e) => setForm({...form, entity_type: e.target.value})}
+            className={fieldClassName}
+          >
+            <option value="">All record types</option>
+            {options.entity_types.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            placeholder="Record #"
+            value={form.entity_id}
+            onChange={(e) => setForm({...form, entity_id: e.target.value})}
+            className={fieldClassName}
+          />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            type="date"
+            value={form.start_date}
+            onChange={(e) => setForm({...form, start_date: e.target.value})}
+            className={fieldClassName}
+          />
+          <input
+            type="date"
+            value={form.end_date}
+            onChange={(e) => setForm({...form, end_date: e.target.value})}
+            className={fieldClassName}
+          />
+          <input
+            type="text"
+            placeholder="Search details"
+            value={form.q}
+            onChange={(e) => setForm({...form, q: e.target.value})}
+            className={fieldClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              <Search className="w-4 h-4" />
+              Search
+            </button>
+            {hasFilters && (
+              <button
+                type="button"
+                onClick={() => applyFilters(emptyFilters)}
+                className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm font-semibold rounded-lg transition-colors"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        </div>
+      </form>
+
+      {/* Per-record History Banner */}
+      {isEntityHistory && (
+        <div className="flex items-center justify-between bg-blue-900/30 border border-blue-700 text-blue-300 px-4 py-3 rounded-lg">
+          <span>History of {filters.entity_type.toLowerCase()} #{filters.entity_id}</span>
+          <button
+            onClick={() => applyFilters(emptyFilters)}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Per-request Banner */}
+      {filters.request_id && (
+        <div className="flex items-center justify-between bg-blue-900/30 border border-blue-700 text-blue-300 px-4 py-3 rounded-lg">
+          <span>Entries from request <span className="font-mono">{filters.request_id}</span></span>
+          <button
+            onClick={() => applyFilters(emptyFilters)}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-slate-900">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Time
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    User
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Record
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Details
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700">
+                {entries.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-12 text-center text-slate-400">
+                      No audit entries found
+                    </td>
+                  </tr>
+                ) : (
+                  entries.map((entry) => (
+                    <tr key={entry.id} className="hover:bg-slate-700/50 transition-colors align-top">
+                      <td className="px-6 py-4 text-sm text-slate-300 whitespace-nowrap">
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-sm text-white">{entry.user_name || 'System'}</div>
+                        {entry.user_role && <div className="text-xs text-slate-400">{entry.user_role}</div>}
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${actionStyles[entry.action] || 'bg-slate-700 text-slate-300 border-slate-600'}`}>
+                          {entry.action}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm whitespace-nowrap">
+                        {entry.entity_id ? (
+                          <button
+                            onClick={() => showEntityHistory(entry)}
+                            title="Show everything that happened to this record"
+                            className="text-emerald-400 hover:text-emerald-300"
+                          >
+                            {entry.entity_type} #{entry.entity_id}
+                          </button>
+                        ) : (
+                          <span className="text-slate-300">{entry.entity_type}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-xs text-slate-400 max-w-md">
+                        <div className="truncate" title={formatDetails(entry.details)}>
+                          {formatDetails(entry.details)}
+                        </div>
+                        {entry.ip_address && (
+                          <div className="mt-1 text-slate-500 truncate" title={entry.user_agent || undefined}>
+                            from {entry.ip_address}
+                          </div>
+                        )}
+                        {entry.request_id && (
+                          <button
+                            onClick={() => showRequest(entry)}
+                            title="Show every entry from this request"
+                            className="mt-1 font-mono text-slate-500 hover:text-slate-300"
+                          >
+                            request {entry.request_id.slice(0, 8)}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          {total > 0 && (
+            <div className="flex items-center justify-between px-6 py-3 bg-slate-900 text-sm text-slate-400">
+              <span>
+                {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 0}
+                  className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-700 hover:bg-slate-600 transition-colors disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={(page + 1) * PAGE_SIZE >= total}
+                  className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-700 hover:bg-slate-600 transition-colors disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
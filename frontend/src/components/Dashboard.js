@@ -12,11 +12,17 @@ import {
 } from 'recharts';
 import { Package, TrendingUp, Users, Filter, X, Calendar, MapPin, Box } from 'lucide-react';
 import apiService from '../services/apiService';
+import { isBaseScoped, selectableBases } from '../utils/permissions';
 
 function Dashboard({ user }) {
   const [metrics, setMetrics] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [trendInterval, setTrendInterval] = useState('month');
   const [loading, setLoading] = useState(true);
   const [showNetMovementModal, setShowNetMovementModal] = useState(false);
+  const [movementDetails, setMovementDetails] = useState(null);
+  const [movementLoading, setMovementLoading] = useState(false);
+  const [movementError, setMovementError] = useState('');
   const [showFiltersModal, setShowFiltersModal] = useState(false);
   const [error, setError] = useState('');
 
@@ -54,43 +60,104 @@ function Dashboard({ user }) {
     }
   };
 
-  const loadMetrics = async () => {
+  // Translate filter state into the API query contract, dropping empty values
+  const buildFilterParams = (activeFilters) => {
+    const filterParams = {};
+    if (activeFilters.startDate) filterParams.start_date = activeFilters.startDate;
+    if (activeFilters.endDate) filterParams.end_date = activeFilters.endDate;
+    if (activeFilters.baseId) filterParams.base_id = activeFilters.baseId;
+    if (activeFilters.equipmentTypeId) filterParams.equipment_type_id = activeFilters.equipmentTypeId;
+    return filterParams;
+  };
+
+  const loadMetrics = async (activeFilters = filters) => {
     setLoading(true);
     setError('');
     
     try {
-      // Build filter object, only including non-empty values
-      const filterParams = {};
-      if (filters.startDate) filterParams.startDate = filters.startDate;
-      if (filters.endDate) filterParams.endDate = filters.endDate;
-      if (filters.baseId) filterParams.baseId = filters.baseId;
-      if (filters.equipmentTypeId) filterParams.equipmentTypeId = filters.equipmentTypeId;
-
-      const data = await apiService.getDashboardMetrics(filterParams);
+      const filterParams = buildFilterParams(activeFilters);
+      const [data, seriesData] = await Promise.all([
+        apiService.getDashboardMetrics(filterParams),
+        apiService.getDashboardTimeseries({ ...filterParams, interval: trendInterval })
+      ]);
       setMetrics(data);
+      setSeries(seriesData);
     } catch (err) {
-      setError('Failed to load dashboard metrics');
+      setError(err.message || 'Failed to load dashboard metrics');
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleIntervalChange = async (newInterval) => {
+    setTrendInterval(newInterval);
+
+    try {
+      const seriesData = await apiService.getDashboardTimeseries({
+        ...buildFilterParams(filters),
+        interval: newInterval
+      });
+      setSeries(seriesData);
+    } catch (err) {
+      setError(err.message || 'Failed to load balance trend');
+      console.error(err);
+    }
+  };
+
+  const openNetMovementModal = async () => {
+    setShowNetMovementModal(true);
+    setMovementLoading(true);
+    setMovementError('');
+
+    try {
+      const details = await apiService.getNetMovementDetails(buildFilterParams(filters));
+      setMovementDetails(details);
+    } catch (err) {
+      setMovementError(err.message || 'Failed to load movement records');
+      console.error(err);
+    } finally {
+      setMovementLoading(false);
+    }
+  };
+
+  const movementLabels = {
+    purchase: 'Purchase',
+    transfer_in: 'Transfer In',
+    transfer_out: 'Transfer Out',
+    transfer_return: 'Transfer Recalled',
+  };
+
+  const counterpartPrefixes = {
+    transfer_in: 'from',
+    transfer_out: 'to',
+    transfer_return: 'recalled from',
+  };
+
+  const formatPeriod = (period) => {
+    const date = new Date(`${period}T00:00:00`);
+    if (trendInterval === 'month') {
+      return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
   const handleApplyFilters = () => {
     setShowFiltersModal(false);
     loadMetrics();
   };
 
   const handleClearFilters = () => {
-    setFilters({
+    const clearedFilters = {
       startDate: '',
       endDate: '',
       baseId: '',
       equipmentTypeId: ''
-    });
+    };
+    setFilters(clearedFilters);
     setShowFiltersModal(false);
     // Reload without filters
-    setTimeout(() => loadMetrics(), 100);
+    loadMetrics(clearedFilters);
   };
 
   const hasActiveFilters = () => {
@@ -114,7 +181,7 @@ function Dashboard({ user }) {
         <p className="font-semibold mb-1">Error Loading Dashboard</p>
         <p className="text-sm">{error}</p>
         <button 
-          onClick={loadMetrics}
+          onClick={() => loadMetrics()}
           className="mt-3 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm"
         >
           Retry
@@ -220,7 +287,7 @@ function Dashboard({ user }) {
           value={metrics?.netMovement}
           icon={TrendingUp}
           color="text-emerald-500"
-          onClick={() => setShowNetMovementModal(true)}
+          onClick={openNetMovementModal}
         />
         <StatCard
           title="Assigned"
@@ -240,22 +307,33 @@ function Dashboard({ user }) {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Balance Trend Chart */}
         <div className="glass-card p-6">
-          <h3 className="text-lg font-semibold text-white mb-4">
-            Asset Balance Trend
-          </h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">
+              Asset Balance Trend
+            </h3>
+            <div className="flex gap-1 bg-white/5 rounded-lg p-1">
+              {['day', 'week', 'month'].map((option) => (
+                <button
+                  key={option}
+                  onClick={() => handleIntervalChange(option)}
+                  className={`px-3 py-1 text-xs font-semibold rounded-md capitalize transition-colors ${
+                    trendInterval === option
+                      ? 'bg-emerald-600 text-white'
+                      : 'text-white/60 hover:text-white'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
           <ResponsiveContainer width="100%" height={300}>
-            <LineChart
-              data={[
-                { month: 'Jan', opening: 1100, closing: 1150 },
-                { month: 'Feb', opening: 1150, closing: 1200 },
-                { month: 'Mar', opening: 1200, closing: 1250 },
-                { month: 'Apr', opening: 1250, closing: metrics?.closingBalance || 1250 },
-              ]}
-            >
+            <LineChart data={series}>
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="month" stroke="#9CA3AF" />
+              <XAxis dataKey="period" stroke="#9CA3AF" tickFormatter={formatPeriod} />
               <YAxis stroke="#9CA3AF" />
               <Tooltip
+                labelFormatter={formatPeriod}
                 contentStyle={{
                   backgroundColor: '#1e293b',
                   border: '1px solid #374151',
@@ -287,24 +365,23 @@ function Dashboard({ user }) {
             Movement Breakdown
           </h3>
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart
-              data={[
-                { name: 'Purchases', value: metrics?.purchases || 0, fill: '#10b981' },
-                { name: 'Transfer In', value: metrics?.transferIn || 0, fill: '#3b82f6' },
-                { name: 'Transfer Out', value: metrics?.transferOut || 0, fill: '#ef4444' },
-              ]}
-            >
+            <BarChart data={series}>
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis dataKey="name" stroke="#9CA3AF" />
+              <XAxis dataKey="period" stroke="#9CA3AF" tickFormatter={formatPeriod} />
               <YAxis stroke="#9CA3AF" />
               <Tooltip
+                labelFormatter={formatPeriod}
                 contentStyle={{
                   backgroundColor: '#1e293b',
                   border: '1px solid #374151',
                   borderRadius: '8px',
                 }}
               />
-              <Bar dataKey="value" />
+              <Legend />
+              <Bar dataKey="purchases" name="Purchases" fill="#10b981" />
+              <Bar dataKey="transferIn" name="Transfer In" fill="#3b82f6" />
+              <Bar dataKey="transferOut" name="Transfer Out" fill="#ef4444" />
+              <Bar dataKey="expended" name="Expended" fill="#f97316" />
             </BarChart>
           </ResponsiveContainer>
         </div>
@@ -368,10 +445,11 @@ function Dashboard({ user }) {
                 <select
                   value={filters.baseId}
                   onChange={(e) => setFilters({...filters, baseId: e.target.value})}
-                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white focus:border-emerald-500 focus:outline-none"
+                  disabled={isBaseScoped(user) && user.base_ids.length === 1}
+                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white focus:border-emerald-500 focus:outline-none disabled:opacity-60"
                 >
-                  <option value="">All Bases</option>
-                  {bases.map(base => (
+                  <option value="">{isBaseScoped(user) ? 'All Your Bases' : 'All Bases'}</option>
+                  {selectableBases(user, bases).map(base => (
                     <option key={base.id} value={base.id}>{base.name}</option>
                   ))}
                 </select>
@@ -421,7 +499,7 @@ function Dashboard({ user }) {
           onClick={() => setShowNetMovementModal(false)}
         >
           <div
-            className="glass-card p-6 max-w-md w-full"
+            className="glass-card p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto"
             onClick={(e) => e.stopPropagation()}
           >
             <div className="flex items-center justify-between mb-4">
@@ -464,6 +542,71 @@ function Dashboard({ user }) {
               </div>
             </div>
 
+            {/* Breakdown by equipment type */}
+            <div className="mt-6 space-y-4">
+              <h4 className="text-lg font-semibold text-white">Breakdown by Equipment Type</h4>
+
+              {movementLoading && (
+                <div className="flex justify-center py-6">
+                  <div className="w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              )}
+
+              {movementError && (
+                <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+                  {movementError}
+                </div>
+              )}
+
+              {!movementLoading && !movementError && movementDetails?.equipmentTypes.length === 0 && (
+                <p className="text-white/60 text-sm">No purchases or transfers in this period</p>
+              )}
+
+              {!movementLoading && !movementError && movementDetails?.equipmentTypes.map((group) => (
+                <div key={group.equipment_type_id} className="bg-white/5 rounded-lg border border-white/10 overflow-hidden">
+                  <div className="flex flex-wrap justify-between items-center gap-2 px-4 py-3 border-b border-white/10">
+                    <div>
+                      <span className="text-white font-semibold">{group.equipment_name}</span>
+                      <span className="text-white/40 text-xs ml-2">{group.equipment_category}</span>
+                    </div>
+                    <div className="flex gap-4 text-xs">
+                      <span className="text-emerald-400">+{group.purchases.toLocaleString()} purchased</span>
+                      <span className="text-emerald-400">+{group.transferIn.toLocaleString()} in</span>
+                      <span className="text-red-400">-{group.transferOut.toLocaleString()} out</span>
+                      <span className="text-white font-bold">Net {group.netMovement.toLocaleString()}</span>
+                    </div>
+                  </div>
+                  <table className="w-full text-sm">
+                    <tbody className="divide-y divide-white/5">
+                      {group.records.map((record) => (
+                        <tr key={record.id}>
+                          <td className="px-4 py-2 text-white/70">
+                            {new Date(record.movement_date).toLocaleDateString('en-US', {
+                              year: 'numeric',
+                              month: 'short',
+                              day: 'numeric',
+                            })}
+                          </td>
+                          <td className="px-4 py-2 text-white/80">
+                            {movementLabels[record.movement_type]} #{record.reference_id}
+                          </td>
+                          <td className="px-4 py-2 text-white/70">{record.base_name}</td>
+                          <td className="px-4 py-2 text-white/50">
+                            {record.movement_type === 'purchase'
+                              ? record.supplier
+                              : `${counterpartPrefixes[record.movement_type]} ${record.counterpart_base_name}`}
+                          </td>
+                          <td className={`px-4 py-2 text-right font-semibold ${record.quantity > 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                            {record.quantity > 0 ? '+' : ''}{record.quantity.toLocaleString()} {group.unit_of_measure}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+
             <button
               onClick={() => setShowNetMovementModal(false)}
               className="w-full mt-6 px-4 py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold rounded-lg transition-colors"
@@ -0,0 +1,361 @@
+/**
+ * Expenditures Component
+ * Displays and records equipment consumed or written off
+ *
+ * Location: src/components/Expenditures.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Plus } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+
+const REASONS = [
+  { value: 'training', label: 'Training' },
+  { value: 'operations', label: 'Operations' },
+  { value: 'disposal', label: 'Disposal' },
+  { value: 'loss', label: 'Loss' },
+];
+
+function Expenditures({ user }) {
+  const [expenditures, setExpenditures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [availableLots, setAvailableLots] = useState([]);
+
+  const emptyForm = {
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    equipment_type_id: '',
+    quantity: '',
+    expenditure_date: new Date().toISOString().split('T')[0],
+    reason: '',
+    notes: '',
+    lot_id: ''
+  };
+  const [form, setForm] = useState(emptyForm);
+
+  const isLotTracked = (typeId) =>
+    Boolean(equipmentTypes.find((type) => String(type.id) === String(typeId))?.is_lot_tracked);
+
+  useEffect(() => {
+    loadExpenditures();
+  }, []);
+
+  const loadExpenditures = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const data = await apiService.getExpenditures();
+      setExpenditures(data);
+    } catch (err) {
+      setError('Failed to load expenditure records');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadAvailableLots = async (baseId, typeId) => {
+    setAvailableLots([]);
+    if (!baseId || !isLotTracked(typeId) || !can(user, 'lot:read')) return;
+
+    try {
+      setAvailableLots(await apiService.getLots({ base_id: baseId, equipment_type_id: typeId }));
+    } catch (err) {
+      setFormError('Failed to load lots');
+      console.error(err);
+    }
+  };
+
+  const selectStock = (changes) => {
+    const next = { ...form, ...changes, lot_id: '' };
+    setForm(next);
+    loadAvailableLots(next.base_id, next.equipment_type_id);
+  };
+
+  const openCreateModal = async () => {
+    setForm(emptyForm);
+    setAvailableLots([]);
+    setFormError('');
+    setShowCreateModal(true);
+
+    if (bases.length === 0 || equipmentTypes.length === 0) {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        setFormError('Failed to load bases and equipment types');
+        console.error(err);
+      }
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.base_id || !form.equipment_type_id || !form.quantity || !form.expenditure_date || !form.reason) {
+      setFormError('Base, equipment, quantity, date and reason are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    try {
+      const response = await apiService.createExpenditure({
+        ...form,
+        base_id: parseInt(form.base_id),
+        equipment_type_id: parseInt(form.equipment_type_id),
+        quantity: parseInt(form.quantity),
+        lot_id: form.lot_id ? parseInt(form.lot_id) : null
+      });
+
+      // Show the new record straight away, then sync with the server in the background
+      const created = response.data;
+      const equipmentType = equipmentTypes.find((t) => t.id === created.equipment_type_id);
+      setExpenditures((current) => [{
+        ...created,
+        base_name: bases.find((b) => b.id === created.base_id)?.name,
+        equipment_name: equipmentType?.name,
+        equipment_category: equipmentType?.category,
+        unit_of_measure: equipmentType?.unit_of_measure
+      }, ...current]);
+      setShowCreateModal(false);
+      loadExpenditures(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to record expenditure');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getReasonLabel = (reason) => REASONS.find((r) => r.value === reason)?.label || reason;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Expenditure Records</h2>
+          <p className="text-slate-400 mt-1">Equipment consumed, disposed of or lost</p>
+        </div>
+        {can(user, 'expenditure:create') && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
+            <Plus className="w-4 h-4" />
+            New Expenditure
+          </button>
+        )}
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Expenditures Table */}
+      <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-900">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Date
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Equipment
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Quantity
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Base
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Reason
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {expenditures.length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="px-6 py-12 text-center text-slate-400">
+                    No expenditure records found
+                  </td>
+                </tr>
+              ) : (
+                expenditures.map((expenditure) => (
+                  <tr
+                    key={expenditure.id}
+                    className="hover:bg-slate-700/50 transition-colors"
+                  >
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {new Date(expenditure.expenditure_date).toLocaleDateString('en-US', {
+                        year: 'numeric',
+                        month: 'short',
+                        day: 'numeric',
+                      })}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-semibold text-white">
+                        {expenditure.equipment_name}
+                      </div>
+                      <div className="text-xs text-slate-400">
+                        {expenditure.equipment_category}
+                      </div>
+                      {expenditure.lots?.length > 0 && (
+                        <div className="text-xs text-slate-400 font-mono">
+                          {expenditure.lots.map((lot) => `Lot ${lot.lot_number} × ${lot.quantity}`).join(', ')}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300 font-medium">
+                      {expenditure.quantity.toLocaleString()} {expenditure.unit_of_measure}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {expenditure.base_name}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className="inline-flex px-3 py-1 text-xs font-medium rounded-full bg-orange-900/50 text-orange-400 border border-orange-700">
+                        {getReasonLabel(expenditure.reason)}
+                      </span>
+                      {expenditure.notes && (
+                        <div className="text-xs text-slate-400 mt-1">{expenditure.notes}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Create Expenditure Modal */}
+      {showCreateModal && (
+        <FormModal
+          title="Record Expenditure"
+          onClose={() => setShowCreateModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel="Record Expenditure"
+        >
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => selectStock({ base_id: e.target.value })}
+              disabled={isBaseScoped(user) && user.base_ids.length === 1}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map(base => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => selectStock({ equipment_type_id: e.target.value })}
+              className={fieldClassName}
+            >
+              <option value="">Select equipment type</option>
+              {equipmentTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          {isLotTracked(form.equipment_type_id) && can(user, 'lot:read') && (
+            <FormField label="Lot">
+              <select
+                value={form.lot_id}
+                onChange={(e) => setForm({...form, lot_id: e.target.value})}
+                className={fieldClassName}
+              >
+                <option value="">Earliest expiry first</option>
+                {availableLots.map((lot) => {
+                  const held = lot.holdings.find((holding) => String(holding.base_id) === String(form.base_id));
+                  return (
+                    <option key={lot.id} value={lot.id}>
+                      {lot.lot_number} ({held?.quantity ?? 0} on hand)
+                      {lot.is_expired ? ' - expired' : lot.inspection_overdue ? ' - inspection overdue' : ''}
+                    </option>
+                  );
+                })}
+              </select>
+            </FormField>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Quantity" required>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.quantity}
+                onChange={(e) => setForm({...form, quantity: e.target.value})}
+              />
+            </FormField>
+            <FormField label="Date" required>
+              <input
+                type="date"
+                value={form.expenditure_date}
+                onChange={(e) => setForm({...form, expenditure_date: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          <FormField label="Reason" required>
+            <select
+              value={form.reason}
+              onChange={(e) => setForm({...form, reason: e.target.value})}
+              className={fieldClassName}
+            >
+              <option value="">Select reason</option>
+              {REASONS.map(reason => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Notes">
+            <input
+              type="text"
+              placeholder="Exercise name, incident reference..."
+              value={form.notes}
+              onChange={(e) => setForm({...form, notes: e.target.value})}
+            />
+          </FormField>
+        </FormModal>
+      )}
+    </div>
+  );
+}
+
+export default Expenditures;
@@ -0,0 +1,80 @@
+/**
+ * FormModal Component
+ * Glass modal shell shared by the create/edit forms
+ *
+ * Location: src/components/FormModal.js
+ */
+
+import React from 'react';
+import { X } from 'lucide-react';
+
+export const fieldClassName =
+  'w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg text-white focus:border-emerald-500 focus:outline-none disabled:opacity-60';
+
+/**
+ * Labelled wrapper for a single form control
+ */
+export function FormField({ label, required, children }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-white/80 mb-2">
+        {label}
+        {required && <span className="text-red-400 ml-1">*</span>}
+      </label>
+      {children}
+    </div>
+  );
+}
+
+function FormModal({ title, onClose, onSubmit, error, saving, submitLabel, children }) {
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold text-white">{title}</h3>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-white/60" />
+          </button>
+        </div>
+
+        <form onSubmit={onSubmit} className="space-y-4">
+          {children}
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="flex gap-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 bg-white/5 hover:bg-white/10 text-white font-semibold rounded-lg transition-colors border border-white/10"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 px-4 py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold rounded-lg transition-colors disabled:opacity-60"
+            >
+              {saving ? 'Saving...' : submitLabel}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default FormModal;
@@ -1,14 +1,60 @@
 
 
 import React, { useState } from 'react';
-import { Shield, AlertCircle } from 'lucide-react';
+import { Shield, AlertCircle, CheckCircle } from 'lucide-react';
 import apiService from '../services/apiService';
+import { EnrolmentDetails, RecoveryCodeList } from './TwoFactorSettings';
 
 function LoginPage({ onLogin }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Invitation and password reset links carry a one-time token: /?invite=<token>
+  const [inviteToken, setInviteToken] = useState(
+    () => new URLSearchParams(window.location.search).get('invite')
+  );
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  // Second sign-in step: { mode: 'verify' | 'enrol', token }
+  const [challenge, setChallenge] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Recovery codes issued at enrolment are shown before entering the app
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [signedInUser, setSignedInUser] = useState(null);
+
+  const handleAcceptInvite = async (e) => {
+    e.preventDefault();
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await apiService.acceptInvite(inviteToken, password);
+      window.history.replaceState(null, '', window.location.pathname);
+      setInviteToken(null);
+      setPassword('');
+      setConfirmPassword('');
+      setNotice('Password set. Sign in with your email and new password.');
+    } catch (err) {
+      setError(err.message || 'Failed to accept invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -22,8 +68,18 @@ function LoginPage({ onLogin }) {
     setError('');
 
     try {
-      const user = await apiService.login(email, password);
-      onLogin(user);
+      const result = await apiService.login(email, password);
+      if (result.user) {
+        onLogin(result.user);
+        return;
+      }
+
+      setPassword('');
+      setCode('');
+      setChallenge({ mode: result.twoFactor, token: result.challengeToken });
+      if (result.twoFactor === 'enrol') {
+        setEnrolment(await apiService.startTwoFactorEnrolment(result.challengeToken));
+      }
     } catch (err) {
       setError(err.message || 'Invalid credentials. Please try again.');
     } finally {
@@ -31,6 +87,51 @@ function LoginPage({ onLogin }) {
     }
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      if (challenge.mode === 'enrol') {
+        const response = await apiService.enableTwoFactor(code.trim(), challenge.token);
+        setSignedInUser(response.user);
+        setRecoveryCodes(response.recovery_codes);
+        return;
+      }
+
+      const response = await apiService.verifyTwoFactor(
+        challenge.token,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+      if (response.recovery_codes_remaining !== undefined) {
+        window.alert(
+          `You have ${response.recovery_codes_remaining} recovery codes left. ` +
+          'Generate new ones under Settings > Two-factor authentication.'
+        );
+      }
+      onLogin(response.user);
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallenge(null);
+    setEnrolment(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center relative overflow-hidden px-4">
 
@@ -58,54 +159,176 @@ function LoginPage({ onLogin }) {
           Military Asset System
         </h1>
         <p className="text-white/60 text-center mb-6 text-sm">
-          Secure Access Portal
+          {inviteToken
+            ? 'Choose a password to activate your account'
+            : challenge?.mode === 'enrol'
+              ? 'Your role requires two-factor authentication'
+              : challenge
+                ? 'Two-factor verification'
+                : 'Secure Access Portal'}
         </p>
 
-        {/* Login Form */}
-        <form onSubmit={handleLogin} className="space-y-4">
-
-          {/* Email */}
-          <input
-            type="email"
-            placeholder="user@military.gov"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            disabled={loading}
-          />
-
-          {/* Password */}
-          <input
-            type="password"
-            placeholder="••••••••"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            disabled={loading}
-          />
-
-          {/* Error */}
-          {error && (
-            <div className="flex items-start gap-2 bg-red-500/10 border border-red-500/30 text-red-300 px-4 py-3 rounded-xl text-sm">
-              <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
-              <span>{error}</span>
+        {/* Invitation Form */}
+        {inviteToken && (
+          <form onSubmit={handleAcceptInvite} className="space-y-4">
+            <input
+              type="password"
+              placeholder="New password (min. 8 characters)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+            />
+            <input
+              type="password"
+              placeholder="Confirm password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={loading}
+            />
+
+            {error && (
+              <div className="flex items-start gap-2 bg-red-500/10 border border-red-500/30 text-red-300 px-4 py-3 rounded-xl text-sm">
+                <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="glass-button w-full py-3 font-semibold flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Saving...' : 'Set Password'}
+            </button>
+          </form>
+        )}
+
+        {/* Recovery Codes issued at enrolment */}
+        {recoveryCodes && (
+          <div className="space-y-4">
+            <RecoveryCodeList codes={recoveryCodes} />
+            <button
+              onClick={() => onLogin(signedInUser)}
+              className="glass-button w-full py-3 font-semibold"
+            >
+              I have saved my codes
+            </button>
+          </div>
+        )}
+
+        {/* Second Factor Form */}
+        {challenge && !recoveryCodes && (
+          <form onSubmit={handleTwoFactor} className="space-y-4">
+            {challenge.mode === 'enrol' && enrolment && (
+              <EnrolmentDetails enrolment={enrolment} />
+            )}
+
+            <input
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              placeholder={useRecoveryCode ? 'Recovery code (xxxxx-xxxxx)' : '6-digit code'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={loading}
+              autoFocus
+            />
+
+            {error && (
+              <div className="flex items-start gap-2 bg-red-500/10 border border-red-500/30 text-red-300 px-4 py-3 rounded-xl text-sm">
+                <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="glass-button w-full py-3 font-semibold flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Verifying...' : (challenge.mode === 'enrol' ? 'Confirm and Sign In' : 'Verify')}
+            </button>
+
+            <div className="flex justify-between text-xs">
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="text-white/60 hover:text-white transition-colors"
+              >
+                Back to sign in
+              </button>
+              {challenge.mode === 'verify' && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                    setError('');
+                  }}
+                  className="text-white/60 hover:text-white transition-colors"
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
+              )}
             </div>
-          )}
-
-          {/* Submit */}
-          <button
-            type="submit"
-            disabled={loading}
-            className="glass-button w-full py-3 font-semibold flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
-          >
-            {loading ? (
-              <>
-                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                Authenticating...
-              </>
-            ) : (
-              'Sign In'
+          </form>
+        )}
+
+        {/* Login Form */}
+        {!inviteToken && !challenge && (
+          <form onSubmit={handleLogin} className="space-y-4">
+
+            {/* Notice */}
+            {notice && (
+              <div className="flex items-start gap-2 bg-emerald-500/10 border border-emerald-500/30 text-emerald-300 px-4 py-3 rounded-xl text-sm">
+                <CheckCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span>{notice}</span>
+              </div>
             )}
-          </button>
-        </form>
+
+            {/* Email */}
+            <input
+              type="email"
+              placeholder="user@military.gov"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={loading}
+            />
+
+            {/* Password */}
+            <input
+              type="password"
+              placeholder="••••••••"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+            />
+
+            {/* Error */}
+            {error && (
+              <div className="flex items-start gap-2 bg-red-500/10 border border-red-500/30 text-red-300 px-4 py-3 rounded-xl text-sm">
+                <AlertCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {/* Submit */}
+            <button
+              type="submit"
+              disabled={loading}
+              className="glass-button w-full py-3 font-semibold flex items-center justify-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {loading ? (
+                <>
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                  Authenticating...
+                </>
+              ) : (
+                'Sign In'
+              )}
+            </button>
+          </form>
+        )}
 
       </div>
     </div>
@@ -0,0 +1,137 @@
+/**
+ * PermissionMatrix Component
+ * Admin screen for granting permissions to each role
+ *
+ * Location: src/components/PermissionMatrix.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import apiService from '../services/apiService';
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  commander: 'Base Commander',
+  logistics: 'Logistics Officer',
+};
+
+function PermissionMatrix({ user }) {
+  const [permissions, setPermissions] = useState([]);
+  const [roles, setRoles] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingRole, setSavingRole] = useState(null);
+
+  useEffect(() => {
+    loadMatrix();
+  }, []);
+
+  const loadMatrix = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const data = await apiService.getPermissionMatrix();
+      setPermissions(data.permissions);
+      setRoles(data.roles);
+    } catch (err) {
+      setError('Failed to load permissions');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (role, permission) => {
+    const granted = roles[role].includes(permission)
+      ? roles[role].filter((key) => key !== permission)
+      : [...roles[role], permission];
+
+    setSavingRole(role);
+    setError('');
+
+    try {
+      await apiService.updateRolePermissions(role, granted);
+      await loadMatrix(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update permissions');
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-3xl font-bold text-white">Permissions</h2>
+        <p className="text-slate-400 mt-1">
+          What each role may do. Changes apply to signed-in users on their next request.
+        </p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Permission Matrix */}
+      <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-900">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Permission
+                </th>
+                {Object.keys(roles).map((role) => (
+                  <th key={role} className="px-6 py-4 text-center text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    {ROLE_LABELS[role] || role}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {permissions.map((permission) => (
+                <tr key={permission.key} className="hover:bg-slate-700/50 transition-colors">
+                  <td className="px-6 py-3">
+                    <div className="text-sm font-mono text-white">{permission.key}</div>
+                    <div className="text-xs text-slate-400">{permission.description}</div>
+                  </td>
+                  {Object.keys(roles).map((role) => {
+                    // The server refuses to remove policy management from your own role
+                    const locked = role === user.role && permission.key === 'policy:manage';
+
+                    return (
+                      <td key={role} className="px-6 py-3 text-center">
+                        <input
+                          type="checkbox"
+                          checked={roles[role].includes(permission.key)}
+                          onChange={() => handleToggle(role, permission.key)}
+                          disabled={locked || savingRole !== null}
+                          title={locked ? 'You cannot remove this from your own role' : undefined}
+                          className="w-4 h-4 accent-emerald-500 disabled:opacity-50"
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PermissionMatrix;
@@ -0,0 +1,381 @@
+/**
+ * Personnel Component
+ * Roster of personnel with the equipment each person currently holds
+ *
+ * Location: src/components/Personnel.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Plus } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+
+const STATUS_FILTERS = ['all', 'active', 'inactive', 'transferred'];
+
+// Mirrors the server's allowed status transitions
+const STATUS_ACTIONS = {
+  active: [
+    { status: 'inactive', label: 'Deactivate', className: 'bg-slate-600 hover:bg-slate-500' },
+    { status: 'transferred', label: 'Transferred', className: 'bg-yellow-600 hover:bg-yellow-700' },
+  ],
+  inactive: [
+    { status: 'active', label: 'Reactivate', className: 'bg-emerald-600 hover:bg-emerald-700' },
+  ],
+  transferred: [
+    { status: 'active', label: 'Reactivate', className: 'bg-emerald-600 hover:bg-emerald-700' },
+  ],
+};
+
+function Personnel({ user }) {
+  const [personnel, setPersonnel] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingPerson, setEditingPerson] = useState(null);
+  const [bases, setBases] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const canManage = can(user, 'personnel:manage');
+
+  const emptyForm = {
+    name: '',
+    rank: '',
+    unit: '',
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : ''
+  };
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    loadPersonnel();
+  }, []);
+
+  const loadPersonnel = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const data = await apiService.getPersonnel('all');
+      setPersonnel(data);
+    } catch (err) {
+      setError('Failed to load personnel roster');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBases = async () => {
+    if (bases.length > 0) return;
+
+    try {
+      setBases(await apiService.getBases());
+    } catch (err) {
+      setFormError('Failed to load bases');
+      console.error(err);
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingPerson(null);
+    setForm(emptyForm);
+    setFormError('');
+    setShowFormModal(true);
+    loadBases();
+  };
+
+  const openEditModal = (person) => {
+    setEditingPerson(person);
+    setForm({
+      name: person.name,
+      rank: person.rank || '',
+      unit: person.unit || '',
+      base_id: String(person.base_id)
+    });
+    setFormError('');
+    setShowFormModal(true);
+    loadBases();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim() || !form.base_id) {
+      setFormError('Name and base are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    const payload = {
+      ...form,
+      name: form.name.trim(),
+      base_id: parseInt(form.base_id)
+    };
+
+    try {
+      if (editingPerson) {
+        await apiService.updatePersonnel(editingPerson.id, payload);
+      } else {
+        await apiService.createPersonnel(payload);
+      }
+      setShowFormModal(false);
+      await loadPersonnel(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to save personnel record');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (person, status) => {
+    const notes = window.prompt(`Note for marking ${person.name} ${status} (optional):`);
+    if (notes === null) return;
+
+    setActionInProgress(person.id);
+    setError('');
+
+    try {
+      await apiService.updatePersonnelStatus(person.id, status, notes || undefined);
+      await loadPersonnel(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update personnel status');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const getStatusColor = (status) => {
+    if (status === 'inactive') return 'bg-slate-900/50 text-slate-400 border-slate-600';
+    if (status === 'transferred') return 'bg-yellow-900/50 text-yellow-400 border-yellow-700';
+    return 'bg-emerald-900/50 text-emerald-400 border-emerald-700';
+  };
+
+  const visiblePersonnel = statusFilter === 'all'
+    ? personnel
+    : personnel.filter((person) => person.status === statusFilter);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Personnel Roster</h2>
+          <p className="text-slate-400 mt-1">Personnel and the equipment they currently hold</p>
+        </div>
+        {canManage && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
+            <Plus className="w-4 h-4" />
+            Add Personnel
+          </button>
+        )}
+      </div>
+
+      {/* Status Filter */}
+      <div className="flex gap-2">
+        {STATUS_FILTERS.map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-4 py-2 text-sm font-semibold rounded-lg capitalize transition-colors ${
+              statusFilter === status
+                ? 'bg-emerald-600 text-white'
+                : 'bg-slate-800 text-slate-400 hover:text-white border border-slate-700'
+            }`}
+          >
+            {status}
+            <span className="ml-2 text-xs opacity-70">
+              {status === 'all' ? personnel.length : personnel.filter((p) => p.status === status).length}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Personnel Table */}
+      <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-900">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Name
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Unit
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Base
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Equipment Held
+                </th>
+                {canManage && (
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {visiblePersonnel.length === 0 ? (
+                <tr>
+                  <td colSpan={canManage ? 6 : 5} className="px-6 py-12 text-center text-slate-400">
+                    No personnel found
+                  </td>
+                </tr>
+              ) : (
+                visiblePersonnel.map((person) => (
+                  <tr
+                    key={person.id}
+                    className="hover:bg-slate-700/50 transition-colors"
+                  >
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-semibold text-white">
+                        {person.name}
+                      </div>
+                      <div className="text-xs text-slate-400">
+                        {person.rank || 'No rank recorded'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {person.unit || '—'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {person.base_name}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border capitalize ${getStatusColor(person.status)}`}>
+                        {person.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      {person.held_equipment.length === 0 ? (
+                        <span className="text-xs text-slate-500">None</span>
+                      ) : (
+                        <ul className="space-y-1">
+                          {person.held_equipment.map((item) => (
+                            <li key={item.assignment_id} className="text-sm text-slate-300">
+                              {item.equipment_name}
+                              {item.serial_number && (
+                                <span className="ml-2 font-mono text-xs text-slate-400">{item.serial_number}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    {canManage && (
+                      <td className="px-6 py-4">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => openEditModal(person)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                          >
+                            Edit
+                          </button>
+                          {STATUS_ACTIONS[person.status].map((action) => (
+                            <button
+                              key={action.status}
+                              onClick={() => handleStatusChange(person, action.status)}
+                              disabled={actionInProgress === person.id
+                                || (action.status !== 'active' && person.held_equipment.length > 0)}
+                              title={action.status !== 'active' && person.held_equipment.length > 0
+                                ? 'Close this person\'s assignments first'
+                                : undefined}
+                              className={`px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors disabled:opacity-50 ${action.className}`}
+                            >
+                              {action.label}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Create / Edit Personnel Modal */}
+      {showFormModal && (
+        <FormModal
+          title={editingPerson ? 'Edit Personnel' : 'Add Personnel'}
+          onClose={() => setShowFormModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingPerson ? 'Save Changes' : 'Add Personnel'}
+        >
+          <FormField label="Name" required>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({...form, name: e.target.value})}
+            />
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Rank">
+              <input
+                type="text"
+                placeholder="Sergeant, Lieutenant..."
+                value={form.rank}
+                onChange={(e) => setForm({...form, rank: e.target.value})}
+              />
+            </FormField>
+            <FormField label="Unit">
+              <input
+                type="text"
+                value={form.unit}
+                onChange={(e) => setForm({...form, unit: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => setForm({...form, base_id: e.target.value})}
+              disabled={isBaseScoped(user) && user.base_ids.length === 1}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map(base => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+        </FormModal>
+      )}
+    </div>
+  );
+}
+
+export default Personnel;
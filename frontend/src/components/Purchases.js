@@ -8,18 +8,45 @@
 import React, { useState, useEffect } from 'react';
 import { Plus } from 'lucide-react';
 import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+import RevisionHistoryModal from './RevisionHistoryModal';
 
 function Purchases({ user }) {
   const [purchases, setPurchases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [editingPurchase, setEditingPurchase] = useState(null);
+  const [historyPurchase, setHistoryPurchase] = useState(null);
+
+  const emptyForm = {
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    equipment_type_id: '',
+    quantity: '',
+    cost: '',
+    purchase_date: new Date().toISOString().split('T')[0],
+    supplier: '',
+    notes: '',
+    lot_number: '',
+    expiry_date: '',
+    inspection_due_date: '',
+    reason: ''
+  };
+  const [form, setForm] = useState(emptyForm);
+
+  const selectedType = equipmentTypes.find((type) => String(type.id) === form.equipment_type_id);
 
   useEffect(() => {
     loadPurchases();
   }, []);
 
-  const loadPurchases = async () => {
-    setLoading(true);
+  const loadPurchases = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     setError('');
 
     try {
@@ -33,6 +60,131 @@ function Purchases({ user }) {
     }
   };
 
+  const loadReferenceData = async () => {
+    if (bases.length === 0 || equipmentTypes.length === 0) {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        setFormError('Failed to load bases and equipment types');
+        console.error(err);
+      }
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingPurchase(null);
+    setForm(emptyForm);
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const openEditModal = (purchase) => {
+    setEditingPurchase(purchase);
+    setForm({
+      base_id: String(purchase.base_id),
+      equipment_type_id: String(purchase.equipment_type_id),
+      quantity: String(purchase.quantity),
+      cost: purchase.cost ?? '',
+      purchase_date: purchase.purchase_date.split('T')[0],
+      supplier: purchase.supplier || '',
+      notes: purchase.notes || '',
+      lot_number: purchase.lot_number || '',
+      expiry_date: '',
+      inspection_due_date: '',
+      reason: ''
+    });
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const handleVoid = async (purchase) => {
+    const reason = window.prompt('Reason for voiding this purchase (required):');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to void a record');
+      return;
+    }
+
+    setError('');
+    try {
+      await apiService.voidRecord('purchases', purchase.id, reason.trim());
+      await loadPurchases(false);
+    } catch (err) {
+      setError(err.message || 'Failed to void purchase');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Mirrors the server's required fields
+    if (!form.base_id || !form.equipment_type_id || !form.quantity || !form.purchase_date) {
+      setFormError('Base, equipment, quantity and purchase date are required');
+      return;
+    }
+    if (!Number.isInteger(Number(form.quantity)) || Number(form.quantity) <= 0) {
+      setFormError('Quantity must be a positive whole number');
+      return;
+    }
+    if (form.cost !== '' && Number(form.cost) < 0) {
+      setFormError('Cost cannot be negative');
+      return;
+    }
+    if (!editingPurchase && selectedType?.is_lot_tracked && !form.lot_number.trim()) {
+      setFormError('Lot number is required for lot-tracked equipment');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    // The lot is fixed once received; corrections only carry the record's own fields
+    const { reason, lot_number, expiry_date, inspection_due_date, ...fields } = form;
+    const payload = {
+      ...fields,
+      base_id: parseInt(form.base_id),
+      equipment_type_id: parseInt(form.equipment_type_id),
+      quantity: parseInt(form.quantity),
+      cost: form.cost === '' ? null : Number(form.cost)
+    };
+
+    try {
+      if (editingPurchase) {
+        await apiService.updateRecord('purchases', editingPurchase.id, { ...payload, reason });
+        setShowCreateModal(false);
+        await loadPurchases(false);
+        return;
+      }
+
+      const response = await apiService.createPurchase(selectedType?.is_lot_tracked
+        ? { ...payload, lot_number, expiry_date: expiry_date || null, inspection_due_date: inspection_due_date || null }
+        : payload);
+
+      // Show the new record straight away, then sync with the server in the background
+      const created = response.data;
+      const equipmentType = equipmentTypes.find((t) => t.id === created.equipment_type_id);
+      setPurchases((current) => [{
+        ...created,
+        base_name: bases.find((b) => b.id === created.base_id)?.name,
+        equipment_name: equipmentType?.name,
+        equipment_category: equipmentType?.category
+      }, ...current]);
+      setShowCreateModal(false);
+      loadPurchases(false);
+    } catch (err) {
+      setFormError(err.message || (editingPurchase ? 'Failed to correct purchase' : 'Failed to create purchase'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -49,8 +201,11 @@ function Purchases({ user }) {
           <h2 className="text-3xl font-bold text-white">Purchase Records</h2>
           <p className="text-slate-400 mt-1">Equipment procurement history</p>
         </div>
-        {user.role !== 'logistics' && (
-          <button className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold">
+        {can(user, 'purchase:create') && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
             <Plus className="w-4 h-4" />
             New Purchase
           </button>
@@ -85,12 +240,15 @@ function Purchases({ user }) {
                 <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
                   Cost
                 </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Actions
+                </th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-700">
               {purchases.length === 0 ? (
                 <tr>
-                  <td colSpan="5" className="px-6 py-12 text-center text-slate-400">
+                  <td colSpan="6" className="px-6 py-12 text-center text-slate-400">
                     No purchase records found
                   </td>
                 </tr>
@@ -98,7 +256,7 @@ function Purchases({ user }) {
                 purchases.map((purchase) => (
                   <tr
                     key={purchase.id}
-                    className="hover:bg-slate-700/50 transition-colors"
+                    className={`hover:bg-slate-700/50 transition-colors ${purchase.is_voided ? 'opacity-50' : ''}`}
                   >
                     <td className="px-6 py-4 text-sm text-slate-300">
                       {new Date(purchase.purchase_date).toLocaleDateString('en-US', {
@@ -114,6 +272,21 @@ function Purchases({ user }) {
                       <div className="text-xs text-slate-400">
                         {purchase.equipment_category}
                       </div>
+                      {purchase.lot_number && (
+                        <div className="text-xs text-slate-400 font-mono">
+                          Lot {purchase.lot_number}
+                        </div>
+                      )}
+                      {purchase.is_voided && (
+                        <div className="text-xs text-red-400 mt-1" title={purchase.void_reason}>
+                          Voided: {purchase.void_reason}
+                        </div>
+                      )}
+                      {!purchase.is_voided && purchase.revision > 1 && (
+                        <span className="inline-flex mt-1 px-2 py-0.5 text-xs rounded-full bg-blue-900/50 text-blue-400 border border-blue-700">
+                          Corrected (rev {purchase.revision})
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm text-slate-300 font-medium">
                       {purchase.quantity.toLocaleString()}
@@ -124,6 +297,32 @@ function Purchases({ user }) {
                     <td className="px-6 py-4 text-sm text-emerald-500 font-bold">
                       ${purchase.cost?.toLocaleString() || '0'}
                     </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setHistoryPurchase(purchase)}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-slate-600 hover:bg-slate-500"
+                        >
+                          History
+                        </button>
+                        {can(user, 'record:correct') && !purchase.is_voided && (
+                          <button
+                            onClick={() => openEditModal(purchase)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-blue-600 hover:bg-blue-700"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can(user, 'record:void') && !purchase.is_voided && (
+                          <button
+                            onClick={() => handleVoid(purchase)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-red-600/80 hover:bg-red-700"
+                          >
+                            Void
+                          </button>
+                        )}
+                      </div>
+                    </td>
                   </tr>
                 ))
               )}
@@ -131,6 +330,151 @@ function Purchases({ user }) {
           </table>
         </div>
       </div>
+
+      {/* Create / Edit Purchase Modal */}
+      {showCreateModal && (
+        <FormModal
+          title={editingPurchase ? 'Correct Purchase' : 'New Purchase'}
+          onClose={() => setShowCreateModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingPurchase ? 'Save Correction' : 'Create Purchase'}
+        >
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => setForm({...form, base_id: e.target.value})}
+              disabled={isBaseScoped(user) && user.base_ids.length === 1}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map(base => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => setForm({...form, equipment_type_id: e.target.value})}
+              disabled={Boolean(editingPurchase?.lot_id)}
+              className={fieldClassName}
+            >
+              <option value="">Select equipment type</option>
+              {equipmentTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Quantity" required>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.quantity}
+                onChange={(e) => setForm({...form, quantity: e.target.value})}
+              />
+            </FormField>
+            <FormField label="Total Cost">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.cost}
+                onChange={(e) => setForm({...form, cost: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Purchase Date" required>
+              <input
+                type="date"
+                value={form.purchase_date}
+                onChange={(e) => setForm({...form, purchase_date: e.target.value})}
+              />
+            </FormField>
+            <FormField label="Supplier">
+              <input
+                type="text"
+                value={form.supplier}
+                onChange={(e) => setForm({...form, supplier: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          {selectedType?.is_lot_tracked && (
+            <>
+              <FormField label="Lot Number" required>
+                <input
+                  type="text"
+                  maxLength={50}
+                  value={form.lot_number}
+                  onChange={(e) => setForm({...form, lot_number: e.target.value})}
+                  disabled={Boolean(editingPurchase)}
+                  className={fieldClassName}
+                />
+              </FormField>
+              {!editingPurchase && (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <FormField label="Expiry Date">
+                      <input
+                        type="date"
+                        value={form.expiry_date}
+                        onChange={(e) => setForm({...form, expiry_date: e.target.value})}
+                      />
+                    </FormField>
+                    <FormField label="Inspection Due">
+                      <input
+                        type="date"
+                        value={form.inspection_due_date}
+                        onChange={(e) => setForm({...form, inspection_due_date: e.target.value})}
+                      />
+                    </FormField>
+                  </div>
+                  <p className="text-xs text-white/50 -mt-2">
+                    Dates are recorded with a new lot; a lot already on record keeps its own.
+                  </p>
+                </>
+              )}
+            </>
+          )}
+
+          <FormField label="Notes">
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({...form, notes: e.target.value})}
+            />
+          </FormField>
+
+          {editingPurchase && (
+            <FormField label="Reason for Correction">
+              <input
+                type="text"
+                placeholder="Why is this record being changed?"
+                value={form.reason}
+                onChange={(e) => setForm({...form, reason: e.target.value})}
+              />
+            </FormField>
+          )}
+        </FormModal>
+      )}
+
+      {/* Revision History Modal */}
+      {historyPurchase && (
+        <RevisionHistoryModal
+          resource="purchases"
+          recordId={historyPurchase.id}
+          title={`Purchase History: ${historyPurchase.equipment_name}`}
+          onClose={() => setHistoryPurchase(null)}
+        />
+      )}
     </div>
   );
 }
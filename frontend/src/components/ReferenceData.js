@@ -0,0 +1,301 @@
+/**
+ * ReferenceData Component
+ * Admin screen for maintaining bases and equipment types
+ *
+ * Location: src/components/ReferenceData.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus } from 'lucide-react';
+import apiService from '../services/apiService';
+import FormModal, { FormField } from './FormModal';
+
+const RESOURCES = {
+  bases: {
+    label: 'Bases',
+    singular: 'Base',
+    load: () => apiService.getBases(true),
+    fields: [
+      { key: 'name', label: 'Name', required: true },
+      { key: 'location', label: 'Location' },
+      { key: 'commander_name', label: 'Commander' },
+    ],
+  },
+  'equipment-types': {
+    label: 'Equipment Types',
+    singular: 'Equipment Type',
+    load: () => apiService.getEquipmentTypes(true),
+    fields: [
+      { key: 'name', label: 'Name', required: true },
+      { key: 'category', label: 'Category', required: true, placeholder: 'Weapons, Vehicles, Ammunition...' },
+      { key: 'unit_of_measure', label: 'Unit of Measure', placeholder: 'unit, rounds...' },
+      { key: 'description', label: 'Description' },
+      { key: 'is_serialized', label: 'Serialized', type: 'checkbox', hint: 'Track each unit by serial number' },
+      { key: 'is_lot_tracked', label: 'Lot Tracked', type: 'checkbox', hint: 'Track stock by manufacturing lot and expiry date' },
+    ],
+  },
+};
+
+// Value a form field starts from, so untouched fields are not sent as changes
+const initialValue = (field, record) => (
+  field.type === 'checkbox' ? Boolean(record?.[field.key]) : record?.[field.key] || ''
+);
+
+function ReferenceData() {
+  const [activeResource, setActiveResource] = useState('bases');
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingRecord, setEditingRecord] = useState(null);
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const resource = RESOURCES[activeResource];
+
+  const loadRecords = useCallback(async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const data = await resource.load();
+      setRecords(data);
+    } catch (err) {
+      setError(`Failed to load ${resource.label.toLowerCase()}`);
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [resource]);
+
+  useEffect(() => {
+    loadRecords();
+  }, [loadRecords]);
+
+  const openFormModal = (record = null) => {
+    setEditingRecord(record);
+    setForm(Object.fromEntries(resource.fields.map((field) => [field.key, initialValue(field, record)])));
+    setFormError('');
+    setShowFormModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const missing = resource.fields.filter((field) => field.required && !form[field.key]?.trim());
+    if (missing.length > 0) {
+      setFormError(`${missing.map((field) => field.label).join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    try {
+      if (editingRecord) {
+        // Only send what changed so the audit trail stays readable
+        const changes = Object.fromEntries(
+          resource.fields
+            .filter((field) => form[field.key] !== initialValue(field, editingRecord))
+            .map((field) => [field.key, form[field.key]])
+        );
+        await apiService.updateReferenceRecord(activeResource, editingRecord.id, changes);
+      } else {
+        await apiService.createReferenceRecord(activeResource, form);
+      }
+      setShowFormModal(false);
+      await loadRecords(false);
+    } catch (err) {
+      setFormError(err.message || `Failed to save ${resource.singular.toLowerCase()}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (record) => {
+    if (record.is_active && !window.confirm(`Retire ${record.name}? It will be hidden from forms and closed to new stock.`)) {
+      return;
+    }
+
+    setActionInProgress(record.id);
+    setError('');
+
+    try {
+      if (record.is_active) {
+        await apiService.retireReferenceRecord(activeResource, record.id);
+      } else {
+        await apiService.reinstateReferenceRecord(activeResource, record.id);
+      }
+      await loadRecords(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update record');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Reference Data</h2>
+          <p className="text-slate-400 mt-1">Installations and equipment types available across the system</p>
+        </div>
+        <button
+          onClick={() => openFormModal()}
+          className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+        >
+          <Plus className="w-4 h-4" />
+          New {resource.singular}
+        </button>
+      </div>
+
+      {/* Resource Tabs */}
+      <div className="flex gap-2">
+        {Object.entries(RESOURCES).map(([key, config]) => (
+          <button
+            key={key}
+            onClick={() => setActiveResource(key)}
+            className={`px-4 py-2 text-sm font-semibold rounded-lg transition-colors ${
+              activeResource === key
+                ? 'bg-emerald-600 text-white'
+                : 'bg-slate-800 text-slate-400 hover:text-white border border-slate-700'
+            }`}
+          >
+            {config.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-slate-900">
+                <tr>
+                  {resource.fields.map((field) => (
+                    <th key={field.key} className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      {field.label}
+                    </th>
+                  ))}
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700">
+                {records.length === 0 ? (
+                  <tr>
+                    <td colSpan={resource.fields.length + 2} className="px-6 py-12 text-center text-slate-400">
+                      No {resource.label.toLowerCase()} found
+                    </td>
+                  </tr>
+                ) : (
+                  records.map((record) => (
+                    <tr
+                      key={record.id}
+                      className={`hover:bg-slate-700/50 transition-colors ${record.is_active ? '' : 'opacity-50'}`}
+                    >
+                      {resource.fields.map((field, index) => (
+                        <td
+                          key={field.key}
+                          className={`px-6 py-4 text-sm ${index === 0 ? 'font-semibold text-white' : 'text-slate-300'}`}
+                        >
+                          {field.type === 'checkbox' ? (record[field.key] ? 'Yes' : 'No') : record[field.key] || '—'}
+                        </td>
+                      ))}
+                      <td className="px-6 py-4">
+                        {record.is_active ? (
+                          <span className="inline-flex px-3 py-1 text-xs font-medium rounded-full border bg-emerald-900/50 text-emerald-400 border-emerald-700">
+                            active
+                          </span>
+                        ) : (
+                          <span className="inline-flex px-3 py-1 text-xs font-medium rounded-full border bg-slate-900/50 text-slate-400 border-slate-600">
+                            retired
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => openFormModal(record)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(record)}
+                            disabled={actionInProgress === record.id}
+                            className={`px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors disabled:opacity-50 ${
+                              record.is_active ? 'bg-red-600/80 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'
+                            }`}
+                          >
+                            {record.is_active ? 'Retire' : 'Reinstate'}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Create / Edit Modal */}
+      {showFormModal && (
+        <FormModal
+          title={editingRecord ? `Edit ${resource.singular}` : `New ${resource.singular}`}
+          onClose={() => setShowFormModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingRecord ? 'Save Changes' : `Create ${resource.singular}`}
+        >
+          {resource.fields.map((field) => (
+            <FormField key={field.key} label={field.label} required={field.required}>
+              {field.type === 'checkbox' ? (
+                <label className="flex items-center gap-2 text-sm text-white/70">
+                  <input
+                    type="checkbox"
+                    checked={form[field.key]}
+                    onChange={(e) => setForm({...form, [field.key]: e.target.checked})}
+                    className="w-4 h-4 accent-emerald-500"
+                  />
+                  {field.hint}
+                </label>
+              ) : (
+                <input
+                  type="text"
+                  placeholder={field.placeholder}
+                  value={form[field.key]}
+                  onChange={(e) => setForm({...form, [field.key]: e.target.value})}
+                />
+              )}
+            </FormField>
+          ))}
+        </FormModal>
+      )}
+    </div>
+  );
+}
+
+export default ReferenceData;
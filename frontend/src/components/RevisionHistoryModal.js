@@ -0,0 +1,119 @@
+/**
+ * RevisionHistoryModal Component
+ * Shows the audit trail of a purchase, transfer or assignment record
+ *
+ * Location: src/components/RevisionHistoryModal.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, History } from 'lucide-react';
+import apiService from '../services/apiService';
+
+const actionStyles = {
+  CREATE: 'bg-emerald-900/50 text-emerald-400 border-emerald-700',
+  UPDATE: 'bg-blue-900/50 text-blue-400 border-blue-700',
+  VOID: 'bg-red-900/50 text-red-400 border-red-700',
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+function RevisionHistoryModal({ resource, recordId, title, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        const data = await apiService.getRecordHistory(resource, recordId);
+        setEntries(data);
+      } catch (err) {
+        setError(err.message || 'Failed to load record history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [resource, recordId]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <History className="w-5 h-5 text-white/60" />
+            <h3 className="text-xl font-bold text-white">{title}</h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-white/60" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center text-white/60 py-8">No history recorded for this record</p>
+        ) : (
+          <ol className="space-y-4">
+            {entries.map((entry) => {
+              const details = entry.details || {};
+
+              return (
+                <li key={entry.id} className="p-4 bg-white/5 rounded-lg border border-white/10">
+                  <div className="flex items-center justify-between gap-3">
+                    <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${actionStyles[entry.action] || 'bg-slate-700 text-slate-300 border-slate-600'}`}>
+                      {entry.action}
+                    </span>
+                    <span className="text-xs text-white/50">
+                      {new Date(entry.timestamp).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className="text-sm text-white/80 mt-2">
+                    {entry.user_name || 'Unknown user'}
+                    {entry.user_role && <span className="text-white/50"> ({entry.user_role})</span>}
+                  </div>
+
+                  {details.changes && (
+                    <table className="w-full mt-3 text-sm">
+                      <tbody className="divide-y divide-white/10">
+                        {Object.entries(details.changes).map(([field, change]) => (
+                          <tr key={field}>
+                            <td className="py-1 pr-4 text-white/60">{field}</td>
+                            <td className="py-1 pr-4 text-red-300 line-through">{formatValue(change.before)}</td>
+                            <td className="py-1 text-emerald-300">{formatValue(change.after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {details.reason && (
+                    <p className="text-xs text-white/60 mt-2">Reason: {details.reason}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RevisionHistoryModal;
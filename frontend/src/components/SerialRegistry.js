@@ -0,0 +1,451 @@
+/**
+ * SerialRegistry Component
+ * Registered serial numbers, where each item is now and who has held it
+ *
+ * Location: src/components/SerialRegistry.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, X, History } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+
+const STATUSES = ['in_stock', 'assigned', 'in_transit', 'lost', 'damaged'];
+
+const statusStyles = {
+  in_stock: 'bg-emerald-900/50 text-emerald-400 border-emerald-700',
+  assigned: 'bg-blue-900/50 text-blue-400 border-blue-700',
+  in_transit: 'bg-yellow-900/50 text-yellow-400 border-yellow-700',
+  lost: 'bg-red-900/50 text-red-400 border-red-700',
+  damaged: 'bg-orange-900/50 text-orange-400 border-orange-700',
+};
+
+const eventStyles = {
+  registered: 'bg-slate-700 text-slate-300 border-slate-600',
+  assigned: 'bg-blue-900/50 text-blue-400 border-blue-700',
+  returned: 'bg-emerald-900/50 text-emerald-400 border-emerald-700',
+  dispatched: 'bg-yellow-900/50 text-yellow-400 border-yellow-700',
+  received: 'bg-emerald-900/50 text-emerald-400 border-emerald-700',
+  recalled: 'bg-purple-900/50 text-purple-400 border-purple-700',
+  lost: 'bg-red-900/50 text-red-400 border-red-700',
+  damaged: 'bg-orange-900/50 text-orange-400 border-orange-700',
+  voided: 'bg-red-900/50 text-red-400 border-red-700',
+};
+
+const formatStatus = (status) => status.replace('_', ' ');
+
+function SerialRegistry({ user }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [filters, setFilters] = useState({ base_id: '', equipment_type_id: '', status: '', q: '' });
+  const [search, setSearch] = useState('');
+  const [showRegisterModal, setShowRegisterModal] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [historyItem, setHistoryItem] = useState(null);
+
+  const emptyForm = {
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    equipment_type_id: '',
+    serials: '',
+    notes: ''
+  };
+  const [form, setForm] = useState(emptyForm);
+
+  const serializedTypes = equipmentTypes.filter((type) => type.is_serialized);
+
+  const loadItems = useCallback(async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      setItems(await apiService.getItems(activeFilters));
+    } catch (err) {
+      setError(err.message || 'Failed to load serialized items');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  useEffect(() => {
+    const loadReferenceData = async () => {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        console.error('Failed to load bases and equipment types:', err);
+      }
+    };
+
+    loadReferenceData();
+  }, []);
+
+  const openRegisterModal = () => {
+    setForm(emptyForm);
+    setFormError('');
+    setShowRegisterModal(true);
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    // One serial per line; commas are accepted for pasted lists
+    const serialNumbers = form.serials.split(/[\n,]/).map((serial) => serial.trim()).filter(Boolean);
+
+    if (!form.base_id || !form.equipment_type_id || serialNumbers.length === 0) {
+      setFormError('Base, equipment type and at least one serial number are required');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    try {
+      await apiService.registerItems({
+        base_id: parseInt(form.base_id),
+        equipment_type_id: parseInt(form.equipment_type_id),
+        serial_numbers: serialNumbers,
+        notes: form.notes
+      });
+      setShowRegisterModal(false);
+      await loadItems(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to register serial numbers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Serial Registry</h2>
+          <p className="text-slate-400 mt-1">Individually tracked equipment and its chain of custody</p>
+        </div>
+        {can(user, 'item:register') && (
+          <button
+            onClick={openRegisterModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
+            <Plus className="w-4 h-4" />
+            Register Items
+          </button>
+        )}
+      </div>
+
+      {/* Filters (search applies on Enter) */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setFilters({...filters, q: search.trim()});
+        }}
+        className="grid grid-cols-1 md:grid-cols-4 gap-3"
+      >
+        <input
+          type="text"
+          placeholder="Search serial numbers..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        />
+        <select
+          value={filters.base_id}
+          onChange={(e) => setFilters({...filters, base_id: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All bases</option>
+          {selectableBases(user, bases).map((base) => (
+            <option key={base.id} value={base.id}>{base.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.equipment_type_id}
+          onChange={(e) => setFilters({...filters, equipment_type_id: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All serialized types</option>
+          {serializedTypes.map((type) => (
+            <option key={type.id} value={type.id}>{type.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({...filters, status: e.target.value})}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm capitalize focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>{formatStatus(status)}</option>
+          ))}
+        </select>
+      </form>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-slate-900">
+                <tr>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Serial No
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Equipment
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Base
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Held By
+                  </th>
+                  <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-700">
+                {items.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-12 text-center text-slate-400">
+                      No serialized items found
+                    </td>
+                  </tr>
+                ) : (
+                  items.map((item) => (
+                    <tr key={item.id} className="hover:bg-slate-700/50 transition-colors">
+                      <td className="px-6 py-4 text-sm font-mono text-white">
+                        {item.serial_number}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-semibold text-white">{item.equipment_name}</div>
+                        <div className="text-xs text-slate-400">{item.equipment_category}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-300">
+                        {item.base_name}
+                        {item.status === 'in_transit' && (
+                          <div className="text-xs text-yellow-400">to {item.destination_base_name}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border capitalize ${statusStyles[item.status]}`}>
+                          {formatStatus(item.status)}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-slate-300">
+                        {item.personnel_name
+                          ? `${item.personnel_rank || ''} ${item.personnel_name}`.trim()
+                          : '—'}
+                      </td>
+                      <td className="px-6 py-4">
+                        <button
+                          onClick={() => setHistoryItem(item)}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-600 hover:bg-slate-500 transition-colors"
+                        >
+                          History
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Register Items Modal */}
+      {showRegisterModal && (
+        <FormModal
+          title="Register Items"
+          onClose={() => setShowRegisterModal(false)}
+          onSubmit={handleRegister}
+          error={formError}
+          saving={saving}
+          submitLabel="Register"
+        >
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => setForm({...form, base_id: e.target.value})}
+              disabled={isBaseScoped(user) && user.base_ids.length === 1}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map((base) => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => setForm({...form, equipment_type_id: e.target.value})}
+              className={fieldClassName}
+            >
+              <option value="">Select serialized equipment type</option>
+              {serializedTypes.map((type) => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Serial Numbers" required>
+            <textarea
+              rows={5}
+              placeholder="One serial number per line"
+              value={form.serials}
+              onChange={(e) => setForm({...form, serials: e.target.value})}
+              className={`${fieldClassName} font-mono`}
+            />
+          </FormField>
+          <p className="text-xs text-white/50 -mt-2">
+            Serials are registered against stock already on hand at the base.
+          </p>
+
+          <FormField label="Notes">
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({...form, notes: e.target.value})}
+            />
+          </FormField>
+        </FormModal>
+      )}
+
+      {/* Custody History Modal */}
+      {historyItem && (
+        <CustodyHistoryModal item={historyItem} onClose={() => setHistoryItem(null)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Every hand an item has passed through, oldest first
+ */
+function CustodyHistoryModal({ item, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        const data = await apiService.getItem(item.id);
+        setEvents(data.custody);
+      } catch (err) {
+        setError(err.message || 'Failed to load custody history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [item.id]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <History className="w-5 h-5 text-white/60" />
+            <h3 className="text-xl font-bold text-white">
+              {item.equipment_name} <span className="font-mono">{item.serial_number}</span>
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-white/60" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        ) : (
+          <ol className="space-y-4">
+            {events.map((event) => (
+              <li key={event.id} className="p-4 bg-white/5 rounded-lg border border-white/10">
+                <div className="flex items-center justify-between gap-3">
+                  <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border capitalize ${eventStyles[event.event_type]}`}>
+                    {event.event_type}
+                  </span>
+                  <span className="text-xs text-white/50">
+                    {new Date(event.event_date).toLocaleDateString('en-US', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric',
+                    })}
+                  </span>
+                </div>
+                <div className="text-sm text-white/80 mt-2">
+                  {event.base_name}
+                  {event.personnel_name && (
+                    <span className="text-white/60"> • {`${event.personnel_rank || ''} ${event.personnel_name}`.trim()}</span>
+                  )}
+                </div>
+                {event.reference_type && (
+                  <div className="text-xs text-white/50 mt-1 capitalize">
+                    {event.reference_type.toLowerCase()} #{event.reference_id}
+                  </div>
+                )}
+                {event.notes && (
+                  <p className="text-xs text-white/60 mt-2">{event.notes}</p>
+                )}
+                <div className="text-xs text-white/40 mt-2">
+                  Recorded by {event.created_by_name || 'Unknown user'}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SerialRegistry;
@@ -0,0 +1,455 @@
+/**
+ * StockLevels Component
+ * Minimum and reorder levels per base, and the low-stock alerts they raise
+ *
+ * Location: src/components/StockLevels.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can, isBaseScoped, selectableBases } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+import { levelStyles } from './AlertsMenu';
+
+const ALERT_STATUSES = [
+  { value: 'open', label: 'Open alerts' },
+  { value: 'resolved', label: 'Resolved alerts' },
+  { value: 'all', label: 'All alerts' },
+];
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+function StockLevels({ user }) {
+  const [thresholds, setThresholds] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [baseFilter, setBaseFilter] = useState('');
+  const [alertStatus, setAlertStatus] = useState('open');
+  const [showModal, setShowModal] = useState(false);
+  const [editingThreshold, setEditingThreshold] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  const emptyForm = {
+    base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    equipment_type_id: '',
+    minimum_level: '',
+    reorder_level: ''
+  };
+  const [form, setForm] = useState(emptyForm);
+
+  const canManage = can(user, 'threshold:manage');
+
+  const loadStockLevels = useCallback(async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const filters = baseFilter ? { base_id: baseFilter } : {};
+      const [thresholdData, alertData] = await Promise.all([
+        apiService.getStockThresholds(filters),
+        apiService.getAlerts({ ...filters, status: alertStatus })
+      ]);
+      setThresholds(thresholdData);
+      setAlerts(alertData.alerts);
+    } catch (err) {
+      setError(err.message || 'Failed to load stock levels');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [baseFilter, alertStatus]);
+
+  useEffect(() => {
+    loadStockLevels();
+  }, [loadStockLevels]);
+
+  useEffect(() => {
+    const loadReferenceData = async () => {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        console.error('Failed to load bases and equipment types:', err);
+      }
+    };
+
+    loadReferenceData();
+  }, []);
+
+  const openCreateModal = () => {
+    setEditingThreshold(null);
+    setForm(emptyForm);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const openEditModal = (threshold) => {
+    setEditingThreshold(threshold);
+    setForm({
+      base_id: String(threshold.base_id),
+      equipment_type_id: String(threshold.equipment_type_id),
+      minimum_level: String(threshold.minimum_level),
+      reorder_level: String(threshold.reorder_level)
+    });
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Mirrors the server's validation
+    if (!form.base_id || !form.equipment_type_id || form.minimum_level === '' || form.reorder_level === '') {
+      setFormError('Base, equipment type and both levels are required');
+      return;
+    }
+    const minimum = Number(form.minimum_level);
+    const reorder = Number(form.reorder_level);
+    if (![minimum, reorder].every((level) => Number.isInteger(level) && level >= 0)) {
+      setFormError('Levels must be whole numbers of zero or more');
+      return;
+    }
+    if (reorder < minimum) {
+      setFormError('The reorder level cannot be below the minimum level');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    try {
+      await apiService.saveStockThreshold({
+        base_id: parseInt(form.base_id),
+        equipment_type_id: parseInt(form.equipment_type_id),
+        minimum_level: minimum,
+        reorder_level: reorder
+      });
+      setShowModal(false);
+      await loadStockLevels(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to save stock threshold');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (threshold) => {
+    if (!window.confirm(`Stop watching ${threshold.equipment_name} at ${threshold.base_name}?`)) return;
+
+    setError('');
+    try {
+      await apiService.deleteStockThreshold(threshold.id);
+      await loadStockLevels(false);
+    } catch (err) {
+      setError(err.message || 'Failed to remove stock threshold');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">Stock Levels</h2>
+          <p className="text-slate-400 mt-1">Minimum and reorder levels, and the bases running low</p>
+        </div>
+        {canManage && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
+            <Plus className="w-4 h-4" />
+            New Threshold
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <select
+          value={baseFilter}
+          onChange={(e) => setBaseFilter(e.target.value)}
+          className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+        >
+          <option value="">All bases</option>
+          {selectableBases(user, bases).map((base) => (
+            <option key={base.id} value={base.id}>{base.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-96">
+          <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <>
+          {/* Thresholds Table */}
+          <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-slate-900">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Base
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Equipment
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      On Hand
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Minimum
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Reorder At
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Status
+                    </th>
+                    {canManage && (
+                      <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700">
+                  {thresholds.length === 0 ? (
+                    <tr>
+                      <td colSpan={canManage ? 7 : 6} className="px-6 py-12 text-center text-slate-400">
+                        No stock thresholds set
+                      </td>
+                    </tr>
+                  ) : (
+                    thresholds.map((threshold) => (
+                      <tr key={threshold.id} className="hover:bg-slate-700/50 transition-colors">
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {threshold.base_name}
+                        </td>
+                        <td className="px-6 py-4 text-sm font-semibold text-white">
+                          {threshold.equipment_name}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300 font-medium">
+                          {threshold.on_hand.toLocaleString()} {threshold.unit_of_measure}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {threshold.minimum_level.toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {threshold.reorder_level.toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4">
+                          {threshold.level ? (
+                            <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${levelStyles[threshold.level]}`}>
+                              {threshold.level === 'minimum' ? 'Below minimum' : 'Reorder'}
+                            </span>
+                          ) : (
+                            <span className="inline-flex px-3 py-1 text-xs font-medium rounded-full border bg-emerald-900/50 text-emerald-400 border-emerald-700">
+                              OK
+                            </span>
+                          )}
+                        </td>
+                        {canManage && (
+                          <td className="px-6 py-4">
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => openEditModal(threshold)}
+                                className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-blue-600 hover:bg-blue-700"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleRemove(threshold)}
+                                className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-red-600/80 hover:bg-red-700"
+                              >
+                                Remove
+                              </button>
+                            </div>
+                          </td>
+                        )}
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Alerts */}
+          <div className="flex items-center justify-between">
+            <h3 className="text-xl font-bold text-white">Alerts</h3>
+            <select
+              value={alertStatus}
+              onChange={(e) => setAlertStatus(e.target.value)}
+              className="px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:border-emerald-500 focus:outline-none"
+            >
+              {ALERT_STATUSES.map((status) => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-slate-900">
+                  <tr>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Raised
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Base
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Equipment
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Level
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      On Hand
+                    </th>
+                    <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                      Resolved
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-700">
+                  {alerts.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-6 py-12 text-center text-slate-400">
+                        No alerts found
+                      </td>
+                    </tr>
+                  ) : (
+                    alerts.map((alert) => (
+                      <tr key={alert.id} className="hover:bg-slate-700/50 transition-colors">
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {formatDateTime(alert.raised_at)}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {alert.base_name}
+                        </td>
+                        <td className="px-6 py-4 text-sm font-semibold text-white">
+                          {alert.equipment_name}
+                        </td>
+                        <td className="px-6 py-4">
+                          <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border capitalize ${levelStyles[alert.level]}`}>
+                            {alert.level}
+                          </span>
+                          <div className="text-xs text-slate-400 mt-1">
+                            below {alert.threshold.toLocaleString()}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {alert.on_hand.toLocaleString()} when raised
+                          <div className="text-xs text-slate-400">
+                            {alert.current_on_hand.toLocaleString()} now
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-slate-300">
+                          {alert.resolved_at ? formatDateTime(alert.resolved_at) : '—'}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Create / Edit Threshold Modal */}
+      {showModal && (
+        <FormModal
+          title={editingThreshold ? 'Edit Threshold' : 'New Threshold'}
+          onClose={() => setShowModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel="Save Threshold"
+        >
+          <FormField label="Base" required>
+            <select
+              value={form.base_id}
+              onChange={(e) => setForm({...form, base_id: e.target.value})}
+              disabled={Boolean(editingThreshold) || (isBaseScoped(user) && user.base_ids.length === 1)}
+              className={fieldClassName}
+            >
+              <option value="">Select base</option>
+              {selectableBases(user, bases).map((base) => (
+                <option key={base.id} value={base.id}>{base.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => setForm({...form, equipment_type_id: e.target.value})}
+              disabled={Boolean(editingThreshold)}
+              className={fieldClassName}
+            >
+              <option value="">Select equipment type</option>
+              {equipmentTypes.map((type) => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Minimum Level" required>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={form.minimum_level}
+                onChange={(e) => setForm({...form, minimum_level: e.target.value})}
+              />
+            </FormField>
+            <FormField label="Reorder Level" required>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={form.reorder_level}
+                onChange={(e) => setForm({...form, reorder_level: e.target.value})}
+              />
+            </FormField>
+          </div>
+          <p className="text-xs text-white/50 -mt-2">
+            An alert is raised when stock on hand falls below the reorder level, and again below the minimum.
+          </p>
+        </FormModal>
+      )}
+    </div>
+  );
+}
+
+export default StockLevels;
@@ -6,20 +6,44 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { Plus, CheckCircle, Clock } from 'lucide-react';
+import { Plus, CheckCircle, Clock, Truck, XCircle } from 'lucide-react';
 import apiService from '../services/apiService';
+import { can, isBaseScoped, canAccessBase } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+import RevisionHistoryModal from './RevisionHistoryModal';
 
 function Transfers({ user }) {
   const [transfers, setTransfers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [bases, setBases] = useState([]);
+  const [equipmentTypes, setEquipmentTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [editingTransfer, setEditingTransfer] = useState(null);
+  const [historyTransfer, setHistoryTransfer] = useState(null);
+  const [availableItems, setAvailableItems] = useState([]);
+
+  const emptyForm = {
+    from_base_id: isBaseScoped(user) && user.base_id ? String(user.base_id) : '',
+    to_base_id: '',
+    equipment_type_id: '',
+    quantity: '',
+    serial_numbers: [],
+    transfer_date: new Date().toISOString().split('T')[0],
+    notes: '',
+    reason: ''
+  };
+  const [form, setForm] = useState(emptyForm);
 
   useEffect(() => {
     loadTransfers();
   }, []);
 
-  const loadTransfers = async () => {
-    setLoading(true);
+  const loadTransfers = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     setError('');
 
     try {
@@ -33,18 +57,242 @@ function Transfers({ user }) {
     }
   };
 
+  // Pending transfers that have been signed off are shown as "approved"
+  const getDisplayStatus = (transfer) => {
+    if (transfer.is_voided) return 'voided';
+    if (transfer.status === 'pending' && transfer.approved_by) return 'approved';
+    return transfer.status;
+  };
+
   const getStatusIcon = (status) => {
     if (status === 'completed') return <CheckCircle className="w-4 h-4" />;
-    if (status === 'in_transit') return <Clock className="w-4 h-4" />;
+    if (status === 'in_transit') return <Truck className="w-4 h-4" />;
+    if (status === 'cancelled' || status === 'voided') return <XCircle className="w-4 h-4" />;
     return <Clock className="w-4 h-4" />;
   };
 
   const getStatusColor = (status) => {
     if (status === 'completed') return 'bg-emerald-900/50 text-emerald-400 border-emerald-700';
     if (status === 'in_transit') return 'bg-yellow-900/50 text-yellow-400 border-yellow-700';
+    if (status === 'approved') return 'bg-purple-900/50 text-purple-400 border-purple-700';
+    if (status === 'cancelled') return 'bg-slate-900/50 text-slate-400 border-slate-600';
+    if (status === 'voided') return 'bg-red-900/50 text-red-400 border-red-700';
     return 'bg-blue-900/50 text-blue-400 border-blue-700';
   };
 
+  /**
+   * Actions the current user may take on a transfer.
+   * Mirrors the permission and base rules enforced by the server.
+   */
+  const getAvailableActions = (transfer) => {
+    const actions = [];
+    const isFromBase = canAccessBase(user, transfer.from_base_id);
+    const isToBase = canAccessBase(user, transfer.to_base_id);
+
+    if (transfer.is_voided) return actions;
+
+    if (transfer.status === 'pending' && !transfer.approved_by
+        && can(user, 'transfer:approve') && isFromBase) {
+      actions.push('approve');
+    }
+    if (transfer.status === 'pending' && transfer.approved_by
+        && can(user, 'transfer:dispatch') && isFromBase) {
+      actions.push('dispatch');
+    }
+    if (transfer.status === 'in_transit'
+        && can(user, 'transfer:receive') && isToBase) {
+      actions.push('receive');
+    }
+    if (can(user, 'transfer:cancel') && (isFromBase || isToBase)
+        && (transfer.status === 'pending'
+          || (transfer.status === 'in_transit' && can(user, 'transfer:recall')))) {
+      actions.push('cancel');
+    }
+
+    return actions;
+  };
+
+  const handleAction = async (transfer, action) => {
+    let notes;
+    if (action === 'cancel') {
+      notes = window.prompt('Reason for cancelling this transfer (optional):');
+      if (notes === null) return;
+    }
+    if (action === 'void') {
+      notes = window.prompt('Reason for voiding this transfer (required):');
+      if (notes === null) return;
+      if (!notes.trim()) {
+        setError('A reason is required to void a record');
+        return;
+      }
+    }
+
+    setActionInProgress(transfer.id);
+    setError('');
+
+    try {
+      if (action === 'approve') await apiService.approveTransfer(transfer.id);
+      if (action === 'dispatch') await apiService.dispatchTransfer(transfer.id);
+      if (action === 'receive') await apiService.receiveTransfer(transfer.id);
+      if (action === 'cancel') await apiService.cancelTransfer(transfer.id, notes || undefined);
+      if (action === 'void') await apiService.voidRecord('transfers', transfer.id, notes.trim());
+      await loadTransfers();
+    } catch (err) {
+      setError(err.message || `Failed to ${action} transfer`);
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const loadReferenceData = async () => {
+    if (bases.length === 0 || equipmentTypes.length === 0) {
+      try {
+        const [basesData, typesData] = await Promise.all([
+          apiService.getBases(),
+          apiService.getEquipmentTypes()
+        ]);
+        setBases(basesData);
+        setEquipmentTypes(typesData);
+      } catch (err) {
+        setFormError('Failed to load bases and equipment types');
+        console.error(err);
+      }
+    }
+  };
+
+  const isSerialized = (typeId) => equipmentTypes.some((t) => String(t.id) === typeId && t.is_serialized);
+
+  // Serialized equipment travels as named items picked from the sending base
+  const loadAvailableItems = async (baseId, typeId) => {
+    setAvailableItems([]);
+    if (!baseId || !isSerialized(typeId) || !can(user, 'item:read')) return;
+
+    try {
+      setAvailableItems(await apiService.getItems({ base_id: baseId, equipment_type_id: typeId, available: 'true' }));
+    } catch (err) {
+      setFormError('Failed to load serial numbers');
+      console.error(err);
+    }
+  };
+
+  const selectStock = (changes) => {
+    const next = { ...form, ...changes, serial_numbers: [] };
+    setForm(next);
+    loadAvailableItems(next.from_base_id, next.equipment_type_id);
+  };
+
+  const toggleSerial = (serial) => {
+    const serials = form.serial_numbers.includes(serial)
+      ? form.serial_numbers.filter((s) => s !== serial)
+      : [...form.serial_numbers, serial];
+    setForm({ ...form, serial_numbers: serials, quantity: serials.length ? String(serials.length) : '' });
+  };
+
+  const openCreateModal = () => {
+    setEditingTransfer(null);
+    setForm(emptyForm);
+    setAvailableItems([]);
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const openEditModal = (transfer) => {
+    setEditingTransfer(transfer);
+    setForm({
+      from_base_id: String(transfer.from_base_id),
+      to_base_id: String(transfer.to_base_id),
+      equipment_type_id: String(transfer.equipment_type_id),
+      quantity: String(transfer.quantity),
+      serial_numbers: transfer.serial_numbers || [],
+      transfer_date: transfer.transfer_date.split('T')[0],
+      notes: transfer.notes || '',
+      reason: ''
+    });
+    setFormError('');
+    setShowCreateModal(true);
+    loadReferenceData();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Mirrors the server's required fields and base rules
+    if (pickSerials && form.serial_numbers.length === 0) {
+      setFormError('Select the serial numbers being transferred');
+      return;
+    }
+    if (!form.from_base_id || !form.to_base_id || !form.equipment_type_id || !form.quantity || !form.transfer_date) {
+      setFormError('From base, to base, equipment, quantity and transfer date are required');
+      return;
+    }
+    if (!Number.isInteger(Number(form.quantity)) || Number(form.quantity) <= 0) {
+      setFormError('Quantity must be a positive whole number');
+      return;
+    }
+    if (form.from_base_id === form.to_base_id) {
+      setFormError('Cannot transfer to the same base');
+      return;
+    }
+    if (!editingTransfer
+        && !canAccessBase(user, form.from_base_id)
+        && !canAccessBase(user, form.to_base_id)) {
+      setFormError('You can only create transfers involving your assigned bases');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    const { reason, serial_numbers, ...fields } = form;
+    const payload = {
+      ...fields,
+      ...(pickSerials && { serial_numbers }),
+      from_base_id: parseInt(form.from_base_id),
+      to_base_id: parseInt(form.to_base_id),
+      equipment_type_id: parseInt(form.equipment_type_id),
+      quantity: parseInt(form.quantity)
+    };
+
+    try {
+      if (editingTransfer) {
+        await apiService.updateRecord('transfers', editingTransfer.id, { ...payload, reason });
+        setShowCreateModal(false);
+        await loadTransfers(false);
+        return;
+      }
+
+      const response = await apiService.createTransfer(payload);
+
+      // Show the new record straight away, then sync with the server in the background
+      const created = response.data;
+      const equipmentType = equipmentTypes.find((t) => t.id === created.equipment_type_id);
+      setTransfers((current) => [{
+        ...created,
+        from_base_name: bases.find((b) => b.id === created.from_base_id)?.name,
+        to_base_name: bases.find((b) => b.id === created.to_base_id)?.name,
+        equipment_name: equipmentType?.name,
+        equipment_category: equipmentType?.category
+      }, ...current]);
+      setShowCreateModal(false);
+      loadTransfers(false);
+    } catch (err) {
+      setFormError(err.message || (editingTransfer ? 'Failed to correct transfer' : 'Failed to create transfer'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const pickSerials = !editingTransfer && isSerialized(form.equipment_type_id) && can(user, 'item:read');
+
+  const actionStyles = {
+    approve: 'bg-purple-600 hover:bg-purple-700',
+    dispatch: 'bg-yellow-600 hover:bg-yellow-700',
+    receive: 'bg-emerald-600 hover:bg-emerald-700',
+    cancel: 'bg-red-600/80 hover:bg-red-700',
+    void: 'bg-red-600/80 hover:bg-red-700',
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -61,10 +309,15 @@ function Transfers({ user }) {
           <h2 className="text-3xl font-bold text-white">Transfer Records</h2>
           <p className="text-slate-400 mt-1">Inter-base equipment movements</p>
         </div>
-        <button className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold">
-          <Plus className="w-4 h-4" />
-          New Transfer
-        </button>
+        {can(user, 'transfer:create') && (
+          <button
+            onClick={openCreateModal}
+            className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+          >
+            <Plus className="w-4 h-4" />
+            New Transfer
+          </button>
+        )}
       </div>
 
       {/* Error Message */}
@@ -98,12 +351,15 @@ function Transfers({ user }) {
                 <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
                   Status
                 </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Actions
+                </th>
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-700">
               {transfers.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-12 text-center text-slate-400">
+                  <td colSpan="7" className="px-6 py-12 text-center text-slate-400">
                     No transfer records found
                   </td>
                 </tr>
@@ -111,7 +367,7 @@ function Transfers({ user }) {
                 transfers.map((transfer) => (
                   <tr
                     key={transfer.id}
-                    className="hover:bg-slate-700/50 transition-colors"
+                    className={`hover:bg-slate-700/50 transition-colors ${transfer.is_voided ? 'opacity-50' : ''}`}
                   >
                     <td className="px-6 py-4 text-sm text-slate-300">
                       {new Date(transfer.transfer_date).toLocaleDateString('en-US', {
@@ -127,9 +383,29 @@ function Transfers({ user }) {
                       <div className="text-xs text-slate-400">
                         {transfer.equipment_category}
                       </div>
+                      {transfer.is_voided && (
+                        <div className="text-xs text-red-400 mt-1">
+                          Voided: {transfer.void_reason}
+                        </div>
+                      )}
+                      {!transfer.is_voided && transfer.revision > 1 && (
+                        <span className="inline-flex mt-1 px-2 py-0.5 text-xs rounded-full bg-blue-900/50 text-blue-400 border border-blue-700">
+                          Corrected (rev {transfer.revision})
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm text-slate-300 font-medium">
                       {transfer.quantity.toLocaleString()}
+                      {transfer.serial_numbers?.length > 0 && (
+                        <div className="text-xs text-slate-400 font-mono mt-1">
+                          {transfer.serial_numbers.join(', ')}
+                        </div>
+                      )}
+                      {transfer.lots?.length > 0 && (
+                        <div className="text-xs text-slate-400 font-mono mt-1">
+                          {transfer.lots.map((lot) => `Lot ${lot.lot_number} × ${lot.quantity}`).join(', ')}
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-sm text-slate-300">
                       {transfer.from_base_name}
@@ -140,13 +416,50 @@ function Transfers({ user }) {
                     <td className="px-6 py-4">
                       <span
                         className={`inline-flex items-center gap-1.5 px-3 py-1 text-xs font-medium rounded-full border ${getStatusColor(
-                          transfer.status
+                          getDisplayStatus(transfer)
                         )}`}
                       >
-                        {getStatusIcon(transfer.status)}
-                        {transfer.status.replace('_', ' ')}
+                        {getStatusIcon(getDisplayStatus(transfer))}
+                        {getDisplayStatus(transfer).replace('_', ' ')}
                       </span>
                     </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        {getAvailableActions(transfer).map((action) => (
+                          <button
+                            key={action}
+                            onClick={() => handleAction(transfer, action)}
+                            disabled={actionInProgress === transfer.id}
+                            className={`px-3 py-1 text-xs font-semibold text-white rounded-lg capitalize transition-colors disabled:opacity-50 ${actionStyles[action]}`}
+                          >
+                            {action}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => setHistoryTransfer(transfer)}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-slate-600 hover:bg-slate-500"
+                        >
+                          History
+                        </button>
+                        {can(user, 'record:correct') && !transfer.is_voided && (
+                          <button
+                            onClick={() => openEditModal(transfer)}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors bg-blue-600 hover:bg-blue-700"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can(user, 'record:void') && !transfer.is_voided && (
+                          <button
+                            onClick={() => handleAction(transfer, 'void')}
+                            disabled={actionInProgress === transfer.id}
+                            className={`px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors disabled:opacity-50 ${actionStyles.void}`}
+                          >
+                            Void
+                          </button>
+                        )}
+                      </div>
+                    </td>
                   </tr>
                 ))
               )}
@@ -154,6 +467,141 @@ function Transfers({ user }) {
           </table>
         </div>
       </div>
+
+      {/* Create / Edit Transfer Modal */}
+      {showCreateModal && (
+        <FormModal
+          title={editingTransfer ? 'Correct Transfer' : 'New Transfer'}
+          onClose={() => setShowCreateModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingTransfer ? 'Save Correction' : 'Create Transfer'}
+        >
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="From Base" required>
+              <select
+                value={form.from_base_id}
+                onChange={(e) => (editingTransfer
+                  ? setForm({...form, from_base_id: e.target.value})
+                  : selectStock({ from_base_id: e.target.value }))}
+                className={fieldClassName}
+              >
+                <option value="">Select base</option>
+                {bases.map(base => (
+                  <option key={base.id} value={base.id}>{base.name}</option>
+                ))}
+              </select>
+            </FormField>
+            <FormField label="To Base" required>
+              <select
+                value={form.to_base_id}
+                onChange={(e) => setForm({...form, to_base_id: e.target.value})}
+                className={fieldClassName}
+              >
+                <option value="">Select base</option>
+                {bases.filter((base) => String(base.id) !== form.from_base_id).map(base => (
+                  <option key={base.id} value={base.id}>{base.name}</option>
+                ))}
+              </select>
+            </FormField>
+          </div>
+          {!editingTransfer && isBaseScoped(user) && (
+            <p className="text-xs text-white/50 -mt-2">
+              One side of the transfer must be one of your assigned bases.
+            </p>
+          )}
+
+          <FormField label="Equipment Type" required>
+            <select
+              value={form.equipment_type_id}
+              onChange={(e) => (editingTransfer
+                ? setForm({...form, equipment_type_id: e.target.value})
+                : selectStock({ equipment_type_id: e.target.value }))}
+              className={fieldClassName}
+            >
+              <option value="">Select equipment type</option>
+              {equipmentTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.name}</option>
+              ))}
+            </select>
+          </FormField>
+
+          {pickSerials && (
+            <FormField label="Serial Numbers" required>
+              {!form.from_base_id ? (
+                <p className="text-sm text-white/50">Select the sending base first</p>
+              ) : availableItems.length === 0 ? (
+                <p className="text-sm text-white/50">No registered items available at this base</p>
+              ) : (
+                <div className="max-h-40 overflow-y-auto grid grid-cols-2 gap-2 p-3 bg-white/5 border border-white/10 rounded-lg">
+                  {availableItems.map((item) => (
+                    <label key={item.id} className="flex items-center gap-2 text-sm text-white/80 font-mono">
+                      <input
+                        type="checkbox"
+                        checked={form.serial_numbers.includes(item.serial_number)}
+                        onChange={() => toggleSerial(item.serial_number)}
+                        className="w-4 h-4 accent-emerald-500"
+                      />
+                      {item.serial_number}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </FormField>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Quantity" required>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.quantity}
+                onChange={(e) => setForm({...form, quantity: e.target.value})}
+                disabled={pickSerials}
+                title={pickSerials ? 'Set by the serial numbers selected' : undefined}
+              />
+            </FormField>
+            <FormField label="Transfer Date" required>
+              <input
+                type="date"
+                value={form.transfer_date}
+                onChange={(e) => setForm({...form, transfer_date: e.target.value})}
+              />
+            </FormField>
+          </div>
+
+          <FormField label="Notes">
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({...form, notes: e.target.value})}
+            />
+          </FormField>
+
+          {editingTransfer && (
+            <FormField label="Reason for Correction">
+              <input
+                type="text"
+                placeholder="Why is this record being changed?"
+                value={form.reason}
+                onChange={(e) => setForm({...form, reason: e.target.value})}
+              />
+            </FormField>
+          )}
+        </FormModal>
+      )}
+
+      {/* Revision History Modal */}
+      {historyTransfer && (
+        <RevisionHistoryModal
+          resource="transfers"
+          recordId={historyTransfer.id}
+          title={`Transfer History: ${historyTransfer.equipment_name}`}
+          onClose={() => setHistoryTransfer(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,227 @@
+/**
+ * TwoFactorSettings Component
+ * Modal for enrolling in TOTP two-factor authentication and managing recovery codes
+ *
+ * Location: src/components/TwoFactorSettings.js
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, ShieldCheck, Copy } from 'lucide-react';
+import apiService from '../services/apiService';
+
+/**
+ * Secret and provisioning link for adding the account to an authenticator app
+ */
+export function EnrolmentDetails({ enrolment }) {
+  return (
+    <div className="space-y-3 text-sm text-white/80">
+      <p>
+        Add this account to an authenticator app (Google Authenticator, Microsoft Authenticator, Authy...)
+        by entering the key below, or open the setup link on the device that has the app.
+      </p>
+      <div className="p-3 bg-white/5 border border-white/10 rounded-lg">
+        <p className="text-xs text-white/50 mb-1">Setup key</p>
+        <p className="font-mono text-white break-all tracking-wider">
+          {enrolment.secret.match(/.{1,4}/g).join(' ')}
+        </p>
+      </div>
+      <a
+        href={enrolment.otpauth_uri}
+        className="block text-xs text-emerald-400 hover:text-emerald-300 break-all"
+      >
+        {enrolment.otpauth_uri}
+      </a>
+    </div>
+  );
+}
+
+/**
+ * One-time display of freshly issued recovery codes
+ */
+export function RecoveryCodeList({ codes }) {
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-yellow-300">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-3 bg-white/5 border border-white/10 rounded-lg">
+        {codes.map((code) => (
+          <span key={code} className="font-mono text-sm text-white text-center">{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}
+        className="flex items-center gap-2 text-xs text-white/60 hover:text-white transition-colors"
+      >
+        <Copy className="w-4 h-4" />
+        Copy codes
+      </button>
+    </div>
+  );
+}
+
+function TwoFactorSettings({ onClose }) {
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await apiService.getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message || 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Every action needs a code from the authenticator except starting enrolment
+  const runAction = async (action) => {
+    setWorking(true);
+    setError('');
+
+    try {
+      await action();
+      setCode('');
+      await loadStatus();
+    } catch (err) {
+      setError(err.message || 'Two-factor update failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartEnrolment = () => runAction(async () => {
+    setEnrolment(await apiService.startTwoFactorEnrolment());
+  });
+
+  const handleEnable = () => runAction(async () => {
+    const response = await apiService.enableTwoFactor(code);
+    setEnrolment(null);
+    setRecoveryCodes(response.recovery_codes);
+  });
+
+  const handleRegenerate = () => runAction(async () => {
+    const response = await apiService.regenerateRecoveryCodes(code);
+    setRecoveryCodes(response.recovery_codes);
+  });
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off two-factor authentication for your account?')) return;
+    runAction(() => apiService.disableTwoFactor(code));
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      disabled={working}
+    />
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <ShieldCheck className="w-5 h-5 text-white/60" />
+            <h3 className="text-xl font-bold text-white">Two-Factor Authentication</h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-white/60" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {!status ? (
+            !error && (
+              <div className="flex items-center justify-center h-32">
+                <div className="w-8 h-8 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            )
+          ) : recoveryCodes ? (
+            <RecoveryCodeList codes={recoveryCodes} />
+          ) : status.enabled ? (
+            <>
+              <p className="text-sm text-white/80">
+                Two-factor authentication is on. You have {status.recovery_codes_remaining} unused recovery
+                code{status.recovery_codes_remaining === 1 ? '' : 's'}.
+              </p>
+              {codeInput}
+              <div className="flex gap-3">
+                <button
+                  onClick={handleRegenerate}
+                  disabled={working || !code}
+                  className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-60"
+                >
+                  New Recovery Codes
+                </button>
+                <button
+                  onClick={handleDisable}
+                  disabled={working || !code || status.required}
+                  title={status.required ? 'Required for your role' : undefined}
+                  className="flex-1 px-4 py-2 bg-red-600/80 hover:bg-red-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-60"
+                >
+                  Turn Off
+                </button>
+              </div>
+            </>
+          ) : enrolment ? (
+            <>
+              <EnrolmentDetails enrolment={enrolment} />
+              {codeInput}
+              <button
+                onClick={handleEnable}
+                disabled={working || !code}
+                className="w-full px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-60"
+              >
+                Confirm Code
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-white/80">
+                Protect your account with a code from an authenticator app in addition to your password.
+              </p>
+              <button
+                onClick={handleStartEnrolment}
+                disabled={working}
+                className="w-full px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-60"
+              >
+                Set Up Two-Factor Authentication
+              </button>
+            </>
+          )}
+
+          {error && (
+            <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,535 @@
+/**
+ * UserManagement Component
+ * Admin screen for creating, inviting and deactivating user accounts
+ *
+ * Location: src/components/UserManagement.js
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Copy, X } from 'lucide-react';
+import apiService from '../services/apiService';
+import { can } from '../utils/permissions';
+import FormModal, { FormField, fieldClassName } from './FormModal';
+
+const ROLES = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'commander', label: 'Base Commander' },
+  { value: 'logistics', label: 'Logistics Officer' },
+];
+
+const emptyForm = {
+  email: '',
+  name: '',
+  role: 'logistics',
+  base_id: '',
+  base_ids: [],
+  password: ''
+};
+
+function UserManagement({ user }) {
+  const [users, setUsers] = useState([]);
+  const [bases, setBases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [inviteLink, setInviteLink] = useState(null);
+  const [policies, setPolicies] = useState([]);
+
+  const loadUsers = useCallback(async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
+    setError('');
+
+    try {
+      const [usersData, basesData, policiesData] = await Promise.all([
+        apiService.getUsers(),
+        apiService.getBases(),
+        can(user, 'policy:manage') ? apiService.getRolePolicies() : []
+      ]);
+      setUsers(usersData);
+      setBases(basesData);
+      setPolicies(policiesData);
+    } catch (err) {
+      setError('Failed to load users');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Invitation tokens are shown once; the admin passes the link on
+  const showInviteLink = (target, token) => {
+    setInviteLink({
+      email: target.email,
+      url: `${window.location.origin}/?invite=${token}`
+    });
+  };
+
+  const openFormModal = (target = null) => {
+    setEditingUser(target);
+    setForm(target ? {
+      email: target.email,
+      name: target.name,
+      role: target.role,
+      base_id: target.base_id ? String(target.base_id) : '',
+      base_ids: target.base_ids.filter((baseId) => baseId !== target.base_id).map(String),
+      password: ''
+    } : emptyForm);
+    setFormError('');
+    setShowFormModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Mirrors the server's validation
+    if (!form.email.trim() || !form.name.trim()) {
+      setFormError('Email and name are required');
+      return;
+    }
+    if (form.role === 'commander' && !form.base_id) {
+      setFormError('Commanders must be assigned to a base');
+      return;
+    }
+    if (form.password && form.password.length < 8) {
+      setFormError('Password must be at least 8 characters');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+
+    const payload = {
+      email: form.email.trim(),
+      name: form.name.trim(),
+      role: form.role,
+      base_id: form.base_id ? parseInt(form.base_id) : null,
+      base_ids: form.base_ids.map((baseId) => parseInt(baseId))
+    };
+
+    try {
+      if (editingUser) {
+        await apiService.updateUser(editingUser.id, payload);
+      } else {
+        const response = await apiService.createUser({ ...payload, password: form.password || undefined });
+        if (response.invite_token) showInviteLink(response.data, response.invite_token);
+      }
+      setShowFormModal(false);
+      await loadUsers(false);
+    } catch (err) {
+      setFormError(err.message || 'Failed to save user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResetPassword = async (target) => {
+    const password = window.prompt(
+      `New password for ${target.email}.\nLeave blank to issue a reset link instead:`
+    );
+    if (password === null) return;
+    if (password && password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+
+    setActionInProgress(target.id);
+    setError('');
+
+    try {
+      const response = await apiService.resetUserPassword(target.id, password);
+      if (response.invite_token) showInviteLink(target, response.invite_token);
+      await loadUsers(false);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleToggleActive = async (target) => {
+    if (target.is_active && !window.confirm(`Deactivate ${target.email}? They will no longer be able to sign in.`)) {
+      return;
+    }
+
+    setActionInProgress(target.id);
+    setError('');
+
+    try {
+      await apiService.setUserActive(target.id, !target.is_active);
+      await loadUsers(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update user status');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleUnlock = async (target) => {
+    setActionInProgress(target.id);
+    setError('');
+
+    try {
+      await apiService.unlockUser(target.id);
+      await loadUsers(false);
+    } catch (err) {
+      setError(err.message || 'Failed to unlock user');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleResetTwoFactor = async (target) => {
+    if (!window.confirm(`Reset two-factor authentication for ${target.email}? They will be signed out and must enrol again.`)) {
+      return;
+    }
+
+    setActionInProgress(target.id);
+    setError('');
+
+    try {
+      await apiService.resetUserTwoFactor(target.id);
+      await loadUsers(false);
+    } catch (err) {
+      setError(err.message || 'Failed to reset two-factor authentication');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const handleTogglePolicy = async (policy) => {
+    setError('');
+
+    try {
+      await apiService.updateRolePolicy(policy.role, !policy.require_two_factor);
+      await loadUsers(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update role policy');
+    }
+  };
+
+  const getRoleLabel = (role) => ROLES.find((r) => r.value === role)?.label || role;
+
+  const getStatus = (target) => {
+    if (!target.is_active) return { label: 'inactive', className: 'bg-slate-900/50 text-slate-400 border-slate-600' };
+    if (target.is_locked) return { label: 'locked', className: 'bg-red-900/50 text-red-400 border-red-700' };
+    if (target.invite_pending) return { label: 'invited', className: 'bg-blue-900/50 text-blue-400 border-blue-700' };
+    return { label: 'active', className: 'bg-emerald-900/50 text-emerald-400 border-emerald-700' };
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="w-12 h-12 border-4 border-emerald-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-white">User Management</h2>
+          <p className="text-slate-400 mt-1">Accounts, roles and base assignments</p>
+        </div>
+        <button
+          onClick={() => openFormModal()}
+          className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors font-semibold"
+        >
+          <Plus className="w-4 h-4" />
+          New User
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-900/30 border border-red-700 text-red-300 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Invitation Link */}
+      {inviteLink && (
+        <div className="bg-blue-900/30 border border-blue-700 text-blue-200 px-4 py-3 rounded-lg">
+          <div className="flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-sm font-semibold">
+                Send this link to {inviteLink.email} so they can set a password. It is shown only once and expires in 72 hours.
+              </p>
+              <p className="mt-2 font-mono text-xs break-all text-blue-300">{inviteLink.url}</p>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => navigator.clipboard?.writeText(inviteLink.url)}
+                title="Copy link"
+                className="p-1.5 hover:bg-white/10 rounded-lg transition-colors"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setInviteLink(null)}
+                title="Dismiss"
+                className="p-1.5 hover:bg-white/10 rounded-lg transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Two-Factor Policy */}
+      {policies.length > 0 && (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 px-6 py-4 flex flex-wrap items-center gap-4">
+          <span className="text-sm font-semibold text-white">Require two-factor sign-in for:</span>
+          {policies.map((policy) => (
+            <label key={policy.role} className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={policy.require_two_factor}
+                onChange={() => handleTogglePolicy(policy)}
+                className="w-4 h-4 accent-emerald-500"
+              />
+              {getRoleLabel(policy.role)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* Users Table */}
+      <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-900">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  User
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Role
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Base
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Last Login
+                </th>
+                <th className="px-6 py-4 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-700">
+              {users.map((target) => {
+                const status = getStatus(target);
+                const isSelf = target.id === user.id;
+
+                return (
+                  <tr
+                    key={target.id}
+                    className={`hover:bg-slate-700/50 transition-colors ${target.is_active ? '' : 'opacity-50'}`}
+                  >
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-semibold text-white">
+                        {target.name}
+                        {isSelf && <span className="ml-2 text-xs text-slate-400">(you)</span>}
+                      </div>
+                      <div className="text-xs text-slate-400">{target.email}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {getRoleLabel(target.role)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {target.base_name || '—'}
+                      {target.base_ids.length > 1 && (
+                        <span
+                          className="ml-2 text-xs text-slate-400"
+                          title={target.base_ids.map((baseId) => bases.find((b) => b.id === baseId)?.name).join(', ')}
+                        >
+                          +{target.base_ids.length - 1} more
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-flex px-3 py-1 text-xs font-medium rounded-full border ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {target.two_factor_enabled && (
+                        <span className="ml-2 inline-flex px-2 py-1 text-xs font-medium rounded-full border bg-emerald-900/50 text-emerald-400 border-emerald-700">
+                          2FA
+                        </span>
+                      )}
+                      {target.is_locked && (
+                        <div className="text-xs text-slate-400 mt-1">
+                          until {new Date(target.locked_until).toLocaleTimeString()}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-300">
+                      {target.last_login ? new Date(target.last_login).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => openFormModal(target)}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleResetPassword(target)}
+                          disabled={actionInProgress === target.id}
+                          className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors disabled:opacity-50"
+                        >
+                          Reset Password
+                        </button>
+                        {target.two_factor_enabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(target)}
+                            disabled={actionInProgress === target.id}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-slate-600 hover:bg-slate-500 transition-colors disabled:opacity-50"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        {target.is_locked && (
+                          <button
+                            onClick={() => handleUnlock(target)}
+                            disabled={actionInProgress === target.id}
+                            className="px-3 py-1 text-xs font-semibold text-white rounded-lg bg-emerald-600 hover:bg-emerald-700 transition-colors disabled:opacity-50"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <button
+                            onClick={() => handleToggleActive(target)}
+                            disabled={actionInProgress === target.id}
+                            className={`px-3 py-1 text-xs font-semibold text-white rounded-lg transition-colors disabled:opacity-50 ${
+                              target.is_active ? 'bg-red-600/80 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'
+                            }`}
+                          >
+                            {target.is_active ? 'Deactivate' : 'Activate'}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Create / Edit User Modal */}
+      {showFormModal && (
+        <FormModal
+          title={editingUser ? 'Edit User' : 'New User'}
+          onClose={() => setShowFormModal(false)}
+          onSubmit={handleSubmit}
+          error={formError}
+          saving={saving}
+          submitLabel={editingUser ? 'Save Changes' : (form.password ? 'Create User' : 'Send Invitation')}
+        >
+          <FormField label="Name" required>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({...form, name: e.target.value})}
+            />
+          </FormField>
+
+          <FormField label="Email" required>
+            <input
+              type="email"
+              placeholder="user@military.gov"
+              value={form.email}
+              onChange={(e) => setForm({...form, email: e.target.value})}
+            />
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField label="Role" required>
+              <select
+                value={form.role}
+                onChange={(e) => setForm({...form, role: e.target.value})}
+                disabled={editingUser?.id === user.id}
+                className={fieldClassName}
+              >
+                {ROLES.map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+            </FormField>
+            <FormField label="Home Base" required={form.role === 'commander'}>
+              <select
+                value={form.base_id}
+                onChange={(e) => setForm({
+                  ...form,
+                  base_id: e.target.value,
+                  // Extra bases hang off the home base, so clearing it clears them too
+                  base_ids: e.target.value ? form.base_ids.filter((baseId) => baseId !== e.target.value) : []
+                })}
+                className={fieldClassName}
+              >
+                <option value="">No base</option>
+                {bases.map(base => (
+                  <option key={base.id} value={base.id}>{base.name}</option>
+                ))}
+              </select>
+            </FormField>
+          </div>
+
+          {form.base_id && (
+            <FormField label="Also Covers">
+              <div className="grid grid-cols-2 gap-2">
+                {bases.filter((base) => String(base.id) !== form.base_id).map(base => (
+                  <label key={base.id} className="flex items-center gap-2 text-sm text-white/80">
+                    <input
+                      type="checkbox"
+                      checked={form.base_ids.includes(String(base.id))}
+                      onChange={(e) => setForm({
+                        ...form,
+                        base_ids: e.target.checked
+                          ? [...form.base_ids, String(base.id)]
+                          : form.base_ids.filter((baseId) => baseId !== String(base.id))
+                      })}
+                      className="w-4 h-4 accent-emerald-500"
+                    />
+                    {base.name}
+                  </label>
+                ))}
+              </div>
+            </FormField>
+          )}
+
+          {!editingUser && (
+            <FormField label="Initial Password">
+              <input
+                type="password"
+                placeholder="Leave blank to send an invitation link"
+                value={form.password}
+                onChange={(e) => setForm({...form, password: e.target.value})}
+              />
+            </FormField>
+          )}
+        </FormModal>
+      )}
+    </div>
+  );
+}
+
+export default UserManagement;
@@ -1,9 +1,21 @@
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Auth calls that must not trigger a refresh-and-retry
+const SESSION_ENDPOINTS = [
+  '/auth/login', '/auth/refresh', '/auth/logout', '/auth/accept-invite',
+  '/auth/login/2fa/setup', '/auth/login/2fa/enable', '/auth/login/2fa/verify',
+];
+
+// Web Lock shared by every tab of the app while the refresh token is rotated
+const REFRESH_LOCK = 'military-assets-session-refresh';
+
 class ApiService {
   constructor() {
-    // Store token in memory instead of localStorage
+    // Store token in memory instead of localStorage; the refresh token lives in an httpOnly cookie
     this.token = null;
+    this.refreshPromise = null;
+    // Called when the session cannot be refreshed and the user must sign in again
+    this.onSessionExpired = null;
   }
 
   /**
@@ -28,63 +40,266 @@ class ApiService {
   }
 
   /**
-   * Generic request handler with authentication
+   * Generic request handler with authentication.
+   * Expired access tokens are refreshed once and the request replayed.
    */
-async request(endpoint, options = {}) {
-  const headers = {
-    'Content-Type': 'application/json',
-    ...options.headers,
-  };
+  async request(endpoint, options = {}, retry = true) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    };
 
-  // Add JWT token to headers if available
-  if (this.token) {
-    headers['Authorization'] = `Bearer ${this.token}`;
-  }
+    // Add JWT token to headers if available
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    }
 
-  try {
-    const response = await fetch(`${API_URL}${endpoint}`, {
-      ...options,
-      headers,
-    });
+    const isSessionEndpoint = SESSION_ENDPOINTS.includes(endpoint);
 
-    const data = await response.json();
+    try {
+      const response = await fetch(`${API_URL}${endpoint}`, {
+        ...options,
+        headers,
+        credentials: 'include',
+      });
 
-    // Handle authentication errors
-    if (response.status === 401 || response.status === 403) {
-      this.clearToken();
-      throw new Error(data.error || 'Session expired. Please login again.');
+      const data = await response.json();
+
+      // Handle authentication errors
+      if (response.status === 401) {
+        if (retry && !isSessionEndpoint && await this.refreshSession()) {
+          return this.request(endpoint, options, false);
+        }
+        if (!isSessionEndpoint) {
+          this.clearToken();
+          if (this.onSessionExpired) this.onSessionExpired();
+        }
+        throw new Error(data.error || 'Session expired. Please login again.');
+      }
+
+      // Handle other errors (403 is a permission error, not a session error)
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+
+      return data;
+
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a file response and save it under the server's filename.
+   * Expired access tokens are refreshed once like any other request.
+   */
+  async download(endpoint, retry = true) {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    const response = await fetch(`${API_URL}${endpoint}`, { headers, credentials: 'include' });
+
+    if (response.status === 401 && retry && await this.refreshSession()) {
+      return this.download(endpoint, false);
     }
 
-    // Handle other errors
     if (!response.ok) {
-      throw new Error(data.error || 'Request failed');
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Download failed');
     }
 
-    return data;
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+    const url = URL.createObjectURL(await response.blob());
 
-  } catch (error) {
-    console.error('API Error:', error);
-    throw error;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
   }
-}
 
   /**
-   * Authentication: Login user
+   * Exchange the refresh cookie for a new access token.
+   * Concurrent callers share one request so the refresh token is rotated once,
+   * and a cross-tab lock makes other tabs wait for the rotated cookie.
+   */
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      const refresh = () => fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+
+      this.refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh())
+        .then(async (response) => {
+          if (!response.ok) return null;
+          const data = await response.json();
+          this.setToken(data.token);
+          return data.user;
+        })
+        .catch(() => null)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Authentication: Login user.
+   * Resolves to { user }, or to { twoFactor, challengeToken } when a second
+   * factor ('verify') or two-factor enrolment ('enrol') is needed first.
    */
   async login(email, password) {
     const response = await this.request('/auth/login', {
       method: 'POST',
       body: JSON.stringify({ email, password }),
     });
+
+    if (response.success && response.two_factor) {
+      return { twoFactor: response.two_factor, challengeToken: response.challenge_token };
+    }
     
     if (response.success && response.token) {
       this.setToken(response.token);
-      return response.user;
+      return { user: response.user };
     }
     
     throw new Error('Login failed');
   }
 
+  /**
+   * Authentication: Finish signing in with a TOTP code or a recovery code
+   */
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    const response = await this.request('/auth/login/2fa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challenge_token: challengeToken, code, recovery_code: recoveryCode }),
+    });
+    this.setToken(response.token);
+    return response;
+  }
+
+  /**
+   * Two-factor: Generate a TOTP secret and provisioning URI.
+   * Pass the sign-in challenge token when enrolling during login.
+   */
+  async startTwoFactorEnrolment(challengeToken) {
+    const response = challengeToken
+      ? await this.request('/auth/login/2fa/setup', {
+        method: 'POST',
+        body: JSON.stringify({ challenge_token: challengeToken }),
+      })
+      : await this.request('/auth/2fa/setup', { method: 'POST' });
+    return response.data;
+  }
+
+  /**
+   * Two-factor: Confirm enrolment with a first code; returns the recovery codes.
+   * During login this also signs the user in.
+   */
+  async enableTwoFactor(code, challengeToken) {
+    const response = challengeToken
+      ? await this.request('/auth/login/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ challenge_token: challengeToken, code }),
+      })
+      : await this.request('/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+      });
+    if (response.token) this.setToken(response.token);
+    return response;
+  }
+
+  /**
+   * Two-factor: Get enrolment status and remaining recovery codes
+   */
+  async getTwoFactorStatus() {
+    const response = await this.request('/auth/2fa');
+    return response.data;
+  }
+
+  /**
+   * Two-factor: Replace the recovery codes (current TOTP code required)
+   */
+  async regenerateRecoveryCodes(code) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Two-factor: Turn off two-factor authentication (current TOTP code required)
+   */
+  async disableTwoFactor(code) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Authentication: Get the signed-in user
+   */
+  async getCurrentUser() {
+    const response = await this.request('/auth/me');
+    return response.user;
+  }
+
+  /**
+   * Authentication: Get the permission keys granted to the signed-in user's role
+   * and the bases the user covers
+   */
+  async getPermissions() {
+    const response = await this.request('/auth/permissions');
+    return {
+      permissions: response.data.permissions,
+      base_ids: response.data.base_ids,
+    };
+  }
+
+  /**
+   * Authentication: Resume a session after a page reload.
+   * Returns the user, or null when there is no session to resume.
+   */
+  async restoreSession() {
+    if (!await this.refreshSession()) return null;
+    return this.getCurrentUser();
+  }
+
+  /**
+   * Authentication: End this session on the server
+   */
+  async logout() {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } finally {
+      this.clearToken();
+    }
+  }
+
+  /**
+   * Authentication: End every session for the current user, on all devices
+   */
+  async logoutAll() {
+    const response = await this.request('/auth/logout-all', { method: 'POST' });
+    this.clearToken();
+    return response;
+  }
+
+  /**
+   * Authentication: Set a password using an invitation or reset token
+   */
+  async acceptInvite(token, password) {
+    return this.request('/auth/accept-invite', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
   /**
    * Dashboard: Get metrics
    */
@@ -94,6 +309,24 @@ async request(endpoint, options = {}) {
     return response.data;
   }
 
+  /**
+   * Dashboard: Get opening/closing balances and movements bucketed by day, week or month
+   */
+  async getDashboardTimeseries(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/dashboard/timeseries?${params}`);
+    return response.data;
+  }
+
+  /**
+   * Dashboard: Get the purchase and transfer records behind net movement
+   */
+  async getNetMovementDetails(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/dashboard/movement?${params}`);
+    return response.data;
+  }
+
   /**
    * Purchases: Get all purchases
    */
@@ -130,6 +363,37 @@ async request(endpoint, options = {}) {
     });
   }
 
+  /**
+   * Transfers: Approve a pending transfer
+   */
+  async approveTransfer(id) {
+    return this.request(`/transfers/${id}/approve`, { method: 'PATCH' });
+  }
+
+  /**
+   * Transfers: Dispatch an approved transfer
+   */
+  async dispatchTransfer(id) {
+    return this.request(`/transfers/${id}/dispatch`, { method: 'PATCH' });
+  }
+
+  /**
+   * Transfers: Confirm receipt of an in-transit transfer
+   */
+  async receiveTransfer(id) {
+    return this.request(`/transfers/${id}/receive`, { method: 'PATCH' });
+  }
+
+  /**
+   * Transfers: Cancel a transfer that has not been received
+   */
+  async cancelTransfer(id, notes) {
+    return this.request(`/transfers/${id}/cancel`, {
+      method: 'PATCH',
+      body: JSON.stringify({ notes }),
+    });
+  }
+
   /**
    * Assignments: Get all assignments
    */
@@ -149,26 +413,410 @@ async request(endpoint, options = {}) {
   }
 
   /**
-   * Reference: Get all bases
+   * Assignments: Return equipment to base stock
+   */
+  async returnAssignment(id, data = {}) {
+    return this.request(`/assignments/${id}/return`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Assignments: Report assigned equipment lost (notes required)
+   */
+  async reportAssignmentLost(id, data) {
+    return this.request(`/assignments/${id}/lost`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Assignments: Report assigned equipment damaged (notes required)
+   */
+  async reportAssignmentDamaged(id, data) {
+    return this.request(`/assignments/${id}/damaged`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Records: Correct a purchase, transfer or assignment (admin only)
+   */
+  async updateRecord(resource, id, data) {
+    return this.request(`/${resource}/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Records: Void a purchase, transfer or assignment (admin only)
+   */
+  async voidRecord(resource, id, reason) {
+    return this.request(`/${resource}/${id}/void`, {
+      method: 'PATCH',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  /**
+   * Records: Get the revision history of a purchase, transfer or assignment
+   */
+  async getRecordHistory(resource, id) {
+    const response = await this.request(`/${resource}/${id}/history`);
+    return response.data;
+  }
+
+  /**
+   * Expenditures: Get all expenditures
+   */
+  async getExpenditures() {
+    const response = await this.request('/expenditures');
+    return response.data;
+  }
+
+  /**
+   * Expenditures: Record new expenditure
+   */
+  async createExpenditure(data) {
+    return this.request('/expenditures', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Users: Get all user accounts (admin only)
+   */
+  async getUsers() {
+    const response = await this.request('/users');
+    return response.data;
+  }
+
+  /**
+   * Users: Create a user, or invite them when no password is given (admin only)
+   */
+  async createUser(data) {
+    return this.request('/users', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Users: Update name, email, role or base (admin only)
+   */
+  async updateUser(id, data) {
+    return this.request(`/users/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Users: Set a new password, or issue a reset link when none is given (admin only)
+   */
+  async resetUserPassword(id, password) {
+    return this.request(`/users/${id}/reset-password`, {
+      method: 'POST',
+      body: JSON.stringify(password ? { password } : {}),
+    });
+  }
+
+  /**
+   * Users: Activate or deactivate an account (admin only)
+   */
+  async setUserActive(id, isActive) {
+    return this.request(`/users/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ is_active: isActive }),
+    });
+  }
+
+  /**
+   * Users: Clear a lockout caused by failed sign-in attempts (admin only)
+   */
+  async unlockUser(id) {
+    return this.request(`/users/${id}/unlock`, { method: 'PATCH' });
+  }
+
+  /**
+   * Users: Remove a user's authenticator so they enrol again at next sign-in (admin only)
+   */
+  async resetUserTwoFactor(id) {
+    return this.request(`/users/${id}/reset-2fa`, { method: 'POST' });
+  }
+
+  /**
+   * Users: Get per-role security policies (admin only)
+   */
+  async getRolePolicies() {
+    const response = await this.request('/role-policies');
+    return response.data;
+  }
+
+  /**
+   * Users: Require or stop requiring two-factor authentication for a role (admin only)
+   */
+  async updateRolePolicy(role, requireTwoFactor) {
+    return this.request(`/role-policies/${role}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ require_two_factor: requireTwoFactor }),
+    });
+  }
+
+  /**
+   * Users: Get the permission catalogue and the permissions granted to each role
+   */
+  async getPermissionMatrix() {
+    const response = await this.request('/permissions');
+    return response.data;
+  }
+
+  /**
+   * Users: Replace the permissions granted to a role
+   */
+  async updateRolePermissions(role, permissions) {
+    return this.request(`/role-permissions/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ permissions }),
+    });
+  }
+
+  /**
+   * Reference: Get bases (retired ones only on request, admin only)
+   */
+  async getBases(includeRetired = false) {
+    const response = await this.request(`/bases${includeRetired ? '?include_retired=true' : ''}`);
+    return response.data;
+  }
+
+  /**
+   * Reference: Get equipment types (retired ones only on request, admin only)
+   */
+  async getEquipmentTypes(includeRetired = false) {
+    const response = await this.request(`/equipment-types${includeRetired ? '?include_retired=true' : ''}`);
+    return response.data;
+  }
+
+  /**
+   * Reference: Create a base or equipment type (admin only)
+   */
+  async createReferenceRecord(resource, data) {
+    return this.request(`/${resource}`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Reference: Update a base or equipment type (admin only)
+   */
+  async updateReferenceRecord(resource, id, data) {
+    return this.request(`/${resource}/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Reference: Retire a base or equipment type (admin only)
+   */
+  async retireReferenceRecord(resource, id) {
+    return this.request(`/${resource}/${id}/retire`, { method: 'PATCH' });
+  }
+
+  /**
+   * Reference: Reinstate a retired base or equipment type (admin only)
+   */
+  async reinstateReferenceRecord(resource, id) {
+    return this.request(`/${resource}/${id}/reinstate`, { method: 'PATCH' });
+  }
+
+  /**
+   * Personnel: Get personnel by status ('all' for the full roster)
+   */
+  async getPersonnel(status = 'active') {
+    const response = await this.request(`/personnel?status=${status}`);
+    return response.data;
+  }
+
+  /**
+   * Personnel: Add a person to the roster
+   */
+  async createPersonnel(data) {
+    return this.request('/personnel', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Personnel: Update name, rank, unit or base
+   */
+  async updatePersonnel(id, data) {
+    return this.request(`/personnel/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Personnel: Change status (active, inactive, transferred)
+   */
+  async updatePersonnelStatus(id, status, notes) {
+    return this.request(`/personnel/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, notes }),
+    });
+  }
+
+  /**
+   * Items: Get serialized items matching the filters
+   * (base_id, equipment_type_id, status, q, available)
+   */
+  async getItems(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/items?${params}`);
+    return response.data;
+  }
+
+  /**
+   * Items: Get one serialized item with its custody history
+   */
+  async getItem(id) {
+    const response = await this.request(`/items/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Items: Register serial numbers for stock already on hand
+   */
+  async registerItems(data) {
+    return this.request('/items', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Lots: Get ammunition lots matching the filters
+   * (base_id, equipment_type_id, expiring_within, q, include_empty)
+   */
+  async getLots(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/lots?${params}`);
+    return response.data;
+  }
+
+  /**
+   * Lots: Get one lot with its holdings and movement history
+   */
+  async getLot(id) {
+    const response = await this.request(`/lots/${id}`);
+    return response.data;
+  }
+
+  /**
+   * Lots: Update a lot's expiry or inspection due date
+   */
+  async updateLot(id, data) {
+    return this.request(`/lots/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Stock thresholds: Get minimum and reorder levels with stock on hand
    */
-  async getBases() {
-    const response = await this.request('/bases');
+  async getStockThresholds(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/stock-thresholds?${params}`);
     return response.data;
   }
 
   /**
-   * Reference: Get all equipment types
+   * Stock thresholds: Set the levels for an equipment type at a base
+   */
+  async saveStockThreshold(data) {
+    return this.request('/stock-thresholds', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Stock thresholds: Stop watching an equipment type at a base
    */
-  async getEquipmentTypes() {
-    const response = await this.request('/equipment-types');
+  async deleteStockThreshold(id) {
+    return this.request(`/stock-thresholds/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  /**
+   * Alerts: Get low-stock alerts matching the filters
+   * (base_id, status, unread, limit). Resolves to { alerts, unread }.
+   */
+  async getAlerts(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/alerts?${params}`);
+    return { alerts: response.data, unread: response.unread_count };
+  }
+
+  /**
+   * Alerts: Mark one alert as read
+   */
+  async markAlertRead(id) {
+    return this.request(`/alerts/${id}/read`, {
+      method: 'PATCH',
+    });
+  }
+
+  /**
+   * Alerts: Mark every open alert as read
+   */
+  async markAllAlertsRead() {
+    return this.request('/alerts/read-all', {
+      method: 'PATCH',
+    });
+  }
+
+  /**
+   * Audit: Get a page of audit log entries matching the filters.
+   * Resolves to { entries, total }.
+   */
+  async getAuditLogs(filters = {}) {
+    const params = new URLSearchParams(filters);
+    const response = await this.request(`/audit-logs?${params}`);
+    return { entries: response.data, total: response.total, exportLimit: response.export_limit };
+  }
+
+  /**
+   * Audit: Get the users, actions and entity types to filter by
+   */
+  async getAuditLogOptions() {
+    const response = await this.request('/audit-logs/options');
     return response.data;
   }
 
   /**
-   * Admin: Get audit logs
+   * Audit: Download the entries matching the filters as a CSV file
+   */
+  async exportAuditLogs(filters = {}) {
+    const params = new URLSearchParams(filters);
+    await this.download(`/audit-logs/export?${params}`);
+  }
+
+  /**
+   * Audit: Recompute the hash chain and report the first broken entry
    */
-  async getAuditLogs() {
-    const response = await this.request('/audit-logs');
+  async verifyAuditLog() {
+    const response = await this.request('/audit-logs/verify');
     return response.data;
   }
 }
@@ -0,0 +1,28 @@
+/**
+ * Permission helpers
+ * The signed-in user carries the permission keys returned by /api/auth/permissions
+ *
+ * Location: src/utils/permissions.js
+ */
+
+/**
+ * Whether the user's role grants a permission such as 'purchase:create'
+ */
+export const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+/**
+ * Users without base:all only work with their assigned bases
+ */
+export const isBaseScoped = (user) => !can(user, 'base:all');
+
+/**
+ * Whether the user may work with records at a base
+ */
+export const canAccessBase = (user, baseId) => (
+  !isBaseScoped(user) || Boolean(user?.base_ids?.includes(Number(baseId)))
+);
+
+/**
+ * Bases to offer in a form's base picker
+ */
+export const selectableBases = (user, bases) => bases.filter((base) => canAccessBase(user, base.id));